@@ -66,7 +66,7 @@ const CONFIG = {
 };
 
 // Global chart variables
-let tempChart, electricalChart, chemistryChart, homeEnvironmentChart;
+let tempChart, electricalChart, chemistryChart, waterTestChart, homeEnvironmentChart;
 let saltSparkline, waterTempSparkline, cellVoltageSparkline, filterPumpSparkline, weatherTimeSeriesChart;
 let homeTempSparkline, homeHumiditySparkline, homeFeelsLikeSparkline, weatherSparkline;
 
@@ -146,10 +146,24 @@ const domCache = {
   waterTempCard: null,
   cellVoltageValue: null,
   cellVoltageStatus: null,
+  cellHealthScore: null,
+  cellOperatingHours: null,
   cellVoltageCard: null,
   filterPumpValue: null,
-  filterPumpState: null,
+  filterPumpRuntime: null,
+  filterPumpCycles: null,
+  filterPumpIdle: null,
+  filterPumpTurnovers: null,
   filterPumpCard: null,
+  waterTestLsi: null,
+  waterTestLsiStatus: null,
+  waterTestPh: null,
+  waterTestFreeChlorine: null,
+  waterTestCya: null,
+  waterTestAlkalinity: null,
+  waterTestHardness: null,
+  waterTestDate: null,
+  waterTestCard: null,
   weatherTempValue: null,
   weatherCard: null,
 
@@ -168,10 +182,24 @@ const domCache = {
     this.waterTempCard = document.getElementById('waterTempCard');
     this.cellVoltageValue = document.getElementById('cellVoltageValue');
     this.cellVoltageStatus = document.getElementById('cellVoltageStatus');
+    this.cellHealthScore = document.getElementById('cellHealthScore');
+    this.cellOperatingHours = document.getElementById('cellOperatingHours');
     this.cellVoltageCard = document.getElementById('cellVoltageCard');
     this.filterPumpValue = document.getElementById('filterPumpValue');
-    this.filterPumpState = document.getElementById('filterPumpState');
+    this.filterPumpRuntime = document.getElementById('filterPumpRuntime');
+    this.filterPumpCycles = document.getElementById('filterPumpCycles');
+    this.filterPumpIdle = document.getElementById('filterPumpIdle');
+    this.filterPumpTurnovers = document.getElementById('filterPumpTurnovers');
     this.filterPumpCard = document.getElementById('filterPumpCard');
+    this.waterTestLsi = document.getElementById('waterTestLsi');
+    this.waterTestLsiStatus = document.getElementById('waterTestLsiStatus');
+    this.waterTestPh = document.getElementById('waterTestPh');
+    this.waterTestFreeChlorine = document.getElementById('waterTestFreeChlorine');
+    this.waterTestCya = document.getElementById('waterTestCya');
+    this.waterTestAlkalinity = document.getElementById('waterTestAlkalinity');
+    this.waterTestHardness = document.getElementById('waterTestHardness');
+    this.waterTestDate = document.getElementById('waterTestDate');
+    this.waterTestCard = document.getElementById('waterTestCard');
     this.weatherTempValue = document.getElementById('weatherTempValue');
     this.weatherCard = document.getElementById('weatherCard');
 
@@ -278,6 +306,15 @@ const formatTime = (timeString) => {
   });
 };
 
+const formatDayTime = (timeString) => {
+  const date = new Date(timeString);
+  return date.toLocaleString('en-US', {
+    weekday: 'short',
+    hour: 'numeric',
+    hour12: true
+  });
+};
+
 const capitalizeFirst = (str) => {
   if (!str) return str;
   return str.charAt(0).toUpperCase() + str.slice(1);
@@ -350,20 +387,44 @@ const createWeatherAlertItem = (alert) => {
   const severityClass = getSeverityClass(alert.severity);
   const severityText = getSeverityText(alert.severity);
 
+  // Forecast warnings usually lie ahead, so they show when they start too
+  const timeText = alert.source === 'forecast' && new Date(alert.startTime) > new Date()
+    ? `Forecast ${formatDayTime(alert.startTime)} – ${formatDayTime(alert.endTime)}`
+    : `Until ${formatTime(alert.endTime)}`;
+
+  // NWS alerts can be acknowledged so no more reminders are sent
+  let actionHtml = '';
+  if (alert.source !== 'forecast' && alert.acknowledged) {
+    actionHtml = '<span class="weather-alert-acknowledged">Acknowledged</span>';
+  } else if (alert.source !== 'forecast') {
+    actionHtml = `<button type="button" class="weather-alert-ack" data-alert-id="${alert.id}">Acknowledge</button>`;
+  }
+
   alertItem.innerHTML = `
     <div class="weather-alert-header">
       <h4 class="weather-alert-title">${alert.event}</h4>
       <span class="weather-alert-severity ${severityClass}">${severityText}</span>
     </div>
     <div class="weather-alert-description">${truncateText(alert.description, 100)}</div>
-    <div class="weather-alert-time">
-      Until ${formatTime(alert.endTime)}
+    <div class="weather-alert-footer">
+      <span class="weather-alert-time">${timeText}</span>
+      ${actionHtml}
     </div>
   `;
 
   return alertItem;
 };
 
+const getAlertSilenceText = (silence) => {
+  if (!silence) return 'Unavailable';
+
+  const snooze = (silence.snoozes || []).find(candidate => candidate.target === 'weather-alert');
+  if (snooze) return `Snoozed until ${formatDayTime(snooze.until)}`;
+  if (silence.quietHours?.active) return `Quiet until ${silence.quietHours.end}`;
+  if (silence.quietHours) return `On, quiet ${silence.quietHours.start}–${silence.quietHours.end}`;
+  return 'On';
+};
+
 const updateWeatherTimeSeriesChart = (data) => {
   if (!weatherTimeSeriesChart || !data.timeSeries) {
     return;
@@ -407,11 +468,18 @@ const updateWeatherSparkline = (data) => {
   }
 };
 
-const updateWeatherAlertsCard = (alertsData, historyData) => {
+const updateWeatherAlertsCard = (alertsData, historyData, silenceData = null) => {
   const weatherAlertsValue = document.getElementById('weatherAlertsValue');
   const weatherAlertsContainer = document.getElementById('weatherAlertsContainer');
   const weatherAlertsPast24H = document.getElementById('weatherAlertsPast24H');
   const weatherAlertsCard = document.getElementById('weatherAlertsCard');
+  const weatherForecastWarnings = document.getElementById('weatherForecastWarnings');
+  const weatherAlertsSilence = document.getElementById('weatherAlertsSilence');
+
+  if (weatherAlertsSilence) {
+    weatherAlertsSilence.textContent = getAlertSilenceText(silenceData);
+    weatherAlertsSilence.classList.remove('skeleton-text');
+  }
 
   if (!weatherAlertsValue || !weatherAlertsContainer || !weatherAlertsPast24H) {
     console.warn('Weather alerts DOM elements not found');
@@ -427,6 +495,10 @@ const updateWeatherAlertsCard = (alertsData, historyData) => {
       weatherAlertsPast24H.textContent = 'Error';
       weatherAlertsPast24H.classList.remove('skeleton-text');
     }
+    if (weatherForecastWarnings) {
+      weatherForecastWarnings.textContent = 'Error';
+      weatherForecastWarnings.classList.remove('skeleton-text');
+    }
     if (weatherAlertsCard) {
       weatherAlertsCard.classList.add('loaded');
     }
@@ -438,7 +510,7 @@ const updateWeatherAlertsCard = (alertsData, historyData) => {
     weatherAlertsValue.classList.remove('skeleton-value', 'no-alerts', 'error');
     weatherAlertsValue.classList.add('has-alerts');
     weatherAlertsContainer.innerHTML = '';
-    alertsData.alerts.forEach(alert => {
+    (alertsData.activeAlerts || alertsData.alerts || []).forEach(alert => {
       const alertItem = createWeatherAlertItem(alert);
       weatherAlertsContainer.appendChild(alertItem);
     });
@@ -449,6 +521,17 @@ const updateWeatherAlertsCard = (alertsData, historyData) => {
     weatherAlertsContainer.innerHTML = '';
   }
 
+  // Freeze and heat warnings from the forecast follow the NWS alerts
+  const forecastWarnings = alertsData.forecastWarnings || [];
+  forecastWarnings.forEach(warning => {
+    weatherAlertsContainer.appendChild(createWeatherAlertItem(warning));
+  });
+
+  if (weatherForecastWarnings) {
+    weatherForecastWarnings.textContent = forecastWarnings.length > 0 ? `${forecastWarnings.length} Upcoming` : 'None';
+    weatherForecastWarnings.classList.remove('skeleton-text');
+  }
+
   if (weatherAlertsPast24H) {
     const past24HCount = historyData?.alerts?.length || 0;
     weatherAlertsPast24H.textContent = `${past24HCount} Warnings`;
@@ -493,6 +576,212 @@ const updateWeatherTimeSeriesCard = (data) => {
   updateWeatherSparkline(data);
 };
 
+const formatHours = (hours) => {
+  if (hours === null || hours === undefined) return '--';
+  return hours < 1 ? `${Math.round(hours * 60)} min` : `${hours.toFixed(1)} h`;
+};
+
+const updatePumpAnalyticsCard = (data) => {
+  const values = {
+    filterPumpRuntime: '!',
+    filterPumpCycles: '!',
+    filterPumpIdle: '!',
+    filterPumpTurnovers: '!'
+  };
+
+  // Today is the last day returned
+  const today = data.days && data.days.length > 0 ? data.days[data.days.length - 1] : null;
+  if (!data.error) {
+    values.filterPumpRuntime = today ? formatHours(today.runtimeHours) : '--';
+    values.filterPumpCycles = today ? String(today.cycles) : '--';
+    if (today && today.averageCycleHours !== null) {
+      values.filterPumpCycles += ` (avg ${formatHours(today.averageCycleHours)})`;
+    }
+    values.filterPumpIdle = formatHours(data.summary?.longestIdleHours);
+    values.filterPumpTurnovers = today && today.turnovers !== null ? today.turnovers.toFixed(1) : '--';
+  }
+
+  Object.entries(values).forEach(([key, value]) => {
+    if (domCache[key]) {
+      domCache[key].textContent = value;
+      domCache[key].classList.remove('skeleton-text');
+    }
+  });
+
+  if (domCache.filterPumpTurnovers && !data.error && data.pool && !data.pool.volumeGallons) {
+    domCache.filterPumpTurnovers.title = 'Set POOL_VOLUME_GALLONS and PUMP_FLOW_RATE_GPM to calculate turnovers';
+  }
+};
+
+/**
+ * Show the loaded water tests on the water test chart
+ * @param {object} data - Response from /api/pool/chemistry
+ */
+const updateWaterTestChart = (data) => {
+  const status = document.getElementById('waterTestChartStatus');
+
+  if (data.error) {
+    if (status) status.textContent = 'Error loading data';
+    return;
+  }
+
+  const tests = data.tests || [];
+  if (waterTestChart) {
+    waterTestChart.data.labels = tests.map(test => new Date(test.timestamp));
+    waterTestChart.data.datasets[0].data = tests.map(test => test.ph);
+    waterTestChart.data.datasets[1].data = tests.map(test => test.lsi);
+    waterTestChart.update('none');
+  }
+
+  if (status) {
+    status.textContent = tests.length > 0
+      ? `${tests.length} tests | Updated: ${new Date().toLocaleTimeString()}`
+      : 'No water tests logged';
+  }
+};
+
+// Latest cell health, so pool data refreshes keep showing its recommendation
+let latestCellHealth = null;
+
+// Status shown on the cell voltage card for each cell health status with a recommendation
+const CELL_HEALTH_ADVICE = {
+  clean: 'Clean cell',
+  replace: 'Nearing end of life'
+};
+
+/**
+ * Status text for the cell voltage card
+ * @param {number} voltage - Cell voltage
+ * @returns {string} Cell health advice when there is any, otherwise whether the cell is operating
+ */
+const getCellStatusText = (voltage) => {
+  if (latestCellHealth && CELL_HEALTH_ADVICE[latestCellHealth.status]) {
+    return CELL_HEALTH_ADVICE[latestCellHealth.status];
+  }
+  return voltage > 5 ? 'Operating' : 'Inactive';
+};
+
+const updateCellHealthCard = (data) => {
+  latestCellHealth = data.error ? null : data;
+
+  if (domCache.cellHealthScore) {
+    let scoreText = data.error ? '!' : '--';
+    if (!data.error && data.score !== null) {
+      scoreText = `${data.score}/100`;
+    }
+    domCache.cellHealthScore.textContent = scoreText;
+    domCache.cellHealthScore.classList.remove('skeleton-text');
+    domCache.cellHealthScore.classList.toggle('out-of-range', Boolean(CELL_HEALTH_ADVICE[data.status]));
+  }
+
+  if (domCache.cellOperatingHours) {
+    domCache.cellOperatingHours.textContent = data.error ? '!' : `${Math.round(data.operatingHours).toLocaleString()} h`;
+    domCache.cellOperatingHours.classList.remove('skeleton-text');
+    domCache.cellOperatingHours.title = data.error ? '' : `${data.lifeUsedPercent}% of ${data.ratedLifeHours.toLocaleString()} rated hours`;
+  }
+
+  if (domCache.cellVoltageStatus && CELL_HEALTH_ADVICE[data.status]) {
+    domCache.cellVoltageStatus.textContent = CELL_HEALTH_ADVICE[data.status];
+    domCache.cellVoltageStatus.title = data.recommendations.map(recommendation => recommendation.message).join('\n');
+    domCache.cellVoltageStatus.classList.add('out-of-range');
+    domCache.cellVoltageStatus.classList.remove('skeleton-text');
+  }
+};
+
+// Status card each watched metric's stale badge goes on
+const STALE_BADGE_CARDS = {
+  saltInstant: 'saltCard',
+  waterTemp: 'waterTempCard',
+  pumpStatus: 'filterPumpCard',
+  weatherTemp: 'weatherCard',
+  homeTemperature: 'homeTempCard',
+  homeHumidity: 'homeHumidityCard'
+};
+
+const updateStaleBadges = (report) => {
+  report.metrics.forEach(entry => {
+    const heading = document.querySelector(`#${STALE_BADGE_CARDS[entry.metric]} h3`);
+    if (!heading) {
+      return;
+    }
+
+    let badge = heading.querySelector('.stale-badge');
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'stale-badge';
+      heading.appendChild(badge);
+    }
+
+    badge.hidden = !entry.stale;
+    badge.textContent = entry.status === 'missing' ? 'No data' : 'Stale';
+    badge.title = entry.status === 'missing'
+      ? 'No reading in the last 7 days'
+      : `Last reading ${entry.ageMinutes} min ago (stale after ${entry.staleAfterMinutes} min)`;
+  });
+};
+
+// Water test card rows and the test field each one shows
+const WATER_TEST_ROWS = {
+  waterTestPh: { field: 'ph', format: value => value.toFixed(1) },
+  waterTestFreeChlorine: { field: 'freeChlorine', format: value => `${value} ppm` },
+  waterTestCya: { field: 'cya', format: value => `${value} ppm` },
+  waterTestAlkalinity: { field: 'totalAlkalinity', format: value => `${value} ppm` },
+  waterTestHardness: { field: 'calciumHardness', format: value => `${value} ppm` }
+};
+
+const updateWaterTestCard = (data) => {
+  const latest = data.latest;
+
+  if (domCache.waterTestLsi) {
+    let lsiText = '--';
+    if (data.error) {
+      lsiText = '!';
+    } else if (latest && latest.lsi !== null) {
+      lsiText = latest.lsi > 0 ? `+${latest.lsi.toFixed(2)}` : latest.lsi.toFixed(2);
+    }
+    domCache.waterTestLsi.textContent = lsiText;
+    domCache.waterTestLsi.classList.remove('skeleton-value');
+  }
+  if (domCache.waterTestLsiStatus) {
+    domCache.waterTestLsiStatus.textContent = latest && latest.lsiStatus ? `LSI · ${latest.lsiStatus}` : 'LSI';
+  }
+
+  Object.entries(WATER_TEST_ROWS).forEach(([key, { field, format }]) => {
+    const element = domCache[key];
+    if (!element) return;
+
+    let value = '--';
+    if (data.error) {
+      value = '!';
+    } else if (latest && typeof latest[field] === 'number') {
+      value = format(latest[field]);
+    }
+    element.textContent = value;
+    element.classList.remove('skeleton-text');
+
+    const status = latest && latest.ranges ? latest.ranges[field] : null;
+    element.classList.toggle('out-of-range', status === 'low' || status === 'high');
+    element.title = status && data.ranges && data.ranges[field]
+      ? `Ideal ${data.ranges[field].min}-${data.ranges[field].max}`
+      : '';
+  });
+
+  if (domCache.waterTestDate) {
+    let tested = data.error ? '!' : 'No tests';
+    if (latest) {
+      tested = new Date(latest.timestamp).toLocaleDateString();
+    }
+    domCache.waterTestDate.textContent = tested;
+    domCache.waterTestDate.classList.remove('skeleton-text');
+  }
+
+  if (domCache.waterTestCard) {
+    domCache.waterTestCard.classList.add('loaded');
+  }
+
+  updateWaterTestChart(data);
+};
+
 // Home Environment Card Update Functions
 const updateHomeEnvironmentCard = (cardId, data) => {
   const card = document.getElementById(cardId);
@@ -691,10 +980,14 @@ const loadWeatherAlerts = async () => {
     console.log('⚠️ Loading weather alerts from InfluxDB...');
     const startTime = Date.now();
 
-    // Fetch both active alerts and 24-hour history
-    const [alertsResponse, historyResponse] = await Promise.all([
+    // Fetch active alerts, 24-hour history and whether notifications are snoozed or quiet
+    const [alertsResponse, historyResponse, silenceData] = await Promise.all([
       fetch('/api/pool/alerts', { credentials: 'include' }),
-      fetch('/api/pool/alerts/history?hours=24', { credentials: 'include' })
+      fetch('/api/pool/alerts/history?hours=24', { credentials: 'include' }),
+      fetch('/api/alerts/silence', { credentials: 'include' })
+        .then(response => (response.ok ? response.json() : null))
+        .then(result => (result?.success ? result.data : null))
+        .catch(() => null)
     ]);
 
     if (!alertsResponse.ok) {
@@ -721,7 +1014,7 @@ const loadWeatherAlerts = async () => {
     const loadTime = Date.now() - startTime;
     console.log(`✅ Weather alerts loaded in ${loadTime}ms`);
 
-    updateWeatherAlertsCard(alertsData, historyData);
+    updateWeatherAlertsCard(alertsData, historyData, silenceData);
 
   } catch (error) {
     handleApiError(error, 'Weather alerts loading');
@@ -734,6 +1027,62 @@ const loadWeatherAlerts = async () => {
   }
 };
 
+// Acknowledge, snooze and resume alert notifications, then reload the weather alerts card
+const sendAlertAction = async (method, path, body = null) => {
+  try {
+    const response = await fetch(path, {
+      method,
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+  } catch (error) {
+    handleApiError(error, 'Alert action');
+  }
+
+  await loadWeatherAlerts();
+};
+
+const acknowledgeWeatherAlert = (alertId) => {
+  console.log(`🔕 Acknowledging weather alert ${alertId}...`);
+  return sendAlertAction('POST', '/api/alerts/acknowledge', { alertId });
+};
+
+const snoozeWeatherAlerts = async (value) => {
+  const select = document.getElementById('weatherAlertsSnooze');
+  if (select) {
+    select.value = '';
+  }
+
+  if (value === 'resume') {
+    console.log('🔔 Resuming weather alert notifications...');
+    await sendAlertAction('DELETE', '/api/alerts/snooze/weather-alert');
+  } else if (value) {
+    console.log(`😴 Snoozing weather alert notifications for ${value}h...`);
+    await sendAlertAction('POST', '/api/alerts/snooze', { target: 'weather-alert', hours: Number(value) });
+  }
+};
+
+const setQuietHours = async (value) => {
+  const select = document.getElementById('weatherAlertsQuietHours');
+  if (select) {
+    select.value = '';
+  }
+
+  if (value === 'off') {
+    console.log('🔔 Turning quiet hours off...');
+    await sendAlertAction('DELETE', '/api/alerts/quiet-hours');
+  } else if (value) {
+    console.log(`🌙 Setting quiet hours to ${value}...`);
+    await sendAlertAction('PUT', '/api/alerts/quiet-hours', { quietHours: value });
+  }
+};
+
 const loadWeatherTimeSeries = async () => {
   try {
     console.log('🌤️ Loading weather time series from InfluxDB...');
@@ -766,6 +1115,203 @@ const loadWeatherTimeSeries = async () => {
   }
 };
 
+const loadPumpAnalytics = async () => {
+  try {
+    console.log('🔄 Loading pump analytics...');
+    const startTime = Date.now();
+
+    const response = await fetch('/api/pool/pump/analytics?days=7', { credentials: 'include' });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.error || 'Invalid pump analytics response format');
+    }
+
+    const loadTime = Date.now() - startTime;
+    console.log(`✅ Pump analytics loaded in ${loadTime}ms`);
+
+    updatePumpAnalyticsCard(result.data);
+
+  } catch (error) {
+    handleApiError(error, 'Pump analytics loading');
+    updatePumpAnalyticsCard({
+      error: error.message
+    });
+  }
+};
+
+const loadWaterChemistry = async () => {
+  try {
+    console.log('🔄 Loading water tests...');
+    const startTime = Date.now();
+
+    const response = await fetch('/api/pool/chemistry?days=90', { credentials: 'include' });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.error || 'Invalid water test response format');
+    }
+
+    const loadTime = Date.now() - startTime;
+    console.log(`✅ Water tests loaded in ${loadTime}ms`);
+
+    updateWaterTestCard(result.data);
+
+  } catch (error) {
+    handleApiError(error, 'Water test loading');
+    updateWaterTestCard({
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Show daily chlorine generation next to salt; days that fell short of demand are red
+ * @param {object} data - Response from /api/pool/chlorine/generation
+ */
+const updateChlorineGenerationChart = (data) => {
+  if (!chemistryChart || data.error) return;
+
+  const days = (data.days || []).filter(day => day.poundsProduced !== null);
+  const dataset = chemistryChart.data.datasets[1];
+  // Bars sit at noon so they line up with the day on the time axis
+  dataset.data = days.map(day => ({ x: new Date(`${day.date}T12:00:00`), y: day.poundsProduced }));
+  dataset.backgroundColor = days.map(day => (day.low ? 'rgba(239, 68, 68, 0.6)' : 'rgba(16, 185, 129, 0.4)'));
+  chemistryChart.update('none');
+};
+
+const updateWaterTempForecastChart = (data) => {
+  if (!tempChart || data.error) return;
+
+  // Start at the latest water reading so the forecast continues the water temperature line
+  const start = data.current ? [{ x: new Date(data.current.timestamp), y: data.current.waterTemp }] : [];
+  tempChart.data.datasets[3].data = data.forecast.length > 0
+    ? [...start, ...data.forecast.map(hour => ({ x: new Date(hour.timestamp), y: hour.waterTemp }))]
+    : [];
+  tempChart.update('none');
+};
+
+const loadWaterTempForecast = async () => {
+  try {
+    console.log('🔄 Loading water temperature forecast...');
+    const startTime = Date.now();
+
+    const response = await fetch('/api/pool/forecast/water-temp?hours=48', { credentials: 'include' });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.error || 'Invalid water temperature forecast response format');
+    }
+
+    const loadTime = Date.now() - startTime;
+    console.log(`✅ Water temperature forecast loaded in ${loadTime}ms`);
+
+    updateWaterTempForecastChart(result.data);
+
+  } catch (error) {
+    handleApiError(error, 'Water temperature forecast loading');
+    updateWaterTempForecastChart({
+      error: error.message
+    });
+  }
+};
+
+const loadCellHealth = async () => {
+  try {
+    console.log('🔄 Loading cell health...');
+    const startTime = Date.now();
+
+    const response = await fetch('/api/pool/cell/health', { credentials: 'include' });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.error || 'Invalid cell health response format');
+    }
+
+    const loadTime = Date.now() - startTime;
+    console.log(`✅ Cell health loaded in ${loadTime}ms`);
+
+    updateCellHealthCard(result.data);
+
+  } catch (error) {
+    handleApiError(error, 'Cell health loading');
+    updateCellHealthCard({
+      error: error.message
+    });
+  }
+};
+
+const loadChlorineGeneration = async () => {
+  try {
+    console.log('🔄 Loading chlorine generation...');
+    const startTime = Date.now();
+
+    const response = await fetch('/api/pool/chlorine/generation?days=7', { credentials: 'include' });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.error || 'Invalid chlorine generation response format');
+    }
+
+    const loadTime = Date.now() - startTime;
+    console.log(`✅ Chlorine generation loaded in ${loadTime}ms`);
+
+    updateChlorineGenerationChart(result.data);
+
+  } catch (error) {
+    handleApiError(error, 'Chlorine generation loading');
+    updateChlorineGenerationChart({
+      error: error.message
+    });
+  }
+};
+
+const loadDataFreshness = async () => {
+  try {
+    const response = await fetch('/api/pool/freshness', { credentials: 'include' });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.error || 'Invalid data freshness response format');
+    }
+
+    updateStaleBadges(result.data);
+
+  } catch (error) {
+    handleApiError(error, 'Data freshness loading');
+  }
+};
+
 // Home Environment Data Loading Functions
 const loadHomeEnvironmentData = async () => {
   try {
@@ -1541,6 +2087,78 @@ const getChartConfig = (type) => {
         color: isDarkMode ? '#666666' : '#8b9bb4'
       }
     };
+    baseConfig.scales.y1 = {
+      type: 'linear',
+      display: true,
+      position: 'right',
+      beginAtZero: true,
+      title: {
+        display: true,
+        text: 'Chlorine (lb/day)',
+        font: {
+          size: 14,
+          weight: '600',
+          family: 'Inter, sans-serif'
+        },
+        color: isDarkMode ? '#a0a0a0' : '#697386'
+      },
+      grid: {
+        drawOnChartArea: false
+      },
+      ticks: {
+        font: {
+          size: 11,
+          family: 'Inter, sans-serif'
+        },
+        color: isDarkMode ? '#666666' : '#8b9bb4'
+      }
+    };
+  } else if (type === 'waterTest') {
+    const axisTitle = text => ({
+      display: true,
+      text,
+      font: {
+        size: 14,
+        weight: '600',
+        family: 'Inter, sans-serif'
+      },
+      color: isDarkMode ? '#a0a0a0' : '#697386'
+    });
+    const axisTicks = {
+      font: {
+        size: 11,
+        family: 'Inter, sans-serif'
+      },
+      color: isDarkMode ? '#666666' : '#8b9bb4'
+    };
+
+    baseConfig.scales.x.time = {
+      unit: 'day',
+      displayFormats: {
+        day: 'MMM d'
+      }
+    };
+    baseConfig.scales.y = {
+      type: 'linear',
+      display: true,
+      position: 'left',
+      title: axisTitle('pH'),
+      grid: {
+        color: isDarkMode ? 'rgba(42, 42, 42, 0.5)' : 'rgba(225, 229, 233, 0.5)',
+        drawBorder: false
+      },
+      ticks: axisTicks
+    };
+    baseConfig.scales.y1 = {
+      type: 'linear',
+      display: true,
+      position: 'right',
+      title: axisTitle('LSI'),
+      grid: {
+        drawOnChartArea: false
+      },
+      ticks: axisTicks
+    };
   }
 
   return baseConfig;
@@ -1593,6 +2211,18 @@ const initializeTempChart = () => {
           fill: false,
           pointRadius: 4,
           pointHoverRadius: 6
+        },
+        {
+          label: 'Water Temperature Forecast (°F)',
+          data: [],
+          borderColor: '#45b7d1',
+          backgroundColor: 'rgba(69, 183, 209, 0.1)',
+          borderWidth: 2,
+          borderDash: [6, 4],
+          tension: 0.4,
+          fill: false,
+          pointRadius: 0,
+          pointHoverRadius: 4
         }
       ]
     },
@@ -1727,6 +2357,16 @@ const initializeChemistryChart = () => {
           fill: false,
           pointRadius: 4,
           pointHoverRadius: 6
+        },
+        {
+          // Daily estimates as {x, y} points, drawn against the right axis
+          label: 'Chlorine Generated (lb/day)',
+          data: [],
+          type: 'bar',
+          backgroundColor: [],
+          borderColor: '#10b981',
+          borderWidth: 1,
+          yAxisID: 'y1'
         }
       ]
     },
@@ -1795,6 +2435,76 @@ const initializeChemistryChart = () => {
   });
 };
 
+/**
+ * Initialize the water test chart (pH on the left axis, LSI on the right)
+ */
+const initializeWaterTestChart = () => {
+  if (waterTestChart) {
+    waterTestChart.destroy();
+  }
+
+  const ctx = document.getElementById('waterTestChart').getContext('2d');
+
+  waterTestChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: [],
+      datasets: [
+        {
+          label: 'pH',
+          data: [],
+          borderColor: '#8b5cf6',
+          backgroundColor: 'rgba(139, 92, 246, 0.1)',
+          borderWidth: 3,
+          tension: 0,
+          fill: false,
+          pointRadius: 4,
+          pointHoverRadius: 6,
+          spanGaps: true,
+          yAxisID: 'y'
+        },
+        {
+          label: 'LSI',
+          data: [],
+          borderColor: '#10b981',
+          backgroundColor: 'rgba(16, 185, 129, 0.1)',
+          borderWidth: 3,
+          tension: 0,
+          fill: false,
+          pointRadius: 4,
+          pointHoverRadius: 6,
+          spanGaps: true,
+          yAxisID: 'y1'
+        }
+      ]
+    },
+    options: {
+      ...getChartConfig('waterTest'),
+      plugins: {
+        ...getChartConfig('waterTest').plugins,
+        annotation: {
+          annotations: {
+            balancedRegion: {
+              type: 'box',
+              yScaleID: 'y1',
+              yMin: -0.3,
+              yMax: 0.3,
+              backgroundColor: 'rgba(0, 255, 0, 0.1)',
+              borderColor: 'rgba(0, 255, 0, 0.3)',
+              borderWidth: 1,
+              label: {
+                display: true,
+                content: 'Balanced LSI',
+                position: 'start'
+              }
+            }
+          }
+        }
+      }
+    }
+  });
+};
+
 /**
  * Initialize the home environment chart
  */
@@ -2139,6 +2849,12 @@ const _startStatsAutoRefresh = () => {
   const refreshStats = async () => {
     await Promise.all([
       loadPoolData(),
+      loadPumpAnalytics(),
+      loadWaterChemistry(),
+      loadChlorineGeneration(),
+      loadCellHealth(),
+      loadWaterTempForecast(),
+      loadDataFreshness(),
       loadWeatherAlerts(),
       loadWeatherTimeSeries(),
       loadHomeEnvironmentTimeSeries(24)
@@ -2271,7 +2987,7 @@ const _updateStatusCards = async (data) => {
     if (cellVoltageStatus) {
       const voltage = parseFloat(data.chlorinator.cell.voltage);
       if (!isNaN(voltage)) {
-        cellVoltageStatus.textContent = voltage > 5 ? 'Operating' : 'Inactive';
+        cellVoltageStatus.textContent = getCellStatusText(voltage);
         cellVoltageStatus.classList.remove('skeleton-text');
       }
     }
@@ -2291,18 +3007,12 @@ const _updateStatusCards = async (data) => {
   // Update filter pump card
   if (data.filter?.status !== null && data.filter?.status !== undefined) {
     const filterPumpValue = document.getElementById('filterPumpValue');
-    const filterPumpState = document.getElementById('filterPumpState');
 
     if (filterPumpValue) {
       filterPumpValue.textContent = data.filter.status ? 'ON' : 'OFF';
       filterPumpValue.classList.remove('skeleton-value');
     }
 
-    if (filterPumpState) {
-      filterPumpState.textContent = data.filter.status ? 'Running' : 'Stopped';
-      filterPumpState.classList.remove('skeleton-text');
-    }
-
     // Mark as loaded
     const filterPumpCard = document.getElementById('filterPumpCard');
     if (filterPumpCard) {
@@ -2340,6 +3050,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (tempChart) {
       tempChart.destroy();
       initializeTempChart();
+      loadWaterTempForecast();
     }
     if (electricalChart) {
       electricalChart.destroy();
@@ -2348,6 +3059,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (chemistryChart) {
       chemistryChart.destroy();
       initializeChemistryChart();
+      loadChlorineGeneration();
+    }
+    if (waterTestChart) {
+      waterTestChart.destroy();
+      initializeWaterTestChart();
+      loadWaterChemistry();
     }
     if (saltSparkline) {
       saltSparkline.destroy();
@@ -2388,11 +3105,18 @@ document.addEventListener('DOMContentLoaded', async () => {
   initializeTempChart();
   initializeElectricalChart();
   initializeChemistryChart();
+  initializeWaterTestChart();
   initializeHomeEnvironmentChart();
 
   // Load initial data
   await Promise.all([
     loadPoolData(),
+    loadPumpAnalytics(),
+    loadWaterChemistry(),
+    loadChlorineGeneration(),
+    loadCellHealth(),
+    loadWaterTempForecast(),
+    loadDataFreshness(),
     loadWeatherAlerts(),
     loadWeatherTimeSeries(),
     loadHomeEnvironmentTimeSeries(24)
@@ -2416,6 +3140,18 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   await processInitialData();
 
+  // Acknowledge buttons are added with each alert, so listen on their container
+  const weatherAlertsContainer = document.getElementById('weatherAlertsContainer');
+  if (weatherAlertsContainer) {
+    weatherAlertsContainer.addEventListener('click', (event) => {
+      const button = event.target.closest('.weather-alert-ack');
+      if (button) {
+        button.disabled = true;
+        acknowledgeWeatherAlert(button.dataset.alertId);
+      }
+    });
+  }
+
   // Listen for dark mode changes
   const darkModeMediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
   darkModeMediaQuery.addEventListener('change', handleDarkModeChange);
@@ -2428,6 +3164,7 @@ window.addEventListener('beforeunload', () => {
   cleanupChart(tempChart);
   cleanupChart(electricalChart);
   cleanupChart(chemistryChart);
+  cleanupChart(waterTestChart);
   cleanupChart(homeEnvironmentChart);
   cleanupChart(saltSparkline);
   cleanupChart(waterTempSparkline);
@@ -2443,3 +3180,5 @@ window.addEventListener('beforeunload', () => {
 // Make functions globally available
 window.updateAllCharts = updateAllCharts;
 window.updateHomeEnvironmentChart = updateHomeEnvironmentChartTimeRange;
+window.snoozeWeatherAlerts = snoozeWeatherAlerts;
+window.setQuietHours = setQuietHours;
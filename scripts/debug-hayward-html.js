@@ -1,37 +1,79 @@
+/**
+ * Debug Hayward page HTML
+ *
+ * Usage:
+ *   node scripts/debug-hayward-html.js                  Analyze the filter page for pump status elements
+ *   node scripts/debug-hayward-html.js --capture [dir]  Save redacted pages as parser fixtures
+ *                                      [--site <id>]    (default dir: tests/fixtures/hayward)
+ *
+ * Capture mode writes <page>.html plus <page>.expected.json holding what the current parsers
+ * extract and which selectors they used. Review both before committing: the expectations are
+ * what tests/domains/pool/parsers/fixture-corpus.test.js holds the parsers to.
+ */
+
+const fs = require('fs');
+const path = require('path');
 const sessionManager = require('../src/services/sessionManager');
 const credentials = require('../src/utils/credentials');
-const { POOL_CONSTANTS } = require('../src/utils/constants');
+const { POOL_CONSTANTS, buildDashboardUrl, buildSystemUrl, buildScheduleListUrl } = require('../src/utils/constants');
+const { siteRegistry } = require('../src/config/sites');
+const {
+  parseDashboardData,
+  parseFilterData,
+  parseHeaterData,
+  parseChlorinatorData,
+  parseLightsData,
+  parseSchedulesData
+} = require('../src/services/poolDataParser');
+const { ParseReport } = require('../src/domains/pool/parsers/parse-report');
+const { redactHtml } = require('../src/utils/htmlRedaction');
+
+const DEFAULT_CAPTURE_DIR = path.join(__dirname, '..', 'tests', 'fixtures', 'hayward');
+
+const CAPTURE_PAGES = [
+  { page: 'dashboard', url: site => buildDashboardUrl(site), parse: parseDashboardData },
+  { page: 'filter', url: site => buildSystemUrl(POOL_CONSTANTS.ENDPOINTS.FILTER_SETTINGS, site), parse: parseFilterData },
+  { page: 'heater', url: site => buildSystemUrl(POOL_CONSTANTS.ENDPOINTS.HEATER_SETTINGS, site), parse: parseHeaterData },
+  { page: 'chlorinator', url: site => buildSystemUrl(POOL_CONSTANTS.ENDPOINTS.CHLORINATOR_SETTINGS, site), parse: parseChlorinatorData },
+  { page: 'lights', url: site => buildSystemUrl(POOL_CONSTANTS.ENDPOINTS.LIGHTS_SETTINGS, site), parse: parseLightsData },
+  { page: 'schedules', url: site => buildScheduleListUrl(site), parse: parseSchedulesData }
+];
+
+async function login(sessionId, creds) {
+  const session = sessionManager.getSession(sessionId);
+
+  console.log('🔐 Authenticating...');
+  const authResult = await session.authenticate(creds.username, creds.password);
+
+  if (!authResult.success) {
+    console.error('❌ Authentication failed:', authResult.message);
+    return null;
+  }
+
+  console.log('✅ Authentication successful\n');
+  return session;
+}
 
 async function debugHaywardHTML() {
   console.log('🔍 Debugging Hayward Filter Page HTML...\n');
 
   try {
-    // Create a session
-    const sessionId = 'debug-html';
-    const session = sessionManager.getSession(sessionId);
-
-    // Authenticate
-    console.log('🔐 Authenticating...');
-    const authResult = await session.authenticate(credentials.username, credentials.password);
-    
-    if (!authResult.success) {
-      console.error('❌ Authentication failed:', authResult.message);
+    const session = await login('debug-html', credentials);
+    if (!session) {
       return;
     }
-    
-    console.log('✅ Authentication successful\n');
 
     // Fetch the filter page HTML
     console.log('📄 Fetching filter page HTML...');
     const filterResponse = await session.makeRequest(POOL_CONSTANTS.ENDPOINTS.FILTER_SETTINGS);
-    
+
     console.log('\n🔍 Analyzing HTML for pump status elements...');
     console.log('==============================================');
-    
+
     // Look for elements containing pump/filter status keywords
     const html = filterResponse.data;
     const keywords = ['pump', 'filter', 'status', 'on', 'off', 'running', 'stopped', 'active', 'inactive'];
-    
+
     keywords.forEach(keyword => {
       const regex = new RegExp(`[^>]*${keyword}[^<]*`, 'gi');
       const matches = html.match(regex);
@@ -45,7 +87,7 @@ async function debugHaywardHTML() {
         }
       }
     });
-    
+
     // Look for specific ID patterns
     console.log('\n🔍 Looking for ID patterns...');
     const idPatterns = [
@@ -54,7 +96,7 @@ async function debugHaywardHTML() {
       /id="[^"]*status[^"]*"/gi,
       /id="[^"]*div[^"]*"/gi
     ];
-    
+
     idPatterns.forEach(pattern => {
       const matches = html.match(pattern);
       if (matches && matches.length > 0) {
@@ -67,9 +109,8 @@ async function debugHaywardHTML() {
         }
       }
     });
-    
+
     // Save HTML to file for manual inspection
-    const fs = require('fs');
     fs.writeFileSync('debug-filter-page.html', html);
     console.log('\n💾 Saved full HTML to debug-filter-page.html for manual inspection');
 
@@ -78,5 +119,65 @@ async function debugHaywardHTML() {
   }
 }
 
-// Run the debug
-debugHaywardHTML(); 
\ No newline at end of file
+async function captureFixtures(dir, siteId) {
+  const site = siteRegistry.resolve(siteId);
+  if (!site) {
+    console.error(`❌ Unknown site "${siteId}"`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const creds = siteRegistry.getCredentials(site);
+  if (!creds) {
+    console.error(`❌ No credentials configured for site ${site.id}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`📸 Capturing redacted pages for site ${site.id} into ${dir}\n`);
+
+  try {
+    const session = await login(`capture-${site.id}`, creds);
+    if (!session) {
+      process.exitCode = 1;
+      return;
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    const secrets = [creds.username, creds.password, site.mspId, site.bowId, site.bowSystemId];
+
+    for (const { page, url, parse } of CAPTURE_PAGES) {
+      try {
+        const response = await session.makeRequest(url(site));
+        const html = redactHtml(response.data, { secrets });
+
+        const report = new ParseReport();
+        const expected = { page, data: parse(html, report), fields: report.getFields() };
+
+        fs.writeFileSync(path.join(dir, `${page}.html`), html);
+        fs.writeFileSync(path.join(dir, `${page}.expected.json`), `${JSON.stringify(expected, null, 2)}\n`);
+        console.log(`💾 ${page}: saved (${report.getOverallConfidence()} confidence)`);
+      } catch (error) {
+        console.error(`❌ ${page}: ${error.message}`);
+      }
+    }
+
+    console.log('\n⚠️  Check the captured pages for anything personal the redaction missed before committing them');
+  } catch (error) {
+    console.error('❌ Capture failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+const args = process.argv.slice(2);
+const captureIndex = args.indexOf('--capture');
+const siteIndex = args.indexOf('--site');
+
+if (captureIndex !== -1) {
+  const dirArg = args[captureIndex + 1];
+  const dir = dirArg && !dirArg.startsWith('--') ? path.resolve(dirArg) : DEFAULT_CAPTURE_DIR;
+  captureFixtures(dir, siteIndex !== -1 ? args[siteIndex + 1] : null);
+} else {
+  // Run the debug
+  debugHaywardHTML();
+}
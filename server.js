@@ -13,6 +13,8 @@ const { influxDBClient } = require('./src/domains/monitoring');
 const poolRoutes = require('./src/routes/poolRoutes');
 const cronRoutes = require('./src/routes/cronRoutes');
 const homeRoutes = require('./src/routes/homeRoutes');
+const alertRoutes = require('./src/routes/alertRoutes');
+const { resolveSite } = require('./src/middleware/site');
 
 // New architecture API routes
 const newPoolRoutes = require('./src/web/api/routes');
@@ -20,6 +22,8 @@ const newCronRoutes = require('./src/web/api/cron-routes');
 
 // Legacy compatibility during migration
 const { influxDBService } = require('./src/services/influxDBService');
+const { getBreakerStates } = require('./src/services/haywardResilience');
+const { collectionScheduler } = require('./src/services/scheduler');
 
 const app = express();
 const PORT = envConfig.get('PORT') || 3000;
@@ -88,11 +92,15 @@ app.use(session({
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   const hasCredentials = !!(process.env.HAYWARD_USERNAME && process.env.HAYWARD_PASSWORD);
+  // Open breakers mean Hayward logins or page fetches are paused after repeated failures
+  const circuitBreakers = getBreakerStates();
+  const degraded = Object.values(circuitBreakers).some(breaker => breaker.state !== 'closed');
   res.json({
-    status: 'ok',
+    status: degraded ? 'degraded' : 'ok',
     timestamp: new Date().toISOString(),
     hasCredentials,
-    environment: process.env.NODE_ENV || 'development'
+    environment: process.env.NODE_ENV || 'development',
+    circuitBreakers
   });
 });
 
@@ -115,11 +123,13 @@ app.get('/api/test-influxdb', async (req, res) => {
 });
 
 // Routes
+app.use('/api/pool', resolveSite); // Every pool route is scoped to a site (?site=<id>)
 app.use('/api/pool', poolRoutes); // Legacy routes (v1)
 app.use('/api/pool', newPoolRoutes); // New architecture routes (v2)
 app.use('/api/cron', cronRoutes); // Legacy cron routes (v1)
 app.use('/api/cron', newCronRoutes); // New architecture cron routes (v2)
 app.use('/api/home', homeRoutes); // Home environment routes
+app.use('/api/alerts', alertRoutes); // Metric alert rules and events
 
 // GET / - Main pool data page
 app.get('/', (req, res) => {
@@ -154,6 +164,9 @@ app.listen(PORT, () => {
   console.log(`Hayward Omnilogic Proxy Server running on port ${PORT}`);
   console.log('Target URL: https://haywardomnilogic.com');
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Collect on a timer when running standalone; Vercel uses the crons in vercel.json instead
+  collectionScheduler.start();
 });
 
 module.exports = app;
@@ -18,6 +18,52 @@ const optionalEnvVars = {
   POOL_USERNAME: null,
   POOL_PASSWORD: null,
   LOG_LEVEL: 'info',
+  // Pool data collector backend: 'scrape' (HTML pages) or 'xml' (OmniLogic API)
+  POOL_COLLECTOR: 'scrape',
+  // Where Hayward logins are saved between runs: 'file' (SESSION_STORE_DIR, default a temp dir) or 'memory'
+  SESSION_STORE: 'file',
+  SESSION_STORE_DIR: null,
+  // In-process scheduler: on by default when server.js runs standalone, off on Vercel (which uses vercel.json crons)
+  SCHEDULER_ENABLED: null,
+  SCHEDULER_JITTER_SECONDS: '30',
+  // Cron expressions for each scheduled job; 'off' disables a job
+  SCHEDULE_POOL_COLLECTION: '*/5 * * * *',
+  SCHEDULE_WEATHER_COLLECTION: '*/15 * * * *',
+  SCHEDULE_WEATHER_ALERTS: '*/15 * * * *',
+  SCHEDULE_GAP_BACKFILL: '20 * * * *',
+  SCHEDULE_STALENESS_CHECK: '*/10 * * * *',
+  SCHEDULE_WRITE_QUEUE_REPLAY: '*/5 * * * *',
+  // Pool collection cadence the gap detector expects; longer stretches without data are recorded as gaps
+  GAP_EXPECTED_INTERVAL_MINUTES: '5',
+  // Weight of one bag of salt, for salt dosing recommendations
+  SALT_BAG_POUNDS: '40',
+  // Salt cell model (T-3, T-9 or T-15) when the chlorinator page does not report it
+  CHLORINATOR_CELL_TYPE: null,
+  // Chlorinator output percentage when collections do not report it (only the OmniLogic API does)
+  CHLORINATOR_OUTPUT_PERCENT: null,
+  // Salt cell install date (operating hours count from here, otherwise from the oldest stored reading) and rated life
+  CELL_INSTALL_DATE: null,
+  CELL_RATED_LIFE_HOURS: '10000',
+  // Forecast warnings: air temperature (°F) that risks freezing an idle pump, and the highest water temperature (°F) wanted
+  FREEZE_WARNING_TEMP_F: '35',
+  WATER_TEMP_LIMIT_F: '90',
+  // Metric alert rule changes: JSON array of rules, merged into the defaults by id
+  ALERT_RULES: null,
+  // Notification channels: JSON array of webhook, email, ntfy and pushover channels; retries after a failed send
+  NOTIFICATION_CHANNELS: null,
+  NOTIFICATION_RETRIES: '3',
+  // Quiet hours in server local time (e.g. '22:00-07:00') when only critical notifications are sent; hours between reminders of an alert still open (0 for none)
+  QUIET_HOURS: null,
+  ALERT_REPEAT_HOURS: '4',
+  // Minutes without a new reading before pool (salt, water temperature, pump), weather and home metrics count as stale
+  STALE_POOL_MINUTES: '30',
+  STALE_WEATHER_MINUTES: '60',
+  STALE_HOME_MINUTES: '60',
+  // Equipment watchers that annotate changes (comma separated, or 'off'); the filter pump is always tracked
+  EQUIPMENT_TRACKING: 'heater,chlorinator,lights,schedules,setpoints',
+  // Failed InfluxDB writes wait here for replay (default a temp dir); the oldest are dropped beyond the max
+  WRITE_QUEUE_DIR: null,
+  WRITE_QUEUE_MAX_ENTRIES: '10000',
   // InfluxDB configuration (optional)
   INFLUXDB_URL: null,
   INFLUX_DB_TOKEN: null,
@@ -25,6 +71,20 @@ const optionalEnvVars = {
   INFLUXDB_BUCKET: 'pool-data'
 };
 
+/**
+ * Parse quiet hours such as "22:00-07:00"
+ * @param {string} value - Quiet hours as HH:MM-HH:MM
+ * @returns {{start: number, end: number}|null} Start and end in minutes after midnight, or null when invalid
+ */
+const parseQuietHours = (value) => {
+  const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  const [startHour, startMinute, endHour, endMinute] = match ? match.slice(1).map(Number) : [];
+  if (!match || startHour >= 24 || endHour >= 24 || startMinute >= 60 || endMinute >= 60) {
+    return null;
+  }
+  return { start: startHour * 60 + startMinute, end: endHour * 60 + endMinute };
+};
+
 class EnvironmentConfig {
   constructor() {
     this.config = {};
@@ -109,6 +169,175 @@ class EnvironmentConfig {
     };
   }
 
+  // Pool data collector backend
+  getCollectorBackend() {
+    const backend = String(this.get('POOL_COLLECTOR') || 'scrape').toLowerCase();
+    if (!['scrape', 'xml'].includes(backend)) {
+      console.warn(`⚠️  Unknown POOL_COLLECTOR "${backend}", using HTML scraping`);
+      return 'scrape';
+    }
+    return backend;
+  }
+
+  // InfluxDB write queue configuration
+  getWriteQueueConfig() {
+    const maxEntries = parseInt(this.get('WRITE_QUEUE_MAX_ENTRIES'), 10);
+    return {
+      dir: this.get('WRITE_QUEUE_DIR'),
+      maxEntries: Number.isNaN(maxEntries) ? undefined : maxEntries
+    };
+  }
+
+  // Gap detection configuration
+  getGapDetectionConfig() {
+    const minutes = parseFloat(this.get('GAP_EXPECTED_INTERVAL_MINUTES'));
+    return {
+      expectedIntervalMs: (minutes > 0 ? minutes : 5) * 60 * 1000
+    };
+  }
+
+  // Salt dosing configuration
+  getSaltConfig() {
+    const bagPounds = parseFloat(this.get('SALT_BAG_POUNDS'));
+    return {
+      bagPounds: bagPounds > 0 ? bagPounds : 40
+    };
+  }
+
+  // Chlorine generation configuration
+  getChlorinatorConfig() {
+    const outputPercent = parseFloat(this.get('CHLORINATOR_OUTPUT_PERCENT'));
+    return {
+      cellType: this.get('CHLORINATOR_CELL_TYPE') || null,
+      outputPercent: outputPercent >= 0 && outputPercent <= 100 ? outputPercent : null
+    };
+  }
+
+  // Salt cell health configuration
+  getCellHealthConfig() {
+    const installDate = this.get('CELL_INSTALL_DATE') ? new Date(this.get('CELL_INSTALL_DATE')) : null;
+    const ratedLifeHours = parseFloat(this.get('CELL_RATED_LIFE_HOURS'));
+    return {
+      installDate: installDate && !Number.isNaN(installDate.getTime()) ? installDate : null,
+      ratedLifeHours: ratedLifeHours > 0 ? ratedLifeHours : 10000
+    };
+  }
+
+  // Freeze and heat wave forecast warning configuration
+  getForecastWarningConfig() {
+    const freezeTempF = parseFloat(this.get('FREEZE_WARNING_TEMP_F'));
+    const waterTempLimitF = parseFloat(this.get('WATER_TEMP_LIMIT_F'));
+    return {
+      freezeTempF: Number.isFinite(freezeTempF) ? freezeTempF : 35,
+      waterTempLimitF: Number.isFinite(waterTempLimitF) ? waterTempLimitF : 90
+    };
+  }
+
+  // Metric alert rule configuration
+  getAlertRulesConfig() {
+    const json = this.get('ALERT_RULES');
+    if (!json) {
+      return { rules: [] };
+    }
+
+    let rules;
+    try {
+      rules = JSON.parse(json);
+    } catch (error) {
+      console.warn(`⚠️  ALERT_RULES is not valid JSON (${error.message}), using the default alert rules`);
+      return { rules: [] };
+    }
+    if (!Array.isArray(rules) || rules.some(rule => !rule || typeof rule.id !== 'string')) {
+      console.warn('⚠️  ALERT_RULES must be a JSON array of rules, each with an id; using the default alert rules');
+      return { rules: [] };
+    }
+    return { rules };
+  }
+
+  // Notification channel configuration
+  getNotificationConfig() {
+    const json = this.get('NOTIFICATION_CHANNELS');
+    const retries = parseInt(this.get('NOTIFICATION_RETRIES'), 10);
+    let channels = [];
+
+    if (json) {
+      try {
+        channels = JSON.parse(json);
+      } catch (error) {
+        console.error(`❌ NOTIFICATION_CHANNELS is not valid JSON (${error.message}), notifications are off`);
+        channels = [];
+      }
+      if (!Array.isArray(channels)) {
+        console.error('❌ NOTIFICATION_CHANNELS must be a JSON array of channels, notifications are off');
+        channels = [];
+      }
+    }
+
+    return {
+      channels,
+      retries: retries >= 0 ? retries : 3
+    };
+  }
+
+  // Alert silencing configuration: quiet hours as minutes after midnight
+  getAlertSilenceConfig() {
+    const value = this.get('QUIET_HOURS');
+    const repeatHours = parseFloat(this.get('ALERT_REPEAT_HOURS'));
+    const quietHours = value ? parseQuietHours(value) : null;
+
+    if (value && !quietHours) {
+      console.warn(`⚠️  Invalid QUIET_HOURS "${value}" (use HH:MM-HH:MM), quiet hours are off`);
+    }
+
+    return {
+      quietHours,
+      repeatHours: repeatHours >= 0 ? repeatHours : 4
+    };
+  }
+
+  // Data staleness configuration
+  getStalenessConfig() {
+    const minutes = (name, fallback) => {
+      const value = parseFloat(this.get(name));
+      return value > 0 ? value : fallback;
+    };
+    return {
+      poolMinutes: minutes('STALE_POOL_MINUTES', 30),
+      weatherMinutes: minutes('STALE_WEATHER_MINUTES', 60),
+      homeMinutes: minutes('STALE_HOME_MINUTES', 60)
+    };
+  }
+
+  // Equipment state tracking configuration
+  getEquipmentTrackingConfig() {
+    const value = String(this.get('EQUIPMENT_TRACKING') || '').trim();
+    return {
+      watchers: value.toLowerCase() === 'off'
+        ? []
+        : value.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    };
+  }
+
+  // In-process scheduler configuration
+  getSchedulerConfig() {
+    const enabled = this.get('SCHEDULER_ENABLED');
+    const jitterSeconds = parseInt(this.get('SCHEDULER_JITTER_SECONDS'), 10);
+    return {
+      enabled: enabled
+        ? String(enabled).toLowerCase() === 'true'
+        : !process.env.VERCEL && this.get('NODE_ENV') !== 'test',
+      jitterMs: Number.isNaN(jitterSeconds) ? 0 : Math.max(jitterSeconds, 0) * 1000,
+      schedules: {
+        'pool-collection': this.get('SCHEDULE_POOL_COLLECTION'),
+        'weather-collection': this.get('SCHEDULE_WEATHER_COLLECTION'),
+        'weather-alerts': this.get('SCHEDULE_WEATHER_ALERTS'),
+        'gap-backfill': this.get('SCHEDULE_GAP_BACKFILL'),
+        'staleness-check': this.get('SCHEDULE_STALENESS_CHECK'),
+        'write-queue-replay': this.get('SCHEDULE_WRITE_QUEUE_REPLAY')
+      }
+    };
+  }
+
   // Weather API configuration
   getWeatherConfig() {
     return {
@@ -122,5 +351,6 @@ const envConfig = new EnvironmentConfig();
 
 module.exports = {
   EnvironmentConfig,
-  envConfig
+  envConfig,
+  parseQuietHours
 };
@@ -5,6 +5,7 @@
 
 const { envConfig, EnvironmentConfig } = require('./environment');
 const { POOL_SYSTEM, buildSystemUrl, buildDashboardUrl } = require('./pool-constants');
+const { SiteRegistry, siteRegistry, DEFAULT_SITE_ID } = require('./sites');
 
 module.exports = {
   // Environment configuration
@@ -16,6 +17,11 @@ module.exports = {
   buildSystemUrl,
   buildDashboardUrl,
 
+  // Site registry
+  SiteRegistry,
+  siteRegistry,
+  DEFAULT_SITE_ID,
+
   // Legacy compatibility - maintain old constant names
   POOL_CONSTANTS: POOL_SYSTEM
 };
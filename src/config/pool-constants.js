@@ -12,6 +12,9 @@ const POOL_SYSTEM = {
   // Base URLs and endpoints
   BASE_URL: 'https://hayward.com/PoolFusion/',
 
+  // OmniLogic XML API (used by the 'xml' collector backend)
+  OMNILOGIC_API_URL: 'https://www.haywardomnilogic.com/HAAPI/HomeAutomation/API.ashx',
+
   ENDPOINTS: {
     LOGIN: 'aspx/Login.aspx',
     DASHBOARD: 'Dashboard.aspx',
@@ -42,24 +45,53 @@ const POOL_SYSTEM = {
   // Validation ranges
   VALIDATION: {
     TEMPERATURE: { min: 32, max: 120 },
-    SALT: { min: 2000, max: 5000 },
+    // low and target are the chlorinator's recommended minimum and ideal levels (salt dosing)
+    SALT: { min: 2000, max: 5000, low: 2700, target: 3200 },
     VOLTAGE: { min: 0, max: 50 },
-    CURRENT: { min: 0, max: 10 }
-  }
+    CURRENT: { min: 0, max: 10 },
+    // Range a heater setpoint may be set to (°F); TEMPERATURE above bounds sensor readings
+    HEATER_SETPOINT: { min: 65, max: 104 }
+  },
+
+  // Ideal ranges for hand-tested water chemistry in a salt water pool
+  CHEMISTRY_RANGES: {
+    ph: { min: 7.2, max: 7.8 },
+    freeChlorine: { min: 1, max: 5 },
+    cya: { min: 60, max: 80 },
+    totalAlkalinity: { min: 60, max: 120 },
+    calciumHardness: { min: 200, max: 400 },
+    lsi: { min: -0.3, max: 0.3 }
+  },
+
+  // Chlorine a salt cell makes in a day running continuously at 100% output (lb/day, Hayward ratings)
+  CELL_RATINGS: {
+    'T-3': 0.53,
+    'T-9': 0.95,
+    'T-15': 1.47
+  },
+
+  // Free chlorine the pool uses per day by water temperature (ppm/day, first band the water is below)
+  CHLORINE_DEMAND: [
+    { below: 60, ppmPerDay: 0.5 },
+    { below: 70, ppmPerDay: 1 },
+    { below: 80, ppmPerDay: 1.5 },
+    { below: 85, ppmPerDay: 2 },
+    { below: Infinity, ppmPerDay: 3 }
+  ]
 };
 
-// URL builders
-const buildSystemUrl = (endpoint = '') => {
+// URL builders (site comes from the site registry; omitted means the built-in system)
+const buildSystemUrl = (endpoint = '', site = null) => {
   const params = new URLSearchParams({
-    mspId: POOL_SYSTEM.MSP_ID,
-    bowId: POOL_SYSTEM.BOW_ID,
-    bowSystemId: POOL_SYSTEM.BOW_SYSTEM_ID
+    mspId: site ? site.mspId : POOL_SYSTEM.MSP_ID,
+    bowId: site ? site.bowId : POOL_SYSTEM.BOW_ID,
+    bowSystemId: site ? site.bowSystemId : POOL_SYSTEM.BOW_SYSTEM_ID
   });
   return `${POOL_SYSTEM.BASE_URL}${endpoint}?${params}`;
 };
 
-const buildDashboardUrl = () => {
-  return `${POOL_SYSTEM.BASE_URL}${POOL_SYSTEM.ENDPOINTS.DASHBOARD}?mspId=${POOL_SYSTEM.MSP_ID}`;
+const buildDashboardUrl = (site = null) => {
+  return `${POOL_SYSTEM.BASE_URL}${POOL_SYSTEM.ENDPOINTS.DASHBOARD}?mspId=${site ? site.mspId : POOL_SYSTEM.MSP_ID}`;
 };
 
 module.exports = {
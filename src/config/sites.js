@@ -0,0 +1,213 @@
+/**
+ * Site Registry
+ * Pools, spas and other bodies of water monitored by this deployment
+ */
+
+const { POOL_CONSTANTS } = require('../utils/constants');
+
+const DEFAULT_SITE_ID = 'default';
+const SITE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+const toPositiveNumber = value => {
+  const number = parseFloat(value);
+  return number > 0 ? number : null;
+};
+
+/**
+ * @typedef {object} Site
+ * @property {string} id - Short identifier used in API parameters and the InfluxDB `site` tag
+ * @property {string} name - Display name
+ * @property {string} mspId - Hayward Master Service Provider ID
+ * @property {string} bowId - Hayward Body of Water ID
+ * @property {string} bowSystemId - Hayward Body of Water System ID
+ * @property {string|null} omniLogicMspId - OmniLogic API system ID (xml collector; null uses the first on the account)
+ * @property {string|null} omniLogicBowId - OmniLogic API body of water ID (xml collector; null uses the first one)
+ * @property {number|null} volumeGallons - Water volume, for turnover analytics
+ * @property {number|null} flowRateGpm - Filter pump flow rate in gallons per minute, for turnover analytics
+ * @property {number|null} saltTargetPpm - Target salt level for dosing (null uses VALIDATION.SALT.target)
+ * @property {boolean} isDefault - Whether requests without a site parameter use this site
+ */
+
+class SiteRegistry {
+  /**
+   * @param {object} [env] - Environment to read site configuration from
+   */
+  constructor(env = process.env) {
+    this.env = env;
+    this.sites = new Map();
+    this.credentials = new Map();
+    this.defaultSiteId = null;
+    this.load();
+  }
+
+  /**
+   * Load sites from POOL_SITES (a JSON array), or a single default site built from
+   * HAYWARD_MSP_ID / HAYWARD_BOW_ID / HAYWARD_BOW_SYSTEM_ID (plus OMNILOGIC_MSP_ID / OMNILOGIC_BOW_ID,
+   * POOL_VOLUME_GALLONS, PUMP_FLOW_RATE_GPM and SALT_TARGET_PPM) and the built-in constants
+   */
+  load() {
+    this.sites.clear();
+    this.credentials.clear();
+
+    const entries = this.env.POOL_SITES ? this.parseSitesConfig(this.env.POOL_SITES) : [{
+      id: DEFAULT_SITE_ID,
+      name: 'Pool',
+      mspId: this.env.HAYWARD_MSP_ID || POOL_CONSTANTS.MSP_ID,
+      bowId: this.env.HAYWARD_BOW_ID || POOL_CONSTANTS.BOW_ID,
+      bowSystemId: this.env.HAYWARD_BOW_SYSTEM_ID || POOL_CONSTANTS.BOW_SYSTEM_ID,
+      omniLogicMspId: this.env.OMNILOGIC_MSP_ID,
+      omniLogicBowId: this.env.OMNILOGIC_BOW_ID,
+      volumeGallons: this.env.POOL_VOLUME_GALLONS,
+      flowRateGpm: this.env.PUMP_FLOW_RATE_GPM,
+      saltTargetPpm: this.env.SALT_TARGET_PPM
+    }];
+
+    entries.forEach(entry => this.register(entry));
+
+    const flagged = entries.find(entry => entry.default === true);
+    this.defaultSiteId = flagged ? flagged.id : entries[0].id;
+  }
+
+  parseSitesConfig(json) {
+    let entries;
+    try {
+      entries = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`POOL_SITES is not valid JSON: ${error.message}`);
+    }
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error('POOL_SITES must be a non-empty JSON array of sites');
+    }
+    if (entries.filter(entry => entry && entry.default === true).length > 1) {
+      throw new Error('POOL_SITES may only mark one site as default');
+    }
+
+    return entries;
+  }
+
+  register(entry) {
+    if (!entry || !SITE_ID_PATTERN.test(entry.id || '')) {
+      throw new Error(`Invalid site id "${entry && entry.id}": use letters, numbers, "-" or "_"`);
+    }
+    if (this.sites.has(entry.id)) {
+      throw new Error(`Duplicate site id "${entry.id}"`);
+    }
+    if (!entry.mspId || !entry.bowId) {
+      throw new Error(`Site "${entry.id}" needs both mspId and bowId`);
+    }
+
+    this.sites.set(entry.id, Object.freeze({
+      id: entry.id,
+      name: entry.name || entry.id,
+      mspId: String(entry.mspId),
+      bowId: String(entry.bowId),
+      bowSystemId: String(entry.bowSystemId || entry.bowId),
+      omniLogicMspId: entry.omniLogicMspId ? String(entry.omniLogicMspId) : null,
+      omniLogicBowId: entry.omniLogicBowId ? String(entry.omniLogicBowId) : null,
+      volumeGallons: toPositiveNumber(entry.volumeGallons),
+      flowRateGpm: toPositiveNumber(entry.flowRateGpm),
+      saltTargetPpm: toPositiveNumber(entry.saltTargetPpm)
+    }));
+
+    // Credentials are kept apart from the site object so it is safe to serialize
+    this.credentials.set(entry.id, this.resolveCredentials(entry));
+  }
+
+  /**
+   * Credentials for a site: inline values, then HAYWARD_USERNAME_<ID> / HAYWARD_PASSWORD_<ID>,
+   * then the shared HAYWARD_USERNAME / HAYWARD_PASSWORD (or POOL_USERNAME / POOL_PASSWORD) account
+   */
+  resolveCredentials(entry) {
+    const suffix = entry.id.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    return {
+      username: entry.username || this.env[`HAYWARD_USERNAME_${suffix}`] || this.env.HAYWARD_USERNAME || this.env.POOL_USERNAME,
+      password: entry.password || this.env[`HAYWARD_PASSWORD_${suffix}`] || this.env.HAYWARD_PASSWORD || this.env.POOL_PASSWORD
+    };
+  }
+
+  /**
+   * @returns {Site[]} All configured sites
+   */
+  getSites() {
+    return [...this.sites.values()].map(site => this.describe(site));
+  }
+
+  /**
+   * @param {string} siteId - Site identifier
+   * @returns {Site|null} The site or null when unknown
+   */
+  getSite(siteId) {
+    const site = this.sites.get(siteId);
+    return site ? this.describe(site) : null;
+  }
+
+  /**
+   * @returns {Site} Site used when no site is requested
+   */
+  getDefaultSite() {
+    return this.getSite(this.defaultSiteId);
+  }
+
+  /**
+   * Resolve an optional site parameter
+   * @param {string} [siteId] - Requested site, or empty for the default site
+   * @returns {Site|null} The site, or null when an unknown site was requested
+   */
+  resolve(siteId) {
+    return siteId ? this.getSite(siteId) : this.getDefaultSite();
+  }
+
+  /**
+   * @param {Site|string} site - Site or site identifier
+   * @returns {{username: string, password: string}|null} Credentials, or null when incomplete
+   */
+  getCredentials(site) {
+    const creds = this.credentials.get(typeof site === 'string' ? site : site && site.id);
+    if (!creds || !creds.username || !creds.password) {
+      return null;
+    }
+    return { ...creds };
+  }
+
+  isDefault(siteId) {
+    return siteId === this.defaultSiteId;
+  }
+
+  /**
+   * Check whether a stored point belongs to a site
+   * Points written before sites existed carry no tag and belong to the default site
+   * @param {string|undefined} pointSite - Site tag on the point
+   * @param {string|null} siteId - Site being queried, or null for all sites
+   */
+  matches(pointSite, siteId) {
+    if (!siteId) return true;
+    return pointSite ? pointSite === siteId : this.isDefault(siteId);
+  }
+
+  /**
+   * Flux filter step restricting a query to one site
+   * @param {string|null} siteId - Site being queried, or null for all sites
+   * @returns {string} Flux pipeline step, empty when not filtering
+   */
+  buildFluxFilter(siteId) {
+    if (!siteId) return '';
+    const condition = this.isDefault(siteId)
+      ? `not exists r.site or r.site == "${siteId}"`
+      : `r.site == "${siteId}"`;
+    return `|> filter(fn: (r) => ${condition})`;
+  }
+
+  describe(site) {
+    return { ...site, isDefault: this.isDefault(site.id) };
+  }
+}
+
+// Singleton instance
+const siteRegistry = new SiteRegistry();
+
+module.exports = {
+  SiteRegistry,
+  siteRegistry,
+  DEFAULT_SITE_ID
+};
@@ -4,7 +4,7 @@
  */
 
 const { InfluxDB, Point } = require('@influxdata/influxdb-client');
-const { envConfig } = require('../../../config');
+const { envConfig, siteRegistry } = require('../../../config');
 
 class InfluxDBClient {
   constructor() {
@@ -81,7 +81,7 @@ class InfluxDBClient {
   }
 
   /**
-   * Store a data point in InfluxDB
+   * Store a data point in InfluxDB (tagged with its site when present)
    */
   async storeDataPoint(dataPoint) {
     if (!this.isConnected || !this.writeApi) {
@@ -97,12 +97,19 @@ class InfluxDBClient {
         .floatField('saltInstant', this.ensureNumeric(dataPoint.saltInstant))
         .floatField('cellTemp', this.ensureNumeric(dataPoint.cellTemp))
         .floatField('cellVoltage', this.ensureNumeric(dataPoint.cellVoltage))
+        .floatField('cellCurrent', this.ensureNumeric(dataPoint.cellCurrent))
+        .floatField('chlorinatorOutput', this.ensureNumeric(dataPoint.chlorinatorOutput))
+        .floatField('chlorineRate', this.ensureNumeric(dataPoint.chlorineRate))
         .floatField('waterTemp', this.ensureNumeric(dataPoint.waterTemp))
         .floatField('airTemp', this.ensureNumeric(dataPoint.airTemp))
         .booleanField('pumpStatus', dataPoint.pumpStatus)
         .floatField('weatherTemp', this.ensureNumeric(dataPoint.weatherTemp))
         .floatField('weatherHumidity', this.ensureNumeric(dataPoint.weatherHumidity));
 
+      if (dataPoint.site) {
+        point.tag('site', dataPoint.site);
+      }
+
       this.writeApi.writePoint(point);
       await this.writeApi.flush();
 
@@ -115,9 +122,9 @@ class InfluxDBClient {
   }
 
   /**
-   * Query data points from InfluxDB
+   * Query data points from InfluxDB, optionally for a single site
    */
-  async queryDataPoints(hours = 24, limit = 1000) {
+  async queryDataPoints(hours = 24, limit = 1000, siteId = null) {
     // Ensure client is initialized
     await this.ensureInitialized();
 
@@ -131,6 +138,7 @@ class InfluxDBClient {
         from(bucket: "${this.config.bucket}")
           |> range(start: -${hours}h)
           |> filter(fn: (r) => r._measurement == "pool_data")
+          ${siteRegistry.buildFluxFilter(siteId)}
           |> pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")
           |> sort(columns: ["_time"], desc: false)
           |> limit(n: ${limit})
@@ -159,9 +167,9 @@ class InfluxDBClient {
   }
 
   /**
-   * Get statistics from InfluxDB
+   * Get statistics from InfluxDB, optionally for a single site
    */
-  async getStats(metric, hours = 24) {
+  async getStats(metric, hours = 24, siteId = null) {
     if (!this.isConnected || !this.queryApi) {
       return null;
     }
@@ -171,6 +179,7 @@ class InfluxDBClient {
         from(bucket: "${this.config.bucket}")
           |> range(start: -${hours}h)
           |> filter(fn: (r) => r._measurement == "pool_data" and r._field == "${metric}")
+          ${siteRegistry.buildFluxFilter(siteId)}
           |> group()
           |> aggregateWindow(every: 1h, fn: mean, createEmpty: false)
           |> yield(name: "hourly_average")
@@ -377,11 +386,15 @@ class InfluxDBClient {
       saltInstant: influxPoint.saltInstant,
       cellTemp: influxPoint.cellTemp,
       cellVoltage: influxPoint.cellVoltage,
+      cellCurrent: influxPoint.cellCurrent,
+      chlorinatorOutput: influxPoint.chlorinatorOutput,
+      chlorineRate: influxPoint.chlorineRate,
       waterTemp: influxPoint.waterTemp,
       airTemp: influxPoint.airTemp,
       pumpStatus: influxPoint.pumpStatus,
       weatherTemp: influxPoint.weatherTemp,
-      weatherHumidity: influxPoint.weatherHumidity
+      weatherHumidity: influxPoint.weatherHumidity,
+      site: influxPoint.site || null
     };
   }
 
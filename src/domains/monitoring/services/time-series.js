@@ -3,6 +3,8 @@
  * Manages in-memory time series data with performance optimizations
  */
 
+const { siteRegistry } = require('../../../config/sites');
+
 class TimeSeriesService {
   constructor(maxPoints = 10000) {
     this.dataPoints = [];
@@ -48,34 +50,40 @@ class TimeSeriesService {
   }
 
   /**
-   * Get data points for the last N hours
+   * Get data points for the last N hours, optionally for a single site
    */
-  getDataPoints(hours = 24) {
+  getDataPoints(hours = 24, siteId = null) {
+    const points = siteId
+      ? this.dataPoints.filter(point => siteRegistry.matches(point.site, siteId))
+      : this.dataPoints;
+
     if (hours <= 0) {
-      return this.dataPoints.slice(); // Return all data
+      return points.slice(); // Return all data
     }
 
     const cutoffTime = Date.now() - (hours * 60 * 60 * 1000);
-    return this.dataPoints.filter(point => point.timestamp >= cutoffTime);
+    return points.filter(point => point.timestamp >= cutoffTime);
   }
 
   /**
-   * Get the latest data point
+   * Get the latest data point, optionally for a single site
    */
-  getLatestData() {
-    if (this.dataPoints.length === 0) {
-      return null;
+  getLatestData(siteId = null) {
+    // Data is kept sorted, so the last matching item is the newest
+    for (let i = this.dataPoints.length - 1; i >= 0; i--) {
+      if (siteRegistry.matches(this.dataPoints[i].site, siteId)) {
+        return this.dataPoints[i];
+      }
     }
 
-    // Data is kept sorted, so the last item is the newest
-    return this.dataPoints[this.dataPoints.length - 1];
+    return null;
   }
 
   /**
    * Get statistics for a specific metric
    */
-  getStatistics(metric, hours = 24) {
-    const dataPoints = this.getDataPoints(hours);
+  getStatistics(metric, hours = 24, siteId = null) {
+    const dataPoints = this.getDataPoints(hours, siteId);
     const values = dataPoints
       .map(point => point[metric])
       .filter(value => value !== null && value !== undefined && !isNaN(value));
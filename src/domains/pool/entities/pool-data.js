@@ -52,7 +52,8 @@ class PoolData {
     return {
       temperature: this.chlorinator?.cell?.temperature?.value || null,
       voltage: this.chlorinator?.cell?.voltage || null,
-      current: this.chlorinator?.cell?.current || null,
+      // A current of 0 means the cell is not generating, so keep it
+      current: this.chlorinator?.cell?.current ?? null,
       type: this.chlorinator?.cell?.type || null
     };
   }
@@ -70,6 +71,8 @@ class PoolData {
       saltInstant: salt.instant,
       cellTemp: cell.temperature,
       cellVoltage: cell.voltage,
+      cellCurrent: cell.current,
+      chlorinatorOutput: this.chlorinator?.output ?? null,
       pumpStatus: this.getPumpStatus(),
       weatherTemp: this.weather?.temperature || null,
       weatherHumidity: this.weather?.humidity || null
@@ -105,8 +108,10 @@ class PoolData {
             value: timeSeriesPoint.cellTemp,
             unit: '°F'
           },
-          voltage: timeSeriesPoint.cellVoltage
-        }
+          voltage: timeSeriesPoint.cellVoltage,
+          current: timeSeriesPoint.cellCurrent ?? null
+        },
+        output: timeSeriesPoint.chlorinatorOutput ?? null
       },
       weather: {
         temperature: timeSeriesPoint.weatherTemp,
@@ -0,0 +1,227 @@
+/**
+ * Schedule Entity
+ * Normalized representation of a Hayward equipment schedule
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Hayward "Repeat" column values and the days they cover (0 = Sunday)
+const REPEAT_PATTERNS = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  everyday: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6]
+};
+
+// Equipment a schedule can target, matched against the schedule name
+const EQUIPMENT_PATTERNS = [
+  { equipment: 'pump', pattern: /pump|filter/i },
+  { equipment: 'heater', pattern: /heat/i },
+  { equipment: 'chlorinator', pattern: /chlor|salt/i },
+  { equipment: 'lights', pattern: /light/i }
+];
+
+class Schedule {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.name = data.name || null;
+    this.equipment = data.equipment || Schedule.inferEquipment(data.name);
+    this.days = Array.isArray(data.days) ? [...new Set(data.days)].sort((a, b) => a - b) : [];
+    this.startMinutes = data.startMinutes ?? null;
+    this.endMinutes = data.endMinutes ?? null;
+    this.setting = data.setting ?? null;
+    this.enabled = data.enabled !== false;
+  }
+
+  // Validation methods
+  validate() {
+    const errors = [];
+
+    if (!this.equipment) {
+      errors.push('equipment is required');
+    }
+    if (!Number.isInteger(this.startMinutes) || this.startMinutes < 0 || this.startMinutes >= MINUTES_PER_DAY) {
+      errors.push('startTime must be a valid time of day');
+    }
+    if (!Number.isInteger(this.endMinutes) || this.endMinutes < 0 || this.endMinutes >= MINUTES_PER_DAY) {
+      errors.push('endTime must be a valid time of day');
+    }
+    if (this.startMinutes !== null && this.startMinutes === this.endMinutes) {
+      errors.push('startTime and endTime must differ');
+    }
+    if (this.days.length === 0 || this.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      errors.push('days must list at least one day of the week (0 = Sunday)');
+    }
+
+    return errors;
+  }
+
+  isValid() {
+    return this.validate().length === 0;
+  }
+
+  /**
+   * Weekly intervals (in minutes since Sunday 00:00) this schedule runs for
+   * Schedules that cross midnight spill into the following day
+   * @returns {Array<{start: number, end: number}>}
+   */
+  getWeeklyIntervals() {
+    const duration = (this.endMinutes - this.startMinutes + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    const intervals = [];
+
+    this.days.forEach(day => {
+      const start = day * MINUTES_PER_DAY + this.startMinutes;
+      const end = start + duration;
+
+      if (end <= MINUTES_PER_WEEK) {
+        intervals.push({ start, end });
+      } else {
+        // Saturday night into Sunday morning wraps to the start of the week
+        intervals.push({ start, end: MINUTES_PER_WEEK });
+        intervals.push({ start: 0, end: end - MINUTES_PER_WEEK });
+      }
+    });
+
+    return intervals;
+  }
+
+  /**
+   * Check whether this schedule runs at a moment (local time)
+   * @param {Date} date - Moment to check
+   * @returns {boolean} True if the schedule is enabled and running then
+   */
+  isRunningAt(date) {
+    const minute = date.getDay() * MINUTES_PER_DAY + date.getHours() * 60 + date.getMinutes();
+    return this.enabled && this.getWeeklyIntervals().some(interval => minute >= interval.start && minute < interval.end);
+  }
+
+  /**
+   * Check whether two schedules run at the same time on any day
+   * @param {Schedule} other - Schedule to compare against
+   * @returns {boolean} True if the schedules overlap
+   */
+  overlaps(other) {
+    const otherIntervals = other.getWeeklyIntervals();
+    return this.getWeeklyIntervals().some(a =>
+      otherIntervals.some(b => a.start < b.end && b.start < a.end)
+    );
+  }
+
+  // Parsing helpers
+  /**
+   * Parse a time such as "08:00 AM", "8:30pm" or "20:30" into minutes since midnight
+   * @returns {number|null}
+   */
+  static parseTime(text) {
+    if (text === null || text === undefined) return null;
+    if (typeof text === 'number') return text;
+
+    const match = String(text).trim().match(/^(\d{1,2}):(\d{2})\s*([ap]\.?m\.?)?$/i);
+    if (!match) return null;
+
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    const meridiem = match[3] ? match[3][0].toLowerCase() : null;
+
+    if (minutes > 59 || hours > 23 || (meridiem && (hours < 1 || hours > 12))) return null;
+    if (meridiem === 'p' && hours !== 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Format minutes since midnight the way Hayward displays times ("08:00 AM")
+   */
+  static formatTime(minutes) {
+    if (minutes === null || minutes === undefined) return null;
+    const hours24 = Math.floor(minutes / 60);
+    const hours12 = hours24 % 12 === 0 ? 12 : hours24 % 12;
+    const suffix = hours24 < 12 ? 'AM' : 'PM';
+    return `${String(hours12).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')} ${suffix}`;
+  }
+
+  /**
+   * Parse a Hayward repeat description ("Weekdays", "Mon, Wed, Fri") into day numbers
+   * @returns {number[]}
+   */
+  static parseRepeat(text) {
+    if (!text) return [];
+
+    const normalized = String(text).trim().toLowerCase();
+    const pattern = REPEAT_PATTERNS[normalized.replace(/[^a-z]/g, '')];
+    if (pattern) return [...pattern];
+
+    const days = [];
+    normalized.split(/[\s,/]+/).forEach(token => {
+      const index = DAY_NAMES.findIndex(name => token.startsWith(name.toLowerCase()));
+      if (index !== -1) days.push(index);
+    });
+    return days;
+  }
+
+  static formatRepeat(days) {
+    const key = days.join(',');
+    if (key === REPEAT_PATTERNS.daily.join(',')) return 'Daily';
+    if (key === REPEAT_PATTERNS.weekdays.join(',')) return 'Weekdays';
+    if (key === REPEAT_PATTERNS.weekends.join(',')) return 'Weekends';
+    return days.map(day => DAY_NAMES[day]).join(', ');
+  }
+
+  static inferEquipment(name) {
+    if (!name) return null;
+    const match = EQUIPMENT_PATTERNS.find(({ pattern }) => pattern.test(name));
+    return match ? match.equipment : null;
+  }
+
+  // Create from the parsed Bow_Schedule_List.aspx row
+  static fromParsed(parsed) {
+    return new Schedule({
+      id: parsed.id || null,
+      name: parsed.name,
+      startMinutes: Schedule.parseTime(parsed.startTime),
+      endMinutes: Schedule.parseTime(parsed.endTime),
+      days: Schedule.parseRepeat(parsed.repeat),
+      setting: parsed.setting && parsed.setting !== '--' ? parsed.setting : null,
+      enabled: !/disable|off/i.test(parsed.status || '')
+    });
+  }
+
+  // Create from an API request body
+  static fromRequest(body = {}) {
+    return new Schedule({
+      id: body.id,
+      name: body.name,
+      equipment: body.equipment,
+      startMinutes: Schedule.parseTime(body.startTime ?? body.startMinutes),
+      endMinutes: Schedule.parseTime(body.endTime ?? body.endMinutes),
+      days: Array.isArray(body.days)
+        ? body.days.map(day => (typeof day === 'string' ? Schedule.parseRepeat(day)[0] : day))
+        : Schedule.parseRepeat(body.repeat),
+      setting: body.setting ?? body.speed ?? null,
+      enabled: body.enabled
+    });
+  }
+
+  // Serialize for JSON
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      equipment: this.equipment,
+      days: this.days,
+      repeat: Schedule.formatRepeat(this.days),
+      startMinutes: this.startMinutes,
+      endMinutes: this.endMinutes,
+      startTime: Schedule.formatTime(this.startMinutes),
+      endTime: Schedule.formatTime(this.endMinutes),
+      setting: this.setting,
+      enabled: this.enabled
+    };
+  }
+}
+
+module.exports = { Schedule, DAY_NAMES };
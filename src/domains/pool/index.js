@@ -4,20 +4,42 @@
  */
 
 const { PoolData } = require('./entities/pool-data');
-const { PoolDataParser, DashboardParser, FilterParser, ChlorinatorParser } = require('./parsers');
-const { PoolSession, PoolDataCollector } = require('./services');
+const { Schedule } = require('./entities/schedule');
+const { PoolDataParser, DashboardParser, FilterParser, ChlorinatorParser, OmniLogicParser } = require('./parsers');
+const {
+  PoolSession,
+  PoolDataCollector,
+  OmniLogicClient,
+  OmniLogicDataCollector,
+  COLLECTOR_BACKENDS,
+  createPoolDataCollector,
+  EquipmentControlService,
+  ScheduleService,
+  findScheduleConflicts,
+  findAllConflicts
+} = require('./services');
 
 module.exports = {
   // Entities
   PoolData,
+  Schedule,
 
   // Parsers
   PoolDataParser,
   DashboardParser,
   FilterParser,
   ChlorinatorParser,
+  OmniLogicParser,
 
   // Services
   PoolSession,
-  PoolDataCollector
+  PoolDataCollector,
+  OmniLogicClient,
+  OmniLogicDataCollector,
+  COLLECTOR_BACKENDS,
+  createPoolDataCollector,
+  EquipmentControlService,
+  ScheduleService,
+  findScheduleConflicts,
+  findAllConflicts
 };
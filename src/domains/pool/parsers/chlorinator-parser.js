@@ -5,76 +5,67 @@
 
 const cheerio = require('cheerio');
 const { POOL_SYSTEM } = require('../../../config');
+const { CONFIDENCE, candidates, matchText, parseNumber, parseInteger, recordMatch } = require('./parse-report');
+
+const SALT_SELECTORS = [
+  ...candidates(CONFIDENCE.HIGH, ['.boxchlppm']),
+  ...candidates(CONFIDENCE.MEDIUM, ['[id*="boxchlppm"]', '[id*="lbInstantSalt"]', '[id*="chlppm"]']),
+  ...candidates(CONFIDENCE.LOW, ['[id*="salt"]']),
+  ...candidates(CONFIDENCE.MEDIUM, ['[id*="InstantSalt"]', '[id*="SaltLevel"]'])
+];
+
+const AVERAGE_SALT_SELECTORS = [
+  ...candidates(CONFIDENCE.HIGH, ['[id*="lbAverageSalt"]']),
+  ...candidates(CONFIDENCE.LOW, ['[id*="AverageSalt"]'])
+];
 
 class ChlorinatorParser {
-  static parse(html) {
+  /**
+   * @param {string} html - Chlorinator page
+   * @param {import('./parse-report').ParseReport} [report] - Records the selector and confidence for each field
+   */
+  static parse(html, report = null) {
     if (!html) {
       return this.getEmptyData();
     }
 
     const $ = cheerio.load(html);
+    const field = (name, match) => recordMatch(report, `chlorinator.${name}`, match);
 
     return {
       salt: {
-        instant: this.extractSaltLevel($),
-        average: this.extractNumeric($, '[id*="lbAverageSalt"]') ||
-                 this.extractNumeric($, '[id*="AverageSalt"]'),
+        instant: field('salt.instant', this.matchSaltLevel($)),
+        average: field('salt.average', matchText($, AVERAGE_SALT_SELECTORS, parseNumber)),
         unit: POOL_SYSTEM.UNITS.SALT
       },
       cell: {
         temperature: {
-          value: this.extractNumeric($, '[id*="lbCellTemp"]'),
+          value: field('cell.temperature', this.matchNumeric($, '[id*="lbCellTemp"]')),
           unit: POOL_SYSTEM.UNITS.TEMPERATURE
         },
-        voltage: this.extractNumeric($, '[id*="lbCellVoltage"]'),
-        current: this.extractNumeric($, '[id*="lbCellCurrent"]'),
-        type: $('[id*="lbCellType"]').text().trim() || null
+        voltage: field('cell.voltage', this.matchNumeric($, '[id*="lbCellVoltage"]')),
+        current: field('cell.current', this.matchNumeric($, '[id*="lbCellCurrent"]')),
+        type: field('cell.type', matchText($, candidates(CONFIDENCE.HIGH, ['[id*="lbCellType"]']), text => text))
       },
       status: $('input[type="radio"]:checked').attr('name') || null,
       enabled: $('input[type="radio"]:checked').length > 0
     };
   }
 
-  static extractNumeric($, selector) {
-    const text = $(selector).text().trim();
-    if (text && text !== '--' && text !== '---') {
-      const match = text.match(/(\d+(?:\.\d+)?)/);
-      return match ? parseFloat(match[1]) : null;
-    }
-    return null;
+  static matchNumeric($, selector) {
+    return matchText($, candidates(CONFIDENCE.HIGH, [selector]), parseNumber);
   }
 
-  static extractSaltLevel($) {
-    // Primary selector
-    const rawText = $('.boxchlppm').text().trim();
-    if (rawText) {
-      const match = rawText.match(/(\d+)/);
-      if (match) {
-        return parseInt(match[1]);
-      }
-    }
-
-    // Fallback selectors
-    const fallbackSelectors = [
-      '[id*="boxchlppm"]',
-      '[id*="lbInstantSalt"]',
-      '[id*="chlppm"]',
-      '[id*="salt"]',
-      '[id*="InstantSalt"]',
-      '[id*="SaltLevel"]'
-    ];
+  static extractNumeric($, selector) {
+    return this.matchNumeric($, selector).value;
+  }
 
-    for (const selector of fallbackSelectors) {
-      const text = $(selector).text().trim();
-      if (text) {
-        const match = text.match(/(\d+)/);
-        if (match) {
-          return parseInt(match[1]);
-        }
-      }
-    }
+  static matchSaltLevel($) {
+    return matchText($, SALT_SELECTORS, parseInteger);
+  }
 
-    return null;
+  static extractSaltLevel($) {
+    return this.matchSaltLevel($).value;
   }
 
   static getEmptyData() {
@@ -5,9 +5,26 @@
 
 const cheerio = require('cheerio');
 const { POOL_SYSTEM } = require('../../../config');
+const { CONFIDENCE, candidates, matchText, parseNumber, recordMatch } = require('./parse-report');
+
+const AIR_TEMPERATURE_SELECTORS = [
+  ...candidates(CONFIDENCE.HIGH, ['#lblCurrentTemp']),
+  ...candidates(CONFIDENCE.MEDIUM, ['[id*="lblAirTemp"]']),
+  ...candidates(CONFIDENCE.LOW, ['[id*="AirTemp"]']),
+  ...candidates(CONFIDENCE.MEDIUM, ['[id*="lblOutdoorTemp"]']),
+  ...candidates(CONFIDENCE.LOW, ['[id*="OutdoorTemp"]']),
+  ...candidates(CONFIDENCE.MEDIUM, ['[id*="lblAmbientTemp"]']),
+  ...candidates(CONFIDENCE.LOW, ['[id*="AmbientTemp"]']),
+  ...candidates(CONFIDENCE.MEDIUM, ['[id*="lblWeatherTemp"]']),
+  ...candidates(CONFIDENCE.LOW, ['[id*="WeatherTemp"]'])
+];
 
 class DashboardParser {
-  static parse(html) {
+  /**
+   * @param {string} html - Dashboard page
+   * @param {import('./parse-report').ParseReport} [report] - Records the selector and confidence for each field
+   */
+  static parse(html, report = null) {
     if (!html) {
       return this.getEmptyData();
     }
@@ -16,57 +33,29 @@ class DashboardParser {
 
     return {
       temperature: {
-        target: this.extractTemperature($, '[id*="lblTempTarget"]'),
-        actual: this.extractTemperature($, '[id*="lblTempActual"]'),
+        target: recordMatch(report, 'dashboard.temperature.target', this.matchTemperature($, '[id*="lblTempTarget"]')),
+        actual: recordMatch(report, 'dashboard.temperature.actual', this.matchTemperature($, '[id*="lblTempActual"]')),
         unit: POOL_SYSTEM.UNITS.TEMPERATURE
       },
-      airTemperature: this.extractAirTemperature($),
+      airTemperature: recordMatch(report, 'dashboard.airTemperature', this.matchAirTemperature($)),
       systemStatus: POOL_SYSTEM.DEFAULTS.SYSTEM_STATUS
     };
   }
 
-  static extractTemperature($, selector) {
-    const temp = $(selector).text().trim();
-    if (temp && temp !== '--' && temp !== '---') {
-      const match = temp.match(/(\d+(?:\.\d+)?)/);
-      return match ? parseFloat(match[1]) : null;
-    }
-    return null;
+  static matchTemperature($, selector) {
+    return matchText($, candidates(CONFIDENCE.HIGH, [selector]), parseNumber);
   }
 
-  static extractAirTemperature($) {
-    // Primary selector for current temperature
-    const currentTemp = $('#lblCurrentTemp').text().trim();
-    if (currentTemp) {
-      const match = currentTemp.match(/(\d+(?:\.\d+)?)/);
-      if (match) {
-        return parseFloat(match[1]);
-      }
-    }
-
-    // Fallback selectors
-    const fallbackSelectors = [
-      '[id*="lblAirTemp"]',
-      '[id*="AirTemp"]',
-      '[id*="lblOutdoorTemp"]',
-      '[id*="OutdoorTemp"]',
-      '[id*="lblAmbientTemp"]',
-      '[id*="AmbientTemp"]',
-      '[id*="lblWeatherTemp"]',
-      '[id*="WeatherTemp"]'
-    ];
+  static extractTemperature($, selector) {
+    return this.matchTemperature($, selector).value;
+  }
 
-    for (const selector of fallbackSelectors) {
-      const temp = $(selector).text().trim();
-      if (temp) {
-        const match = temp.match(/(\d+(?:\.\d+)?)/);
-        if (match) {
-          return parseFloat(match[1]);
-        }
-      }
-    }
+  static matchAirTemperature($) {
+    return matchText($, AIR_TEMPERATURE_SELECTORS, parseNumber);
+  }
 
-    return null;
+  static extractAirTemperature($) {
+    return this.matchAirTemperature($).value;
   }
 
   static getEmptyData() {
@@ -4,9 +4,32 @@
  */
 
 const cheerio = require('cheerio');
+const { CONFIDENCE, candidates, matchText, parseOnOff, recordMatch } = require('./parse-report');
+
+const STATUS_SELECTORS = [
+  ...candidates(CONFIDENCE.HIGH, ['#cphMainContent_3_divStatusName']), // Known working selector
+  ...candidates(CONFIDENCE.MEDIUM, [
+    '[id*="divfilterStatus"]',
+    '[id*="filterStatus"]',
+    '[id*="pumpStatus"]',
+    '[id*="divPump"]',
+    '[id*="lblFilter"]',
+    '[id*="lblPump"]'
+  ]),
+  ...candidates(CONFIDENCE.LOW, ['[id*="filter"]', '[id*="pump"]'])
+];
+
+const DIAGNOSTIC_SELECTORS = [
+  ...candidates(CONFIDENCE.MEDIUM, ['[id*="divPump"]']),
+  ...candidates(CONFIDENCE.LOW, ['[id*="pump"]', '[id*="filter"]'])
+];
 
 class FilterParser {
-  static parse(html) {
+  /**
+   * @param {string} html - Filter pump page
+   * @param {import('./parse-report').ParseReport} [report] - Records the selector and confidence for each field
+   */
+  static parse(html, report = null) {
     if (!html) {
       return this.getEmptyData();
     }
@@ -14,94 +37,41 @@ class FilterParser {
     const $ = cheerio.load(html);
 
     return {
-      status: this.extractPumpStatus($),
-      diagnostic: this.extractDiagnosticInfo($)
+      status: recordMatch(report, 'filter.status', this.matchPumpStatus($)),
+      diagnostic: recordMatch(report, 'filter.diagnostic', this.matchDiagnosticInfo($))
     };
   }
 
-  static extractPumpStatus($) {
-    const statusSelectors = [
-      '#cphMainContent_3_divStatusName',  // Known working selector
-      '[id*="divfilterStatus"]',
-      '[id*="filterStatus"]',
-      '[id*="pumpStatus"]',
-      '[id*="divPump"]',
-      '[id*="lblFilter"]',
-      '[id*="lblPump"]',
-      '[id*="filter"]',
-      '[id*="pump"]'
-    ];
-
-    for (const selector of statusSelectors) {
-      const element = $(selector);
-      if (element.length > 0) {
-        const text = element.text().trim();
-        console.log(`🔍 Filter status selector "${selector}": "${text}"`);
+  static matchPumpStatus($) {
+    let match = matchText($, STATUS_SELECTORS, text => this.parseStatusText(text));
 
-        if (text) {
-          const status = this.parseStatusText(text);
-          if (status !== null) {
-            console.log(`✅ Filter pump detected as ${status ? 'ON' : 'OFF'} via selector "${selector}"`);
-            return status;
-          }
-        }
+    // If no clear status found, infer it from the diagnostic text
+    if (match.value === null) {
+      const diagnostic = this.matchDiagnosticInfo($);
+      const inferred = diagnostic.value ? this.parseStatusText(diagnostic.value) : null;
+      if (inferred !== null) {
+        match = { value: inferred, selector: diagnostic.selector, confidence: CONFIDENCE.LOW };
       }
     }
 
-    // If no clear status found, try to infer from diagnostic text
-    const diagnostic = this.extractDiagnosticInfo($);
-    if (diagnostic) {
-      console.log(`🔍 Filter diagnostic text: "${diagnostic}"`);
-      const status = this.parseStatusText(diagnostic);
-      if (status !== null) {
-        console.log(`✅ Filter pump inferred as ${status ? 'ON' : 'OFF'} from diagnostic text`);
-        return status;
-      }
-    }
+    console.log(`🏊‍♂️ Final filter pump status: ${match.value} (${match.selector || 'no selector'}, ${match.confidence} confidence)`);
+    return match;
+  }
 
-    console.log('🏊‍♂️ Final filter pump status: null');
-    return null;
+  static extractPumpStatus($) {
+    return this.matchPumpStatus($).value;
   }
 
   static parseStatusText(text) {
-    const lowerText = text.toLowerCase();
-
-    // Check for "on" indicators
-    const isOn = lowerText.includes('on') ||
-                lowerText.includes('running') ||
-                lowerText.includes('active') ||
-                lowerText.includes('enabled') ||
-                lowerText.includes('1') ||
-                lowerText.includes('true');
-
-    // Check for "off" indicators
-    const isOff = lowerText.includes('off') ||
-                 lowerText.includes('stopped') ||
-                 lowerText.includes('inactive') ||
-                 lowerText.includes('disabled') ||
-                 lowerText.includes('0') ||
-                 lowerText.includes('false');
+    return parseOnOff(text);
+  }
 
-    if (isOn) return true;
-    if (isOff) return false;
-    return null;
+  static matchDiagnosticInfo($) {
+    return matchText($, DIAGNOSTIC_SELECTORS, text => text);
   }
 
   static extractDiagnosticInfo($) {
-    const diagnosticSelectors = [
-      '[id*="divPump"]',
-      '[id*="pump"]',
-      '[id*="filter"]'
-    ];
-
-    for (const selector of diagnosticSelectors) {
-      const text = $(selector).text().trim();
-      if (text) {
-        return text;
-      }
-    }
-
-    return null;
+    return this.matchDiagnosticInfo($).value;
   }
 
   static getEmptyData() {
@@ -6,40 +6,47 @@
 const { DashboardParser } = require('./dashboard-parser');
 const { FilterParser } = require('./filter-parser');
 const { ChlorinatorParser } = require('./chlorinator-parser');
+const { OmniLogicParser } = require('./omnilogic-parser');
+const { ParseReport, CONFIDENCE, candidates, matchText, parseNumber, recordMatch } = require('./parse-report');
+const { extractScheduleId } = require('../../../services/poolDataParser');
 const cheerio = require('cheerio');
 const { POOL_SYSTEM } = require('../../../config');
 
 class PoolDataParser {
   /**
    * Parse all pool data from HTML
+   * @param {string} html - Page to parse
+   * @param {ParseReport} [report] - Records the selector and confidence for each field
    */
-  static parseAll(html) {
+  static parseAll(html, report = null) {
     if (!html) {
       return this.getEmptyData();
     }
 
     return {
-      dashboard: DashboardParser.parse(html),
-      filter: FilterParser.parse(html),
-      chlorinator: ChlorinatorParser.parse(html),
-      heater: this.parseHeaterData(html),
-      lights: this.parseLightsData(html),
+      dashboard: DashboardParser.parse(html, report),
+      filter: FilterParser.parse(html, report),
+      chlorinator: ChlorinatorParser.parse(html, report),
+      heater: this.parseHeaterData(html, report),
+      lights: this.parseLightsData(html, report),
       schedules: this.parseSchedulesData(html)
     };
   }
 
   // Legacy parsers (to be moved to separate files later)
-  static parseHeaterData(html) {
+  static parseHeaterData(html, report = null) {
     if (!html) return this.getEmptyHeaterData();
 
     const $ = cheerio.load(html);
+    const temperature = (name, selector) => recordMatch(report, `heater.temperature.${name}`,
+      matchText($, candidates(CONFIDENCE.HIGH, [selector]), parseNumber));
 
     return {
       temperature: {
-        min: this.extractTemp($, '[id*="lblMinTargetTemp"]'),
-        current: this.extractTemp($, '[id*="lblTemp"]'),
-        max: this.extractTemp($, '[id*="lblMaxTargetTemp"]'),
-        actual: this.extractTemp($, '[id*="lblActualTemp"]'),
+        min: temperature('min', '[id*="lblMinTargetTemp"]'),
+        current: temperature('current', '[id*="lblTemp"]'),
+        max: temperature('max', '[id*="lblMaxTargetTemp"]'),
+        actual: temperature('actual', '[id*="lblActualTemp"]'),
         unit: POOL_SYSTEM.UNITS.TEMPERATURE
       },
       status: $('input[type="radio"]:checked').attr('name') || null,
@@ -47,14 +54,15 @@ class PoolDataParser {
     };
   }
 
-  static parseLightsData(html) {
+  static parseLightsData(html, report = null) {
     if (!html) return this.getEmptyLightsData();
 
     const $ = cheerio.load(html);
+    const text = value => value;
 
     return {
-      status: $('[id*="status"]').text().trim() || null,
-      brightness: $('[id*="brightness"]').text().trim() || null,
+      status: recordMatch(report, 'lights.status', matchText($, candidates(CONFIDENCE.LOW, ['[id*="status"]']), text)),
+      brightness: recordMatch(report, 'lights.brightness', matchText($, candidates(CONFIDENCE.MEDIUM, ['[id*="brightness"]']), text)),
       enabled: $('input[type="checkbox"]:checked').length > 0
     };
   }
@@ -88,7 +96,8 @@ class PoolDataParser {
               endTime: $(cells[2]).text().trim() || null,
               setting: $(cells[3]).text().trim() || null,
               repeat: $(cells[4]).text().trim() || null,
-              status: $(cells[5]).text().trim() || null
+              status: $(cells[5]).text().trim() || null,
+              id: extractScheduleId($row)
             };
 
             if (schedule.name && schedule.startTime) {
@@ -103,15 +112,6 @@ class PoolDataParser {
   }
 
   // Helper methods
-  static extractTemp($, selector) {
-    const temp = $(selector).text().trim();
-    if (temp && temp !== '--' && temp !== '---') {
-      const match = temp.match(/(\d+(?:\.\d+)?)/);
-      return match ? parseFloat(match[1]) : null;
-    }
-    return null;
-  }
-
   static getEmptyData() {
     return {
       dashboard: DashboardParser.getEmptyData(),
@@ -151,5 +151,8 @@ module.exports = {
   PoolDataParser,
   DashboardParser,
   FilterParser,
-  ChlorinatorParser
+  ChlorinatorParser,
+  OmniLogicParser,
+  ParseReport,
+  CONFIDENCE
 };
@@ -0,0 +1,241 @@
+/**
+ * OmniLogic XML Parser
+ * Parses responses from the Hayward OmniLogic XML API into the same shape as the HTML parsers
+ */
+
+const cheerio = require('cheerio');
+const { POOL_SYSTEM } = require('../../../config');
+const { DashboardParser } = require('./dashboard-parser');
+const { FilterParser } = require('./filter-parser');
+const { ChlorinatorParser } = require('./chlorinator-parser');
+
+const METRIC_TEMPERATURE_UNIT = '°C';
+
+class OmniLogicParser {
+  /**
+   * Read the <Parameter> values of an API response
+   * @param {string} xml - Response document
+   * @returns {object} Parameter values keyed by name
+   */
+  static parseParameters(xml) {
+    const $ = cheerio.load(xml || '', { xmlMode: true });
+    const parameters = {};
+
+    $('Response > Parameters > Parameter').each((_, element) => {
+      const name = $(element).attr('name');
+      if (name) {
+        parameters[name] = $(element).text().trim();
+      }
+    });
+
+    return parameters;
+  }
+
+  /**
+   * Parse a GetSiteList response
+   * @param {string} xml - Response document
+   * @returns {Array<{mspSystemId: string, name: string|null}>} Sites on the account
+   */
+  static parseSiteList(xml) {
+    const $ = cheerio.load(xml || '', { xmlMode: true });
+
+    return $('Parameter[name="List"] > Item').map((_, item) => {
+      const property = name => $(item).children(`Property[name="${name}"]`).text().trim() || null;
+      return {
+        mspSystemId: property('MspSystemID'),
+        name: property('BackyardName')
+      };
+    }).get().filter(site => site.mspSystemId);
+  }
+
+  /**
+   * Parse a GetMspConfigFile response
+   * The configuration is either the response body or escaped inside an MSPConfig parameter
+   * @param {string} xml - Response document
+   * @returns {object} Units and bodies of water with their equipment system IDs
+   */
+  static parseMspConfig(xml) {
+    let $ = cheerio.load(xml || '', { xmlMode: true });
+    if ($('MSPConfig').length === 0) {
+      const embedded = this.parseParameters(xml).MSPConfig;
+      $ = cheerio.load(embedded || '', { xmlMode: true });
+    }
+
+    const child = (element, name) => $(element).children(name).first();
+    const text = (element, name) => child(element, name).text().trim() || null;
+    const equipment = (element, name, typeTag) => {
+      const node = child(element, name);
+      if (node.length === 0) return null;
+      return {
+        systemId: text(node, 'System-Id'),
+        name: text(node, 'Name'),
+        type: typeTag ? text(node, typeTag) : null
+      };
+    };
+
+    const bodiesOfWater = $('Backyard > Body-of-water').map((_, bow) => {
+      const heater = child(bow, 'Heater');
+      return {
+        systemId: text(bow, 'System-Id'),
+        name: text(bow, 'Name'),
+        type: text(bow, 'Type'),
+        filter: equipment(bow, 'Filter', 'Filter-Type'),
+        heater: heater.length === 0 ? null : {
+          systemId: text(heater, 'System-Id'),
+          min: this.toNumber(text(heater, 'Min-Settable-Water-Temp')),
+          max: this.toNumber(text(heater, 'Max-Settable-Water-Temp'))
+        },
+        chlorinator: equipment(bow, 'Chlorinator', 'Cell-Type'),
+        light: equipment(bow, 'ColorLogic-Light', 'Type')
+      };
+    }).get();
+
+    return {
+      units: $('MSPConfig > System > Units').text().trim() || 'Standard',
+      bodiesOfWater
+    };
+  }
+
+  /**
+   * Parse a GetTelemetryData response for one body of water
+   * @param {string} xml - Telemetry (<STATUS>) document
+   * @param {object} config - Parsed MSP configuration
+   * @param {string} [bowSystemId] - Body of water to read (defaults to the first one configured)
+   * @returns {object} Data in the PoolDataParser.parseAll shape (schedules are not part of telemetry)
+   */
+  static parseTelemetry(xml, config, bowSystemId = null) {
+    if (!xml) {
+      return this.getEmptyData();
+    }
+
+    const $ = cheerio.load(xml, { xmlMode: true });
+    if ($('STATUS').length === 0) {
+      throw new Error('Telemetry response does not contain a STATUS document');
+    }
+
+    const bow = this.findBodyOfWater(config, bowSystemId);
+    const unit = config && config.units === 'Metric' ? METRIC_TEMPERATURE_UNIT : POOL_SYSTEM.UNITS.TEMPERATURE;
+
+    // Telemetry elements are flat, so pick the one belonging to this body of water by system ID
+    const find = (tag, systemId) => {
+      const elements = $(`STATUS > ${tag}`);
+      const match = systemId ? elements.filter((_, el) => $(el).attr('systemId') === systemId) : elements;
+      return match.first();
+    };
+    const number = (element, attribute) => this.toNumber(element.attr(attribute));
+
+    const backyard = $('STATUS > Backyard').first();
+    const water = find('BodyOfWater', bow && bow.systemId);
+    const filter = find('Filter', bow && bow.filter && bow.filter.systemId);
+    const virtualHeater = find('VirtualHeater', bow && bow.heater && bow.heater.systemId);
+    const heater = find('Heater');
+    const chlorinator = find('Chlorinator', bow && bow.chlorinator && bow.chlorinator.systemId);
+    const light = find('ColorLogic-Light', bow && bow.light && bow.light.systemId);
+
+    // The controller reports -1 for water temperature while there is no flow past the sensor
+    const waterTemp = water.attr('flow') === '0' ? null : this.validTemperature(number(water, 'waterTemp'));
+    const setPoint = number(virtualHeater, 'Current-Set-Point');
+    const filterOn = filter.length > 0 ? filter.attr('filterState') !== '0' : null;
+    const filterSpeed = number(filter, 'filterSpeed');
+    const heaterStatus = heater.length > 0 ? this.heaterStatus(heater.attr('heaterState')) : null;
+    const lightState = light.attr('lightState');
+    const lightOn = lightState !== undefined && lightState !== '0';
+
+    return {
+      dashboard: {
+        temperature: { target: setPoint, actual: waterTemp, unit },
+        airTemperature: this.validTemperature(number(backyard, 'airTemp')),
+        systemStatus: backyard.length > 0 && backyard.attr('status') !== '1' ? 'offline' : POOL_SYSTEM.DEFAULTS.SYSTEM_STATUS
+      },
+      filter: {
+        status: filterOn,
+        diagnostic: filterOn === null ? null : this.filterDiagnostic(filterOn, filterSpeed)
+      },
+      heater: {
+        temperature: {
+          min: bow && bow.heater ? bow.heater.min : null,
+          current: setPoint,
+          max: bow && bow.heater ? bow.heater.max : null,
+          actual: waterTemp,
+          unit
+        },
+        status: heaterStatus,
+        enabled: virtualHeater.attr('enable') === 'yes'
+      },
+      chlorinator: {
+        salt: {
+          instant: number(chlorinator, 'instantSaltLevel'),
+          average: number(chlorinator, 'avgSaltLevel'),
+          unit: POOL_SYSTEM.UNITS.SALT
+        },
+        cell: {
+          temperature: { value: null, unit },
+          voltage: null,
+          current: null,
+          type: bow && bow.chlorinator ? bow.chlorinator.type : null
+        },
+        output: number(chlorinator, 'Timed-Percent'),
+        status: chlorinator.attr('operatingState') || null,
+        enabled: ['1', 'yes'].includes(chlorinator.attr('enable'))
+      },
+      lights: {
+        status: lightState === undefined ? null : this.onOff(lightOn),
+        brightness: number(light, 'brightness'),
+        enabled: lightOn
+      },
+      schedules: []
+    };
+  }
+
+  static heaterStatus(heaterState) {
+    return heaterState === '1' ? 'heating' : 'off';
+  }
+
+  static onOff(isOn) {
+    return isOn ? 'on' : 'off';
+  }
+
+  static filterDiagnostic(isOn, speed) {
+    if (!isOn) return 'Off';
+    return speed !== null ? `On (${speed}%)` : 'On';
+  }
+
+  static findBodyOfWater(config, bowSystemId) {
+    const bodies = (config && config.bodiesOfWater) || [];
+    if (bowSystemId) {
+      const match = bodies.find(bow => bow.systemId === String(bowSystemId));
+      if (!match) {
+        throw new Error(`Body of water ${bowSystemId} is not in the OmniLogic configuration`);
+      }
+      return match;
+    }
+    return bodies[0] || null;
+  }
+
+  static toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+  }
+
+  static validTemperature(value) {
+    return value === null || value === -1 ? null : value;
+  }
+
+  static getEmptyData() {
+    return {
+      dashboard: DashboardParser.getEmptyData(),
+      filter: FilterParser.getEmptyData(),
+      heater: {
+        temperature: { min: null, current: null, max: null, actual: null, unit: POOL_SYSTEM.UNITS.TEMPERATURE },
+        status: null,
+        enabled: false
+      },
+      chlorinator: ChlorinatorParser.getEmptyData(),
+      lights: { status: null, brightness: null, enabled: false },
+      schedules: []
+    };
+  }
+}
+
+module.exports = { OmniLogicParser };
@@ -0,0 +1,167 @@
+/**
+ * Parse Report
+ * Records which selector each parsed field came from and how much to trust it
+ */
+
+const CONFIDENCE = {
+  HIGH: 'high', // primary selector for the field
+  MEDIUM: 'medium', // specific fallback selector
+  LOW: 'low', // generic fallback selector or inferred from other text
+  NONE: 'none' // nothing matched
+};
+
+const CONFIDENCE_RANK = [CONFIDENCE.NONE, CONFIDENCE.LOW, CONFIDENCE.MEDIUM, CONFIDENCE.HIGH];
+
+const ON_PATTERN = /\b(on|running|active|enabled|true)\b/;
+const OFF_PATTERN = /\b(off|stopped|inactive|disabled|false)\b/;
+
+/**
+ * @typedef {object} SelectorMatch
+ * @property {*} value - Parsed value, or null when no selector matched
+ * @property {string|null} selector - Selector the value came from
+ * @property {string} confidence - One of CONFIDENCE
+ */
+
+/**
+ * @param {string} confidence - Confidence for every selector in the list
+ * @param {string[]} selectors - Selectors in the order they should be tried
+ * @returns {Array<{selector: string, confidence: string}>} Candidate list for matchText
+ */
+const candidates = (confidence, selectors) => selectors.map(selector => ({ selector, confidence }));
+
+/**
+ * @returns {SelectorMatch} Result for a field nothing matched
+ */
+const noMatch = () => ({ value: null, selector: null, confidence: CONFIDENCE.NONE });
+
+/**
+ * Try candidate selectors in order and return the first one whose text parses
+ * @param {Function} $ - Loaded cheerio document
+ * @param {Array<{selector: string, confidence: string}>} list - Candidates, most specific first
+ * @param {Function} parse - Turns element text into a value, or null when it does not apply
+ * @returns {SelectorMatch} The first match
+ */
+const matchText = ($, list, parse) => {
+  for (const { selector, confidence } of list) {
+    const text = $(selector).text().trim();
+    if (text) {
+      const value = parse(text);
+      if (value !== null && value !== undefined) {
+        return { value, selector, confidence };
+      }
+    }
+  }
+  return noMatch();
+};
+
+/**
+ * @param {string} text - Element text such as "82°F" or "23.33V"
+ * @returns {number|null} First number in the text, ignoring Hayward's "--" placeholders
+ */
+const parseNumber = (text) => {
+  if (!text || text === '--' || text === '---') return null;
+  const match = text.match(/(\d+(?:\.\d+)?)/);
+  return match ? parseFloat(match[1]) : null;
+};
+
+/**
+ * @param {string} text - Element text such as "salt level 2838 ppm"
+ * @returns {number|null} First integer in the text
+ */
+const parseInteger = (text) => {
+  const match = text.match(/(\d+)/);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Read an on/off status from element text
+ * Only whole words count, so "Configuration" is not "on" and "Speed 100%" is not "1"
+ * @param {string} text - Element text
+ * @returns {boolean|null} true for on, false for off, null when unclear or both appear
+ */
+const parseOnOff = (text) => {
+  const value = text.trim().toLowerCase();
+  if (value === '1') return true;
+  if (value === '0') return false;
+
+  const isOn = ON_PATTERN.test(value);
+  const isOff = OFF_PATTERN.test(value);
+  if (isOn === isOff) return null;
+  return isOn;
+};
+
+class ParseReport {
+  constructor() {
+    this.fields = {};
+  }
+
+  /**
+   * Record how a field was parsed
+   * @param {string} field - Field path, e.g. "filter.status"
+   * @param {SelectorMatch} match - Match for the field
+   * @returns {*} The matched value
+   */
+  record(field, match) {
+    this.fields[field] = {
+      selector: match.selector,
+      confidence: match.confidence,
+      parsed: match.value !== null && match.value !== undefined
+    };
+    return match.value;
+  }
+
+  /**
+   * @returns {object} Field path to {selector, confidence, parsed}
+   */
+  getFields() {
+    return { ...this.fields };
+  }
+
+  /**
+   * Count parsed fields per page section (the part of the field path before the first dot)
+   * @returns {Object<string, {parsed: number, total: number}>} Section, e.g. "filter", to its field counts
+   */
+  getSectionCounts() {
+    return Object.entries(this.fields).reduce((sections, [field, info]) => {
+      const section = field.split('.')[0];
+      const counts = sections[section] || { parsed: 0, total: 0 };
+      counts.total += 1;
+      if (info.parsed) counts.parsed += 1;
+      sections[section] = counts;
+      return sections;
+    }, {});
+  }
+
+  /**
+   * @returns {string} Lowest confidence across parsed fields ('none' when nothing was recorded)
+   */
+  getOverallConfidence() {
+    const parsed = Object.values(this.fields).filter(field => field.parsed);
+    if (parsed.length === 0) return CONFIDENCE.NONE;
+    return parsed.reduce((lowest, field) =>
+      (CONFIDENCE_RANK.indexOf(field.confidence) < CONFIDENCE_RANK.indexOf(lowest) ? field.confidence : lowest),
+    CONFIDENCE.HIGH);
+  }
+}
+
+/**
+ * Record a match on an optional report and return its value
+ * Parsers call this so the report stays optional for callers that only want data
+ * @param {ParseReport|null} report - Report to record on
+ * @param {string} field - Field path
+ * @param {SelectorMatch} match - Match for the field
+ * @returns {*} The matched value
+ */
+const recordMatch = (report, field, match) => (report ? report.record(field, match) : match.value);
+
+module.exports = {
+  CONFIDENCE,
+  ParseReport,
+  candidates,
+  noMatch,
+  matchText,
+  parseNumber,
+  parseInteger,
+  parseOnOff,
+  recordMatch
+};
@@ -0,0 +1,35 @@
+/**
+ * Collector Factory
+ * Picks the pool data collector backend configured for this deployment
+ */
+
+const { envConfig } = require('../../../config');
+const { PoolDataCollector } = require('./pool-data-collector');
+const { OmniLogicDataCollector } = require('./omnilogic-collector');
+
+const COLLECTOR_BACKENDS = {
+  SCRAPE: 'scrape',
+  XML: 'xml'
+};
+
+/**
+ * Create a collector for a site
+ * The 'xml' backend uses the OmniLogic API and falls back to scraping if the API fails
+ * @param {object} credentials - Hayward username and password
+ * @param {import('../../../config/sites').Site} [site] - Site to collect
+ * @param {string} [backend] - 'scrape' or 'xml' (defaults to POOL_COLLECTOR)
+ * @returns {PoolDataCollector|OmniLogicDataCollector} Collector with collectAllData() and cleanup()
+ */
+const createPoolDataCollector = (credentials, site = null, backend = envConfig.getCollectorBackend()) => {
+  if (backend === COLLECTOR_BACKENDS.XML) {
+    return new OmniLogicDataCollector(credentials, site, {
+      fallback: new PoolDataCollector(credentials, site)
+    });
+  }
+  return new PoolDataCollector(credentials, site);
+};
+
+module.exports = {
+  COLLECTOR_BACKENDS,
+  createPoolDataCollector
+};
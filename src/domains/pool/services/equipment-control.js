@@ -0,0 +1,298 @@
+/**
+ * Equipment Control Service
+ * Drives Hayward settings page postbacks to change equipment state
+ */
+
+const cheerio = require('cheerio');
+const { POOL_CONSTANTS, buildSystemUrl } = require('../../../utils/constants');
+const { POOL_SYSTEM } = require('../../../config');
+const { parseFilterData, parseHeaterData, parseChlorinatorData, parseLightsData } = require('../../../services/poolDataParser');
+const { influxDBService } = require('../../../services/influxDBService');
+
+// Supported equipment, the settings page that controls it and the command it accepts
+// toggle lists the id/name fragments of the equipment's own on/off radios
+const EQUIPMENT = {
+  pump: {
+    label: 'Filter Pump',
+    endpoint: POOL_CONSTANTS.ENDPOINTS.FILTER_SETTINGS,
+    command: 'state',
+    toggle: ['Pump', 'Filter'],
+    parse: parseFilterData
+  },
+  heater: {
+    label: 'Heater',
+    endpoint: POOL_CONSTANTS.ENDPOINTS.HEATER_SETTINGS,
+    command: 'setpoint',
+    selectors: ['input[id*="TargetTemp"]', 'input[id*="txtTemp"]', 'input[id*="hdnTemp"]'],
+    parse: parseHeaterData
+  },
+  chlorinator: {
+    label: 'Chlorinator',
+    endpoint: POOL_CONSTANTS.ENDPOINTS.CHLORINATOR_SETTINGS,
+    command: 'output',
+    selectors: ['input[id*="Output"]', 'input[id*="Percent"]', 'input[id*="hdnChlor"]'],
+    parse: parseChlorinatorData
+  },
+  lights: {
+    label: 'Lights',
+    endpoint: POOL_CONSTANTS.ENDPOINTS.LIGHTS_SETTINGS,
+    command: 'state',
+    toggle: ['Light'],
+    parse: parseLightsData
+  }
+};
+
+class EquipmentControlService {
+  /**
+   * @param {import('../../../services/HaywardSession')} session - Authenticated Hayward session
+   * @param {object} [options]
+   * @param {object} [options.annotationStore] - Store used to log control annotations
+   * @param {import('../../../config/sites').Site} [options.site] - Site to control (defaults to the built-in system)
+   */
+  constructor(session, options = {}) {
+    this.session = session;
+    this.annotationStore = options.annotationStore || influxDBService;
+    this.site = options.site || null;
+  }
+
+  /**
+   * List the equipment that can be controlled and the command each accepts
+   */
+  static getSupportedEquipment() {
+    return Object.entries(EQUIPMENT).map(([name, definition]) => ({
+      equipment: name,
+      label: definition.label,
+      command: definition.command
+    }));
+  }
+
+  /**
+   * Validate a control command before anything is sent to Hayward
+   * @returns {string|null} Error message, or null when the command is valid
+   */
+  static validateCommand(equipment, command = {}) {
+    const definition = EQUIPMENT[equipment];
+    if (!definition) {
+      return `Unknown equipment "${equipment}". Supported: ${Object.keys(EQUIPMENT).join(', ')}`;
+    }
+
+    const value = command[definition.command];
+    if (value === undefined || value === null || value === '') {
+      return `"${definition.command}" is required to control the ${definition.label.toLowerCase()}`;
+    }
+
+    if (definition.command === 'state' && this.normalizeState(value) === null) {
+      return 'state must be "on" or "off"';
+    }
+
+    if (definition.command === 'setpoint') {
+      const { min, max } = POOL_SYSTEM.VALIDATION.HEATER_SETPOINT;
+      const setpoint = Number(value);
+      if (!Number.isFinite(setpoint) || setpoint < min || setpoint > max) {
+        return `setpoint must be a number between ${min} and ${max}`;
+      }
+    }
+
+    if (definition.command === 'output') {
+      const output = Number(value);
+      if (!Number.isInteger(output) || output < 0 || output > 100) {
+        return 'output must be an integer percentage between 0 and 100';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalize on/off input to a boolean
+   * @returns {boolean|null} true for on, false for off, null when unrecognized
+   */
+  static normalizeState(value) {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (['on', '1', 'true'].includes(text)) return true;
+    if (['off', '0', 'false'].includes(text)) return false;
+    return null;
+  }
+
+  /**
+   * Apply a command to a piece of equipment and confirm it by re-reading the page
+   * @param {string} equipment - pump, heater, chlorinator or lights
+   * @param {object} command - e.g. { state: 'on' }, { setpoint: 84 }, { output: 50 }
+   */
+  async control(equipment, command) {
+    const error = EquipmentControlService.validateCommand(equipment, command);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const definition = EQUIPMENT[equipment];
+    const path = buildSystemUrl(definition.endpoint, this.site);
+    const requested = definition.command === 'state'
+      ? EquipmentControlService.normalizeState(command.state)
+      : Number(command[definition.command]);
+
+    console.log(`🎛️ Setting ${definition.label} ${definition.command} to ${requested}`);
+
+    // Locate the control on the current page so we know which fields to post
+    const pageResponse = await this.session.makeRequest(path);
+    const $ = cheerio.load(pageResponse.data);
+    const previous = this.readControlValue($, definition);
+    const fields = this.buildPostbackFields($, definition, requested);
+
+    // Post back against the page just loaded rather than fetching it again
+    await this.session.postBack(path, fields, '', pageResponse);
+
+    // Re-read the page to confirm Hayward accepted the change
+    const confirmResponse = await this.session.makeRequest(path);
+    const actual = this.readControlValue(cheerio.load(confirmResponse.data), definition);
+    const confirmed = actual === requested;
+
+    if (confirmed) {
+      console.log(`✅ ${definition.label} ${definition.command} confirmed as ${actual}`);
+    } else {
+      console.warn(`⚠️ ${definition.label} ${definition.command} reads ${actual} after requesting ${requested}`);
+    }
+
+    const result = {
+      equipment,
+      command: definition.command,
+      previous,
+      requested,
+      actual,
+      confirmed,
+      data: definition.parse(confirmResponse.data),
+      timestamp: new Date().toISOString()
+    };
+
+    result.annotationStored = await this.storeControlAnnotation(definition, result);
+
+    return result;
+  }
+
+  /**
+   * Build the form fields that change the control to the requested value
+   */
+  buildPostbackFields($, definition, requested) {
+    const fields = {};
+
+    if (definition.command === 'state') {
+      const toggle = this.findToggle($, definition, requested);
+      if (!toggle) {
+        throw new Error(`Could not find the ${requested ? 'on' : 'off'} control for the ${definition.label.toLowerCase()}`);
+      }
+      fields[toggle.attr('name')] = toggle.val() || 'on';
+    } else {
+      const input = this.findInput($, definition.selectors);
+      if (!input) {
+        throw new Error(`Could not find the ${definition.command} field for the ${definition.label.toLowerCase()}`);
+      }
+      fields[input.attr('name')] = String(requested);
+    }
+
+    // Include the save button so the page treats the post as a submit
+    const saveButton = $('input[type="submit"][id*="Save"], input[type="submit"]').first();
+    if (saveButton.attr('name')) {
+      fields[saveButton.attr('name')] = saveButton.val() || 'Save';
+    }
+
+    return fields;
+  }
+
+  /**
+   * Read the current value of the control from a page
+   * @returns {boolean|number|null} Toggle state or numeric value, null when not found
+   */
+  readControlValue($, definition) {
+    if (definition.command === 'state') {
+      const checked = this.findToggleInputs($, definition, 'input[type="radio"][checked], input[type="checkbox"][checked]')
+        .find(input => this.classifyToggle($, input) !== null);
+      return checked ? this.classifyToggle($, checked) : null;
+    }
+
+    const input = this.findInput($, definition.selectors);
+    if (!input) return null;
+    const value = parseFloat(input.val());
+    return Number.isNaN(value) ? null : value;
+  }
+
+  /**
+   * Find the equipment's radio button that selects the requested on/off state
+   */
+  findToggle($, definition, requested) {
+    const radios = this.findToggleInputs($, definition, 'input[type="radio"][name]');
+    return radios.find(radio => this.classifyToggle($, radio) === requested) || null;
+  }
+
+  /**
+   * Inputs matching selector whose id or name belongs to the equipment's own control
+   */
+  findToggleInputs($, definition, selector) {
+    const fragments = definition.toggle.map(fragment => fragment.toLowerCase());
+    return $(selector).toArray().map(element => $(element)).filter(input => {
+      const key = `${input.attr('id') || ''} ${input.attr('name') || ''}`.toLowerCase();
+      return fragments.some(fragment => key.includes(fragment));
+    });
+  }
+
+  /**
+   * Decide whether a radio/checkbox represents "on" or "off"
+   * Only explicit On/Off values, id suffixes (e.g. rbPumpOn) or labels count, so ids like btnOption are ignored
+   * @returns {boolean|null}
+   */
+  classifyToggle($, input) {
+    const value = (input.val() || '').trim();
+    const id = input.attr('id') || '';
+    const label = id ? $(`label[for="${id}"]`).text().trim().toLowerCase() : '';
+
+    if (['off', '0', 'false'].includes(value.toLowerCase()) || /Off$/.test(value) || /Off$/.test(id) || label === 'off') return false;
+    if (['on', '1', 'true'].includes(value.toLowerCase()) || /On$/.test(value) || /On$/.test(id) || label === 'on') return true;
+    return null;
+  }
+
+  findInput($, selectors) {
+    for (const selector of selectors) {
+      const input = $(selector).filter('[name]').first();
+      if (input.length > 0) {
+        return input;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Log the control action as a pool annotation
+   */
+  async storeControlAnnotation(definition, result) {
+    const formatValue = (value) => {
+      if (typeof value === 'boolean') return value ? 'ON' : 'OFF';
+      return value === null ? 'unknown' : String(value);
+    };
+
+    const annotation = {
+      timestamp: result.timestamp,
+      title: `${definition.label} ${definition.command === 'state' ? formatValue(result.requested) : `${definition.command} ${formatValue(result.requested)}`}`,
+      description: `${definition.label} ${definition.command} changed from ${formatValue(result.previous)} to ${formatValue(result.actual)} via control API${result.confirmed ? '' : ' (not confirmed)'}`,
+      category: 'equipment_control',
+      site: this.site ? this.site.id : undefined,
+      metadata: {
+        equipment: result.equipment,
+        command: result.command,
+        previous: result.previous,
+        requested: result.requested,
+        actual: result.actual,
+        confirmed: result.confirmed,
+        source: 'control_api'
+      }
+    };
+
+    try {
+      return await this.annotationStore.storeAnnotation(annotation);
+    } catch (error) {
+      console.error('❌ Error storing equipment control annotation:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = { EquipmentControlService, EQUIPMENT };
@@ -4,8 +4,22 @@
 
 const { PoolSession } = require('./pool-session');
 const { PoolDataCollector } = require('./pool-data-collector');
+const { OmniLogicClient } = require('./omnilogic-client');
+const { OmniLogicDataCollector } = require('./omnilogic-collector');
+const { COLLECTOR_BACKENDS, createPoolDataCollector } = require('./collector-factory');
+const { EquipmentControlService } = require('./equipment-control');
+const { ScheduleService } = require('./schedule-service');
+const { findScheduleConflicts, findAllConflicts } = require('./schedule-conflicts');
 
 module.exports = {
   PoolSession,
-  PoolDataCollector
+  PoolDataCollector,
+  OmniLogicClient,
+  OmniLogicDataCollector,
+  COLLECTOR_BACKENDS,
+  createPoolDataCollector,
+  EquipmentControlService,
+  ScheduleService,
+  findScheduleConflicts,
+  findAllConflicts
 };
@@ -0,0 +1,149 @@
+/**
+ * OmniLogic API Client
+ * Talks to the Hayward OmniLogic XML-over-HTTPS API used by the official mobile apps
+ */
+
+const axios = require('axios');
+const { POOL_SYSTEM } = require('../../../config');
+const { OmniLogicParser } = require('../parsers/omnilogic-parser');
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+class OmniLogicClient {
+  /**
+   * @param {object} credentials - Hayward username and password
+   * @param {object} [options]
+   * @param {Function} [options.transport] - Sends a request ({url, data, headers, timeout}) and resolves to {status, data};
+   *   defaults to axios and can be replaced to replay recorded responses
+   * @param {string} [options.url] - API endpoint
+   */
+  constructor(credentials = {}, options = {}) {
+    this.credentials = credentials;
+    this.transport = options.transport || (request => axios.post(request.url, request.data, {
+      headers: request.headers,
+      timeout: request.timeout,
+      responseType: 'text',
+      validateStatus: () => true
+    }));
+    this.url = options.url || POOL_SYSTEM.OMNILOGIC_API_URL;
+    this.token = null;
+    this.userId = null;
+  }
+
+  /**
+   * Build an API request document
+   * @param {string} name - Operation name, e.g. GetTelemetryData
+   * @param {object} parameters - Parameter values (numbers are sent as int, everything else as String)
+   * @returns {string} XML request body
+   */
+  static buildRequest(name, parameters = {}) {
+    const params = Object.entries(parameters).map(([key, value]) => {
+      const dataType = typeof value === 'number' ? 'int' : 'String';
+      return `<Parameter name="${key}" dataType="${dataType}">${escapeXml(value)}</Parameter>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?><Request><Name>${name}</Name><Parameters>${params}</Parameters></Request>`;
+  }
+
+  /**
+   * Send an operation and return the raw response document
+   * Responses that carry a non-zero Status parameter are treated as errors
+   */
+  async call(name, parameters = {}) {
+    const headers = { 'Content-Type': 'text/xml', 'cache-control': 'no-cache' };
+    if (this.token) {
+      headers.Token = this.token;
+      headers.SiteID = parameters.MspSystemID !== undefined ? String(parameters.MspSystemID) : '';
+    }
+
+    const response = await this.transport({
+      url: this.url,
+      data: OmniLogicClient.buildRequest(name, parameters),
+      headers,
+      timeout: POOL_SYSTEM.DEFAULTS.TIMEOUT
+    });
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`OmniLogic ${name} failed with HTTP ${response.status}`);
+    }
+
+    const xml = typeof response.data === 'string' ? response.data : String(response.data || '');
+    const { Status, StatusMessage } = OmniLogicParser.parseParameters(xml);
+    if (Status !== undefined && Status !== '0') {
+      throw new Error(`OmniLogic ${name} failed: ${StatusMessage || `status ${Status}`}`);
+    }
+
+    return xml;
+  }
+
+  /**
+   * Log in and keep the API token
+   * @returns {Promise<boolean>} Whether authentication succeeded
+   */
+  async authenticate() {
+    try {
+      if (!this.credentials.username || !this.credentials.password) {
+        throw new Error('Username and password are required');
+      }
+
+      const xml = await this.call('Login', {
+        UserName: this.credentials.username,
+        Password: this.credentials.password
+      });
+      const { Token, UserID } = OmniLogicParser.parseParameters(xml);
+      if (!Token) {
+        throw new Error('Login response did not include a token');
+      }
+
+      this.token = Token;
+      this.userId = UserID || null;
+      console.log('✅ OmniLogic API authentication successful');
+      return true;
+    } catch (error) {
+      console.error('❌ OmniLogic API authentication error:', error.message);
+      this.token = null;
+      return false;
+    }
+  }
+
+  isAuthenticated() {
+    return Boolean(this.token);
+  }
+
+  /**
+   * @returns {Promise<Array<{mspSystemId: string, name: string|null}>>} Sites on the account
+   */
+  async getSiteList() {
+    const xml = await this.call('GetSiteList', { Token: this.token, UserID: this.userId });
+    return OmniLogicParser.parseSiteList(xml);
+  }
+
+  /**
+   * @param {string} mspSystemId - OmniLogic MSP system ID
+   * @returns {Promise<object>} Parsed MSP configuration
+   */
+  async getMspConfig(mspSystemId) {
+    const xml = await this.call('GetMspConfigFile', { Token: this.token, MspSystemID: Number(mspSystemId), Version: '0' });
+    return OmniLogicParser.parseMspConfig(xml);
+  }
+
+  /**
+   * @param {string} mspSystemId - OmniLogic MSP system ID
+   * @returns {Promise<string>} Telemetry (<STATUS>) document
+   */
+  async getTelemetry(mspSystemId) {
+    return this.call('GetTelemetryData', { Token: this.token, MspSystemID: Number(mspSystemId) });
+  }
+
+  cleanup() {
+    this.token = null;
+    this.userId = null;
+  }
+}
+
+module.exports = { OmniLogicClient };
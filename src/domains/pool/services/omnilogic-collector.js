@@ -0,0 +1,127 @@
+/**
+ * OmniLogic Data Collector
+ * Collects pool data through the OmniLogic XML API, falling back to HTML scraping when it fails
+ */
+
+const { OmniLogicClient } = require('./omnilogic-client');
+const { OmniLogicParser } = require('../parsers/omnilogic-parser');
+const { PoolData } = require('../entities/pool-data');
+
+class OmniLogicDataCollector {
+  /**
+   * @param {object} credentials - Hayward username and password
+   * @param {import('../../../config/sites').Site} [site] - Site to collect; omniLogicMspId / omniLogicBowId pick
+   *   the controller and body of water, otherwise the first ones on the account are used
+   * @param {object} [options]
+   * @param {OmniLogicClient} [options.client] - API client (defaults to one using the credentials)
+   * @param {{collectAllData: Function, cleanup?: Function}} [options.fallback] - Collector used when the API fails
+   */
+  constructor(credentials, site = null, options = {}) {
+    this.site = site;
+    this.client = options.client || new OmniLogicClient(credentials);
+    this.fallback = options.fallback || null;
+    this.config = null;
+    // Telemetry is structured XML, so only a scraping fallback produces a parse report
+    this.parseReport = null;
+  }
+
+  /**
+   * Collect all pool data
+   * @param {import('../../../services/collectionRunLedger').CollectionRun} [run] - Collection run to report the
+   *   telemetry call (and any fallback pages) to
+   * @returns {Promise<PoolData>} Pool data (schedules are not available from telemetry)
+   */
+  async collectAllData(run = null) {
+    this.parseReport = null;
+
+    try {
+      console.log('🏊‍♂️ Starting OmniLogic API data collection...');
+      if (run) run.source = 'omnilogic-api';
+      const poolData = run ? await run.track('telemetry', () => this.collectFromApi()) : await this.collectFromApi();
+      console.log('✅ OmniLogic API data collection completed successfully');
+      return poolData;
+    } catch (error) {
+      if (!this.fallback) {
+        console.error('❌ OmniLogic API data collection failed:', error.message);
+        throw error;
+      }
+      console.warn(`⚠️ OmniLogic API data collection failed (${error.message}), falling back to HTML scraping`);
+      const poolData = await this.fallback.collectAllData(run);
+      this.parseReport = this.fallback.parseReport || null;
+      return poolData;
+    } finally {
+      this.cleanup();
+    }
+  }
+
+  async collectFromApi() {
+    return this.parseTelemetry(await this.fetchTelemetry());
+  }
+
+  /**
+   * Log in if needed and fetch the controller's telemetry
+   * @returns {Promise<{mspSystemId: string, telemetry: string}>} Raw telemetry for parseTelemetry
+   */
+  async fetchTelemetry() {
+    if (!this.client.isAuthenticated()) {
+      const authenticated = await this.client.authenticate();
+      if (!authenticated) {
+        throw new Error('Failed to authenticate with the OmniLogic API');
+      }
+    }
+
+    const mspSystemId = await this.resolveMspSystemId();
+
+    // The MSP configuration only changes when equipment is reconfigured, so keep it for the collector's lifetime
+    if (!this.config) {
+      this.config = await this.client.getMspConfig(mspSystemId);
+    }
+
+    const telemetry = await this.client.getTelemetry(mspSystemId);
+    return { mspSystemId, telemetry };
+  }
+
+  /**
+   * Parse fetched telemetry into pool data for the site's body of water
+   * @param {{mspSystemId: string, telemetry: string}} fetched - Result of fetchTelemetry
+   * @returns {PoolData} Pool data (schedules are not available from telemetry)
+   */
+  parseTelemetry({ mspSystemId, telemetry }) {
+    const bowSystemId = this.site && this.site.omniLogicBowId;
+    const parsed = OmniLogicParser.parseTelemetry(telemetry, this.config, bowSystemId);
+
+    return new PoolData({
+      ...parsed,
+      system: {
+        ...(this.site ? { site: this.site.id } : {}),
+        source: 'omnilogic-api',
+        mspSystemId,
+        bowSystemId: OmniLogicParser.findBodyOfWater(this.config, bowSystemId)?.systemId || null
+      }
+    });
+  }
+
+  async resolveMspSystemId() {
+    if (this.site && this.site.omniLogicMspId) {
+      return this.site.omniLogicMspId;
+    }
+
+    const sites = await this.client.getSiteList();
+    if (sites.length === 0) {
+      throw new Error('No OmniLogic systems found for this account');
+    }
+    return sites[0].mspSystemId;
+  }
+
+  /**
+   * Cleanup resources
+   */
+  cleanup() {
+    this.client.cleanup();
+    if (this.fallback && typeof this.fallback.cleanup === 'function') {
+      this.fallback.cleanup();
+    }
+  }
+}
+
+module.exports = { OmniLogicDataCollector };
@@ -4,46 +4,64 @@
  */
 
 const { PoolSession } = require('./pool-session');
-const { PoolDataParser } = require('../parsers');
+const { PoolDataParser, DashboardParser, FilterParser, ChlorinatorParser, ParseReport } = require('../parsers');
 const { PoolData } = require('../entities/pool-data');
 const { buildSystemUrl, buildDashboardUrl } = require('../../../config');
 
 class PoolDataCollector {
-  constructor(credentials) {
+  /**
+   * @param {object} credentials - Hayward username and password
+   * @param {import('../../../config/sites').Site} [site] - Site to collect (defaults to the built-in system)
+   */
+  constructor(credentials, site = null) {
+    this.site = site;
     this.session = new PoolSession(credentials);
-    this.retryAttempts = 3;
-    this.retryDelay = 1000; // 1 second
+    this.parseReport = null;
   }
 
   /**
    * Collect all pool data
+   * @param {import('../../../services/collectionRunLedger').CollectionRun} [run] - Collection run to report each page's outcome to
    */
-  async collectAllData() {
+  async collectAllData(run = null) {
+    const track = (endpoint, collect) => (run ? run.track(endpoint, collect) : collect());
+
     try {
       console.log('🏊‍♂️ Starting pool data collection...');
 
+      // Parsers record which selector each field came from (see parserHealthTracker)
+      this.parseReport = new ParseReport();
+      if (run) run.source = 'html-scrape';
+
       // Authenticate if needed
       if (!this.session.isSessionValid()) {
         console.log('🔐 Session invalid, authenticating...');
-        const authenticated = await this.session.authenticate();
-        if (!authenticated) {
-          throw new Error('Failed to authenticate with pool system');
-        }
+        await track('login', async () => {
+          const authenticated = await this.session.authenticate();
+          if (!authenticated) {
+            throw new Error('Failed to authenticate with pool system');
+          }
+        });
       }
 
       // Collect data from various endpoints
       const [dashboardData, filterData, heaterData, chlorinatorData, lightsData, scheduleData] =
         await Promise.allSettled([
-          this.collectDashboardData(),
-          this.collectFilterData(),
-          this.collectHeaterData(),
-          this.collectChlorinatorData(),
-          this.collectLightsData(),
-          this.collectScheduleData()
+          track('dashboard', () => this.collectDashboardData()),
+          track('filter', () => this.collectFilterData()),
+          track('heater', () => this.collectHeaterData()),
+          track('chlorinator', () => this.collectChlorinatorData()),
+          track('lights', () => this.collectLightsData()),
+          track('schedules', () => this.collectScheduleData())
         ]);
+      if (run) run.addParseReport(this.parseReport);
 
       // Combine all data
       const combinedData = {
+        system: {
+          ...(this.site ? { site: this.site.id } : {}),
+          source: 'html-scrape'
+        },
         dashboard: this.getSettledValue(dashboardData),
         filter: this.getSettledValue(filterData),
         heater: this.getSettledValue(heaterData),
@@ -69,87 +87,70 @@ class PoolDataCollector {
    * Collect dashboard data
    */
   async collectDashboardData() {
-    const url = buildDashboardUrl();
+    const url = buildDashboardUrl(this.site);
     const html = await this.fetchWithRetry(url, 'dashboard');
-    return PoolDataParser.parseAll(html).dashboard;
+    return DashboardParser.parse(html, this.parseReport);
   }
 
   /**
    * Collect filter/pump data
    */
   async collectFilterData() {
-    const url = buildSystemUrl('aspx/control/filter.aspx');
+    const url = buildSystemUrl('aspx/control/filter.aspx', this.site);
     const html = await this.fetchWithRetry(url, 'filter');
-    return PoolDataParser.parseAll(html).filter;
+    return FilterParser.parse(html, this.parseReport);
   }
 
   /**
    * Collect heater data
    */
   async collectHeaterData() {
-    const url = buildSystemUrl('aspx/control/heater.aspx');
+    const url = buildSystemUrl('aspx/control/heater.aspx', this.site);
     const html = await this.fetchWithRetry(url, 'heater');
-    return PoolDataParser.parseAll(html).heater;
+    return PoolDataParser.parseHeaterData(html, this.parseReport);
   }
 
   /**
    * Collect chlorinator data
    */
   async collectChlorinatorData() {
-    const url = buildSystemUrl('aspx/control/chlorinator.aspx');
+    const url = buildSystemUrl('aspx/control/chlorinator.aspx', this.site);
     const html = await this.fetchWithRetry(url, 'chlorinator');
-    return PoolDataParser.parseAll(html).chlorinator;
+    return ChlorinatorParser.parse(html, this.parseReport);
   }
 
   /**
    * Collect lights data
    */
   async collectLightsData() {
-    const url = buildSystemUrl('aspx/control/lights.aspx');
+    const url = buildSystemUrl('aspx/control/lights.aspx', this.site);
     const html = await this.fetchWithRetry(url, 'lights');
-    return PoolDataParser.parseAll(html).lights;
+    return PoolDataParser.parseLightsData(html, this.parseReport);
   }
 
   /**
    * Collect schedule data
    */
   async collectScheduleData() {
-    const url = buildSystemUrl('aspx/schedule/schedule.aspx');
+    const url = buildSystemUrl('aspx/schedule/schedule.aspx', this.site);
     const html = await this.fetchWithRetry(url, 'schedules');
-    return PoolDataParser.parseAll(html).schedules;
+    return PoolDataParser.parseSchedulesData(html);
   }
 
   /**
-   * Fetch data with retry logic
+   * Fetch a page's HTML
+   * PoolSession retries transient failures with backoff and stops once the Hayward circuit opens
    */
   async fetchWithRetry(url, dataType) {
-    let lastError;
-
-    for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
-      try {
-        console.log(`📡 Fetching ${dataType} data (attempt ${attempt}/${this.retryAttempts})`);
-
-        const response = await this.session.makeRequest(url);
-        if (response.data) {
-          console.log(`✅ ${dataType} data fetched successfully`);
-          return response.data;
-        }
-        throw new Error(`No data received for ${dataType}`);
-
-      } catch (error) {
-        lastError = error;
-        console.warn(`⚠️ Attempt ${attempt} failed for ${dataType}:`, error.message);
-
-        if (attempt < this.retryAttempts) {
-          console.log(`🔄 Retrying in ${this.retryDelay}ms...`);
-          await this.sleep(this.retryDelay);
-          this.retryDelay *= 2; // Exponential backoff
-        }
-      }
+    console.log(`📡 Fetching ${dataType} data`);
+
+    const response = await this.session.makeRequest(url);
+    if (!response.data) {
+      throw new Error(`No data received for ${dataType}`);
     }
 
-    console.error(`❌ All ${this.retryAttempts} attempts failed for ${dataType}`);
-    throw lastError;
+    console.log(`✅ ${dataType} data fetched successfully`);
+    return response.data;
   }
 
   /**
@@ -164,13 +165,6 @@ class PoolDataCollector {
 
   }
 
-  /**
-   * Sleep utility
-   */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   /**
    * Cleanup resources
    */
@@ -7,6 +7,7 @@ const axios = require('axios');
 const FormData = require('form-data');
 const { CookieJar } = require('tough-cookie');
 const { POOL_SYSTEM } = require('../../../config');
+const { haywardBreakers, getRequestTimeout, withRetry, withRequestResilience } = require('../../../services/haywardResilience');
 
 class PoolSession {
   constructor(credentials = {}) {
@@ -21,43 +22,57 @@ class PoolSession {
    * Authenticate with the Hayward system
    */
   async authenticate() {
+    if (!this.credentials.username || !this.credentials.password) {
+      console.error('❌ Authentication error: Username and password are required');
+      this.isAuthenticated = false;
+      return false;
+    }
+
+    // Shared with HaywardSession so neither keeps logging in once the account is being rejected
+    const authBreaker = haywardBreakers.auth;
+    if (!authBreaker.canRequest()) {
+      console.warn(`⚡ Skipping Hayward login: ${authBreaker.openError().message}`);
+      this.isAuthenticated = false;
+      return false;
+    }
+
     try {
       console.log('🔐 Starting authentication with Hayward system...');
 
-      if (!this.credentials.username || !this.credentials.password) {
-        throw new Error('Username and password are required');
-      }
-
       const loginUrl = `${POOL_SYSTEM.BASE_URL}${POOL_SYSTEM.ENDPOINTS.LOGIN}`;
       const formData = new FormData();
       formData.append('txtUsername', this.credentials.username);
       formData.append('txtPassword', this.credentials.password);
 
-      const response = await axios.post(loginUrl, formData, {
+      // Only connection failures are retried; a rejected login comes back as a response
+      const response = await withRetry(() => axios.post(loginUrl, formData, {
         headers: {
           ...formData.getHeaders(),
           'User-Agent': 'Mozilla/5.0 (compatible; Pool Monitor)'
         },
-        timeout: POOL_SYSTEM.DEFAULTS.TIMEOUT,
+        timeout: getRequestTimeout(loginUrl),
         maxRedirects: 5,
         validateStatus: () => true // Don't throw on non-2xx status
-      });
+      }));
 
       // Check for successful authentication
       if (this.isAuthenticationSuccessful(response)) {
         this.isAuthenticated = true;
         this.lastActivity = new Date();
         this.sessionId = this.extractSessionId(response);
+        authBreaker.recordSuccess();
 
         console.log('✅ Authentication successful');
         return true;
       }
       console.log('❌ Authentication failed');
+      authBreaker.recordFailure(`Login rejected with status ${response.status}`);
       return false;
 
     } catch (error) {
       console.error('❌ Authentication error:', error.message);
       this.isAuthenticated = false;
+      authBreaker.recordFailure(error);
       return false;
     }
   }
@@ -71,17 +86,19 @@ class PoolSession {
     }
 
     try {
-      const response = await axios({
+      const cookie = await this.getCookieHeader(url);
+      const method = options.method || 'GET';
+      const response = await withRequestResilience(() => axios({
         url,
         method: 'GET',
-        timeout: POOL_SYSTEM.DEFAULTS.TIMEOUT,
+        timeout: getRequestTimeout(url),
         headers: {
           'User-Agent': 'Mozilla/5.0 (compatible; Pool Monitor)',
-          'Cookie': await this.getCookieHeader(url),
+          'Cookie': cookie,
           ...options.headers
         },
         ...options
-      });
+      }), { idempotent: method.toUpperCase() === 'GET' });
 
       this.lastActivity = new Date();
       return response;
@@ -0,0 +1,81 @@
+/**
+ * Schedule Conflict Checker
+ * Flags overlapping schedules for equipment that must not be double-booked
+ */
+
+const { Schedule, DAY_NAMES } = require('../entities/schedule');
+
+// Equipment where two schedules running at once fight over the same device
+const CONFLICT_EQUIPMENT = ['pump', 'heater'];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Describe where two schedules overlap
+ * @param {Schedule} a
+ * @param {Schedule} b
+ * @returns {string[]} Names of the days on which the overlap starts
+ */
+const getOverlapDays = (a, b) => {
+  const days = new Set();
+  const bIntervals = b.getWeeklyIntervals();
+
+  a.getWeeklyIntervals().forEach(interval => {
+    bIntervals.forEach(other => {
+      if (interval.start < other.end && other.start < interval.end) {
+        days.add(Math.floor(Math.max(interval.start, other.start) / MINUTES_PER_DAY) % 7);
+      }
+    });
+  });
+
+  return [...days].sort((x, y) => x - y).map(day => DAY_NAMES[day]);
+};
+
+/**
+ * Find existing schedules that conflict with a candidate schedule
+ * @param {Schedule} candidate - Schedule about to be created or updated
+ * @param {Schedule[]} schedules - Schedules currently on the system
+ * @returns {Array<object>} Conflicts, empty when the candidate can be submitted
+ */
+const findScheduleConflicts = (candidate, schedules) => {
+  if (!candidate.enabled || !CONFLICT_EQUIPMENT.includes(candidate.equipment)) {
+    return [];
+  }
+
+  return schedules
+    .filter(existing =>
+      existing.enabled &&
+      existing.equipment === candidate.equipment &&
+      !(candidate.id && existing.id === candidate.id) &&
+      candidate.overlaps(existing)
+    )
+    .map(existing => ({
+      equipment: candidate.equipment,
+      schedule: existing.toJSON(),
+      days: getOverlapDays(candidate, existing),
+      message: `Overlaps "${existing.name || existing.equipment}" ${Schedule.formatTime(existing.startMinutes)}-${Schedule.formatTime(existing.endMinutes)}`
+    }));
+};
+
+/**
+ * Find every pair of conflicting schedules in a list
+ * @param {Schedule[]} schedules
+ * @returns {Array<object>} Pairwise conflicts
+ */
+const findAllConflicts = (schedules) => {
+  const conflicts = [];
+
+  schedules.forEach((schedule, index) => {
+    findScheduleConflicts(schedule, schedules.slice(index + 1)).forEach(conflict => {
+      conflicts.push({ ...conflict, with: schedule.toJSON() });
+    });
+  });
+
+  return conflicts;
+};
+
+module.exports = {
+  CONFLICT_EQUIPMENT,
+  findScheduleConflicts,
+  findAllConflicts
+};
@@ -0,0 +1,206 @@
+/**
+ * Schedule Service
+ * Reads and edits Hayward equipment schedules through settings page postbacks
+ */
+
+const cheerio = require('cheerio');
+const { POOL_CONSTANTS, buildSystemUrl, buildScheduleListUrl } = require('../../../utils/constants');
+const { parseSchedulesData } = require('../../../services/poolDataParser');
+const { Schedule, DAY_NAMES } = require('../entities/schedule');
+const { findScheduleConflicts } = require('./schedule-conflicts');
+
+class ScheduleService {
+  /**
+   * @param {import('../../../services/HaywardSession')} session - Authenticated Hayward session
+   * @param {import('../../../config/sites').Site} [site] - Site whose schedules to manage (defaults to the built-in system)
+   */
+  constructor(session, site = null) {
+    this.session = session;
+    this.site = site;
+  }
+
+  getListPath() {
+    return buildScheduleListUrl(this.site);
+  }
+
+  getEditPath(scheduleId = null) {
+    const path = buildSystemUrl(POOL_CONSTANTS.ENDPOINTS.SCHEDULE_EDIT, this.site);
+    return scheduleId ? `${path}&scheduleID=${encodeURIComponent(scheduleId)}` : path;
+  }
+
+  /**
+   * Fetch all schedules as normalized Schedule entities
+   * @returns {Promise<Schedule[]>}
+   */
+  async list() {
+    const response = await this.session.makeRequest(this.getListPath());
+    return parseSchedulesData(response.data).map(parsed => Schedule.fromParsed(parsed));
+  }
+
+  async get(scheduleId) {
+    const schedules = await this.list();
+    return schedules.find(schedule => schedule.id === scheduleId) || null;
+  }
+
+  /**
+   * Check a schedule against the schedules currently on the system
+   * @param {Schedule} schedule - Schedule to check
+   * @param {Schedule[]} [existing] - Current schedules (fetched when omitted)
+   */
+  async checkConflicts(schedule, existing = null) {
+    const schedules = existing || await this.list();
+    return findScheduleConflicts(schedule, schedules);
+  }
+
+  /**
+   * Create a new schedule on the system
+   * @param {Schedule} schedule - Validated schedule
+   * @returns {Promise<Schedule|null>} The schedule as listed after saving, null if not found
+   */
+  async create(schedule) {
+    const before = await this.list();
+    await this.submit(this.getEditPath(), schedule);
+
+    const after = await this.list();
+    const knownIds = new Set(before.map(existing => existing.id));
+    return after.find(saved => !knownIds.has(saved.id) && this.matches(saved, schedule)) ||
+      after.find(saved => this.matches(saved, schedule)) || null;
+  }
+
+  /**
+   * Replace an existing schedule
+   * @param {string} scheduleId - Hayward schedule ID
+   * @param {Schedule} schedule - Validated schedule
+   * @returns {Promise<Schedule|null>} The schedule as listed after saving
+   */
+  async update(scheduleId, schedule) {
+    await this.submit(this.getEditPath(scheduleId), schedule);
+    return await this.get(scheduleId);
+  }
+
+  /**
+   * Delete a schedule by raising the delete postback from its row in the list
+   * @param {string} scheduleId - Hayward schedule ID
+   * @returns {Promise<boolean>} True if the schedule is gone afterwards
+   */
+  async remove(scheduleId) {
+    const listPath = this.getListPath();
+    const response = await this.session.makeRequest(listPath);
+    const postBackCall = this.findDeletePostBack(cheerio.load(response.data), scheduleId);
+
+    if (!postBackCall) {
+      throw new Error(`Could not find a delete action for schedule ${scheduleId}`);
+    }
+
+    await this.session.postBack(listPath, { __EVENTARGUMENT: postBackCall.argument }, postBackCall.target);
+    return (await this.get(scheduleId)) === null;
+  }
+
+  /**
+   * Post the schedule edit form with the schedule's values
+   */
+  async submit(path, schedule) {
+    const page = await this.session.makeRequest(path);
+    const fields = this.buildFormFields(cheerio.load(page.data), schedule);
+    console.log(`📅 Submitting ${schedule.equipment} schedule ${Schedule.formatTime(schedule.startMinutes)}-${Schedule.formatTime(schedule.endMinutes)}`);
+    return await this.session.postBack(path, fields);
+  }
+
+  /**
+   * Map a schedule onto the fields of the Hayward schedule edit form
+   */
+  buildFormFields($, schedule) {
+    const fields = {};
+    const named = (selector) => $(selector).filter('[name]').first();
+
+    const startInput = named('input[id*="StartTime"], select[id*="StartTime"]');
+    const endInput = named('input[id*="EndTime"], select[id*="EndTime"]');
+    if (!startInput.length || !endInput.length) {
+      throw new Error('Could not find the schedule start/end time fields');
+    }
+    fields[startInput.attr('name')] = Schedule.formatTime(schedule.startMinutes);
+    fields[endInput.attr('name')] = Schedule.formatTime(schedule.endMinutes);
+
+    const equipmentSelect = named('select[id*="Equipment"]');
+    if (equipmentSelect.length) {
+      const option = equipmentSelect.find('option').filter((index, element) =>
+        Schedule.inferEquipment($(element).text()) === schedule.equipment
+      ).first();
+      if (!option.length) {
+        throw new Error(`Hayward does not offer ${schedule.equipment} as a schedule target`);
+      }
+      fields[equipmentSelect.attr('name')] = option.val();
+    }
+
+    const nameInput = named('input[id*="ScheduleName"], input[id*="txtName"]');
+    if (nameInput.length && schedule.name) {
+      fields[nameInput.attr('name')] = schedule.name;
+    }
+
+    // One checkbox per day, matched on the id suffix so chkMonthly is not Monday;
+    // unchecked days must be left out of the post entirely
+    DAY_NAMES.forEach((dayName, day) => {
+      const checkbox = named(`input[type="checkbox"][id$="${dayName}"]`);
+      if (checkbox.length) {
+        fields[checkbox.attr('name')] = schedule.days.includes(day) ? (checkbox.val() || 'on') : null;
+      }
+    });
+
+    const settingInput = named('select[id*="Speed"], input[id*="Speed"], select[id*="Setting"], input[id*="Setting"]');
+    if (settingInput.length && schedule.setting !== null) {
+      const option = settingInput.is('select')
+        ? settingInput.find('option').filter((index, element) =>
+          $(element).text().trim().toLowerCase() === String(schedule.setting).toLowerCase() ||
+          $(element).val() === String(schedule.setting)
+        ).first()
+        : null;
+      fields[settingInput.attr('name')] = option && option.length ? option.val() : String(schedule.setting);
+    }
+
+    const enabledCheckbox = named('input[type="checkbox"][id*="Enable"]');
+    if (enabledCheckbox.length) {
+      fields[enabledCheckbox.attr('name')] = schedule.enabled ? (enabledCheckbox.val() || 'on') : null;
+    }
+
+    const saveButton = $('input[type="submit"][id*="Save"], input[type="submit"]').first();
+    if (saveButton.attr('name')) {
+      fields[saveButton.attr('name')] = saveButton.val() || 'Save';
+    }
+
+    return fields;
+  }
+
+  /**
+   * Find the __doPostBack call behind a schedule row's delete link
+   * @returns {{target: string, argument: string}|null}
+   */
+  findDeletePostBack($, scheduleId) {
+    let result = null;
+
+    $('tr').each((index, row) => {
+      const $row = $(row);
+      if (result || !($row.find('a[href]').map((i, link) => link.attribs.href).get().join(' ').includes(scheduleId))) {
+        return;
+      }
+
+      $row.find('a[href*="__doPostBack"]').each((i, link) => {
+        const $link = $(link);
+        const label = `${$link.attr('id') || ''} ${$link.text()}`;
+        const match = $link.attr('href').match(/__doPostBack\('([^']*)','([^']*)'\)/);
+        if (!result && match && /delete|remove/i.test(label)) {
+          result = { target: match[1], argument: match[2] };
+        }
+      });
+    });
+
+    return result;
+  }
+
+  matches(saved, schedule) {
+    return saved.equipment === schedule.equipment &&
+      saved.startMinutes === schedule.startMinutes &&
+      saved.endMinutes === schedule.endMinutes;
+  }
+}
+
+module.exports = { ScheduleService };
@@ -0,0 +1,44 @@
+const { siteRegistry } = require('../config/sites');
+
+/**
+ * @typedef {import('express').Request} ExpressRequest
+ * @typedef {import('express').Response} ExpressResponse
+ * @typedef {import('express').NextFunction} NextFunction
+ */
+
+const siteMiddleware = {
+  /**
+   * Resolve the `site` query parameter (or X-Pool-Site header) to a registered site
+   * Requests without one use the default site
+   * @param {ExpressRequest} req - Express request object
+   * @param {ExpressResponse} res - Express response object
+   * @param {NextFunction} next - Express next function
+   */
+  resolveSite(req, res, next) {
+    const requested = req.query.site || req.get('X-Pool-Site');
+    const site = siteRegistry.resolve(requested);
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown site',
+        message: `No site with id "${requested}"`,
+        sites: siteRegistry.getSites().map(({ id }) => id)
+      });
+    }
+
+    req.site = site;
+    next();
+  },
+
+  /**
+   * Site for a request, falling back to the default site when the middleware did not run
+   * @param {ExpressRequest} req - Express request object
+   * @returns {import('../config/sites').Site} The request's site
+   */
+  getRequestSite(req) {
+    return req.site || siteRegistry.getDefaultSite();
+  }
+};
+
+module.exports = siteMiddleware;
@@ -0,0 +1,289 @@
+/**
+ * Metric Alert API Routes
+ * Alert rules with their current state, the alerts they opened and resolved,
+ * the notification channels with their delivery log, and silencing:
+ * acknowledgements, snoozes and quiet hours
+ */
+
+const express = require('express');
+const { alertEngine } = require('../services/alertEngine');
+const { notifier, EVENTS } = require('../services/notifier');
+const { alertSilencer, MAX_SNOOZE_HOURS } = require('../services/alertSilencer');
+const { siteRegistry } = require('../config/sites');
+const { parseQuietHours } = require('../config/environment');
+
+/** @type {import('express').Router} */
+const router = express.Router();
+
+// Longest window /events and /notifications cover (30 days)
+const MAX_EVENT_HOURS = 720;
+
+/**
+ * Get the alert rules and each rule's state per site
+ * GET /api/alerts/rules
+ */
+router.get('/rules', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: alertEngine.getRules()
+    });
+  } catch (error) {
+    console.error('Alert rules error:', error);
+    res.status(500).json({ error: 'Failed to get alert rules' });
+  }
+});
+
+/**
+ * Get alerts opened and resolved in the last hours, newest first, plus the alerts open now
+ * GET /api/alerts/events?hours=24&site=<id>
+ * Home alerts are not tied to a site and show up with the default site
+ */
+router.get('/events', async (req, res) => {
+  const hours = parseInt(req.query.hours, 10) || 24;
+  const siteId = req.query.site || null;
+
+  if (hours < 1 || hours > MAX_EVENT_HOURS) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: `hours must be between 1 and ${MAX_EVENT_HOURS}`
+    });
+  }
+  if (siteId && !siteRegistry.getSite(siteId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: `No site with id "${siteId}"`
+    });
+  }
+
+  try {
+    const [events, open] = await Promise.all([
+      alertEngine.getEvents({ hours, siteId }),
+      alertEngine.getOpenAlerts(siteId)
+    ]);
+
+    res.json({
+      success: true,
+      data: { open, events },
+      hours,
+      site: siteId
+    });
+  } catch (error) {
+    console.error('Alert events error:', error);
+    res.status(500).json({ error: 'Failed to get alert events' });
+  }
+});
+
+/**
+ * Get the notification channels and the delivery log, newest first
+ * GET /api/alerts/notifications?hours=24
+ */
+router.get('/notifications', async (req, res) => {
+  const hours = parseInt(req.query.hours, 10) || 24;
+
+  if (hours < 1 || hours > MAX_EVENT_HOURS) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: `hours must be between 1 and ${MAX_EVENT_HOURS}`
+    });
+  }
+
+  try {
+    const deliveries = await notifier.getDeliveries({ hours });
+
+    res.json({
+      success: true,
+      data: { channels: notifier.getChannels(), deliveries },
+      hours
+    });
+  } catch (error) {
+    console.error('Notification log error:', error);
+    res.status(500).json({ error: 'Failed to get notification deliveries' });
+  }
+});
+
+/**
+ * Send a test notification to one channel ({ "channel": "<id>" }) or all of them
+ * POST /api/alerts/notifications/test
+ */
+router.post('/notifications/test', async (req, res) => {
+  const channelId = (req.body && req.body.channel) || null;
+  const channels = notifier.getChannels();
+
+  if (channels.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: 'No notification channels are configured (NOTIFICATION_CHANNELS)'
+    });
+  }
+  if (channelId && !channels.some(channel => channel.id === channelId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: `No notification channel with id "${channelId}"`
+    });
+  }
+
+  try {
+    const deliveries = await notifier.sendTest(channelId);
+
+    res.json({
+      success: deliveries.every(delivery => delivery.status === 'sent'),
+      data: deliveries
+    });
+  } catch (error) {
+    console.error('Test notification error:', error);
+    res.status(500).json({ error: 'Failed to send test notification' });
+  }
+});
+
+/**
+ * Get quiet hours, the snoozes that have not ended and the acknowledged alerts
+ * GET /api/alerts/silence
+ */
+router.get('/silence', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await alertSilencer.getStatus()
+    });
+  } catch (error) {
+    console.error('Alert silence status error:', error);
+    res.status(500).json({ error: 'Failed to get alert silence status' });
+  }
+});
+
+/**
+ * Acknowledge a metric alert or NWS weather alert so it is not sent again
+ * POST /api/alerts/acknowledge { "alertId": "<id>", "note": "..." }
+ */
+router.post('/acknowledge', async (req, res) => {
+  const { alertId, note } = req.body || {};
+
+  if (!alertId || typeof alertId !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: 'alertId is required'
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      data: await alertSilencer.acknowledge(alertId, { note: note || null })
+    });
+  } catch (error) {
+    console.error('Alert acknowledge error:', error);
+    res.status(500).json({ error: 'Failed to acknowledge alert' });
+  }
+});
+
+/**
+ * Silence an alert rule or a notification event for some hours, e.g. during maintenance
+ * POST /api/alerts/snooze { "target": "salt-level" | "weather-alert" | ..., "hours": 4, "note": "..." }
+ */
+router.post('/snooze', async (req, res) => {
+  const { target, note } = req.body || {};
+  const hours = parseFloat(req.body && req.body.hours);
+  const targets = [...alertEngine.getRules().map(rule => rule.id), ...EVENTS];
+
+  if (!targets.includes(target)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: `target must be an alert rule or notification event: ${targets.join(', ')}`
+    });
+  }
+  if (!(hours >= 1 && hours <= MAX_SNOOZE_HOURS)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: `hours must be between 1 and ${MAX_SNOOZE_HOURS}`
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      data: await alertSilencer.snooze(target, hours, { note: note || null })
+    });
+  } catch (error) {
+    console.error('Alert snooze error:', error);
+    res.status(500).json({ error: 'Failed to snooze alerts' });
+  }
+});
+
+/**
+ * End a snooze early
+ * DELETE /api/alerts/snooze/:target
+ */
+router.delete('/snooze/:target', async (req, res) => {
+  try {
+    const ended = await alertSilencer.unsnooze(req.params.target);
+
+    if (!ended) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not snoozed',
+        message: `${req.params.target} is not snoozed`
+      });
+    }
+
+    res.json({
+      success: true,
+      target: req.params.target
+    });
+  } catch (error) {
+    console.error('Alert unsnooze error:', error);
+    res.status(500).json({ error: 'Failed to end snooze' });
+  }
+});
+
+/**
+ * Set quiet hours, replacing QUIET_HOURS until they are changed again
+ * PUT /api/alerts/quiet-hours { "quietHours": "22:00-07:00" }
+ */
+router.put('/quiet-hours', async (req, res) => {
+  const quietHours = req.body && req.body.quietHours;
+
+  if (typeof quietHours !== 'string' || !parseQuietHours(quietHours)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: 'quietHours must be HH:MM-HH:MM, e.g. 22:00-07:00'
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      data: await alertSilencer.setQuietHours(quietHours.trim())
+    });
+  } catch (error) {
+    console.error('Quiet hours error:', error);
+    res.status(500).json({ error: 'Failed to set quiet hours' });
+  }
+});
+
+/**
+ * Turn quiet hours off
+ * DELETE /api/alerts/quiet-hours
+ */
+router.delete('/quiet-hours', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await alertSilencer.setQuietHours(null)
+    });
+  } catch (error) {
+    console.error('Quiet hours error:', error);
+    res.status(500).json({ error: 'Failed to clear quiet hours' });
+  }
+});
+
+module.exports = router;
@@ -6,28 +6,25 @@ const express = require('express');
 // const { timeSeriesService, influxDBClient } = require('../domains/monitoring');
 
 // Legacy services (to be migrated gradually)
-const sessionManager = require('../services/sessionManager');
-const poolDataService = require('../services/poolDataService');
 const { influxDBService } = require('../services/influxDBService');
 const weatherService = require('../services/weatherService');
-const weatherAlertService = require('../services/weatherAlertService');
-const credentials = require('../utils/credentials');
+const { siteRegistry } = require('../config/sites');
+const {
+  weatherAlerts,
+  collectSiteData,
+  collectAllSites,
+  collectWeather,
+  checkWeatherAlerts,
+  backfillGaps,
+  checkStaleness,
+  replayQueuedWrites
+} = require('../services/collectionTasks');
+const { MAX_GAP_SCAN_HOURS } = require('../services/gapDetector');
+const { collectionScheduler } = require('../services/scheduler');
 
 /** @type {import('express').Router} */
 const router = express.Router();
 
-// Initialize weather alert service
-const weatherAlerts = new weatherAlertService();
-
-// Initialize the service when the module loads
-(async () => {
-  try {
-    await weatherAlerts.initialize();
-  } catch (error) {
-    console.error('Failed to initialize weather alert service:', error);
-  }
-})();
-
 /**
  * Weather alert cron job endpoint
  * Runs every 15 minutes via Vercel cron to check for new weather alerts
@@ -37,7 +34,7 @@ router.get('/check-alerts', async (req, res) => {
     console.log('⚠️ Alert cron job: Checking for weather alerts...');
 
     // Check for new weather alerts and store them
-    const alertResult = await weatherAlerts.checkAndStoreAlerts();
+    const alertResult = await checkWeatherAlerts();
 
     // Get current active alerts for response
     const activeAlerts = await weatherAlerts.getActiveAlerts();
@@ -72,43 +69,63 @@ router.get('/check-alerts', async (req, res) => {
   }
 });
 
+/**
+ * Resolve which sites a collection run covers (?site=<id> limits it to one)
+ * @param {import('express').Request} req - Express request object
+ * @returns {import('../config/sites').Site[]|null} Sites to collect, or null for an unknown site
+ */
+const getSitesToCollect = (req) => {
+  if (!req.query.site) {
+    return siteRegistry.getSites();
+  }
+  const site = siteRegistry.getSite(req.query.site);
+  return site ? [site] : null;
+};
+
 /**
  * Cron job endpoint for automated data collection
- * Runs every 5 minutes via Vercel cron
+ * Runs every 5 minutes via Vercel cron and collects every registered site
  */
 router.get('/collect-data', async (req, res) => {
   try {
     console.log('🕐 Cron job: Starting automated data collection...');
 
-    // Create a new session for the cron job
-    const sessionId = `cron-${Date.now()}`;
-    const session = sessionManager.getSession(sessionId);
-
-    // Authenticate using credentials
-    const creds = credentials.getAndValidateCredentials();
-    if (!creds) {
-      console.error('❌ Cron job: No valid credentials available');
-      return res.status(401).json({
-        error: 'Authentication failed',
-        message: 'No valid credentials available',
+    const sites = getSitesToCollect(req);
+    if (!sites) {
+      return res.status(404).json({
+        error: 'Unknown site',
+        message: `No site with id "${req.query.site}"`,
         timestamp: new Date().toISOString()
       });
     }
 
-    const authResult = await session.authenticate(creds.username, creds.password);
+    const results = [];
+    for (const site of sites) {
+      results.push(await collectSiteData(site, 'collect-data'));
+    }
 
-    if (!authResult.success) {
-      console.error('❌ Cron job: Authentication failed:', authResult.message);
-      return res.status(401).json({
-        error: 'Authentication failed',
-        message: authResult.message,
+    const collected = results.filter(result => result.success);
+    if (collected.length === 0) {
+      const authFailed = results.every(result => result.error === 'Authentication failed');
+      // Hayward is being left alone after repeated failures; not an error in this run
+      const circuitOpen = results.every(result => result.error === 'Circuit open');
+      let status = 500;
+      let error = 'Data collection failed';
+      if (authFailed) {
+        status = 401;
+        error = 'Authentication failed';
+      } else if (circuitOpen) {
+        status = 503;
+        error = 'Circuit open';
+      }
+      return res.status(status).json({
+        error,
+        message: results.map(result => `${result.site}: ${result.message}`).join('; '),
+        sites: results,
         timestamp: new Date().toISOString()
       });
     }
 
-    // Fetch all pool data (this will automatically store in InfluxDB)
-    const poolData = await poolDataService.fetchAllPoolData(session);
-
     // Debug: Check if data was stored in InfluxDB
     console.log('🔍 Pool data collection completed, checking InfluxDB storage...');
     const endTime = new Date();
@@ -136,18 +153,25 @@ router.get('/collect-data', async (req, res) => {
       console.warn('⚠️ Weather alert check failed during data collection:', alertError.message);
     }
 
-    console.log('✅ Cron job: Data collection completed successfully');
+    console.log(`✅ Cron job: Data collection completed for ${collected.length}/${results.length} sites`);
+
+    const summarize = (poolData) => ({
+      saltInstant: poolData.chlorinator?.salt?.instant || null,
+      cellTemp: poolData.chlorinator?.cell?.temperature?.value || null,
+      cellVoltage: poolData.chlorinator?.cell?.voltage || null,
+      waterTemp: poolData.dashboard?.temperature?.actual || null
+    });
 
     res.json({
       success: true,
-      message: 'Data collection completed',
+      message: collected.length === results.length
+        ? 'Data collection completed'
+        : `Data collection completed for ${collected.length} of ${results.length} sites`,
       timestamp: new Date().toISOString(),
-      dataPoints: {
-        saltInstant: poolData.chlorinator?.salt?.instant || null,
-        cellTemp: poolData.chlorinator?.cell?.temperature?.value || null,
-        cellVoltage: poolData.chlorinator?.cell?.voltage || null,
-        waterTemp: poolData.dashboard?.temperature?.actual || null
-      },
+      dataPoints: summarize(collected[0].poolData),
+      sites: results.map(({ poolData, ...result }) => (
+        poolData ? { ...result, dataPoints: summarize(poolData) } : result
+      )),
       weatherAlerts: alertInfo
     });
 
@@ -169,8 +193,8 @@ router.get('/collect-weather', async (req, res) => {
   try {
     console.log('🌤️ Weather cron job: Starting weather data collection...');
 
-    // Fetch current weather data
-    const weatherData = await weatherService.getCurrentWeather();
+    // Fetch current weather data and store it in InfluxDB
+    const weatherData = await collectWeather();
 
     if (!weatherData) {
       console.error('❌ Weather cron job: Failed to fetch weather data');
@@ -180,16 +204,6 @@ router.get('/collect-weather', async (req, res) => {
       });
     }
 
-    // Store weather data in InfluxDB
-    const timeSeriesPoint = {
-      timestamp: new Date().toISOString(),
-      weatherTemp: weatherData.temperature,
-      weatherHumidity: weatherData.humidity || null,
-      weatherSource: weatherData.source || 'unknown'
-    };
-
-    await influxDBService.storeDataPoint(timeSeriesPoint);
-
     console.log(`✅ Weather cron job: Weather data stored successfully (${weatherData.temperature}°F from ${weatherData.source})`);
 
     res.json({
@@ -219,32 +233,9 @@ router.get('/collect-all', async (req, res) => {
   const startTime = Date.now();
 
   try {
-    // Get credentials
-    const creds = credentials.getAndValidateCredentials();
-    if (!creds) {
-      console.error('❌ Failed to get credentials');
-      return res.status(500).json({ error: 'Failed to get credentials' });
-    }
-
-    // Create session for the cron job
-    const sessionId = `cron-consolidated-${Date.now()}`;
-    const session = sessionManager.getSession(sessionId);
-
-    // Authenticate
-    const authResult = await session.authenticate(creds.username, creds.password);
-    if (!authResult.success) {
-      console.error('❌ Authentication failed for consolidated cron job');
-      return res.status(401).json({ error: 'Authentication failed' });
-    }
-
-    // Task 1: Collect pool data (daily)
+    // Task 1: Collect pool data for every site (daily)
     console.log('📊 Task 1: Collecting pool data...');
-    try {
-      const _poolData = await poolDataService.fetchAllPoolData(session);
-      console.log('✅ Pool data collection completed');
-    } catch (error) {
-      console.error('❌ Pool data collection failed:', error.message);
-    }
+    await collectAllSites('collect-all');
 
     // Task 2: Collect weather data (daily)
     console.log('🌤️ Task 2: Collecting weather data...');
@@ -258,7 +249,7 @@ router.get('/collect-all', async (req, res) => {
     // Task 3: Check weather alerts (daily)
     console.log('⚠️ Task 3: Checking weather alerts...');
     try {
-      const alertResult = await weatherAlerts.checkAndStoreAlerts();
+      const alertResult = await checkWeatherAlerts();
       console.log(`✅ Weather alert check completed: ${alertResult.newAlertsStored} new alerts`);
     } catch (error) {
       console.error('❌ Weather alert check failed:', error.message);
@@ -284,4 +275,112 @@ router.get('/collect-all', async (req, res) => {
   }
 });
 
+/**
+ * Data gap backfill cron job endpoint
+ * Replays queued writes, then records each new gap as a data_gap annotation and
+ * backfills it from the in-memory time series and OpenMeteo historical weather
+ */
+router.get('/backfill-gaps', async (req, res) => {
+  const hours = parseInt(req.query.hours, 10) || 24;
+  if (hours < 1 || hours > MAX_GAP_SCAN_HOURS) {
+    return res.status(400).json({
+      error: 'Invalid parameters',
+      message: `hours must be between 1 and ${MAX_GAP_SCAN_HOURS}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    console.log('🕳️ Gap cron job: Scanning for data gaps...');
+    const results = await backfillGaps(hours);
+
+    res.json({
+      success: true,
+      message: 'Data gap backfill completed',
+      hours,
+      sites: results,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Gap cron job: Backfill failed:', error);
+    res.status(500).json({
+      error: 'Gap backfill failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Staleness cron job: checks how old every site's readings are and opens or
+ * resolves the collection-stopped alert
+ */
+router.get('/check-staleness', async (req, res) => {
+  try {
+    const sites = await checkStaleness();
+
+    res.json({
+      success: true,
+      message: 'Staleness check completed',
+      sites,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Staleness cron job failed:', error);
+    res.status(500).json({
+      error: 'Staleness check failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Write queue cron job: replays InfluxDB writes queued while it was unreachable,
+ * in batches and up to a capped number per run
+ */
+router.get('/replay-writes', async (req, res) => {
+  try {
+    const result = await replayQueuedWrites();
+
+    res.json({
+      success: true,
+      message: 'Write queue replay completed',
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Write queue cron job failed:', error);
+    res.status(500).json({
+      error: 'Write queue replay failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * In-process scheduler status: each job's schedule, run counts and last run
+ */
+router.get('/scheduler', (req, res) => {
+  res.json({
+    ...collectionScheduler.getStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Next run of each scheduled job, soonest first
+ */
+router.get('/scheduler/next', (req, res) => {
+  res.json({
+    enabled: collectionScheduler.started,
+    nextRuns: collectionScheduler.getNextRuns(),
+    timestamp: new Date().toISOString()
+  });
+});
+
 module.exports = router;
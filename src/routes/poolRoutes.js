@@ -7,13 +7,43 @@ const { timeSeriesService } = require('../domains/monitoring');
 // Legacy services (to be migrated gradually)
 const { influxDBService } = require('../services/influxDBService');
 const pumpStateTracker = require('../services/pumpStateTracker');
+const { equipmentStateTracker } = require('../services/equipmentStateTracker');
+const parserHealthTracker = require('../services/parserHealthTracker');
+const { gapDetector, MAX_GAP_SCAN_HOURS } = require('../services/gapDetector');
+const { pumpAnalytics } = require('../services/pumpAnalytics');
+const { saltDosing } = require('../services/saltDosing');
+const { chlorineGeneration } = require('../services/chlorineGeneration');
+const { cellHealth } = require('../services/cellHealth');
+const { waterTempForecast } = require('../services/waterTempForecast');
+const { getMostRecentPoolData } = require('../services/collectionPipeline');
+const { waterChemistry, parseWaterTest } = require('../services/waterChemistry');
+const { stalenessWatchdog } = require('../services/stalenessWatchdog');
 const weatherAlertService = require('../services/weatherAlertService');
 const weatherService = require('../services/weatherService');
 const credentials = require('../utils/credentials');
+const { getRequestSite } = require('../middleware/site');
 
 /** @type {import('express').Router} */
 const router = express.Router();
 
+// Longest window /pump/analytics covers
+const MAX_PUMP_ANALYTICS_DAYS = 30;
+
+// Longest window the /salt/recommendation trend covers
+const MAX_SALT_TREND_DAYS = 90;
+
+// Longest window /chlorine/generation covers
+const MAX_CHLORINE_DAYS = 30;
+
+// Longest window the /cell/health resistance trend covers
+const MAX_CELL_HEALTH_DAYS = 180;
+
+// Furthest ahead /forecast/water-temp predicts
+const MAX_FORECAST_HOURS = 72;
+
+// Longest window of water tests /chemistry returns
+const MAX_CHEMISTRY_DAYS = 365;
+
 // Initialize weather alert service
 const weatherAlerts = new weatherAlertService();
 
@@ -30,6 +60,7 @@ const weatherAlerts = new weatherAlertService();
 router.get('/data', async (req, res) => {
   const requestStartTime = Date.now();
   console.log('🚀 /api/pool/data request started');
+  const site = getRequestSite(req);
 
   try {
     console.log('📊 Fetching current pool data from InfluxDB...');
@@ -42,11 +73,14 @@ router.get('/data', async (req, res) => {
     console.log(`🔍 Querying InfluxDB for data from ${queryStartTime.toISOString()} to ${endTime.toISOString()}`);
     const influxQueryStart = Date.now();
 
-    const dataPoints = await influxDBService.queryDataPoints(queryStartTime, endTime);
+    const dataPoints = await influxDBService.queryDataPoints(queryStartTime, endTime, site.id);
 
     const influxQueryTime = Date.now() - influxQueryStart;
     console.log(`📊 InfluxDB query completed in ${influxQueryTime}ms, returned ${dataPoints.length} data points`);
 
+    // The latest point may be hours old; say which metrics are stale (shared with /freshness for a minute)
+    const freshness = await stalenessWatchdog.getReport(site.id);
+
     if (dataPoints.length === 0) {
       const totalTime = Date.now() - requestStartTime;
       console.log(`❌ No data available after ${totalTime}ms`);
@@ -58,8 +92,10 @@ router.get('/data', async (req, res) => {
           filter: { status: null },
           weather: { temperature: null }
         },
+        site: site.id,
         source: 'influxdb',
         message: 'No data available yet',
+        freshness,
         performance: { totalTime }
       });
     }
@@ -189,8 +225,10 @@ router.get('/data', async (req, res) => {
     res.json({
       success: true,
       data: poolData,
+      site: site.id,
       timestamp: new Date().toISOString(),
       source: 'influxdb',
+      freshness,
       performance: {
         totalTime,
         influxQueryTime,
@@ -210,19 +248,21 @@ router.get('/data', async (req, res) => {
 
 // Get time series data for charts (sources from InfluxDB)
 router.get('/timeseries', async (req, res) => {
+  const site = getRequestSite(req);
+
   try {
     const hours = parseInt(req.query.hours) || 24;
     const endTime = new Date();
     const startTime = new Date(endTime.getTime() - (hours * 60 * 60 * 1000));
 
     // Try to get data from InfluxDB first
-    const dataPoints = await influxDBService.queryDataPoints(startTime, endTime);
-    const stats = await influxDBService.getStats();
+    const dataPoints = await influxDBService.queryDataPoints(startTime, endTime, site.id);
+    const stats = await influxDBService.getStats(site.id);
 
     // If InfluxDB is not available, fall back to in-memory storage
     if (dataPoints.length === 0) {
       console.log('InfluxDB data not available, falling back to in-memory storage');
-      const fallbackData = timeSeriesService.getDataPoints(hours);
+      const fallbackData = timeSeriesService.getDataPoints(hours, site.id);
       const fallbackStats = timeSeriesService.getMemoryStats();
 
       return res.json({
@@ -247,7 +287,7 @@ router.get('/timeseries', async (req, res) => {
     // Fall back to in-memory storage on error
     try {
       const hours = parseInt(req.query.hours) || 24;
-      const dataPoints = timeSeriesService.getDataPoints(hours);
+      const dataPoints = timeSeriesService.getDataPoints(hours, site.id);
       const stats = timeSeriesService.getMemoryStats();
 
       res.json({
@@ -282,12 +322,13 @@ router.get('/timeseries/stats', (req, res) => {
 // Get persistent time series data from InfluxDB
 router.get('/timeseries/persistent', async (req, res) => {
   try {
+    const site = getRequestSite(req);
     const hours = parseInt(req.query.hours) || 24;
     const endTime = new Date();
     const startTime = new Date(endTime.getTime() - (hours * 60 * 60 * 1000));
 
-    const dataPoints = await influxDBService.queryDataPoints(startTime, endTime);
-    const stats = await influxDBService.getStats();
+    const dataPoints = await influxDBService.queryDataPoints(startTime, endTime, site.id);
+    const stats = await influxDBService.getStats(site.id);
 
     res.json({
       success: true,
@@ -304,11 +345,12 @@ router.get('/timeseries/persistent', async (req, res) => {
 // Get annotations from InfluxDB
 router.get('/annotations', async (req, res) => {
   try {
+    const site = getRequestSite(req);
     const hours = parseInt(req.query.hours) || 24;
     const endTime = new Date();
     const startTime = new Date(endTime.getTime() - (hours * 60 * 60 * 1000));
 
-    const annotations = await influxDBService.queryAnnotations(startTime, endTime);
+    const annotations = await influxDBService.queryAnnotations(startTime, endTime, site.id);
 
     res.json({
       success: true,
@@ -335,7 +377,8 @@ router.post('/annotations', async (req, res) => {
       title,
       description: description || '',
       category: category || 'note',
-      metadata: metadata || {}
+      metadata: metadata || {},
+      site: getRequestSite(req).id
     };
 
     const success = await influxDBService.storeAnnotation(annotation);
@@ -358,7 +401,7 @@ router.post('/annotations', async (req, res) => {
 // Get InfluxDB statistics
 router.get('/influxdb/stats', async (req, res) => {
   try {
-    const stats = await influxDBService.getStats();
+    const stats = await influxDBService.getStats(getRequestSite(req).id);
 
     res.json({
       success: true,
@@ -373,14 +416,15 @@ router.get('/influxdb/stats', async (req, res) => {
 // Get pump state information and recent annotations
 router.get('/pump/state', async (req, res) => {
   try {
-    const currentState = pumpStateTracker.getCurrentState();
+    const site = getRequestSite(req);
+    const currentState = await pumpStateTracker.restore(site.id);
 
     // Get recent pump-related annotations
     const hours = parseInt(req.query.hours) || 24;
     const endTime = new Date();
     const startTime = new Date(endTime.getTime() - (hours * 60 * 60 * 1000));
 
-    const annotations = await influxDBService.queryAnnotations(startTime, endTime);
+    const annotations = await influxDBService.queryAnnotations(startTime, endTime, site.id);
     const pumpAnnotations = annotations.filter(ann =>
       ann.category === 'pump_state_change' ||
       ann.title?.includes('Pump') ||
@@ -399,6 +443,140 @@ router.get('/pump/state', async (req, res) => {
   }
 });
 
+// Get pump on/off changes derived from stored readings and annotations
+router.get('/pump/history', async (req, res) => {
+  const site = getRequestSite(req);
+  const hours = parseInt(req.query.hours, 10) || 24;
+
+  if (hours < 1 || hours > MAX_GAP_SCAN_HOURS) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: `hours must be between 1 and ${MAX_GAP_SCAN_HOURS}`
+    });
+  }
+
+  try {
+    const history = await pumpStateTracker.getStateHistory(site.id, { hours });
+
+    res.json({
+      success: true,
+      data: history,
+      hours
+    });
+  } catch (error) {
+    console.error('Pump state history error:', error);
+    res.status(500).json({ error: 'Failed to fetch pump state history' });
+  }
+});
+
+// Get the equipment change audit trail (pump, heater, chlorinator, lights, schedules, setpoints)
+router.get('/equipment/history', async (req, res) => {
+  const site = getRequestSite(req);
+  const hours = parseInt(req.query.hours, 10) || 24;
+
+  if (hours < 1 || hours > MAX_GAP_SCAN_HOURS) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: `hours must be between 1 and ${MAX_GAP_SCAN_HOURS}`
+    });
+  }
+
+  try {
+    const endTime = new Date();
+    const startTime = new Date(endTime.getTime() - (hours * 60 * 60 * 1000));
+    const categories = equipmentStateTracker.getCategories();
+
+    const annotations = await influxDBService.queryAnnotations(startTime, endTime, site.id);
+
+    res.json({
+      success: true,
+      data: {
+        changes: annotations.filter(annotation => categories.includes(annotation.category)),
+        tracking: ['pump', ...equipmentStateTracker.enabled.filter(name => name !== 'pump')]
+      },
+      hours
+    });
+  } catch (error) {
+    console.error('Equipment history fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch equipment history' });
+  }
+});
+
+// Get daily pump runtime, cycles, idle time and turnovers for the last N days (today included)
+router.get('/pump/analytics', async (req, res) => {
+  const site = getRequestSite(req);
+  const days = parseInt(req.query.days, 10) || 7;
+
+  if (days < 1 || days > MAX_PUMP_ANALYTICS_DAYS) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: `days must be between 1 and ${MAX_PUMP_ANALYTICS_DAYS}`
+    });
+  }
+
+  try {
+    const analytics = await pumpAnalytics.getAnalytics(site, { days });
+
+    res.json({
+      success: true,
+      data: analytics,
+      days
+    });
+  } catch (error) {
+    console.error('Pump analytics error:', error);
+    res.status(500).json({ error: 'Failed to calculate pump analytics' });
+  }
+});
+
+// Get parser health from the most recent collection (selector matches, confidence and drift)
+router.get('/parser-health', (req, res) => {
+  const site = getRequestSite(req);
+  const health = parserHealthTracker.getHealth(site.id);
+
+  if (!health) {
+    return res.status(404).json({
+      success: false,
+      error: 'No parser health yet',
+      message: `No pages have been parsed for site ${site.id} since the server started`
+    });
+  }
+
+  res.json({ success: true, data: health });
+});
+
+// Get stretches with no collected data (gaps already recorded as data_gap annotations are marked)
+router.get('/gaps', async (req, res) => {
+  const site = getRequestSite(req);
+  const hours = parseInt(req.query.hours, 10) || 24;
+
+  if (hours < 1 || hours > MAX_GAP_SCAN_HOURS) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: `hours must be between 1 and ${MAX_GAP_SCAN_HOURS}`
+    });
+  }
+
+  try {
+    const gaps = await gapDetector.detect(site.id, { hours });
+
+    res.json({
+      success: true,
+      data: {
+        gaps,
+        expectedIntervalMinutes: gapDetector.expectedIntervalMs / 60000
+      },
+      hours
+    });
+  } catch (error) {
+    console.error('Data gap detection error:', error);
+    res.status(500).json({ error: 'Failed to detect data gaps' });
+  }
+});
+
 // Get sparkline data for dashboard cards
 router.get('/sparklines', async (req, res) => {
   try {
@@ -408,7 +586,7 @@ router.get('/sparklines', async (req, res) => {
     const endTime = new Date();
     const startTime = new Date(endTime.getTime() - (4 * 60 * 60 * 1000));
 
-    const dataPoints = await influxDBService.queryDataPoints(startTime, endTime);
+    const dataPoints = await influxDBService.queryDataPoints(startTime, endTime, getRequestSite(req).id);
 
     if (dataPoints.length === 0) {
       return res.json({
@@ -474,7 +652,8 @@ router.get('/salt/average', async (req, res) => {
     // const startTime = new Date(endTime.getTime() - (24 * 60 * 60 * 1000));
 
     // Get data from the time series endpoint
-    const timeSeriesResponse = await fetch(`${req.protocol}://${req.get('host')}/api/pool/timeseries?hours=24`);
+    const site = getRequestSite(req);
+    const timeSeriesResponse = await fetch(`${req.protocol}://${req.get('host')}/api/pool/timeseries?hours=24&site=${encodeURIComponent(site.id)}`);
     if (!timeSeriesResponse.ok) {
       throw new Error('Failed to fetch time series data');
     }
@@ -524,6 +703,186 @@ router.get('/salt/average', async (req, res) => {
   }
 });
 
+// Get salt to add to reach the target level, the weekly salt loss and the projected low date
+router.get('/salt/recommendation', async (req, res) => {
+  const site = getRequestSite(req);
+  const days = parseInt(req.query.days, 10) || 30;
+
+  if (days < 1 || days > MAX_SALT_TREND_DAYS) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: `days must be between 1 and ${MAX_SALT_TREND_DAYS}`
+    });
+  }
+
+  try {
+    const recommendation = await saltDosing.getRecommendation(site, { days });
+
+    res.json({
+      success: true,
+      data: recommendation,
+      days
+    });
+  } catch (error) {
+    console.error('Salt recommendation error:', error);
+    res.status(500).json({ error: 'Failed to calculate salt recommendation' });
+  }
+});
+
+// Get estimated chlorine generation per day and the days it fell short of demand
+router.get('/chlorine/generation', async (req, res) => {
+  const site = getRequestSite(req);
+  const days = parseInt(req.query.days, 10) || 7;
+
+  if (days < 1 || days > MAX_CHLORINE_DAYS) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: `days must be between 1 and ${MAX_CHLORINE_DAYS}`
+    });
+  }
+
+  try {
+    // The cell type is only on the chlorinator page, so it comes from the latest collection
+    const cellType = getMostRecentPoolData(site.id)?.chlorinator?.cell?.type || null;
+    const generation = await chlorineGeneration.getGeneration(site, { days, cellType });
+
+    res.json({
+      success: true,
+      data: generation,
+      days
+    });
+  } catch (error) {
+    console.error('Chlorine generation error:', error);
+    res.status(500).json({ error: 'Failed to estimate chlorine generation' });
+  }
+});
+
+// Get the salt cell health score, resistance trend, operating hours and recommendations
+router.get('/cell/health', async (req, res) => {
+  const site = getRequestSite(req);
+  const days = parseInt(req.query.days, 10) || 60;
+
+  if (days < 1 || days > MAX_CELL_HEALTH_DAYS) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: `days must be between 1 and ${MAX_CELL_HEALTH_DAYS}`
+    });
+  }
+
+  try {
+    const health = await cellHealth.getHealth(site, { days });
+
+    res.json({
+      success: true,
+      data: health,
+      days
+    });
+  } catch (error) {
+    console.error('Cell health error:', error);
+    res.status(500).json({ error: 'Failed to calculate cell health' });
+  }
+});
+
+// Get how old the latest salt, water temperature, pump, weather and home readings are, and which are stale
+router.get('/freshness', async (req, res) => {
+  const site = getRequestSite(req);
+
+  try {
+    res.json({
+      success: true,
+      data: await stalenessWatchdog.getReport(site.id),
+      site: site.id
+    });
+  } catch (error) {
+    console.error('Data freshness error:', error);
+    res.status(500).json({ error: 'Failed to check data freshness' });
+  }
+});
+
+// Get the predicted water temperature for the coming hours from the weather forecast and the learned heat model
+router.get('/forecast/water-temp', async (req, res) => {
+  const site = getRequestSite(req);
+  const hours = parseInt(req.query.hours, 10) || 48;
+
+  if (hours < 1 || hours > MAX_FORECAST_HOURS) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: `hours must be between 1 and ${MAX_FORECAST_HOURS}`
+    });
+  }
+
+  try {
+    const forecast = await waterTempForecast.getForecast(site, { hours });
+
+    res.json({
+      success: true,
+      data: forecast,
+      hours
+    });
+  } catch (error) {
+    console.error('Water temperature forecast error:', error);
+    res.status(500).json({ error: 'Failed to forecast water temperature' });
+  }
+});
+
+// Get hand-tested water chemistry results with range checks and LSI
+router.get('/chemistry', async (req, res) => {
+  const site = getRequestSite(req);
+  const days = parseInt(req.query.days, 10) || 90;
+
+  if (days < 1 || days > MAX_CHEMISTRY_DAYS) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid parameters',
+      message: `days must be between 1 and ${MAX_CHEMISTRY_DAYS}`
+    });
+  }
+
+  try {
+    const chemistry = await waterChemistry.getTests(site, { days });
+
+    res.json({
+      success: true,
+      data: chemistry,
+      days
+    });
+  } catch (error) {
+    console.error('Water chemistry fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch water chemistry' });
+  }
+});
+
+// Log a hand-tested water chemistry result
+router.post('/chemistry', async (req, res) => {
+  const { values, errors } = parseWaterTest(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid water test',
+      message: errors.join('; ')
+    });
+  }
+
+  try {
+    const { test, stored } = await waterChemistry.recordTest(getRequestSite(req), values);
+
+    // Not stored means InfluxDB was unreachable and the test waits in the write queue (unless InfluxDB is not configured)
+    res.status(stored ? 201 : 202).json({
+      success: true,
+      queued: !stored && influxDBService.isConfigured(),
+      data: test
+    });
+  } catch (error) {
+    console.error('Water test storage error:', error);
+    res.status(500).json({ error: 'Failed to store water test' });
+  }
+});
+
 // Debug endpoint for salt average calculation (development only)
 router.get('/salt/debug', async (req, res) => {
   // Security: Only allow debug endpoints in development
@@ -541,7 +900,7 @@ router.get('/salt/debug', async (req, res) => {
     // Get raw data points
     const endTime = new Date();
     const startTime = new Date(endTime.getTime() - (24 * 60 * 60 * 1000));
-    const dataPoints = await influxDBService.queryDataPoints(startTime, endTime);
+    const dataPoints = await influxDBService.queryDataPoints(startTime, endTime, getRequestSite(req).id);
 
     // Filter for salt data
     const saltDataPoints = dataPoints.filter(dp => dp.saltInstant !== null && dp.saltInstant !== undefined);
@@ -623,10 +982,12 @@ router.get('/debug-influxdb', async (req, res) => {
 
 // Get currently active weather alerts
 router.get('/alerts', async (req, res) => {
+  const site = getRequestSite(req);
+
   try {
     console.log('⚠️ Fetching active weather alerts...');
 
-    const dashboardAlerts = await weatherAlerts.getDashboardAlerts();
+    const dashboardAlerts = await weatherAlerts.getDashboardAlerts(site.id);
 
     res.json({
       success: true,
@@ -813,6 +1174,7 @@ router.get('/test/mock-data', async (req, res) => {
     // Generate mock data point
     const mockData = {
       timestamp: new Date().toISOString(),
+      site: getRequestSite(req).id,
       saltInstant: 3200 + Math.floor(Math.random() * 200), // Random salt between 3200-3400
       waterTemp: 82 + Math.floor(Math.random() * 6), // Random temp between 82-88
       cellVoltage: 23.5 + Math.random() * 2, // Random voltage between 23.5-25.5
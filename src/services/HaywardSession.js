@@ -3,11 +3,13 @@ const cheerio = require('cheerio');
 const FormData = require('form-data');
 const { CookieJar } = require('tough-cookie');
 const { POOL_CONSTANTS } = require('../utils/constants');
+const { haywardBreakers, getRequestTimeout, withRetry, withRequestResilience } = require('./haywardResilience');
 
 /**
  * @typedef {object} AuthenticationResult
  * @property {boolean} success - Whether authentication was successful
  * @property {string} message - Authentication result message
+ * @property {boolean} [circuitOpen] - Set when login was skipped because of repeated recent failures
  */
 
 /**
@@ -17,17 +19,42 @@ const { POOL_CONSTANTS } = require('../utils/constants');
  * @property {object} [headers] - Request headers
  */
 
+/**
+ * @typedef {object} SerializedSession
+ * @property {string} userId - Session identifier
+ * @property {string|null} username - Account the session is logged in as
+ * @property {boolean} authenticated - Whether the session was logged in
+ * @property {number} lastActivity - Epoch ms of the last response
+ * @property {object} cookies - Serialized tough-cookie jar
+ */
+
+// Hayward redirects requests from an expired login to the login page
+const LOGIN_PATH_PATTERN = /login\.aspx/i;
+const LOGIN_FORM_PATTERN = /name=["']txtLoginName["']/i;
+
 /**
  * HaywardSession manages authentication and HTTP requests to Hayward OmniLogic
  */
 class HaywardSession {
   /**
    * @param {string} userId - Unique identifier for the user session
+   * @param {object} [options]
+   * @param {import('./sessionStore').SessionStore} [options.store] - Store the session is saved to after logging in
    */
-  constructor(userId) {
+  constructor(userId, options = {}) {
     /** @type {string} */
     this.userId = userId;
 
+    /** @type {import('./sessionStore').SessionStore|null} */
+    this.store = options.store || null;
+
+    /** @type {string|null} */
+    this.username = null;
+
+    // Kept in memory only so an expired login can be renewed; never persisted
+    /** @type {{username: string, password: string}|null} */
+    this.credentials = null;
+
     /** @type {CookieJar} */
     this.cookieJar = new CookieJar();
 
@@ -89,9 +116,19 @@ class HaywardSession {
    * @returns {Promise<AuthenticationResult>} Authentication result
    */
   async authenticate(username, password) {
+    const authBreaker = haywardBreakers.auth;
+    if (!authBreaker.canRequest()) {
+      const { message } = authBreaker.openError();
+      console.warn(`⚡ Skipping Hayward login: ${message}`);
+      this.authenticated = false;
+      return { success: false, message, circuitOpen: true };
+    }
+
+    const timeout = getRequestTimeout(POOL_CONSTANTS.ENDPOINTS.LOGIN);
+
     try {
       // First, get the login page to extract form data and viewstate
-      const loginPageResponse = await this.axiosInstance.get(POOL_CONSTANTS.ENDPOINTS.LOGIN);
+      const loginPageResponse = await withRetry(() => this.axiosInstance.get(POOL_CONSTANTS.ENDPOINTS.LOGIN, { timeout }));
       const $ = cheerio.load(loginPageResponse.data);
 
       // Extract ASP.NET WebForms viewstate and other hidden fields
@@ -122,8 +159,9 @@ class HaywardSession {
         formData.append(loginButton.attr('name'), loginButton.val() || 'Login');
       }
 
-      // Submit login form
+      // Submit login form (not retried: a second bad submission would count twice toward a lockout)
       const loginResponse = await this.axiosInstance.post('/Login.aspx', formData, {
+        timeout,
         headers: {
           ...formData.getHeaders(),
           'Referer': `${POOL_CONSTANTS.HAYWARD_BASE_URL}/Login.aspx`
@@ -137,24 +175,64 @@ class HaywardSession {
 
       if (!hasError && !hasLoginForm) {
         this.authenticated = true;
+        this.username = username;
+        this.credentials = { username, password };
+        authBreaker.recordSuccess();
+        await this.persist();
         return { success: true, message: 'Authentication successful' };
       }
+      this.authenticated = false;
+      authBreaker.recordFailure('Invalid credentials');
       return { success: false, message: 'Invalid credentials' };
 
     } catch (error) {
       console.error('Authentication error:', error.message);
+      this.authenticated = false;
+      authBreaker.recordFailure(error);
       return { success: false, message: `Authentication failed: ${error.message}` };
     }
   }
 
+  /**
+   * Reuses the current login when it belongs to the same account, otherwise logs in
+   * The credentials are remembered so makeRequest can log in again if Hayward expires the login
+   * @param {string} username - Hayward OmniLogic username/email
+   * @param {string} password - Hayward OmniLogic password
+   * @returns {Promise<AuthenticationResult & {reused: boolean}>} Authentication result
+   */
+  async ensureAuthenticated(username, password) {
+    if (this.authenticated && this.username === username && !this.isExpired()) {
+      this.credentials = { username, password };
+      return { success: true, message: 'Reusing existing session', reused: true };
+    }
+
+    const result = await this.authenticate(username, password);
+    return { ...result, reused: false };
+  }
+
+  /**
+   * Checks whether a response is the login page, which Hayward serves once a login has expired
+   * @param {import('axios').AxiosResponse} response - Response to check
+   * @returns {boolean} True if the login has expired
+   */
+  isLoginPage(response) {
+    const request = response.request || {};
+    const finalUrl = (request.res && request.res.responseUrl) || request.path || '';
+    if (LOGIN_PATH_PATTERN.test(finalUrl)) {
+      return true;
+    }
+    return typeof response.data === 'string' && LOGIN_FORM_PATTERN.test(response.data);
+  }
+
   /**
    * Makes an authenticated request to Hayward OmniLogic
    * @param {string} path - Request path
    * @param {RequestOptions} [options] - Request options
+   * @param {boolean} [isRetry] - Set on the single retry after logging in again
    * @returns {Promise<import('axios').AxiosResponse>} Response from Hayward OmniLogic
-   * @throws {Error} If not authenticated
+   * @throws {Error} If not authenticated, or the login expired and could not be renewed
    */
-  async makeRequest(path, options = {}) {
+  async makeRequest(path, options = {}, isRetry = false) {
     if (!this.authenticated) {
       throw new Error('Not authenticated');
     }
@@ -163,25 +241,41 @@ class HaywardSession {
     console.log(`🌐 Making request to: ${path}`);
 
     // Add timeout to prevent hanging requests
-    const timeout = 10000; // 10 seconds timeout
+    const timeout = getRequestTimeout(path);
+    const method = options.method || 'GET';
 
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-      const response = await this.axiosInstance({
-        url: path,
-        method: options.method || 'GET',
-        data: options.data,
-        headers: options.headers,
-        signal: controller.signal,
-        timeout
-      });
+      // Transient failures are retried with backoff; postbacks are not, in case the first one landed
+      const response = await withRequestResilience(async () => {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+        try {
+          return await this.axiosInstance({
+            url: path,
+            method,
+            data: options.data,
+            headers: options.headers,
+            signal: controller.signal,
+            timeout
+          });
+        } finally {
+          clearTimeout(timeoutId);
+        }
+      }, { idempotent: method.toUpperCase() === 'GET' });
 
-      clearTimeout(timeoutId);
       const requestTime = Date.now() - startTime;
+
+      if (this.isLoginPage(response)) {
+        return await this.handleExpiredLogin(path, options, isRetry);
+      }
+
       console.log(`✅ Request completed in ${requestTime}ms: ${path}`);
 
+      // Hayward renews its auth cookie as the login is used, so keep the stored copy current
+      if (response.headers && response.headers['set-cookie']) {
+        await this.persist();
+      }
+
       return response;
     } catch (error) {
       const requestTime = Date.now() - startTime;
@@ -195,6 +289,101 @@ class HaywardSession {
     }
   }
 
+  /**
+   * Logs in again after Hayward served the login page, then retries the request once
+   * @private
+   * @param {string} path - Request path
+   * @param {RequestOptions} options - Request options
+   * @param {boolean} isRetry - Whether the request was already retried
+   * @returns {Promise<import('axios').AxiosResponse>} Response to the retried request
+   * @throws {Error} If there are no credentials to log in with or logging in fails
+   */
+  async handleExpiredLogin(path, options, isRetry) {
+    this.authenticated = false;
+
+    if (!this.credentials || isRetry) {
+      await this.persist();
+      throw new Error('Hayward login expired');
+    }
+
+    console.log(`🔐 Hayward login expired, logging in again: ${path}`);
+    const { username, password } = this.credentials;
+    const authResult = await this.authenticate(username, password);
+    if (!authResult.success) {
+      throw new Error(`Hayward login expired and re-authentication failed: ${authResult.message}`);
+    }
+
+    return await this.makeRequest(path, options, true);
+  }
+
+  /**
+   * Extracts the WebForms state (viewstate, event validation and every other
+   * named input) from a settings page so it can be posted back
+   * @param {string} html - Raw HTML of the page
+   * @returns {Object<string, string>} Form field names mapped to their current values
+   */
+  extractFormState(html) {
+    const $ = cheerio.load(html);
+    const fields = {};
+
+    $('input[name]').each((index, element) => {
+      const input = $(element);
+      const name = input.attr('name');
+      const type = (input.attr('type') || 'text').toLowerCase();
+
+      // Buttons are only sent when clicked; unchecked boxes are never sent
+      if (type === 'submit' || type === 'button' || type === 'image') return;
+      if ((type === 'radio' || type === 'checkbox') && input.attr('checked') === undefined) return;
+
+      fields[name] = input.val() || '';
+    });
+
+    $('select[name]').each((index, element) => {
+      const select = $(element);
+      fields[select.attr('name')] = select.find('option[selected]').val() || select.find('option').first().val() || '';
+    });
+
+    return fields;
+  }
+
+  /**
+   * Performs an ASP.NET WebForms postback against a settings page
+   * Loads the page first (unless the caller already has it) so the current viewstate and event validation are sent back
+   * @param {string} path - Request path (including system query parameters)
+   * @param {Object<string, string|null>} fields - Form fields to override on the page (null drops a field, e.g. to uncheck a box)
+   * @param {string} [eventTarget] - Control that raised the postback (__EVENTTARGET)
+   * @param {import('axios').AxiosResponse} [page] - Response the caller already loaded for path
+   * @returns {Promise<import('axios').AxiosResponse>} Response to the postback
+   * @throws {Error} If not authenticated or the page has no viewstate
+   */
+  async postBack(path, fields = {}, eventTarget = '', page = null) {
+    const pageResponse = page || await this.makeRequest(path);
+    const formState = this.extractFormState(pageResponse.data);
+
+    if (!formState.__VIEWSTATE) {
+      throw new Error(`No viewstate found on ${path}`);
+    }
+
+    const merged = {
+      ...formState,
+      __EVENTTARGET: eventTarget,
+      __EVENTARGUMENT: '',
+      ...fields
+    };
+    const body = new URLSearchParams(
+      Object.entries(merged).filter(([, value]) => value !== null && value !== undefined)
+    );
+
+    return await this.makeRequest(path, {
+      method: 'POST',
+      data: body.toString(),
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Referer': `${POOL_CONSTANTS.HAYWARD_BASE_URL}${path}`
+      }
+    });
+  }
+
   /**
    * Checks if the session has expired
    * @returns {boolean} True if session has expired
@@ -203,6 +392,54 @@ class HaywardSession {
     const maxAge = 24 * 60 * 60 * 1000; // 24 hours
     return Date.now() - this.lastActivity > maxAge;
   }
+
+  /**
+   * Serializes the cookie jar and login state (credentials are never included)
+   * @returns {SerializedSession} Serialized session
+   */
+  toJSON() {
+    return {
+      userId: this.userId,
+      username: this.username,
+      authenticated: this.authenticated,
+      lastActivity: this.lastActivity,
+      cookies: this.cookieJar.serializeSync()
+    };
+  }
+
+  /**
+   * Saves the session to its store, if it has one
+   * A failed save only costs a login on the next run, so it is logged rather than thrown
+   * @returns {Promise<boolean>} Whether the session was saved
+   */
+  async persist() {
+    if (!this.store) {
+      return false;
+    }
+
+    try {
+      await this.store.save(this.userId, this.toJSON());
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ Could not save session ${this.userId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Restores a session saved with toJSON
+   * @param {SerializedSession} data - Serialized session
+   * @param {object} [options] - Constructor options (e.g. the store to keep saving to)
+   * @returns {HaywardSession} Restored session
+   */
+  static fromJSON(data, options = {}) {
+    const session = new HaywardSession(data.userId, options);
+    session.cookieJar = CookieJar.deserializeSync(data.cookies);
+    session.username = data.username || null;
+    session.authenticated = Boolean(data.authenticated);
+    session.lastActivity = data.lastActivity || 0;
+    return session;
+  }
 }
 
 module.exports = HaywardSession;
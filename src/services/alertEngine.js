@@ -0,0 +1,521 @@
+/**
+ * Alert Engine
+ * Checks the readings of every collection against per-metric alert rules.
+ * A reading out of range has to last for the rule's forMinutes before its
+ * alert opens, and an open alert resolves once the value is back inside the
+ * range by the rule's hysteresis. Openings and resolutions are stored as
+ * alert events and sent to the notification channels; alerts still open are
+ * sent again every ALERT_REPEAT_HOURS until they are acknowledged
+ */
+
+const { influxDBService } = require('./influxDBService');
+const { notifier } = require('./notifier');
+const { alertSilencer } = require('./alertSilencer');
+const { influxDBClient } = require('../domains/monitoring');
+const { POOL_SYSTEM } = require('../config/pool-constants');
+const { siteRegistry } = require('../config/sites');
+const { envConfig } = require('../config/environment');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// How far back open alerts are looked up after a restart (7 days)
+const RESTORE_HOURS = 168;
+
+// Events kept in memory for when InfluxDB is not connected
+const MAX_MEMORY_EVENTS = 500;
+
+// Scope of the home rules, which are not tied to a site
+const HOME_SCOPE = 'home';
+
+/**
+ * Metrics rules can watch: pool metrics come from the collection's time series point, home metrics from the home sensor
+ * and watchdog metrics from the staleness watchdog's scheduled check
+ * @type {Object<string, {label: string, unit: string, source: string}>}
+ */
+const METRICS = {
+  saltInstant: { label: 'Salt level', unit: 'ppm', source: 'pool' },
+  waterTemp: { label: 'Water temperature', unit: '°F', source: 'pool' },
+  cellVoltage: { label: 'Cell voltage', unit: 'V', source: 'pool' },
+  homeTemperature: { label: 'Home temperature', unit: '°F', source: 'home' },
+  homeHumidity: { label: 'Home humidity', unit: '%', source: 'home' },
+  collectionAge: { label: 'Pool data age', unit: 'min', source: 'watchdog' }
+};
+
+const RULE_DEFAULTS = {
+  min: null,
+  max: null,
+  forMinutes: 0,
+  hysteresis: 0,
+  pumpOnly: false,
+  severity: 'warning',
+  enabled: true
+};
+
+/**
+ * @typedef {object} AlertRule
+ * @property {string} id - Rule ID
+ * @property {string} metric - Metric watched (a key of METRICS)
+ * @property {string} label - Metric name used in messages
+ * @property {string} unit - Metric unit
+ * @property {string} source - 'pool', 'home' or 'watchdog'
+ * @property {number|null} min - Lowest value in range (null for no lower limit)
+ * @property {number|null} max - Highest value in range (null for no upper limit)
+ * @property {number} forMinutes - How long a value must stay out of range before the alert opens
+ * @property {number} hysteresis - How far back inside the range a value must be to resolve the alert
+ * @property {boolean} pumpOnly - Only check readings taken while the filter pump runs (the sensors sit in the plumbing)
+ * @property {string} severity - 'warning' or 'critical'
+ * @property {boolean} enabled - Whether the rule is checked
+ */
+
+/**
+ * @typedef {object} AlertEvent
+ * @property {string} id - Alert ID, shared by the alert's open and resolved events
+ * @property {string} ruleId - Rule that fired
+ * @property {string} metric - Metric watched
+ * @property {string|null} site - Site the reading came from (null for home alerts)
+ * @property {string} state - 'open' or 'resolved'
+ * @property {string} direction - 'low' or 'high'
+ * @property {number} value - Reading that opened or resolved the alert
+ * @property {number} threshold - Limit that was crossed
+ * @property {string} severity - Rule severity
+ * @property {string} message - What happened, e.g. "Salt level is 2650 ppm, below the 2700 ppm minimum"
+ * @property {string} startedAt - ISO timestamp the value first went out of range
+ * @property {string} timestamp - ISO timestamp of the event
+ */
+
+/**
+ * Default rules, one per metric
+ * @returns {Array<object>} Rules before defaults are filled in
+ */
+const defaultRules = () => [
+  // The salt reading is noisy, so a low reading has to last half an hour
+  { id: 'salt-level', metric: 'saltInstant', min: POOL_SYSTEM.VALIDATION.SALT.low, max: 4000, forMinutes: 30, hysteresis: 50, pumpOnly: true },
+  { id: 'water-temperature', metric: 'waterTemp', min: 40, max: envConfig.getForecastWarningConfig().waterTempLimitF, forMinutes: 15, hysteresis: 1, pumpOnly: true },
+  { id: 'cell-voltage', metric: 'cellVoltage', min: 18, max: 30, forMinutes: 15, hysteresis: 0.5, pumpOnly: true },
+  { id: 'home-temperature', metric: 'homeTemperature', min: 60, max: 85, forMinutes: 30, hysteresis: 1 },
+  { id: 'home-humidity', metric: 'homeHumidity', min: 30, max: 60, forMinutes: 60, hysteresis: 2 },
+  // No collection has stored pool data for longer than the pool staleness limit
+  { id: 'collection-stopped', metric: 'collectionAge', max: envConfig.getStalenessConfig().poolMinutes, severity: 'critical' }
+];
+
+/**
+ * Merge rule changes into the default rules by id; changes with a new id add a rule
+ * @param {Array<object>} changes - Rule changes (ALERT_RULES)
+ * @returns {Array<AlertRule>} Rules
+ */
+const buildRules = (changes = []) => {
+  const rules = defaultRules();
+  changes.forEach(change => {
+    const existing = rules.find(rule => rule.id === change.id);
+    if (existing) {
+      Object.assign(existing, change);
+    } else {
+      rules.push({ ...change });
+    }
+  });
+
+  return rules.map(rule => {
+    const metric = METRICS[rule.metric];
+    if (!metric) {
+      throw new Error(`Alert rule ${rule.id} has an unknown metric: ${rule.metric}`);
+    }
+    return { ...RULE_DEFAULTS, ...metric, ...rule };
+  });
+};
+
+/**
+ * Rules from ALERT_RULES; rules that do not build (e.g. an unknown metric) fall
+ * back to the defaults instead of stopping everything that requires the engine
+ * @returns {Array<AlertRule>} Rules
+ */
+const buildConfiguredRules = () => {
+  try {
+    return buildRules(envConfig.getAlertRulesConfig().rules);
+  } catch (error) {
+    console.warn(`⚠️  ${error.message} in ALERT_RULES, using the default alert rules`);
+    return buildRules();
+  }
+};
+
+const withUnit = (value, unit) => (/^[%°]/.test(unit) ? `${value}${unit}` : `${value} ${unit}`);
+
+/**
+ * Which side of a rule's range a value is on
+ * @param {AlertRule} rule - Rule
+ * @param {number} value - Reading
+ * @returns {string|null} 'low', 'high', or null when in range
+ */
+const breachDirection = (rule, value) => {
+  if (rule.min !== null && value < rule.min) return 'low';
+  if (rule.max !== null && value > rule.max) return 'high';
+  return null;
+};
+
+/**
+ * Whether a value is far enough back inside the range to resolve an alert
+ * @param {AlertRule} rule - Rule
+ * @param {string} direction - Direction the alert opened in
+ * @param {number} value - Reading
+ * @returns {boolean} Whether the alert resolves
+ */
+const isCleared = (rule, direction, value) => (direction === 'low'
+  ? value >= rule.min + rule.hysteresis
+  : value <= rule.max - rule.hysteresis);
+
+const siteOf = scope => (scope === HOME_SCOPE ? null : scope);
+
+class AlertEngine {
+  /**
+   * @param {object} [options]
+   * @param {Array<object>} [options.rules] - Rule changes merged into the defaults; throws on an unknown metric (default ALERT_RULES, which falls back to the defaults)
+   */
+  constructor({ rules } = {}) {
+    /** @type {AlertRule[]} */
+    this.rules = rules ? buildRules(rules) : buildConfiguredRules();
+    // Rule state per scope (site id, or 'home') and rule: ok, pending (out of range since) or open (last notified at)
+    this.states = new Map();
+    /** @type {AlertEvent[]} */
+    this.events = [];
+    this.restored = false;
+    this.restoring = null;
+  }
+
+  /**
+   * Check a rule against one reading
+   * @param {AlertRule} rule - Rule to check
+   * @param {string} scope - Site id, or 'home' for home rules
+   * @param {{value: number|null, timestamp: string, pumpOn?: boolean}|null} reading - Reading
+   * @returns {AlertEvent|null} Event when the reading opened or resolved an alert
+   */
+  evaluate(rule, scope, reading) {
+    if (!rule.enabled || !reading || typeof reading.value !== 'number' || !Number.isFinite(reading.value)) {
+      return null;
+    }
+
+    const key = `${scope}:${rule.id}`;
+    const time = new Date(reading.timestamp).getTime();
+    const state = this.states.get(key) || { scope, ruleId: rule.id, status: 'ok' };
+
+    // Home readings are checked after every site's collection; each one only counts once
+    if (state.lastTime !== undefined && time <= state.lastTime) {
+      return null;
+    }
+
+    if (rule.pumpOnly && !reading.pumpOn) {
+      // A breach has to be sustained while the pump runs; open alerts wait for the next pump-on reading
+      if (state.status === 'pending') {
+        this.states.set(key, { scope, ruleId: rule.id, status: 'ok', lastTime: state.lastTime, value: state.value });
+      }
+      return null;
+    }
+
+    state.lastTime = time;
+    state.value = reading.value;
+    this.states.set(key, state);
+
+    if (state.status === 'open') {
+      if (!isCleared(rule, state.alert.direction, reading.value)) {
+        return null;
+      }
+      this.states.set(key, { scope, ruleId: rule.id, status: 'ok', lastTime: time, value: reading.value });
+      return this.buildEvent(rule, scope, state.alert, 'resolved', reading);
+    }
+
+    const direction = breachDirection(rule, reading.value);
+    if (!direction) {
+      Object.assign(state, { status: 'ok', direction: null, since: null });
+      return null;
+    }
+
+    if (state.status !== 'pending' || state.direction !== direction) {
+      Object.assign(state, { status: 'pending', direction, since: time });
+    }
+    if (time - state.since < rule.forMinutes * MINUTE_MS) {
+      return null;
+    }
+
+    const alert = {
+      id: `${rule.id}-${scope}-${state.since}`,
+      direction,
+      startedAt: new Date(state.since).toISOString()
+    };
+    this.states.set(key, { scope, ruleId: rule.id, status: 'open', alert, lastTime: time, value: reading.value, notifiedAt: time });
+    return this.buildEvent(rule, scope, alert, 'open', reading);
+  }
+
+  /**
+   * @param {AlertRule} rule - Rule
+   * @param {string} scope - Site id or 'home'
+   * @param {{id: string, direction: string, startedAt: string}} alert - Alert opened or resolved
+   * @param {string} state - 'open' or 'resolved'
+   * @param {{value: number, timestamp: string}} reading - Reading
+   * @returns {AlertEvent} Event
+   */
+  buildEvent(rule, scope, alert, state, reading) {
+    const threshold = alert.direction === 'low' ? rule.min : rule.max;
+    const value = Math.round(reading.value * 10) / 10;
+    const limit = alert.direction === 'low' ? `below the ${withUnit(threshold, rule.unit)} minimum` : `above the ${withUnit(threshold, rule.unit)} maximum`;
+
+    return {
+      id: alert.id,
+      ruleId: rule.id,
+      metric: rule.metric,
+      site: siteOf(scope),
+      state,
+      direction: alert.direction,
+      value: reading.value,
+      threshold,
+      severity: rule.severity,
+      message: state === 'open'
+        ? `${rule.label} is ${withUnit(value, rule.unit)}, ${limit}`
+        : `${rule.label} is back to ${withUnit(value, rule.unit)}`,
+      startedAt: alert.startedAt,
+      timestamp: new Date(reading.timestamp).toISOString()
+    };
+  }
+
+  /**
+   * Latest home temperature and humidity readings from the last hour
+   * @returns {Promise<Object<string, {value: number, timestamp: string}>>} Readings by metric
+   */
+  async getHomeReadings() {
+    try {
+      const data = await influxDBClient.queryHomeEnvironmentData(1, 100);
+      const newestFirst = [...data].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+      const latest = field => {
+        const point = newestFirst.find(candidate => typeof candidate[field] === 'number');
+        return point ? { value: point[field], timestamp: point.timestamp } : null;
+      };
+      return { homeTemperature: latest('temperature'), homeHumidity: latest('humidity') };
+    } catch (error) {
+      console.warn('⚠️ Could not read home environment data for alert rules:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Check every enabled rule after a collection: pool rules against the site's
+   * reading, home rules against the latest home sensor readings
+   * @param {import('../config/sites').Site} site - Site collected
+   * @param {object} point - The collection's time series point
+   * @returns {Promise<AlertEvent[]>} Alerts opened or resolved
+   */
+  async evaluateCollection(site, point) {
+    await this.restore();
+
+    const pumpOn = point.pumpStatus === true;
+    const events = this.rules
+      .filter(rule => rule.source === 'pool')
+      .map(rule => this.evaluate(rule, site.id, { value: point[rule.metric], timestamp: point.timestamp, pumpOn }));
+
+    if (this.rules.some(rule => rule.source === 'home' && rule.enabled)) {
+      const home = await this.getHomeReadings();
+      this.rules
+        .filter(rule => rule.source === 'home')
+        .forEach(rule => events.push(this.evaluate(rule, HOME_SCOPE, home[rule.metric])));
+    }
+
+    const fired = events.filter(Boolean);
+    for (const event of fired) {
+      await this.record(event);
+    }
+
+    await this.remind([site.id, HOME_SCOPE], new Date(point.timestamp));
+    return fired;
+  }
+
+  /**
+   * Check the watchdog rules against the age of a site's newest pool data; runs on
+   * the watchdog's own schedule, since no collection runs once collection has stopped
+   * @param {import('../config/sites').Site} site - Site checked
+   * @param {number|null} ageMinutes - Minutes since the site's newest pool reading (null when there is none)
+   * @param {Date} [now] - Time of the check
+   * @returns {Promise<AlertEvent[]>} Alerts opened or resolved
+   */
+  async evaluateWatchdog(site, ageMinutes, now = new Date()) {
+    await this.restore();
+
+    const fired = this.rules
+      .filter(rule => rule.source === 'watchdog')
+      .map(rule => this.evaluate(rule, site.id, { value: ageMinutes, timestamp: now.toISOString() }))
+      .filter(Boolean);
+    for (const event of fired) {
+      await this.record(event);
+    }
+
+    await this.remind([site.id], now);
+    return fired;
+  }
+
+  /**
+   * Send reminders for open alerts that are due one and not acknowledged
+   * @param {Array<string>} scopes - Site ids and 'home' to check
+   * @param {Date} now - Time of the collection
+   * @returns {Promise<number>} Reminders sent
+   */
+  async remind(scopes, now) {
+    await alertSilencer.restore();
+
+    const due = [...this.states.values()].filter(state => state.status === 'open'
+      && scopes.includes(state.scope)
+      && alertSilencer.isReminderDue(state.alert.id, state.notifiedAt, now));
+
+    for (const state of due) {
+      const rule = this.rules.find(candidate => candidate.id === state.ruleId);
+      if (rule) {
+        state.notifiedAt = now.getTime();
+        const event = this.buildEvent(rule, state.scope, state.alert, 'open', { value: state.value, timestamp: state.lastTime });
+        await notifier.notifyMetricAlert(event, rule.label, { reminder: true });
+      }
+    }
+    return due.length;
+  }
+
+  /**
+   * Keep an event in memory, store it in InfluxDB and send it to the notification channels
+   * @param {AlertEvent} event - Event
+   */
+  async record(event) {
+    this.events.push(event);
+    if (this.events.length > MAX_MEMORY_EVENTS) {
+      this.events.shift();
+    }
+
+    const where = event.site ? ` (${event.site})` : '';
+    console.log(`${event.state === 'open' ? '🚨 Alert opened' : '✅ Alert resolved'}${where}: ${event.message}`);
+
+    try {
+      await influxDBService.storeAlertEvent(event);
+    } catch (error) {
+      console.error('❌ Error storing alert event:', error);
+    }
+
+    const rule = this.rules.find(candidate => candidate.id === event.ruleId);
+    await notifier.notifyMetricAlert(event, rule ? rule.label : event.metric);
+  }
+
+  /**
+   * Reopen alerts still open in InfluxDB, once per process, so a restart does not open them twice;
+   * until InfluxDB is connected each call tries again
+   * @param {Date} [now] - Current time
+   * @returns {Promise<void>}
+   */
+  async restore(now = new Date()) {
+    if (!this.restored && influxDBService.isConnected) {
+      if (!this.restoring) {
+        this.restoring = this.loadOpenAlerts(now)
+          .finally(() => {
+            this.restoring = null;
+          });
+      }
+      await this.restoring;
+    }
+  }
+
+  async loadOpenAlerts(now) {
+    try {
+      const events = await influxDBService.queryAlertEvents(new Date(now.getTime() - RESTORE_HOURS * HOUR_MS), now);
+      this.restored = true;
+      const latest = new Map();
+      events.forEach(event => latest.set(`${event.site || HOME_SCOPE}:${event.ruleId}`, event));
+
+      latest.forEach((event, key) => {
+        // Readings checked before the connection was up leave a pending or ok state; the stored alert replaces it
+        const state = this.states.get(key);
+        if (event.state !== 'open' || (state && state.status === 'open') || !this.rules.some(rule => rule.id === event.ruleId)) {
+          return;
+        }
+        this.states.set(key, {
+          scope: event.site || HOME_SCOPE,
+          ruleId: event.ruleId,
+          status: 'open',
+          alert: { id: event.id, direction: event.direction, startedAt: event.startedAt },
+          lastTime: new Date(event.timestamp).getTime(),
+          value: event.value,
+          // Reminders count from the restart, so restarting does not send them all at once
+          notifiedAt: now.getTime()
+        });
+      });
+    } catch (error) {
+      console.error('❌ Error restoring open alerts:', error);
+    }
+  }
+
+  /**
+   * Rules with their current state per site
+   * @returns {Array<object>} Rules, each with states [{site, status, value, since}]
+   */
+  getRules() {
+    const states = [...this.states.values()];
+    return this.rules.map(rule => ({
+      ...rule,
+      states: states
+        .filter(state => state.ruleId === rule.id)
+        .map(state => {
+          let since = null;
+          if (state.status === 'open') {
+            since = state.alert.startedAt;
+          } else if (state.status === 'pending') {
+            since = new Date(state.since).toISOString();
+          }
+          return { site: siteOf(state.scope), status: state.status, value: state.value ?? null, since };
+        })
+    }));
+  }
+
+  /**
+   * Alerts open now, each flagged when it was acknowledged
+   * @param {string|null} [siteId] - Restrict to one site (null for all; the default site includes home alerts)
+   * @returns {Promise<Array<object>>} Open alerts
+   */
+  async getOpenAlerts(siteId = null) {
+    await Promise.all([this.restore(), alertSilencer.restore()]);
+
+    return [...this.states.values()]
+      .filter(state => state.status === 'open' && siteRegistry.matches(siteOf(state.scope) || undefined, siteId))
+      .map(state => {
+        const rule = this.rules.find(candidate => candidate.id === state.ruleId);
+        return {
+          id: state.alert.id,
+          ruleId: state.ruleId,
+          metric: rule ? rule.metric : null,
+          site: siteOf(state.scope),
+          direction: state.alert.direction,
+          severity: rule ? rule.severity : null,
+          value: state.value,
+          startedAt: state.alert.startedAt,
+          acknowledged: alertSilencer.isAcknowledged(state.alert.id)
+        };
+      });
+  }
+
+  /**
+   * Alert events, newest first
+   * Reads InfluxDB when connected so events from other processes are included
+   * @param {object} [options]
+   * @param {number} [options.hours] - How far back to look
+   * @param {string|null} [options.siteId] - Restrict to one site (null for all; the default site includes home alerts)
+   * @param {Date} [options.now] - End of the window
+   * @returns {Promise<AlertEvent[]>} Events in the window
+   */
+  async getEvents({ hours = 24, siteId = null, now = new Date() } = {}) {
+    const startTime = new Date(now.getTime() - hours * HOUR_MS);
+
+    const events = influxDBService.isConnected
+      ? await influxDBService.queryAlertEvents(startTime, now, siteId)
+      : this.events.filter(event => new Date(event.timestamp) >= startTime && siteRegistry.matches(event.site || undefined, siteId));
+
+    return [...events].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+}
+
+// Create singleton instance
+const alertEngine = new AlertEngine();
+
+module.exports = {
+  AlertEngine,
+  alertEngine,
+  buildRules,
+  METRICS
+};
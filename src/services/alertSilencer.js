@@ -0,0 +1,287 @@
+/**
+ * Alert Silencer
+ * Decides which notifications are held back: an acknowledged alert gets no
+ * more reminders, a snoozed rule or event is silent until its snooze ends,
+ * and during quiet hours only critical notifications get through.
+ * Acknowledgements, snoozes and quiet hours changes are stored as alert
+ * actions so a restart keeps them
+ */
+
+const { influxDBService } = require('./influxDBService');
+const { envConfig, parseQuietHours } = require('../config/environment');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Longest snooze (7 days); snoozes are looked up this far back after a restart
+const MAX_SNOOZE_HOURS = 168;
+
+// Actions that last until replaced, so they are looked up however old they are
+const LASTING_ACTIONS = ['acknowledge', 'quiet-hours'];
+const SNOOZE_ACTIONS = ['snooze', 'unsnooze'];
+
+/**
+ * @typedef {object} AlertAction
+ * @property {string} action - 'acknowledge', 'snooze', 'unsnooze' or 'quiet-hours'
+ * @property {string} target - Alert ID (acknowledge), the rule ID or notification event snoozed, or quiet hours as HH:MM-HH:MM ('off' for none)
+ * @property {string|null} until - ISO timestamp a snooze ends
+ * @property {string|null} note - Why, e.g. "Replacing the salt cell"
+ * @property {string} timestamp - ISO timestamp of the action
+ */
+
+const minutesOfDay = date => date.getHours() * 60 + date.getMinutes();
+
+const formatClock = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+class AlertSilencer {
+  /**
+   * @param {object} [options]
+   * @param {{start: number, end: number}|null} [options.quietHours] - Quiet hours in minutes after midnight (QUIET_HOURS)
+   * @param {number} [options.repeatHours] - Hours between reminders of an alert still open, 0 for none (ALERT_REPEAT_HOURS)
+   */
+  constructor({ quietHours, repeatHours } = {}) {
+    const config = envConfig.getAlertSilenceConfig();
+    this.quietHours = quietHours === undefined ? config.quietHours : quietHours;
+    this.repeatHours = repeatHours ?? config.repeatHours;
+    // Acknowledged alerts by alert ID, snoozes by rule ID or event
+    this.acknowledgements = new Map();
+    this.snoozes = new Map();
+    // Actions taken before the stored ones were loaded, applied again on top of them
+    this.unrestored = [];
+    this.restored = false;
+    this.restoring = null;
+  }
+
+  /**
+   * @param {AlertAction} action - Action to apply to the in-memory state
+   */
+  apply(action) {
+    if (action.action === 'acknowledge') {
+      this.acknowledgements.set(action.target, { alertId: action.target, acknowledgedAt: action.timestamp, note: action.note });
+    } else if (action.action === 'snooze') {
+      this.snoozes.set(action.target, { target: action.target, until: action.until, snoozedAt: action.timestamp, note: action.note });
+    } else if (action.action === 'unsnooze') {
+      this.snoozes.delete(action.target);
+    } else if (action.action === 'quiet-hours') {
+      this.quietHours = action.target === 'off' ? null : parseQuietHours(action.target);
+    }
+  }
+
+  /**
+   * Apply an action and store it
+   * @param {AlertAction} action - Action
+   */
+  async record(action) {
+    await this.restore();
+    this.apply(action);
+    if (!this.restored) {
+      this.unrestored.push(action);
+    }
+
+    try {
+      await influxDBService.storeAlertAction(action);
+    } catch (error) {
+      console.error('❌ Error storing alert action:', error);
+    }
+  }
+
+  /**
+   * Acknowledge an alert so no more reminders are sent for it
+   * @param {string} alertId - Metric alert ID or NWS alert ID
+   * @param {object} [options]
+   * @param {string|null} [options.note] - Why
+   * @param {Date} [options.now] - Current time
+   * @returns {Promise<{alertId: string, acknowledgedAt: string, note: string|null}>} Acknowledgement
+   */
+  async acknowledge(alertId, { note = null, now = new Date() } = {}) {
+    await this.record({ action: 'acknowledge', target: alertId, until: null, note, timestamp: now.toISOString() });
+    console.log(`🔕 Alert acknowledged: ${alertId}`);
+    return this.acknowledgements.get(alertId);
+  }
+
+  /**
+   * Silence a rule or a notification event for a number of hours
+   * @param {string} target - Metric alert rule ID, or a notification event (e.g. 'weather-alert')
+   * @param {number} hours - Hours to stay silent
+   * @param {object} [options]
+   * @param {string|null} [options.note] - Why, e.g. "Pool maintenance"
+   * @param {Date} [options.now] - Current time
+   * @returns {Promise<{target: string, until: string, snoozedAt: string, note: string|null}>} Snooze
+   */
+  async snooze(target, hours, { note = null, now = new Date() } = {}) {
+    const until = new Date(now.getTime() + hours * HOUR_MS).toISOString();
+    await this.record({ action: 'snooze', target, until, note, timestamp: now.toISOString() });
+    console.log(`😴 ${target} snoozed until ${until}`);
+    return this.snoozes.get(target);
+  }
+
+  /**
+   * End a snooze early
+   * @param {string} target - Rule ID or event snoozed
+   * @param {object} [options]
+   * @param {Date} [options.now] - Current time
+   * @returns {Promise<boolean>} Whether the target was snoozed
+   */
+  async unsnooze(target, { now = new Date() } = {}) {
+    await this.restore();
+    if (!this.getSnooze(target, now)) {
+      return false;
+    }
+
+    await this.record({ action: 'unsnooze', target, until: null, note: null, timestamp: now.toISOString() });
+    console.log(`🔔 ${target} snooze ended`);
+    return true;
+  }
+
+  /**
+   * Set or clear quiet hours, replacing QUIET_HOURS
+   * @param {string|null} value - Quiet hours as HH:MM-HH:MM, or null for none
+   * @param {object} [options]
+   * @param {Date} [options.now] - Current time
+   * @returns {Promise<{start: string, end: string, active: boolean}|null>} Quiet hours
+   */
+  async setQuietHours(value, { now = new Date() } = {}) {
+    await this.record({ action: 'quiet-hours', target: value || 'off', until: null, note: null, timestamp: now.toISOString() });
+    console.log(value ? `🌙 Quiet hours set to ${value}` : '🔔 Quiet hours off');
+    return this.describeQuietHours(now);
+  }
+
+  /**
+   * @param {string} alertId - Alert ID
+   * @returns {boolean} Whether the alert was acknowledged
+   */
+  isAcknowledged(alertId) {
+    return this.acknowledgements.has(alertId);
+  }
+
+  /**
+   * @param {string} target - Rule ID or event
+   * @param {Date} [now] - Current time
+   * @returns {object|null} The target's snooze when it has not ended
+   */
+  getSnooze(target, now = new Date()) {
+    const snooze = this.snoozes.get(target);
+    return snooze && new Date(snooze.until) > now ? snooze : null;
+  }
+
+  /**
+   * Whether a time falls in quiet hours; quiet hours may run past midnight
+   * @param {Date} [date] - Time to check (server local time)
+   * @returns {boolean} Whether it is quiet
+   */
+  isQuietTime(date = new Date()) {
+    if (!this.quietHours) {
+      return false;
+    }
+    const { start, end } = this.quietHours;
+    const minutes = minutesOfDay(date);
+    return start < end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }
+
+  /**
+   * Why a notification should be held back
+   * @param {import('./notifier').Notification} notification - Notification
+   * @param {Date} [now] - Current time
+   * @returns {string|null} Reason, or null to send it
+   */
+  check(notification, now = new Date()) {
+    const snoozed = [notification.ruleId, notification.event]
+      .filter(Boolean)
+      .map(target => this.getSnooze(target, now))
+      .find(Boolean);
+    if (snoozed) {
+      return `${snoozed.target} snoozed until ${snoozed.until}`;
+    }
+
+    if (notification.severity !== 'critical' && this.isQuietTime(now)) {
+      return 'quiet hours';
+    }
+    return null;
+  }
+
+  /**
+   * Whether an alert still open is due another reminder
+   * @param {string} alertId - Alert ID
+   * @param {number} lastNotifiedAt - Epoch milliseconds of the last notification
+   * @param {Date} [now] - Current time
+   * @returns {boolean} Whether to send a reminder
+   */
+  isReminderDue(alertId, lastNotifiedAt, now = new Date()) {
+    return this.repeatHours > 0
+      && !this.isAcknowledged(alertId)
+      && now.getTime() - lastNotifiedAt >= this.repeatHours * HOUR_MS;
+  }
+
+  /**
+   * Load the actions stored before a restart, once InfluxDB is connected; until
+   * then each call tries again
+   * @param {Date} [now] - Current time
+   * @returns {Promise<void>}
+   */
+  async restore(now = new Date()) {
+    if (!this.restored && influxDBService.isConnected) {
+      if (!this.restoring) {
+        this.restoring = this.loadActions(now)
+          .finally(() => {
+            this.restoring = null;
+          });
+      }
+      await this.restoring;
+    }
+  }
+
+  async loadActions(now) {
+    try {
+      const [lasting, snoozes] = await Promise.all([
+        influxDBService.queryAlertActions(null, now, LASTING_ACTIONS),
+        influxDBService.queryAlertActions(new Date(now.getTime() - MAX_SNOOZE_HOURS * HOUR_MS), now, SNOOZE_ACTIONS)
+      ]);
+      [...lasting, ...snoozes].forEach(action => this.apply(action));
+      this.unrestored.forEach(action => this.apply(action));
+      this.unrestored = [];
+      this.restored = true;
+    } catch (error) {
+      console.error('❌ Error restoring alert actions:', error);
+    }
+  }
+
+  /**
+   * @param {Date} [now] - Current time
+   * @returns {{start: string, end: string, active: boolean}|null} Quiet hours as HH:MM, and whether they are on now
+   */
+  describeQuietHours(now = new Date()) {
+    return this.quietHours
+      ? { start: formatClock(this.quietHours.start), end: formatClock(this.quietHours.end), active: this.isQuietTime(now) }
+      : null;
+  }
+
+  /**
+   * Quiet hours, snoozes that have not ended and acknowledged alerts
+   * @param {Date} [now] - Current time
+   * @returns {Promise<object>} Silencing status
+   */
+  async getStatus(now = new Date()) {
+    await this.restore();
+
+    return {
+      quietHours: this.describeQuietHours(now),
+      repeatHours: this.repeatHours,
+      snoozes: [...this.snoozes.keys()]
+        .map(target => this.getSnooze(target, now))
+        .filter(Boolean)
+        .sort((a, b) => new Date(a.until) - new Date(b.until)),
+      acknowledged: [...this.acknowledgements.values()]
+        .sort((a, b) => new Date(b.acknowledgedAt) - new Date(a.acknowledgedAt))
+    };
+  }
+}
+
+// Create singleton instance
+const alertSilencer = new AlertSilencer();
+
+module.exports = {
+  AlertSilencer,
+  alertSilencer,
+  MAX_SNOOZE_HOURS
+};
@@ -0,0 +1,231 @@
+/**
+ * Cell Health
+ * Salt cell health from the long-term trend of its resistance (cell voltage ÷
+ * current, normalized for salt and temperature) and its operating hours, with
+ * "clean cell" and "cell nearing end of life" recommendations
+ */
+
+const { influxDBService } = require('./influxDBService');
+const { timeSeriesService } = require('../domains/monitoring');
+const { envConfig } = require('../config/environment');
+const { POOL_SYSTEM } = require('../config/pool-constants');
+
+// Conditions resistance is normalized to
+const REFERENCE_TEMP_F = 77;
+
+// Salt water conducts about 2% better per °C (1.1% per °F) warmer
+const CONDUCTIVITY_PER_DEGREE_F = 0.011;
+
+// A fall this big between daily values means the cell was cleaned
+const CLEANING_DROP_PERCENT = 15;
+
+// Resistance this far above the clean baseline means the cell is scaling
+const CLEAN_THRESHOLD_PERCENT = 20;
+
+// A clean cell this far above the lowest resistance seen has lost coating
+const WEAR_THRESHOLD_PERCENT = 25;
+
+// Share of rated life after which the cell is nearing its end
+const END_OF_LIFE_PERCENT = 90;
+
+// Latest daily values the current resistance is the median of
+const CURRENT_DAYS = 3;
+
+/**
+ * @typedef {object} CellRecommendation
+ * @property {string} type - 'clean_cell' or 'end_of_life'
+ * @property {string} message - What to do and why
+ */
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const median = values => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const localDate = time => {
+  const date = new Date(time);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Cell resistance normalized to the target salt level and 77°F
+ * @param {object} point - Time series point
+ * @param {number} [referenceSalt] - Salt level to normalize to
+ * @returns {number|null} Ohms, or null when the cell was not running or a value is missing
+ */
+const normalizedResistance = (point, referenceSalt = POOL_SYSTEM.VALIDATION.SALT.target) => {
+  const { cellVoltage, cellCurrent, saltInstant } = point;
+  // The cell sensor reads the water inside the cell; the water sensor is next best
+  const temperature = typeof point.cellTemp === 'number' ? point.cellTemp : point.waterTemp;
+  if (point.pumpStatus === false || !(cellVoltage > 0) || !(cellCurrent > 0) || !(saltInstant > 0) || typeof temperature !== 'number') {
+    return null;
+  }
+
+  // More salt and warmer water both lower the resistance of a clean cell
+  const resistance = cellVoltage / cellCurrent;
+  return resistance * (saltInstant / referenceSalt) * (1 + CONDUCTIVITY_PER_DEGREE_F * (temperature - REFERENCE_TEMP_F));
+};
+
+/**
+ * Work out the resistance trend from daily medians
+ * @param {Array<{date: string, resistance: number}>} days - Daily normalized resistance, oldest first
+ * @returns {object} Current, baseline and lowest resistance, the rise over the baseline, wear and the last cleaning
+ */
+const analyzeResistance = days => {
+  // Resistance only falls sharply when scale is cleaned off
+  let start = 0;
+  let lastCleanedDate = null;
+  for (let i = 1; i < days.length; i++) {
+    if ((days[i - 1].resistance - days[i].resistance) / days[i - 1].resistance * 100 >= CLEANING_DROP_PERCENT) {
+      start = i;
+      lastCleanedDate = days[i].date;
+    }
+  }
+
+  const sinceCleaning = days.slice(start).map(day => day.resistance);
+  const baseline = Math.min(...sinceCleaning);
+  const lowest = Math.min(...days.map(day => day.resistance));
+  const current = median(sinceCleaning.slice(-CURRENT_DAYS));
+
+  return {
+    current: round(current, 3),
+    baseline: round(baseline, 3),
+    lowest: round(lowest, 3),
+    increasePercent: round((current - baseline) / baseline * 100),
+    // A cleaning that no longer gets back to the lowest resistance means the coating is wearing off
+    wearPercent: round((baseline - lowest) / lowest * 100),
+    lastCleanedDate
+  };
+};
+
+class CellHealth {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.expectedIntervalMs] - Expected time between collections
+   * @param {Date|null} [options.installDate] - When the cell was installed (CELL_INSTALL_DATE)
+   * @param {number} [options.ratedLifeHours] - Rated cell life in operating hours (CELL_RATED_LIFE_HOURS)
+   */
+  constructor({ expectedIntervalMs, installDate, ratedLifeHours } = {}) {
+    const config = envConfig.getCellHealthConfig();
+    this.expectedIntervalMs = expectedIntervalMs || envConfig.getGapDetectionConfig().expectedIntervalMs;
+    this.installDate = installDate !== undefined ? installDate : config.installDate;
+    this.ratedLifeHours = ratedLifeHours || config.ratedLifeHours;
+  }
+
+  /**
+   * Hours the cell has generated (readings with cell current × the collection interval)
+   * @param {string} siteId - Site to count
+   * @param {Date} now - End of the count
+   * @returns {Promise<number>} Operating hours
+   */
+  async getOperatingHours(siteId, now) {
+    const since = this.installDate || new Date(0);
+    let readings = await influxDBService.countReadingsAbove('cell_current', 0, since, now, siteId);
+    if (readings === null) {
+      readings = timeSeriesService.getDataPoints(0, siteId)
+        .filter(point => point.cellCurrent > 0 && new Date(point.timestamp).getTime() >= since.getTime())
+        .length;
+    }
+    return round(readings * this.expectedIntervalMs / (60 * 60 * 1000));
+  }
+
+  /**
+   * Work out a site's cell health
+   * @param {import('../config/sites').Site} site - Site to analyse
+   * @param {object} [options]
+   * @param {number} [options.days] - Days of readings the resistance trend uses
+   * @param {Date} [options.now] - End of the window
+   * @returns {Promise<object>} Health score, status, resistance trend, operating hours and recommendations
+   */
+  async getHealth(site, { days = 60, now = new Date() } = {}) {
+    const startTime = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    const referenceSalt = site.saltTargetPpm || POOL_SYSTEM.VALIDATION.SALT.target;
+
+    let source = 'influxdb';
+    let points = await influxDBService.queryDataPoints(startTime, now, site.id);
+    if (points.length === 0) {
+      source = 'memory';
+      points = timeSeriesService.getDataPoints(0, site.id)
+        .filter(point => new Date(point.timestamp).getTime() >= startTime.getTime());
+    }
+
+    const byDay = new Map();
+    points.forEach(point => {
+      const resistance = normalizedResistance(point, referenceSalt);
+      if (resistance !== null) {
+        const date = localDate(point.timestamp);
+        if (!byDay.has(date)) {
+          byDay.set(date, []);
+        }
+        byDay.get(date).push(resistance);
+      }
+    });
+    const daily = Array.from(byDay.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, values]) => ({ date, resistance: round(median(values), 3) }));
+
+    const resistance = daily.length > 0 ? analyzeResistance(daily) : null;
+    const operatingHours = await this.getOperatingHours(site.id, now);
+    const lifeUsedPercent = round(operatingHours / this.ratedLifeHours * 100);
+
+    const recommendations = [];
+    if (resistance && resistance.increasePercent >= CLEAN_THRESHOLD_PERCENT) {
+      recommendations.push({
+        type: 'clean_cell',
+        message: `Cell resistance is ${resistance.increasePercent}% above its clean level, which points to scale on the plates. Inspect and clean the cell.`
+      });
+    }
+    if (lifeUsedPercent >= END_OF_LIFE_PERCENT) {
+      recommendations.push({
+        type: 'end_of_life',
+        message: `The cell has run ${operatingHours} of its rated ${this.ratedLifeHours} hours. Plan to replace it.`
+      });
+    } else if (resistance && resistance.lastCleanedDate && resistance.wearPercent >= WEAR_THRESHOLD_PERCENT) {
+      recommendations.push({
+        type: 'end_of_life',
+        message: `Cleaning on ${resistance.lastCleanedDate} left resistance ${resistance.wearPercent}% above the lowest seen, so the plate coating is wearing. Plan to replace the cell.`
+      });
+    }
+
+    // Scale costs up to 40 points and wear (hours used or coating loss) up to 60
+    let score = null;
+    if (resistance) {
+      const scalingPenalty = Math.min(40, Math.max(0, resistance.increasePercent));
+      const wearPenalty = Math.min(60, Math.max(lifeUsedPercent * 0.6, resistance.wearPercent * 2));
+      score = Math.max(0, Math.round(100 - scalingPenalty - wearPenalty));
+    }
+
+    const recommended = type => recommendations.some(recommendation => recommendation.type === type);
+    let status = resistance ? 'good' : 'unknown';
+    if (recommended('clean_cell')) status = 'clean';
+    if (recommended('end_of_life')) status = 'replace';
+
+    return {
+      site: site.id,
+      score,
+      status,
+      resistance,
+      days: daily,
+      operatingHours,
+      ratedLifeHours: this.ratedLifeHours,
+      lifeUsedPercent,
+      installDate: this.installDate ? this.installDate.toISOString() : null,
+      recommendations,
+      source
+    };
+  }
+}
+
+// Create singleton instance
+const cellHealth = new CellHealth();
+
+module.exports = {
+  CellHealth,
+  cellHealth,
+  normalizedResistance,
+  analyzeResistance
+};
@@ -0,0 +1,261 @@
+/**
+ * Chlorine Generation
+ * Estimated chlorine made by the salt cell per day, from the cell's rating, the
+ * chlorinator output percentage and the time the filter pump ran, compared with
+ * what the pool uses at the measured water temperature
+ */
+
+const { influxDBService } = require('./influxDBService');
+const { GAP_FACTOR } = require('./gapDetector');
+const { POUNDS_PER_GALLON_PPM } = require('./saltDosing');
+const { timeSeriesService } = require('../domains/monitoring');
+const { envConfig } = require('../config/environment');
+const { POOL_SYSTEM } = require('../config/pool-constants');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Hours of known pump state a day needs before it is checked against demand
+const MIN_KNOWN_HOURS = 6;
+
+/**
+ * @typedef {object} ChlorineDay
+ * @property {string} date - Local date (YYYY-MM-DD)
+ * @property {number} pumpHours - Hours the pump ran
+ * @property {number|null} averageOutput - Average chlorinator output (%) while the pump ran
+ * @property {number|null} averageCurrent - Average cell current (A) while the pump ran
+ * @property {number|null} poundsProduced - Estimated chlorine made (null without a cell rating or output)
+ * @property {number|null} ppmProduced - The same as free chlorine added to the pool (null without a pool volume)
+ * @property {number|null} waterTemp - Average water temperature while the pump ran
+ * @property {number|null} demandPpm - Free chlorine the pool uses per day at that temperature
+ * @property {boolean|null} low - Generation fell short of demand (null when it cannot be checked)
+ * @property {number} knownHours - Hours of the day with known pump state
+ */
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const mean = values => (values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null);
+
+const overlap = (period, start, end) => Math.max(0, Math.min(period.end, end) - Math.max(period.start, start));
+
+const localDate = time => {
+  const date = new Date(time);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Rated output of a salt cell
+ * @param {string|null} cellType - Cell type as reported, e.g. "T-15" or "T-CELL-15"
+ * @returns {number|null} Pounds of chlorine per day at 100% output, null for an unknown cell
+ */
+const ratedPoundsPerDay = cellType => {
+  const match = String(cellType || '').match(/T-?(?:CELL-?)?(\d+)/i);
+  return match ? POOL_SYSTEM.CELL_RATINGS[`T-${match[1]}`] || null : null;
+};
+
+/**
+ * Free chlorine the pool uses per day at a water temperature
+ * @param {number|null} waterTemp - Water temperature (°F)
+ * @returns {number|null} ppm per day
+ */
+const chlorineDemand = waterTemp => {
+  if (typeof waterTemp !== 'number') return null;
+  return POOL_SYSTEM.CHLORINE_DEMAND.find(band => waterTemp < band.below).ppmPerDay;
+};
+
+/**
+ * Chlorine generation rate at the time of a reading
+ * @param {object} point - Time series point
+ * @param {object} options
+ * @param {number|null} options.rating - Cell rating (lb/day at 100%)
+ * @param {number|null} [options.outputPercent] - Output used when the point does not record one
+ * @returns {number|null} lb/day, 0 while the pump is off or the cell draws no current, null when unknown
+ */
+const estimateRate = (point, { rating, outputPercent = null }) => {
+  if (point.pumpStatus === false) return 0;
+  if (point.pumpStatus !== true) return null;
+  // The cell only generates while it draws current (it shuts off when the water is cold or salt is low)
+  if (point.cellCurrent === 0) return 0;
+
+  const output = typeof point.chlorinatorOutput === 'number' ? point.chlorinatorOutput : outputPercent;
+  if (!rating || typeof output !== 'number') return null;
+  return round(rating * output / 100, 3);
+};
+
+class ChlorineGeneration {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.expectedIntervalMs] - Expected time between collections
+   * @param {string|null} [options.cellType] - Cell type used instead of the reported one (CHLORINATOR_CELL_TYPE)
+   * @param {number|null} [options.outputPercent] - Output used when a reading has none (CHLORINATOR_OUTPUT_PERCENT)
+   */
+  constructor({ expectedIntervalMs, cellType, outputPercent } = {}) {
+    const config = envConfig.getChlorinatorConfig();
+    this.expectedIntervalMs = expectedIntervalMs || envConfig.getGapDetectionConfig().expectedIntervalMs;
+    this.cellType = cellType !== undefined ? cellType : config.cellType;
+    this.outputPercent = outputPercent !== undefined ? outputPercent : config.outputPercent;
+  }
+
+  /**
+   * Cell rating for a site's chlorinator
+   * @param {string|null} reportedType - Cell type from the chlorinator page
+   * @returns {number|null} lb/day at 100% output
+   */
+  getRating(reportedType) {
+    return ratedPoundsPerDay(this.cellType || reportedType);
+  }
+
+  /**
+   * Generation rate for a collected point (stored as the chlorineRate metric)
+   * @param {object} point - Time series point
+   * @param {string|null} reportedType - Cell type from the chlorinator page
+   * @returns {number|null} lb/day
+   */
+  estimateRate(point, reportedType) {
+    return estimateRate(point, { rating: this.getRating(reportedType), outputPercent: this.outputPercent });
+  }
+
+  /**
+   * Estimate chlorine generation per day for the last N days (today included, up to now)
+   * @param {import('../config/sites').Site} site - Site to analyse
+   * @param {object} [options]
+   * @param {number} [options.days] - Days to cover
+   * @param {Date} [options.now] - End of the window
+   * @param {string|null} [options.cellType] - Cell type the chlorinator reported
+   * @returns {Promise<object>} Daily estimates, a summary and the data source
+   */
+  async getGeneration(site, { days = 7, now = new Date(), cellType = null } = {}) {
+    const windowStart = new Date(now.getTime());
+    windowStart.setHours(0, 0, 0, 0);
+    windowStart.setDate(windowStart.getDate() - (days - 1));
+
+    let source = 'influxdb';
+    let points = await influxDBService.queryDataPoints(windowStart, now, site.id);
+    if (!points.some(point => typeof point.pumpStatus === 'boolean')) {
+      source = 'memory';
+      points = timeSeriesService.getDataPoints(0, site.id)
+        .filter(point => new Date(point.timestamp).getTime() >= windowStart.getTime());
+    }
+
+    const rating = this.getRating(cellType);
+    const periods = this.buildPeriods(points, rating, now.getTime());
+    const daily = this.summarizeDays(periods, windowStart.getTime(), now.getTime(), site.volumeGallons);
+
+    const produced = daily.map(day => day.poundsProduced).filter(value => value !== null);
+    return {
+      site: site.id,
+      days: daily,
+      summary: {
+        averagePoundsPerDay: produced.length > 0 ? round(mean(produced)) : null,
+        lowDays: daily.filter(day => day.low).map(day => day.date)
+      },
+      cell: {
+        type: this.cellType || cellType,
+        ratedPoundsPerDay: rating,
+        outputPercent: this.outputPercent
+      },
+      volumeGallons: site.volumeGallons,
+      source
+    };
+  }
+
+  /**
+   * Turn readings into periods with a known state; each reading lasts until the next,
+   * and time across a data gap is left unknown
+   * @param {Array<object>} points - Collected points
+   * @param {number|null} rating - Cell rating (lb/day at 100%)
+   * @param {number} now - Current time (ms)
+   * @returns {Array<object>} Periods with the reading's rate, pump state, output, current and water temperature
+   */
+  buildPeriods(points, rating, now) {
+    const maxIntervalMs = this.expectedIntervalMs * GAP_FACTOR;
+    const samples = points
+      .filter(point => typeof point.pumpStatus === 'boolean')
+      .map(point => ({ ...point, time: new Date(point.timestamp).getTime() }))
+      .sort((a, b) => a.time - b.time);
+
+    return samples
+      .map((sample, i) => ({
+        start: sample.time,
+        end: i + 1 < samples.length ? samples[i + 1].time : now,
+        on: sample.pumpStatus,
+        rate: estimateRate(sample, { rating, outputPercent: this.outputPercent }),
+        output: typeof sample.chlorinatorOutput === 'number' ? sample.chlorinatorOutput : this.outputPercent,
+        current: sample.cellCurrent,
+        waterTemp: sample.waterTemp
+      }))
+      .filter(period => period.end > period.start && period.end - period.start <= maxIntervalMs);
+  }
+
+  /**
+   * Work out per-day generation from periods
+   * @param {Array<object>} periods - Periods from buildPeriods
+   * @param {number} start - Window start, a local midnight (ms)
+   * @param {number} now - Window end (ms)
+   * @param {number|null} volumeGallons - Pool volume
+   * @returns {Array<ChlorineDay>} One entry per day, oldest first
+   */
+  summarizeDays(periods, start, now, volumeGallons) {
+    const days = [];
+    for (let dayStart = start; dayStart < now;) {
+      // Next local midnight (days are not always 24 hours across DST changes)
+      const next = new Date(dayStart + DAY_MS + HOUR_MS * 2);
+      next.setHours(0, 0, 0, 0);
+      const dayEnd = Math.min(next.getTime(), now);
+
+      const inDay = periods.filter(period => overlap(period, dayStart, dayEnd) > 0);
+      const running = inDay.filter(period => period.on);
+      const knownMs = inDay.reduce((total, period) => total + overlap(period, dayStart, dayEnd), 0);
+      const valuesWhileRunning = field => running.map(period => period[field]).filter(value => typeof value === 'number');
+
+      // A run with no known rate (no cell rating or output) leaves the day's estimate empty rather than low
+      const poundsProduced = inDay.length > 0 && running.every(period => period.rate !== null)
+        ? inDay.reduce((total, period) => total + period.rate * overlap(period, dayStart, dayEnd) / DAY_MS, 0)
+        : null;
+      const ppmProduced = poundsProduced !== null && volumeGallons
+        ? poundsProduced / (volumeGallons * POUNDS_PER_GALLON_PPM)
+        : null;
+
+      // The temperature sensor sits in the plumbing, so it only reads the pool while water flows
+      const waterTemp = mean(valuesWhileRunning('waterTemp'));
+      const demandPpm = chlorineDemand(waterTemp);
+      const knownHours = knownMs / HOUR_MS;
+
+      let low = null;
+      if (ppmProduced !== null && demandPpm !== null && knownHours >= MIN_KNOWN_HOURS) {
+        // Compare the rate over the known hours so a partial day is not flagged for the hours still to come
+        low = ppmProduced * 24 / knownHours < demandPpm;
+      }
+
+      const averageOutput = mean(valuesWhileRunning('output'));
+      const averageCurrent = mean(valuesWhileRunning('current'));
+      days.push({
+        date: localDate(dayStart),
+        pumpHours: round(running.reduce((total, period) => total + overlap(period, dayStart, dayEnd), 0) / HOUR_MS),
+        averageOutput: averageOutput !== null ? round(averageOutput, 1) : null,
+        averageCurrent: averageCurrent !== null ? round(averageCurrent) : null,
+        poundsProduced: poundsProduced !== null ? round(poundsProduced) : null,
+        ppmProduced: ppmProduced !== null ? round(ppmProduced) : null,
+        waterTemp: waterTemp !== null ? round(waterTemp, 1) : null,
+        demandPpm,
+        low,
+        knownHours: round(knownHours)
+      });
+
+      dayStart = next.getTime();
+    }
+    return days;
+  }
+}
+
+// Create singleton instance
+const chlorineGeneration = new ChlorineGeneration();
+
+module.exports = {
+  ChlorineGeneration,
+  chlorineGeneration,
+  ratedPoundsPerDay,
+  chlorineDemand,
+  estimateRate
+};
@@ -0,0 +1,501 @@
+/**
+ * Collection Pipeline
+ * The one pool data collection path behind every cron route and the scheduler:
+ * fetch → parse → validate → enrich → persist, then post-process hooks
+ */
+
+const { POOL_CONSTANTS, buildDashboardUrl, buildSystemUrl, buildScheduleListUrl } = require('../utils/constants');
+const { CircuitOpenError } = require('../utils/resilience');
+const { siteRegistry } = require('../config/sites');
+const { envConfig } = require('../config/environment');
+const {
+  parseDashboardData,
+  parseFilterData,
+  parseHeaterData,
+  parseChlorinatorData,
+  parseLightsData,
+  parseSchedulesData,
+  createPoolDataStructure
+} = require('./poolDataParser');
+const sessionManager = require('./sessionManager');
+const weatherService = require('./weatherService');
+const { influxDBService } = require('./influxDBService');
+const pumpStateTracker = require('./pumpStateTracker');
+const { equipmentStateTracker } = require('./equipmentStateTracker');
+const { chlorineGeneration } = require('./chlorineGeneration');
+const { alertEngine } = require('./alertEngine');
+const parserHealthTracker = require('./parserHealthTracker');
+const collectionRunLedger = require('./collectionRunLedger');
+const { haywardBreakers } = require('./haywardResilience');
+const { timeSeriesService, influxDBClient } = require('../domains/monitoring');
+const { PoolData } = require('../domains/pool/entities/pool-data');
+const { ParseReport } = require('../domains/pool/parsers/parse-report');
+const { OmniLogicDataCollector } = require('../domains/pool/services/omnilogic-collector');
+
+// Stages in the order they run; each takes the collection context and fills part of it in
+const STAGE_ORDER = ['fetch', 'parse', 'validate', 'enrich', 'persist'];
+
+// In-memory storage for most recent pool data per site (always available)
+const mostRecentPoolData = new Map();
+
+/**
+ * Get the most recent pool data (always available)
+ * @param {string} [siteId] - Site to look up (defaults to the default site)
+ * @returns {PoolData|null} Most recent pool data or null if none available
+ */
+const getMostRecentPoolData = (siteId = siteRegistry.getDefaultSite().id) => {
+  return mostRecentPoolData.get(siteId) || null;
+};
+
+/**
+ * Set the most recent pool data
+ * @param {PoolData|null} data - Pool data to store
+ * @param {string} [siteId] - Site the data belongs to (defaults to the default site)
+ */
+const setMostRecentPoolData = (data, siteId = siteRegistry.getDefaultSite().id) => {
+  if (data) {
+    mostRecentPoolData.set(siteId, data);
+  } else {
+    mostRecentPoolData.delete(siteId);
+  }
+};
+
+/**
+ * A collection that failed for a known reason; reason becomes the result's error
+ */
+class CollectionError extends Error {
+  /**
+   * @param {string} reason - e.g. 'Authentication failed'
+   * @param {string} message - What went wrong
+   */
+  constructor(reason, message) {
+    super(message);
+    this.name = 'CollectionError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * @typedef {object} CollectionSource
+ * @property {string} name - Recorded as the data's source, e.g. 'html-scrape'
+ * @property {Function} fetch - (context) => raw data; throws if nothing could be fetched
+ * @property {Function} parse - (context) => PoolData built from context.raw
+ */
+
+/**
+ * @typedef {object} CollectionContext
+ * @property {import('../config/sites').Site} site - Site being collected
+ * @property {import('./collectionRunLedger').CollectionRun|null} run - Run to report each endpoint's outcome to
+ * @property {{username: string, password: string}|null} credentials - Hayward credentials
+ * @property {import('./HaywardSession')|null} session - Logged-in session (scraping logs in when not given)
+ * @property {CollectionSource[]} sources - Sources to try in order
+ * @property {CollectionSource|null} source - Source the data came from
+ * @property {*} raw - What the source fetched
+ * @property {ParseReport|null} parseReport - Selector matches (HTML sources only)
+ * @property {PoolData|null} poolData - Collected pool data
+ * @property {object|null} timeSeriesPoint - Point stored for charts
+ * @property {{memory: boolean, influxdb: boolean}|null} storage - Where the point was stored
+ * @property {Object<string, *>} postProcess - Result of each post-process hook
+ */
+
+/**
+ * Time an endpoint for the collection run ledger when there is a run to report to
+ */
+const track = (run, endpoint, fn) => (run ? run.track(endpoint, fn) : fn());
+
+/**
+ * Reuse the site's stored login across runs; it logs in again when Hayward expires it
+ * @param {CollectionContext} context - Collection context
+ * @returns {Promise<import('./HaywardSession')>} Logged-in session
+ */
+const login = async ({ site, credentials, run }) => {
+  const session = await sessionManager.getPersistentSession(`cron-${site.id}`);
+  const loginStart = Date.now();
+  const authResult = await session.ensureAuthenticated(credentials.username, credentials.password);
+  if (run) {
+    run.recordEndpoint('login', {
+      status: authResult.success ? 'ok' : 'error',
+      durationMs: Date.now() - loginStart,
+      ...(authResult.success ? {} : { error: authResult.message })
+    });
+  }
+
+  if (!authResult.success) {
+    throw new CollectionError(authResult.circuitOpen ? 'Circuit open' : 'Authentication failed', authResult.message);
+  }
+  return session;
+};
+
+// Hayward pages scraped for each collection and the parser for each
+const SCRAPE_PAGES = {
+  dashboard: { url: site => buildDashboardUrl(site), parse: parseDashboardData },
+  filter: { url: site => buildSystemUrl(POOL_CONSTANTS.ENDPOINTS.FILTER_SETTINGS, site), parse: parseFilterData },
+  heater: { url: site => buildSystemUrl(POOL_CONSTANTS.ENDPOINTS.HEATER_SETTINGS, site), parse: parseHeaterData },
+  chlorinator: { url: site => buildSystemUrl(POOL_CONSTANTS.ENDPOINTS.CHLORINATOR_SETTINGS, site), parse: parseChlorinatorData },
+  lights: { url: site => buildSystemUrl(POOL_CONSTANTS.ENDPOINTS.LIGHTS_SETTINGS, site), parse: parseLightsData },
+  schedules: { url: site => buildScheduleListUrl(site), parse: html => parseSchedulesData(html) }
+};
+
+/**
+ * Scrapes the Hayward web pages in parallel; a failed page leaves an { error } section
+ * @type {CollectionSource}
+ */
+const scrapeSource = {
+  name: 'html-scrape',
+
+  async fetch(context) {
+    const { site, run } = context;
+
+    // While Hayward is failing, skip the collection rather than fail six requests and record an empty point
+    if (!haywardBreakers.requests.canRequest()) {
+      throw haywardBreakers.requests.openError();
+    }
+
+    const session = context.session || await login(context);
+
+    const pages = await Promise.all(Object.entries(SCRAPE_PAGES).map(([page, { url }]) =>
+      track(run, page, () => session.makeRequest(url(site)))
+        .then(response => [page, { html: response.data }])
+        .catch(error => {
+          console.error(`${page} fetch error:`, error.message);
+          return [page, { error: error.message }];
+        })
+    ));
+
+    const fetched = pages.filter(([, result]) => !result.error);
+    if (fetched.length === 0) {
+      throw new CollectionError('Data collection failed', `No pool pages could be fetched: ${pages[0][1].error}`);
+    }
+    return Object.fromEntries(pages);
+  },
+
+  parse(context) {
+    const { site, run, raw } = context;
+
+    // Parsers record which selector each field came from so drift can be spotted
+    context.parseReport = new ParseReport();
+
+    const poolData = new PoolData(createPoolDataStructure({ site }));
+    poolData.system.source = scrapeSource.name;
+
+    Object.entries(raw).forEach(([page, { html, error }]) => {
+      if (error) {
+        poolData[page] = { error };
+        return;
+      }
+      try {
+        poolData[page] = SCRAPE_PAGES[page].parse(html, context.parseReport);
+      } catch (parseError) {
+        console.error(`${page} parse error:`, parseError.message);
+        poolData[page] = { error: parseError.message };
+        if (run) run.recordEndpoint(page, { status: 'error', error: parseError.message });
+      }
+    });
+
+    if (run) run.addParseReport(context.parseReport);
+    return poolData;
+  }
+};
+
+/**
+ * Reads telemetry from the OmniLogic XML API used by the mobile apps
+ * @type {CollectionSource}
+ */
+const omniLogicSource = {
+  name: 'omnilogic-api',
+
+  async fetch(context) {
+    context.omniLogic = new OmniLogicDataCollector(context.credentials, context.site);
+    try {
+      return await track(context.run, 'telemetry', () => context.omniLogic.fetchTelemetry());
+    } finally {
+      context.omniLogic.cleanup();
+    }
+  },
+
+  parse(context) {
+    return context.omniLogic.parseTelemetry(context.raw);
+  }
+};
+
+/**
+ * Sources to try for a collector backend
+ * The 'xml' backend uses the OmniLogic API and falls back to scraping if the API fails
+ * @param {string} backend - 'scrape' or 'xml'
+ * @returns {CollectionSource[]} Sources in the order to try them
+ */
+const getSources = (backend) => (backend === 'xml' ? [omniLogicSource, scrapeSource] : [scrapeSource]);
+
+/**
+ * Fetch from the first source that succeeds
+ * @param {CollectionContext} context - Collection context
+ */
+const fetchFromSources = async (context) => {
+  const { sources, site, run } = context;
+
+  for (const [index, source] of sources.entries()) {
+    if (run) run.source = source.name;
+    try {
+      context.raw = await source.fetch(context);
+      context.source = source;
+      return;
+    } catch (error) {
+      const fallback = sources[index + 1];
+      if (!fallback) {
+        throw error;
+      }
+      console.warn(`⚠️ ${source.name} collection failed for site ${site.id} (${error.message}), falling back to ${fallback.name}`);
+    }
+  }
+};
+
+/**
+ * Parse what the source fetched into pool data
+ * @param {CollectionContext} context - Collection context
+ */
+const parseWithSource = async (context) => {
+  context.poolData = await context.source.parse(context);
+};
+
+/**
+ * @param {CollectionContext} context - Collection context
+ */
+const validatePoolData = async ({ poolData }) => {
+  if (!poolData || !poolData.isValid()) {
+    throw new CollectionError('Invalid data', 'Invalid pool data collected');
+  }
+};
+
+/**
+ * Add current weather; a weather failure leaves a { error } section rather than failing the collection
+ * @param {CollectionContext} context - Collection context
+ */
+const enrichWithWeather = async (context) => {
+  context.poolData.weather = await track(context.run, 'weather', () => weatherService.getCurrentWeather())
+    .catch(error => ({ error: error.message }));
+};
+
+/**
+ * Store the time series point (InfluxDB and memory), with its estimated chlorine generation rate, and remember the data as the site's latest
+ * @param {CollectionContext} context - Collection context
+ */
+const persistPoolData = async (context) => {
+  const { poolData, site } = context;
+  const timeSeriesPoint = { ...poolData.toTimeSeriesPoint(), site: site.id };
+  timeSeriesPoint.chlorineRate = chlorineGeneration.estimateRate(timeSeriesPoint, poolData.chlorinator?.cell?.type);
+
+  console.log(`💾 Storing time series point for site ${site.id} at ${timeSeriesPoint.timestamp}`);
+
+  // Store in InfluxDB using new architecture (primary storage)
+  let influxResult = await influxDBClient.storeDataPoint(timeSeriesPoint);
+
+  // Fallback to legacy InfluxDB service for compatibility
+  if (!influxResult) {
+    influxResult = await influxDBService.storeDataPoint(timeSeriesPoint);
+  }
+  if (!influxResult) {
+    console.warn('⚠️ InfluxDB storage failed, but memory storage succeeded');
+  }
+
+  await timeSeriesService.addDataPoint(timeSeriesPoint);
+  setMostRecentPoolData(poolData, site.id);
+
+  context.timeSeriesPoint = timeSeriesPoint;
+  context.storage = { memory: true, influxdb: Boolean(influxResult) };
+};
+
+const DEFAULT_STAGES = {
+  fetch: fetchFromSources,
+  parse: parseWithSource,
+  validate: validatePoolData,
+  enrich: enrichWithWeather,
+  persist: persistPoolData
+};
+
+const DEFAULT_POST_PROCESSORS = {
+  // Annotate pump on/off changes
+  'pump-state': ({ poolData, site }) => {
+    const status = poolData.filter && poolData.filter.status;
+    if (status === null || status === undefined) {
+      return null;
+    }
+    return pumpStateTracker.checkStateChange(status, poolData.timestamp, site.id);
+  },
+
+  // Annotate heater, chlorinator, lights, schedule and setpoint changes (EQUIPMENT_TRACKING)
+  'equipment-state': ({ poolData, site }) => equipmentStateTracker.check(poolData, poolData.timestamp, site.id),
+
+  // Compare selector matches with earlier collections to catch page changes
+  'parser-health': ({ parseReport, poolData, site }) => (
+    parseReport ? parserHealthTracker.check(parseReport, poolData.timestamp, site.id) : null
+  ),
+
+  // Open and resolve metric alerts (salt, water temp, cell voltage, home temperature and humidity)
+  'metric-alerts': ({ timeSeriesPoint, site }) => alertEngine.evaluateCollection(site, timeSeriesPoint)
+};
+
+/**
+ * Describe why a collection failed for its result
+ * @param {Error} error - What the pipeline threw
+ * @returns {{error: string, message: string}} Failure reason and message
+ */
+const describeFailure = (error) => {
+  if (error instanceof CollectionError) {
+    return { error: error.reason, message: error.message };
+  }
+  if (error instanceof CircuitOpenError) {
+    return { error: 'Circuit open', message: error.message };
+  }
+  return { error: 'Data collection failed', message: error.message };
+};
+
+class CollectionPipeline {
+  /**
+   * @param {object} [options]
+   * @param {Object<string, Function>} [options.stages] - Stages to replace, by name (see STAGE_ORDER)
+   * @param {Object<string, Function>} [options.postProcessors] - Hooks run after a successful collection
+   */
+  constructor({ stages = {}, postProcessors = DEFAULT_POST_PROCESSORS } = {}) {
+    this.stages = { ...DEFAULT_STAGES };
+    Object.entries(stages).forEach(([name, stage]) => this.setStage(name, stage));
+    this.postProcessors = new Map(Object.entries(postProcessors));
+  }
+
+  /**
+   * Replace a stage
+   * @param {string} name - Stage name (see STAGE_ORDER)
+   * @param {Function} stage - (context) => void; throws to fail the collection
+   * @returns {CollectionPipeline} This pipeline
+   */
+  setStage(name, stage) {
+    if (!STAGE_ORDER.includes(name)) {
+      throw new Error(`Unknown collection stage: ${name}`);
+    }
+    this.stages[name] = stage;
+    return this;
+  }
+
+  /**
+   * Add a hook that runs after each successful collection; its failures are logged, not raised
+   * @param {string} name - Hook name; its result is kept under context.postProcess[name]
+   * @param {Function} hook - (context) => result
+   * @returns {CollectionPipeline} This pipeline
+   */
+  addPostProcessor(name, hook) {
+    this.postProcessors.set(name, hook);
+    return this;
+  }
+
+  /**
+   * @param {string} name - Hook name
+   * @returns {boolean} Whether the hook was registered
+   */
+  removePostProcessor(name) {
+    return this.postProcessors.delete(name);
+  }
+
+  /**
+   * Run every stage and post-process hook for one site
+   * @param {object} options
+   * @param {import('../config/sites').Site} [options.site] - Site to collect (defaults to the default site)
+   * @param {import('./collectionRunLedger').CollectionRun} [options.run] - Run to report each endpoint's outcome to
+   * @param {{username: string, password: string}} [options.credentials] - Hayward credentials (needed to log in)
+   * @param {import('./HaywardSession')} [options.session] - Already logged-in session to scrape with
+   * @param {string} [options.backend] - 'scrape' or 'xml' (defaults to POOL_COLLECTOR)
+   * @returns {Promise<CollectionContext>} Completed context
+   * @throws {Error} If a stage fails
+   */
+  async run({
+    site = siteRegistry.getDefaultSite(),
+    run = null,
+    credentials = null,
+    session = null,
+    backend = envConfig.getCollectorBackend()
+  } = {}) {
+    const startTime = Date.now();
+
+    /** @type {CollectionContext} */
+    const context = {
+      site,
+      run,
+      credentials,
+      session,
+      sources: getSources(backend),
+      source: null,
+      raw: null,
+      parseReport: null,
+      poolData: null,
+      timeSeriesPoint: null,
+      storage: null,
+      postProcess: {}
+    };
+
+    console.log(`🚀 Collecting pool data for site ${site.id}...`);
+    for (const name of STAGE_ORDER) {
+      await this.stages[name](context);
+    }
+
+    for (const [name, hook] of this.postProcessors) {
+      try {
+        context.postProcess[name] = await hook(context);
+      } catch (error) {
+        console.error(`❌ Post-process hook ${name} failed for site ${site.id}:`, error.message);
+        context.postProcess[name] = { error: error.message };
+      }
+    }
+
+    console.log(`✅ Pool data collected for site ${site.id} from ${context.source.name} in ${Date.now() - startTime}ms`);
+    return context;
+  }
+
+  /**
+   * Collect one site with its configured credentials and record the run in the collection run ledger
+   * @param {import('../config/sites').Site} site - Site to collect
+   * @param {object} [options]
+   * @param {string} [options.trigger] - Cron route or scheduler job that started the run
+   * @param {string} [options.backend] - 'scrape' or 'xml' (defaults to POOL_COLLECTOR)
+   * @returns {Promise<object>} Collection result with its run ID: the context's poolData, timeSeriesPoint,
+   *   storage and postProcess on success, or error and message on failure
+   */
+  async collect(site, { trigger = 'manual', backend } = {}) {
+    const run = collectionRunLedger.start(site.id, trigger);
+    let result;
+
+    const credentials = siteRegistry.getCredentials(site);
+    if (!credentials) {
+      console.error(`❌ Pool credentials not configured for site ${site.id}`);
+      result = { site: site.id, success: false, error: 'Configuration error', message: 'Pool credentials not configured' };
+    } else {
+      try {
+        const { poolData, timeSeriesPoint, storage, postProcess } = await this.run({ site, run, credentials, backend });
+        result = { site: site.id, success: true, poolData, timeSeriesPoint, storage, postProcess };
+      } catch (error) {
+        const failure = describeFailure(error);
+        if (failure.error === 'Circuit open') {
+          console.warn(`⚡ Skipping site ${site.id}: ${failure.message}`);
+        } else {
+          console.error(`❌ Pool data collection failed for site ${site.id}:`, failure.message);
+        }
+        result = { site: site.id, success: false, ...failure };
+      }
+    }
+
+    await collectionRunLedger.record(run, {
+      success: result.success,
+      error: result.success ? null : `${result.error}: ${result.message}`
+    });
+    return { ...result, runId: run.id };
+  }
+}
+
+// Create singleton instance
+const collectionPipeline = new CollectionPipeline();
+
+module.exports = {
+  STAGE_ORDER,
+  CollectionError,
+  CollectionPipeline,
+  collectionPipeline,
+  getMostRecentPoolData,
+  setMostRecentPoolData
+};
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { influxDBService } = require('./influxDBService');
+const { siteRegistry } = require('../config/sites');
+
+// Runs kept in memory for when InfluxDB is not connected
+const MAX_MEMORY_RUNS = 200;
+
+/**
+ * @typedef {object} EndpointOutcome
+ * @property {string} status - 'ok' or 'error'
+ * @property {number} durationMs - Time spent fetching and parsing the page
+ * @property {string} [error] - Error message when the endpoint failed
+ * @property {number} [parsed] - Fields parsed from the page
+ * @property {number} [total] - Fields the parsers looked for on the page
+ */
+
+/**
+ * @typedef {object} CollectionRunRecord
+ * @property {string} id - Run ID
+ * @property {string} timestamp - ISO timestamp the run started
+ * @property {string} site - Site collected
+ * @property {string} trigger - Route or job that started the run, e.g. "collect-all"
+ * @property {string} status - 'success', 'partial' (some endpoints failed) or 'failed'
+ * @property {boolean} success - Whether data was collected
+ * @property {number} durationMs - Run duration
+ * @property {string|null} source - Collector that produced the data ('html-scrape' or 'omnilogic-api')
+ * @property {Object<string, EndpointOutcome>} endpoints - Outcome per Hayward page (dashboard, filter, ..., weather)
+ * @property {number} parsedFields - Fields parsed across all pages
+ * @property {number} totalFields - Fields the parsers looked for across all pages
+ * @property {Array<{endpoint: string, message: string}>} errors - Endpoint and run errors
+ */
+
+/**
+ * One collection run for one site; collectors report each endpoint to it as they go
+ */
+class CollectionRun {
+  /**
+   * @param {string} site - Site being collected
+   * @param {string} trigger - Route or job that started the run
+   */
+  constructor(site, trigger) {
+    this.id = crypto.randomUUID();
+    this.site = site;
+    this.trigger = trigger;
+    this.startedAt = Date.now();
+    this.source = null;
+    /** @type {Object<string, EndpointOutcome>} */
+    this.endpoints = {};
+  }
+
+  /**
+   * Time an endpoint fetch and record whether it succeeded
+   * @param {string} endpoint - Endpoint name, e.g. "filter"
+   * @param {Function} fn - Fetches and parses the endpoint
+   * @returns {Promise<*>} The fetch result (errors are recorded and rethrown)
+   */
+  async track(endpoint, fn) {
+    const start = Date.now();
+    try {
+      const result = await fn();
+      this.recordEndpoint(endpoint, { status: 'ok', durationMs: Date.now() - start });
+      return result;
+    } catch (error) {
+      this.recordEndpoint(endpoint, { status: 'error', durationMs: Date.now() - start, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} endpoint - Endpoint name
+   * @param {EndpointOutcome} outcome - What happened
+   */
+  recordEndpoint(endpoint, outcome) {
+    this.endpoints[endpoint] = { ...this.endpoints[endpoint], ...outcome };
+  }
+
+  /**
+   * Add parse counts per endpoint from the collection's parse report
+   * @param {import('../domains/pool/parsers/parse-report').ParseReport|null} report - Report filled in by the parsers
+   */
+  addParseReport(report) {
+    if (!report) return;
+    Object.entries(report.getSectionCounts()).forEach(([section, counts]) => {
+      if (this.endpoints[section]) {
+        Object.assign(this.endpoints[section], counts);
+      }
+    });
+  }
+
+  /**
+   * Finish the run
+   * @param {object} result
+   * @param {boolean} result.success - Whether data was collected
+   * @param {string} [result.error] - Why the run failed
+   * @returns {CollectionRunRecord} Run record
+   */
+  finish({ success, error = null }) {
+    const outcomes = Object.entries(this.endpoints);
+    const errors = outcomes
+      .filter(([, outcome]) => outcome.status === 'error')
+      .map(([endpoint, outcome]) => ({ endpoint, message: outcome.error }));
+    if (error) {
+      errors.push({ endpoint: 'run', message: error });
+    }
+
+    let status = 'failed';
+    if (success) {
+      status = errors.length > 0 ? 'partial' : 'success';
+    }
+
+    return {
+      id: this.id,
+      timestamp: new Date(this.startedAt).toISOString(),
+      site: this.site,
+      trigger: this.trigger,
+      status,
+      success: Boolean(success),
+      durationMs: Date.now() - this.startedAt,
+      source: this.source,
+      endpoints: this.endpoints,
+      parsedFields: outcomes.reduce((sum, [, outcome]) => sum + (outcome.parsed || 0), 0),
+      totalFields: outcomes.reduce((sum, [, outcome]) => sum + (outcome.total || 0), 0),
+      errors
+    };
+  }
+}
+
+class CollectionRunLedger {
+  constructor() {
+    /** @type {CollectionRunRecord[]} */
+    this.runs = [];
+  }
+
+  /**
+   * Start a run
+   * @param {string} [siteId] - Site being collected (defaults to the default site)
+   * @param {string} [trigger] - Route or job that started the run
+   * @returns {CollectionRun} Run to report endpoints to
+   */
+  start(siteId = siteRegistry.getDefaultSite().id, trigger = 'manual') {
+    return new CollectionRun(siteId, trigger);
+  }
+
+  /**
+   * Finish a run and store it as a `collection_runs` point
+   * Storage failures are logged; a run is never lost from the in-memory history
+   * @param {CollectionRun} run - Run to finish
+   * @param {object} result - See CollectionRun.finish
+   * @returns {Promise<CollectionRunRecord>} Run record
+   */
+  async record(run, result) {
+    const record = run.finish(result);
+
+    this.runs.push(record);
+    if (this.runs.length > MAX_MEMORY_RUNS) {
+      this.runs.shift();
+    }
+
+    const icon = record.success ? '📒' : '❌';
+    console.log(`${icon} Collection run ${record.status} for ${record.site} (${record.trigger}) in ${record.durationMs}ms`);
+
+    try {
+      await influxDBService.storeCollectionRun(record);
+    } catch (error) {
+      console.error('❌ Error storing collection run:', error);
+    }
+
+    return record;
+  }
+
+  /**
+   * Get recorded runs, newest first
+   * Reads InfluxDB when connected so runs from other processes are included
+   * @param {object} [options]
+   * @param {number} [options.hours] - How far back to look
+   * @param {string|null} [options.siteId] - Restrict to one site (null for all sites)
+   * @returns {Promise<CollectionRunRecord[]>} Runs in the window
+   */
+  async getRuns({ hours = 24, siteId = null } = {}) {
+    const endTime = new Date();
+    const startTime = new Date(endTime.getTime() - (hours * 60 * 60 * 1000));
+
+    const runs = influxDBService.isConnected
+      ? await influxDBService.queryCollectionRuns(startTime, endTime, siteId)
+      : this.runs.filter(run => new Date(run.timestamp) >= startTime && (!siteId || run.site === siteId));
+
+    return [...runs].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  /**
+   * Summarize runs: success rate overall and per endpoint
+   * @param {CollectionRunRecord[]} runs - Runs to summarize
+   * @returns {object} Summary
+   */
+  summarize(runs) {
+    const succeeded = runs.filter(run => run.success);
+    const rate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : null);
+
+    const endpoints = {};
+    runs.forEach(run => {
+      Object.entries(run.endpoints || {}).forEach(([endpoint, outcome]) => {
+        const counts = endpoints[endpoint] || { ok: 0, error: 0 };
+        counts[outcome.status === 'ok' ? 'ok' : 'error'] += 1;
+        endpoints[endpoint] = counts;
+      });
+    });
+    Object.values(endpoints).forEach(counts => {
+      counts.successRate = rate(counts.ok, counts.ok + counts.error);
+    });
+
+    const lastFailure = runs.find(run => !run.success) || null;
+
+    return {
+      total: runs.length,
+      succeeded: succeeded.length,
+      partial: runs.filter(run => run.status === 'partial').length,
+      failed: runs.length - succeeded.length,
+      successRate: rate(succeeded.length, runs.length),
+      averageDurationMs: runs.length > 0
+        ? Math.round(runs.reduce((sum, run) => sum + (run.durationMs || 0), 0) / runs.length)
+        : null,
+      endpoints,
+      lastFailure: lastFailure && {
+        id: lastFailure.id,
+        timestamp: lastFailure.timestamp,
+        site: lastFailure.site,
+        errors: lastFailure.errors
+      }
+    };
+  }
+
+  /**
+   * Clear the in-memory history (useful for testing)
+   */
+  reset() {
+    this.runs = [];
+  }
+}
+
+// Create singleton instance
+const collectionRunLedger = new CollectionRunLedger();
+
+module.exports = collectionRunLedger;
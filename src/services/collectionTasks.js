@@ -0,0 +1,131 @@
+/**
+ * Collection Tasks
+ * The work behind the cron routes, shared with the in-process scheduler
+ */
+
+const { collectionPipeline } = require('./collectionPipeline');
+const { influxDBService } = require('./influxDBService');
+const weatherService = require('./weatherService');
+const weatherAlertService = require('./weatherAlertService');
+const { gapDetector } = require('./gapDetector');
+const { forecastWarnings } = require('./forecastWarnings');
+const { stalenessWatchdog } = require('./stalenessWatchdog');
+const { siteRegistry } = require('../config/sites');
+
+// Initialize weather alert service
+const weatherAlerts = new weatherAlertService();
+
+// Initialize the service when the module loads
+(async () => {
+  try {
+    await weatherAlerts.initialize();
+  } catch (error) {
+    console.error('Failed to initialize weather alert service:', error);
+  }
+})();
+
+/**
+ * Collect one site through the collection pipeline (which records the run in the collection run ledger)
+ * @param {import('../config/sites').Site} site - Site to collect
+ * @param {string} trigger - Cron route or scheduler job that started the run
+ * @returns {Promise<object>} Collection result for the site, with its run ID
+ */
+const collectSiteData = async (site, trigger) => {
+  const { success, poolData, error, message, runId } = await collectionPipeline.collect(site, { trigger });
+  return success
+    ? { site: site.id, success, poolData, runId }
+    : { site: site.id, success, error, message, runId };
+};
+
+/**
+ * Collect every registered site in turn
+ * @param {string} trigger - Cron route or scheduler job that started the run
+ * @returns {Promise<object[]>} Collection result per site
+ */
+const collectAllSites = async (trigger) => {
+  const results = [];
+  for (const site of siteRegistry.getSites()) {
+    const result = await collectSiteData(site, trigger);
+    if (result.success) {
+      console.log(`✅ Pool data collection completed for site ${site.id}`);
+    } else {
+      console.error(`❌ Pool data collection failed for site ${site.id}:`, result.message);
+    }
+    results.push(result);
+  }
+  return results;
+};
+
+/**
+ * Fetch current weather and store it in InfluxDB
+ * @returns {Promise<object|null>} Weather data, or null if none could be fetched
+ */
+const collectWeather = async () => {
+  const weatherData = await weatherService.getCurrentWeather();
+  if (!weatherData) {
+    return null;
+  }
+
+  const timeSeriesPoint = {
+    timestamp: new Date().toISOString(),
+    weatherTemp: weatherData.temperature,
+    weatherHumidity: weatherData.humidity || null,
+    weatherSource: weatherData.source || 'unknown'
+  };
+
+  await influxDBService.storeDataPoint(timeSeriesPoint);
+  return weatherData;
+};
+
+/**
+ * Check for new weather alerts and freeze or heat warnings from the forecast, and store them
+ * @returns {Promise<object>} Alert check result, with the forecast warning check under `forecastWarnings`
+ */
+const checkWeatherAlerts = async () => {
+  const alertResult = await weatherAlerts.checkAndStoreAlerts();
+
+  try {
+    alertResult.forecastWarnings = await forecastWarnings.checkAndStoreWarnings();
+  } catch (error) {
+    console.error('❌ Forecast warning check failed:', error.message);
+    alertResult.forecastWarnings = { checked: false, error: error.message };
+  }
+
+  return alertResult;
+};
+
+/**
+ * Record and backfill data gaps for every registered site
+ * @param {number} [hours] - How far back to scan
+ * @returns {Promise<object[]>} Backfill result per site
+ */
+const backfillGaps = async (hours = 24) => {
+  const results = [];
+  for (const site of siteRegistry.getSites()) {
+    results.push(await gapDetector.backfill(site.id, { hours }));
+  }
+  return results;
+};
+
+/**
+ * Check how old every site's readings are and raise the collection-stopped alert where collection has stopped
+ * @returns {Promise<import('./stalenessWatchdog').FreshnessReport[]>} Freshness report per site
+ */
+const checkStaleness = () => stalenessWatchdog.checkAll();
+
+/**
+ * Replay InfluxDB writes queued while it was unreachable, a capped number per run
+ * @returns {Promise<{replayed: number, remaining: number}>} Replay result
+ */
+const replayQueuedWrites = () => influxDBService.replayQueuedWrites();
+
+module.exports = {
+  weatherAlerts,
+  collectSiteData,
+  collectAllSites,
+  collectWeather,
+  checkWeatherAlerts,
+  backfillGaps,
+  checkStaleness,
+  replayQueuedWrites
+};
@@ -0,0 +1,433 @@
+/**
+ * Equipment State Tracker
+ * Watches parsed pool data for equipment changes (filter pump, heater,
+ * chlorinator, lights, schedules, setpoints) and writes a categorized
+ * annotation with the before and after values of each one
+ */
+
+const { influxDBService } = require('./influxDBService');
+const { siteRegistry } = require('../config/sites');
+const { envConfig } = require('../config/environment');
+
+/**
+ * @typedef {object} EquipmentWatcher
+ * @property {string} category - Annotation category written for each change
+ * @property {string} component - Equipment the watcher follows
+ * @property {string} [metric] - pool_metrics field holding the same value, used when restoring state
+ * @property {function(object): *} read - Watched value from parsed pool data; undefined when it was not collected
+ * @property {function(*, *): {title: string, description: string, metadata?: object}} describe - Annotation text for a change
+ * @property {function(object): *} [fromAnnotation] - Value after the change an annotation recorded (default metadata.after)
+ */
+
+/**
+ * @typedef {object} EquipmentTransition
+ * @property {string} watcher - Watcher that saw the change
+ * @property {string} category - Annotation category
+ * @property {string} timestamp - ISO timestamp of the collection that saw the change
+ * @property {*} before - Previous value
+ * @property {*} after - New value
+ * @property {boolean} annotated - Whether the annotation was stored (or queued)
+ */
+
+const toTime = timestamp => new Date(timestamp).getTime();
+
+const isSet = value => value !== null && value !== undefined;
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const formatValue = value => (isSet(value) ? String(value) : 'unknown');
+
+/**
+ * Pick fields from a pool data section
+ * @param {object|undefined} section - e.g. poolData.heater
+ * @param {Array<string>} fields - Fields to keep, in a fixed order
+ * @returns {object|undefined} Picked fields, or undefined when the section was not collected
+ */
+const pick = (section, fields) => {
+  if (!section || !fields.some(field => isSet(section[field]))) {
+    return undefined;
+  }
+  return Object.fromEntries(fields.map(field => [field, isSet(section[field]) ? section[field] : null]));
+};
+
+/**
+ * Describe the fields that changed, e.g. "status off → heat"
+ * @param {object} before - Previous fields
+ * @param {object} after - New fields
+ * @returns {string} Changed fields, comma separated
+ */
+const describeFields = (before, after) => Object.keys(after)
+  .filter(field => !isEqual(before[field], after[field]))
+  .map(field => `${field} ${formatValue(before[field])} → ${formatValue(after[field])}`)
+  .join(', ');
+
+const scheduleKey = schedule => schedule.id || `${schedule.name}@${schedule.startTime}`;
+
+/**
+ * Compare two schedule lists by Hayward schedule ID (or name and start time)
+ * @param {Array<object>} before - Previous schedules
+ * @param {Array<object>} after - New schedules
+ * @returns {{added: Array<string>, removed: Array<string>, updated: Array<string>}} Schedule names per kind of change
+ */
+const diffSchedules = (before, after) => {
+  const previous = new Map(before.map(schedule => [scheduleKey(schedule), schedule]));
+  const current = new Map(after.map(schedule => [scheduleKey(schedule), schedule]));
+  const name = schedule => schedule.name || scheduleKey(schedule);
+
+  return {
+    added: after.filter(schedule => !previous.has(scheduleKey(schedule))).map(name),
+    removed: before.filter(schedule => !current.has(scheduleKey(schedule))).map(name),
+    updated: after
+      .filter(schedule => previous.has(scheduleKey(schedule)) && !isEqual(previous.get(scheduleKey(schedule)), schedule))
+      .map(name)
+  };
+};
+
+const SCHEDULE_FIELDS = ['id', 'name', 'startTime', 'endTime', 'setting', 'repeat', 'status'];
+
+/**
+ * Built-in watchers, keyed by name
+ * @type {Object<string, EquipmentWatcher>}
+ */
+const WATCHERS = {
+  pump: {
+    category: 'pump_state_change',
+    component: 'filter_pump',
+    metric: 'pump_status',
+    read: poolData => (typeof poolData.filter?.status === 'boolean' ? poolData.filter.status : undefined),
+    describe: (before, after) => {
+      const changeType = after ? 'on' : 'off';
+      return {
+        title: `Filter Pump ${changeType.toUpperCase()}`,
+        description: `Filter pump automatically turned ${changeType}`,
+        metadata: { changeType }
+      };
+    },
+    // Pump annotations from before watchers existed only carry changeType
+    fromAnnotation: annotation => (annotation.metadata.changeType ? annotation.metadata.changeType === 'on' : undefined)
+  },
+
+  heater: {
+    category: 'heater_state_change',
+    component: 'heater',
+    read: poolData => pick(poolData.heater, ['enabled', 'status']),
+    describe: (before, after) => ({
+      title: 'Heater Changed',
+      description: `Heater ${describeFields(before, after)}`
+    })
+  },
+
+  chlorinator: {
+    category: 'chlorinator_state_change',
+    component: 'chlorinator',
+    read: poolData => pick(poolData.chlorinator, ['enabled', 'status']),
+    describe: (before, after) => ({
+      title: 'Chlorinator Changed',
+      description: `Chlorinator ${describeFields(before, after)}`
+    })
+  },
+
+  lights: {
+    category: 'lights_state_change',
+    component: 'lights',
+    read: poolData => pick(poolData.lights, ['enabled', 'status', 'brightness']),
+    describe: (before, after) => ({
+      title: 'Lights Changed',
+      description: `Lights ${describeFields(before, after)}`
+    })
+  },
+
+  schedules: {
+    category: 'schedule_change',
+    component: 'schedules',
+    // An empty list usually means the schedule page failed, so it is not taken as every schedule being removed
+    read: poolData => (Array.isArray(poolData.schedules) && poolData.schedules.length > 0
+      ? poolData.schedules
+        .map(schedule => pick(schedule, SCHEDULE_FIELDS))
+        .filter(Boolean)
+        .sort((a, b) => scheduleKey(a).localeCompare(scheduleKey(b)))
+      : undefined),
+    describe: (before, after) => {
+      const diff = diffSchedules(before, after);
+      const parts = Object.entries(diff)
+        .filter(([, names]) => names.length > 0)
+        .map(([kind, names]) => `${kind} ${names.join(', ')}`);
+      return {
+        title: 'Schedules Changed',
+        description: `Schedules ${parts.join('; ')}`,
+        metadata: diff
+      };
+    }
+  },
+
+  setpoints: {
+    category: 'setpoint_change',
+    component: 'heater',
+    read: poolData => pick({
+      heaterSetpoint: poolData.heater?.temperature?.current,
+      targetTemp: poolData.dashboard?.temperature?.target
+    }, ['heaterSetpoint', 'targetTemp']),
+    describe: (before, after) => ({
+      title: 'Setpoint Changed',
+      description: `Setpoint ${describeFields(before, after)}`
+    })
+  }
+};
+
+/**
+ * Tracks equipment values per site and annotates each change.
+ *
+ * Like the pump, every watcher's state is restored from InfluxDB after a cold
+ * start: the newer of its last annotation and (for watchers with a metric) its
+ * last pool_metrics reading. Readings at or before the last one seen are ignored.
+ */
+class EquipmentStateTracker {
+  /**
+   * @param {object} [options]
+   * @param {Object<string, EquipmentWatcher>} [options.watchers] - Watchers by name
+   * @param {Array<string>} [options.enabled] - Watchers check() runs (EQUIPMENT_TRACKING)
+   */
+  constructor({ watchers = WATCHERS, enabled = envConfig.getEquipmentTrackingConfig().watchers } = {}) {
+    this.watchers = watchers;
+    this.enabled = enabled.filter(name => {
+      if (!this.watchers[name]) {
+        console.warn(`⚠️  Unknown equipment watcher "${name}" in EQUIPMENT_TRACKING, ignoring it`);
+        return false;
+      }
+      return true;
+    });
+
+    // State per site and watcher, keyed by `${siteId}:${watcher}`
+    this.states = new Map();
+  }
+
+  getWatcher(name) {
+    const watcher = this.watchers[name];
+    if (!watcher) {
+      throw new Error(`Unknown equipment watcher: ${name}`);
+    }
+    return watcher;
+  }
+
+  getSiteState(name, siteId) {
+    const key = `${siteId}:${name}`;
+    if (!this.states.has(key)) {
+      this.states.set(key, {
+        value: null,
+        lastChangeTime: null,
+        lastChange: null,
+        lastReadingTime: null,
+        restored: false,
+        restoring: null
+      });
+    }
+    return this.states.get(key);
+  }
+
+  /**
+   * Get a watcher's current state
+   * @param {string} name - Watcher name
+   * @param {string} [siteId] - Site to look up (defaults to the default site)
+   * @returns {{value: *, lastChangeTime: string|null, lastChange: *, lastReadingTime: string|null}} Value (null until known),
+   *   when it last changed, the value it changed to and the last reading seen
+   */
+  getState(name, siteId = siteRegistry.getDefaultSite().id) {
+    const { value, lastChangeTime, lastChange, lastReadingTime } = this.getSiteState(name, siteId);
+    return { value, lastChangeTime, lastChange, lastReadingTime };
+  }
+
+  /**
+   * Annotation categories of all watchers
+   * @returns {Array<string>} Categories
+   */
+  getCategories() {
+    return Object.values(this.watchers).map(watcher => watcher.category);
+  }
+
+  /**
+   * Restore a watcher's state from InfluxDB once per process. Retried on later
+   * calls while InfluxDB is not connected; state already tracked in memory wins.
+   * @param {string} name - Watcher name
+   * @param {string} [siteId] - Site to restore (defaults to the default site)
+   * @param {Date} [before] - Restore from readings before this time
+   * @returns {Promise<void>}
+   */
+  async restore(name, siteId = siteRegistry.getDefaultSite().id, before = new Date()) {
+    const state = this.getSiteState(name, siteId);
+
+    if (!state.restored && influxDBService.isConnected) {
+      if (!state.restoring) {
+        state.restoring = this.loadState(name, state, siteId, before)
+          .finally(() => {
+            state.restoring = null;
+          });
+      }
+      await state.restoring;
+    }
+  }
+
+  /**
+   * Load a watcher's last annotation (and metric reading) into its state
+   * @param {string} name - Watcher name
+   * @param {object} state - State from getSiteState
+   * @param {string} siteId - Site to load
+   * @param {Date} before - Load readings before this time
+   * @returns {Promise<void>}
+   */
+  async loadState(name, state, siteId, before) {
+    const watcher = this.getWatcher(name);
+    const [annotation, reading] = await Promise.all([
+      // An annotation at `before` itself means that collection was already handled
+      influxDBService.queryLastAnnotation(watcher.category, new Date(before.getTime() + 1), siteId),
+      watcher.metric ? influxDBService.queryLastValue(watcher.metric, before, siteId) : null
+    ]);
+    state.restored = true;
+
+    if (state.value !== null) {
+      return;
+    }
+
+    const annotated = annotation
+      ? (watcher.fromAnnotation || (({ metadata }) => metadata.after))(annotation)
+      : undefined;
+    if (isSet(annotated)) {
+      state.value = annotated;
+      state.lastChange = annotated;
+      state.lastChangeTime = annotation.timestamp;
+      state.lastReadingTime = annotation.timestamp;
+    }
+
+    if (reading && isSet(reading.value) &&
+        (state.lastReadingTime === null || toTime(reading.timestamp) > toTime(state.lastReadingTime))) {
+      state.value = reading.value;
+      state.lastReadingTime = reading.timestamp;
+    }
+
+    if (state.value !== null) {
+      console.log(`🔧 Restored ${name} state for ${siteId} (as of ${state.lastReadingTime})`);
+    }
+  }
+
+  /**
+   * Compare a new reading with a watcher's state and annotate a change
+   * @param {string} name - Watcher name
+   * @param {*} value - Value read from the collection
+   * @param {string} timestamp - ISO timestamp of the collection
+   * @param {string} [siteId] - Site the value was collected from (defaults to the default site)
+   * @returns {Promise<EquipmentTransition|null>} The change, or null when nothing changed
+   */
+  async observe(name, value, timestamp, siteId = siteRegistry.getDefaultSite().id) {
+    const watcher = this.getWatcher(name);
+    if (!isSet(value)) {
+      return null;
+    }
+
+    await this.restore(name, siteId, new Date(timestamp));
+    const state = this.getSiteState(name, siteId);
+
+    // Skip readings already seen (retried or replayed collections)
+    if (state.lastReadingTime !== null && toTime(timestamp) <= toTime(state.lastReadingTime)) {
+      return null;
+    }
+    state.lastReadingTime = timestamp;
+
+    // Skip if this is the first time (no previous value to compare)
+    if (state.value === null) {
+      state.value = value;
+      state.lastChangeTime = timestamp;
+      console.log(`🔧 Initial ${name} state for ${siteId}: ${JSON.stringify(value)}`);
+      return null;
+    }
+
+    if (isEqual(state.value, value)) {
+      return null;
+    }
+
+    const before = state.value;
+    const { title, description, metadata = {} } = watcher.describe(before, value);
+    console.log(`🔄 ${title} for ${siteId}: ${description}`);
+
+    state.value = value;
+    state.lastChange = value;
+    state.lastChangeTime = timestamp;
+
+    const annotated = await this.createAnnotation({
+      timestamp,
+      site: siteId,
+      title,
+      description,
+      category: watcher.category,
+      metadata: {
+        ...metadata,
+        watcher: name,
+        component: watcher.component,
+        source: 'automatic_detection',
+        before,
+        after: value
+      }
+    });
+
+    return { watcher: name, category: watcher.category, timestamp, before, after: value, annotated };
+  }
+
+  /**
+   * Run every enabled watcher over a collection
+   * @param {object} poolData - Parsed pool data
+   * @param {string} timestamp - ISO timestamp of the collection
+   * @param {string} [siteId] - Site the data was collected from (defaults to the default site)
+   * @returns {Promise<Array<EquipmentTransition>>} Changes seen
+   */
+  async check(poolData, timestamp, siteId = siteRegistry.getDefaultSite().id) {
+    const transitions = [];
+    for (const name of this.enabled) {
+      const transition = await this.observe(name, this.watchers[name].read(poolData), timestamp, siteId);
+      if (transition) {
+        transitions.push(transition);
+      }
+    }
+    return transitions;
+  }
+
+  /**
+   * Store a change annotation
+   * @param {import('./influxDBService').Annotation} annotation - Annotation to store
+   * @returns {Promise<boolean>} Success status
+   */
+  async createAnnotation(annotation) {
+    try {
+      console.log(`📝 Creating ${annotation.category} annotation: ${annotation.title}`);
+      const success = await influxDBService.storeAnnotation(annotation);
+
+      if (!success) {
+        console.error(`❌ Failed to create ${annotation.category} annotation`);
+      }
+
+      return success;
+    } catch (error) {
+      console.error(`❌ Error creating ${annotation.category} annotation:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Reset tracked state (useful for testing)
+   * @param {string} [name] - Only reset this watcher
+   */
+  reset(name = null) {
+    for (const key of this.states.keys()) {
+      if (!name || key.endsWith(`:${name}`)) {
+        this.states.delete(key);
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const equipmentStateTracker = new EquipmentStateTracker();
+
+module.exports = {
+  EquipmentStateTracker,
+  equipmentStateTracker,
+  WATCHERS,
+  diffSchedules
+};
@@ -0,0 +1,184 @@
+/**
+ * Forecast Warnings
+ * Looks ahead through the hourly weather forecast for freezing air while the
+ * filter pump is scheduled off, and through the water temperature forecast for
+ * heat waves that push the water past its limit. Warnings are stored as range
+ * annotations next to the NWS weather alerts
+ */
+
+const { influxDBService } = require('./influxDBService');
+const weatherService = require('./weatherService');
+const { waterTempForecast } = require('./waterTempForecast');
+const { getMostRecentPoolData } = require('./collectionPipeline');
+const { Schedule } = require('../domains/pool/entities/schedule');
+const { siteRegistry } = require('../config/sites');
+const { envConfig } = require('../config/environment');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Hours ahead the forecasts are checked
+const FORECAST_HOURS = 48;
+
+// Source recorded on stored warnings, to tell them apart from NWS alerts
+const FORECAST_SOURCE = 'forecast';
+
+const localDate = time => {
+  const date = new Date(time);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Group consecutive flagged forecast hours into ranges
+ * @param {Array<{timestamp: string}>} hours - Forecast hours, oldest first
+ * @param {function(object): boolean} flagged - Whether an hour counts
+ * @returns {Array<{start: number, end: number, hours: Array<object>}>} Ranges, each ending an hour after its last flagged hour
+ */
+const findRanges = (hours, flagged) => {
+  const ranges = [];
+  hours.forEach(hour => {
+    const time = new Date(hour.timestamp).getTime();
+    if (!flagged(hour)) return;
+
+    const last = ranges[ranges.length - 1];
+    if (last && last.end === time) {
+      last.end = time + HOUR_MS;
+      last.hours.push(hour);
+    } else {
+      ranges.push({ start: time, end: time + HOUR_MS, hours: [hour] });
+    }
+  });
+  return ranges;
+};
+
+/**
+ * Enabled filter pump schedules from collected schedule rows
+ * @param {Array<object>} schedules - Rows from the schedule page (or Schedule entities)
+ * @returns {Array<Schedule>} Valid pump schedules
+ */
+const pumpSchedules = schedules => (schedules || [])
+  .map(schedule => (schedule instanceof Schedule ? schedule : Schedule.fromParsed(schedule)))
+  .filter(schedule => schedule.equipment === 'pump' && schedule.enabled && schedule.isValid());
+
+class ForecastWarnings {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.freezeTempF] - Air temperature below which an idle pump risks freezing (FREEZE_WARNING_TEMP_F)
+   * @param {number} [options.waterTempLimitF] - Highest water temperature wanted (WATER_TEMP_LIMIT_F)
+   */
+  constructor({ freezeTempF, waterTempLimitF } = {}) {
+    const config = envConfig.getForecastWarningConfig();
+    this.freezeTempF = freezeTempF ?? config.freezeTempF;
+    this.waterTempLimitF = waterTempLimitF ?? config.waterTempLimitF;
+  }
+
+  /**
+   * Build a warning in the weather alert format, one per kind, site and day
+   * @param {string} kind - 'freeze' or 'heat'
+   * @param {import('../config/sites').Site} site - Site warned about
+   * @param {{start: number, end: number}} range - Forecast range
+   * @param {object} fields - Event, severity, description and instruction
+   * @returns {object} Alert data for influxDBService.storeWeatherAlert
+   */
+  buildWarning(kind, site, range, fields) {
+    return {
+      id: `forecast-${kind}-${site.id}-${localDate(range.start)}`,
+      urgency: 'Expected',
+      certainty: 'Likely',
+      startTime: new Date(range.start).toISOString(),
+      endTime: new Date(range.end).toISOString(),
+      geometry: {},
+      source: FORECAST_SOURCE,
+      site: site.id,
+      ...fields
+    };
+  }
+
+  /**
+   * Check the next 48 hours of forecasts for a site
+   * @param {import('../config/sites').Site} site - Site to check
+   * @param {object} [options]
+   * @param {Array<object>} [options.schedules] - The site's collected schedules
+   * @param {Date} [options.now] - Start of the check
+   * @returns {Promise<Array<object>>} Warnings in the weather alert format, oldest first
+   */
+  async check(site, { schedules = [], now = new Date() } = {}) {
+    const warnings = [];
+
+    const weather = await weatherService.getHourlyForecast(FORECAST_HOURS);
+    if (weather) {
+      const pumps = pumpSchedules(schedules);
+      const upcoming = weather.filter(hour =>
+        typeof hour.temperature === 'number' && new Date(hour.timestamp).getTime() + HOUR_MS > now.getTime());
+      // Without a known pump schedule the pump is taken to be off, since a missed freeze costs far more than a false alarm
+      const idle = hour => !pumps.some(schedule => schedule.isRunningAt(new Date(hour.timestamp)));
+
+      findRanges(upcoming, hour => hour.temperature < this.freezeTempF && idle(hour)).forEach(range => {
+        const lowest = Math.min(...range.hours.map(hour => hour.temperature));
+        warnings.push(this.buildWarning('freeze', site, range, {
+          event: 'Pool Freeze Risk',
+          severity: 'Severe',
+          description: `Air temperature is forecast to fall to ${Math.round(lowest)}°F, below ${this.freezeTempF}°F, while the filter pump is ${pumps.length > 0 ? 'scheduled off' : 'not known to be scheduled'}.`,
+          instruction: 'Run the filter pump through the cold hours or make sure freeze protection is on, so water keeps moving through the pump and plumbing.'
+        }));
+      });
+    }
+
+    const water = await waterTempForecast.getForecast(site, { hours: FORECAST_HOURS, now });
+    findRanges(water.forecast, hour => hour.waterTemp > this.waterTempLimitF).forEach(range => {
+      const highest = Math.max(...range.hours.map(hour => hour.waterTemp));
+      warnings.push(this.buildWarning('heat', site, range, {
+        event: 'Pool Water Too Warm',
+        severity: 'Moderate',
+        description: `Hot weather is forecast to push the water to ${highest}°F, above the ${this.waterTempLimitF}°F limit.`,
+        instruction: 'Chlorine demand and algae risk rise with the water temperature: run the pump and chlorinator longer and test chlorine more often.'
+      }));
+    });
+
+    return warnings.sort((a, b) => a.startTime.localeCompare(b.startTime));
+  }
+
+  /**
+   * Check every registered site and store warnings not stored yet
+   * @param {object} [options]
+   * @param {Date} [options.now] - Start of the check
+   * @returns {Promise<object>} Number of warnings found and stored
+   */
+  async checkAndStoreWarnings({ now = new Date() } = {}) {
+    let found = 0;
+    let stored = 0;
+
+    for (const site of siteRegistry.getSites()) {
+      const poolData = getMostRecentPoolData(site.id);
+      const warnings = await this.check(site, { schedules: poolData ? poolData.schedules : [], now });
+      found += warnings.length;
+
+      // Warnings are keyed by day, so one stored earlier stays put when the forecast range shifts
+      const existing = await influxDBService.queryWeatherAlerts(
+        new Date(now.getTime() - DAY_MS),
+        new Date(now.getTime() + FORECAST_HOURS * HOUR_MS + DAY_MS)
+      );
+      const storedIds = new Set(existing.map(alert => alert.id));
+
+      for (const warning of warnings.filter(candidate => !storedIds.has(candidate.id))) {
+        if (await influxDBService.storeWeatherAlert(warning)) {
+          stored++;
+          console.log(`⚠️ Stored forecast warning for site ${site.id}: ${warning.event}`);
+        }
+      }
+    }
+
+    return { checked: true, found, stored };
+  }
+}
+
+// Create singleton instance
+const forecastWarnings = new ForecastWarnings();
+
+module.exports = {
+  ForecastWarnings,
+  forecastWarnings,
+  findRanges,
+  FORECAST_SOURCE
+};
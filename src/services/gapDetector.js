@@ -0,0 +1,201 @@
+/**
+ * Gap Detector
+ * Finds stretches of pool_metrics with no collection, records each one as a
+ * `data_gap` annotation and backfills what can be reconstructed: writes still
+ * in the write queue, points the in-memory time series kept but InfluxDB never
+ * got, and hourly weather from OpenMeteo
+ */
+
+const { influxDBService } = require('./influxDBService');
+const weatherService = require('./weatherService');
+const { timeSeriesService } = require('../domains/monitoring');
+const { envConfig } = require('../config/environment');
+const { siteRegistry } = require('../config/sites');
+
+// An interval is a gap once it is this many expected intervals long (leaves room for scheduler jitter)
+const GAP_FACTOR = 1.5;
+
+// Longest window a scan may cover (30 days)
+const MAX_GAP_SCAN_HOURS = 720;
+
+// Fields only a pool collection writes; weather-only points do not close a gap
+const COLLECTED_FIELDS = ['saltInstant', 'cellTemp', 'cellVoltage', 'cellCurrent', 'waterTemp', 'airTemp', 'pumpStatus'];
+
+/**
+ * @typedef {object} DataGap
+ * @property {string} start - ISO timestamp of the last collection before the gap
+ * @property {string} end - ISO timestamp of the first collection after the gap
+ * @property {number} durationMinutes - Time between the two collections
+ * @property {number} missedCollections - Collections expected in between
+ * @property {boolean} [recorded] - Whether a data_gap annotation already exists for it
+ */
+
+const isCollected = point => COLLECTED_FIELDS.some(field => point[field] !== null && point[field] !== undefined);
+
+const isInside = (timestamp, gap) => {
+  const time = new Date(timestamp).getTime();
+  return time > new Date(gap.start).getTime() && time < new Date(gap.end).getTime();
+};
+
+/**
+ * Find the intervals between collected points that are longer than the cadence allows
+ * @param {Array<{timestamp: string}>} points - Points from pool_metrics, in any order
+ * @param {number} expectedIntervalMs - Expected time between collections
+ * @returns {Array<DataGap>} Gaps, oldest first
+ */
+const findGaps = (points, expectedIntervalMs) => {
+  const times = points
+    .filter(isCollected)
+    .map(point => new Date(point.timestamp).getTime())
+    .sort((a, b) => a - b);
+
+  const gaps = [];
+  for (let i = 1; i < times.length; i++) {
+    const duration = times[i] - times[i - 1];
+    if (duration > expectedIntervalMs * GAP_FACTOR) {
+      gaps.push({
+        start: new Date(times[i - 1]).toISOString(),
+        end: new Date(times[i]).toISOString(),
+        durationMinutes: Math.round(duration / 60000),
+        missedCollections: Math.max(Math.round(duration / expectedIntervalMs) - 1, 1)
+      });
+    }
+  }
+  return gaps;
+};
+
+class GapDetector {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.expectedIntervalMs] - Expected time between collections (GAP_EXPECTED_INTERVAL_MINUTES)
+   */
+  constructor({ expectedIntervalMs } = {}) {
+    this.expectedIntervalMs = expectedIntervalMs || envConfig.getGapDetectionConfig().expectedIntervalMs;
+  }
+
+  /**
+   * Find gaps in a site's stored data
+   * @param {string} [siteId] - Site to scan (defaults to the default site)
+   * @param {object} [options]
+   * @param {number} [options.hours] - How far back to scan
+   * @param {Date} [options.now] - End of the scan window
+   * @returns {Promise<Array<DataGap>>} Gaps, oldest first, marked when already recorded
+   */
+  async detect(siteId = siteRegistry.getDefaultSite().id, { hours = 24, now = new Date() } = {}) {
+    const endTime = now;
+    const startTime = new Date(endTime.getTime() - hours * 60 * 60 * 1000);
+
+    const points = await influxDBService.queryDataPoints(startTime, endTime, siteId);
+    const annotations = await influxDBService.queryAnnotations(startTime, endTime, siteId);
+    const recorded = new Set(annotations
+      .filter(annotation => annotation.category === 'data_gap')
+      .map(annotation => annotation.metadata.gapStart));
+
+    return findGaps(points, this.expectedIntervalMs)
+      .map(gap => ({ ...gap, recorded: recorded.has(gap.start) }));
+  }
+
+  /**
+   * Replay queued writes, then annotate and backfill every gap not recorded yet
+   * @param {string} [siteId] - Site to scan (defaults to the default site)
+   * @param {object} [options]
+   * @param {number} [options.hours] - How far back to scan
+   * @param {Date} [options.now] - End of the scan window
+   * @returns {Promise<object>} Gaps found, and what was replayed and backfilled
+   */
+  async backfill(siteId = siteRegistry.getDefaultSite().id, { hours = 24, now = new Date() } = {}) {
+    const { replayed } = await influxDBService.replayQueuedWrites();
+
+    const gaps = await this.detect(siteId, { hours, now });
+    const newGaps = gaps.filter(gap => !gap.recorded);
+    if (newGaps.length === 0) {
+      return { site: siteId, gaps, recorded: [], replayed };
+    }
+
+    console.log(`🕳️ Found ${newGaps.length} new data gap(s) for site ${siteId}`);
+
+    const memoryPoints = timeSeriesService.getDataPoints(0, siteId);
+    const weather = await weatherService.getHourlyWeather(new Date(newGaps[0].start), new Date(newGaps[newGaps.length - 1].end)) || [];
+
+    const recorded = [];
+    for (const gap of newGaps) {
+      const backfilled = {
+        memory: await this.storePoints(memoryPoints
+          .filter(point => isInside(point.timestamp, gap))
+          .map(point => ({ ...point, timestamp: new Date(point.timestamp).toISOString() }))),
+        weather: await this.storePoints(weather
+          .filter(reading => isInside(reading.timestamp, gap))
+          .map(reading => ({
+            timestamp: reading.timestamp,
+            site: siteId,
+            weatherTemp: reading.temperature,
+            weatherHumidity: reading.humidity
+          })))
+      };
+
+      await this.recordGap(gap, siteId, backfilled);
+      recorded.push({ ...gap, backfilled });
+    }
+
+    return { site: siteId, gaps, recorded, replayed };
+  }
+
+  /**
+   * Store backfilled points, counting the ones written; points queued while InfluxDB is down are not counted
+   * @param {Array<object>} points - Data points with ISO timestamps
+   * @returns {Promise<number>} Points written
+   */
+  async storePoints(points) {
+    let stored = 0;
+    for (const point of points) {
+      if (await influxDBService.storeDataPoint(point)) {
+        stored += 1;
+      }
+    }
+    return stored;
+  }
+
+  /**
+   * Store a data_gap annotation just after the start of the gap
+   * @param {DataGap} gap - Gap to record
+   * @param {string} siteId - Site the gap belongs to
+   * @param {{memory: number, weather: number}} backfilled - Points backfilled into the gap
+   * @returns {Promise<boolean>} Success status
+   */
+  async recordGap(gap, siteId, backfilled) {
+    const annotation = {
+      // Offset so it cannot overwrite an annotation made by the collection the gap starts at
+      timestamp: new Date(new Date(gap.start).getTime() + 1).toISOString(),
+      site: siteId,
+      title: 'Data Gap',
+      description: `No pool data for ${gap.durationMinutes} minutes (${gap.missedCollections} missed collection${gap.missedCollections === 1 ? '' : 's'})`,
+      category: 'data_gap',
+      metadata: {
+        gapStart: gap.start,
+        gapEnd: gap.end,
+        durationMinutes: gap.durationMinutes,
+        missedCollections: gap.missedCollections,
+        expectedIntervalMinutes: this.expectedIntervalMs / 60000,
+        backfilled
+      }
+    };
+
+    try {
+      return await influxDBService.storeAnnotation(annotation);
+    } catch (error) {
+      console.error('❌ Error creating data gap annotation:', error);
+      return false;
+    }
+  }
+}
+
+// Create singleton instance
+const gapDetector = new GapDetector();
+
+module.exports = {
+  GapDetector,
+  gapDetector,
+  findGaps,
+  GAP_FACTOR,
+  MAX_GAP_SCAN_HOURS
+};
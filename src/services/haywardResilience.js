@@ -0,0 +1,87 @@
+/**
+ * Hayward Resilience
+ * Circuit breakers shared by HaywardSession and PoolSession, so every session
+ * in the process backs off together when Hayward is down or rejects the login
+ */
+
+const { POOL_CONSTANTS } = require('../utils/constants');
+const { CircuitBreaker, isTransientError, retryWithBackoff } = require('../utils/resilience');
+
+const { RESILIENCE, REQUEST_TIMEOUTS, ENDPOINTS } = POOL_CONSTANTS;
+
+const haywardBreakers = {
+  // Opens after repeated failed logins so the account is not locked out
+  auth: new CircuitBreaker('hayward-auth', {
+    failureThreshold: RESILIENCE.AUTH_FAILURE_THRESHOLD,
+    resetTimeout: RESILIENCE.AUTH_RESET_TIMEOUT,
+    maxResetTimeout: RESILIENCE.AUTH_MAX_RESET_TIMEOUT
+  }),
+  // Opens after repeated failed page fetches so parallel requests fail fast while Hayward is down
+  requests: new CircuitBreaker('hayward-requests', {
+    failureThreshold: RESILIENCE.REQUEST_FAILURE_THRESHOLD,
+    isFailure: isTransientError,
+    resetTimeout: RESILIENCE.REQUEST_RESET_TIMEOUT,
+    maxResetTimeout: RESILIENCE.REQUEST_MAX_RESET_TIMEOUT
+  })
+};
+
+/**
+ * Timeout for a Hayward page, from REQUEST_TIMEOUTS by endpoint name
+ * @param {string} url - Request path or full URL (query strings are ignored)
+ * @returns {number} Timeout in milliseconds
+ */
+const getRequestTimeout = (url) => {
+  const path = String(url || '').split('?')[0].toLowerCase();
+  const endpoint = Object.keys(ENDPOINTS).find(name => path.endsWith(ENDPOINTS[name].toLowerCase()));
+  return (endpoint && REQUEST_TIMEOUTS[endpoint]) || REQUEST_TIMEOUTS.DEFAULT;
+};
+
+/**
+ * Retry a Hayward call that failed transiently, backing off between attempts
+ * @param {Function} fn - Performs one attempt
+ * @param {number} [retries] - Retries after the first attempt
+ * @returns {Promise<*>} The first successful result
+ */
+const withRetry = (fn, retries = RESILIENCE.RETRIES) => retryWithBackoff(fn, {
+  retries,
+  baseDelay: RESILIENCE.RETRY_BASE_DELAY,
+  maxDelay: RESILIENCE.RETRY_MAX_DELAY
+});
+
+/**
+ * Fetch a Hayward page through the request breaker, retrying transient failures with backoff
+ * Each attempt goes through the breaker, so retries stop as soon as it opens
+ * @param {Function} fn - Performs one attempt
+ * @param {object} [options]
+ * @param {boolean} [options.idempotent] - False for postbacks, which are never retried in case the first one landed
+ * @returns {Promise<*>} The first successful response
+ */
+const withRequestResilience = (fn, { idempotent = true } = {}) => withRetry(
+  () => haywardBreakers.requests.execute(fn),
+  idempotent ? RESILIENCE.RETRIES : 0
+);
+
+/**
+ * @returns {Object<string, import('../utils/resilience').CircuitBreakerState>} Breaker states for /api/health
+ */
+const getBreakerStates = () => Object.values(haywardBreakers).reduce((states, breaker) => {
+  const state = breaker.getState();
+  states[state.name] = state;
+  return states;
+}, {});
+
+/**
+ * Close every breaker (useful for testing)
+ */
+const resetBreakers = () => {
+  Object.values(haywardBreakers).forEach(breaker => breaker.reset());
+};
+
+module.exports = {
+  haywardBreakers,
+  getRequestTimeout,
+  withRetry,
+  withRequestResilience,
+  getBreakerStates,
+  resetBreakers
+};
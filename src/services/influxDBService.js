@@ -1,4 +1,7 @@
 const { InfluxDB, Point } = require('@influxdata/influxdb-client');
+const { siteRegistry } = require('../config/sites');
+const { envConfig } = require('../config/environment');
+const { WriteQueue } = require('./writeQueue');
 
 /**
  * @typedef {object} TimeSeriesPoint
@@ -6,7 +9,11 @@ const { InfluxDB, Point } = require('@influxdata/influxdb-client');
  * @property {number|null} saltInstant - Chlorinator salt instant value
  * @property {number|null} cellTemp - Cell temperature value
  * @property {number|null} cellVoltage - Cell voltage value
+ * @property {number|null} [cellCurrent] - Cell current value (A)
+ * @property {number|null} [chlorinatorOutput] - Chlorinator output percentage
+ * @property {number|null} [chlorineRate] - Estimated chlorine generation at collection time (lb/day)
  * @property {number|null} waterTemp - Water temperature value
+ * @property {string} [site] - Site the point was collected from (stored as the `site` tag)
  */
 
 /**
@@ -16,21 +23,81 @@ const { InfluxDB, Point } = require('@influxdata/influxdb-client');
  * @property {string} description - Annotation description
  * @property {string} category - Annotation category (e.g., 'maintenance', 'event', 'note')
  * @property {object} metadata - Additional metadata
+ * @property {string} [site] - Site the annotation belongs to (stored as the `site` tag)
  */
 
+/**
+ * @typedef {object} StoreOptions
+ * @property {boolean} [replay] - Replaying a queued write: it is flushed with its batch, and a failure is not queued again
+ */
+
+/**
+ * Store method for each queued write type
+ * @type {Object<string, string>}
+ */
+const QUEUED_WRITERS = {
+  dataPoint: 'storeDataPoint',
+  annotation: 'storeAnnotation',
+  weatherAlert: 'storeWeatherAlert',
+  collectionRun: 'storeCollectionRun',
+  waterTest: 'storeWaterTest',
+  alertEvent: 'storeAlertEvent',
+  notificationDelivery: 'storeNotificationDelivery',
+  alertAction: 'storeAlertAction'
+};
+
+/**
+ * InfluxDB field for each water test value
+ * @type {Object<string, string>}
+ */
+const WATER_TEST_FIELDS = {
+  ph: 'ph',
+  freeChlorine: 'free_chlorine',
+  cya: 'cya',
+  totalAlkalinity: 'total_alkalinity',
+  calciumHardness: 'calcium_hardness',
+  waterTemp: 'water_temp',
+  tds: 'tds',
+  lsi: 'lsi'
+};
+
+// How far back queryLastValue / queryLastAnnotation look by default (7 days)
+const LAST_VALUE_LOOKBACK_HOURS = 168;
+
+/**
+ * Build an annotation from a pivoted pool_annotations row
+ * @param {object} row - Row with one column per field
+ * @returns {Annotation} Annotation
+ */
+const toAnnotation = row => ({
+  timestamp: row._time,
+  title: row.title || '',
+  description: row.description || '',
+  category: row.category || '',
+  metadata: row.metadata ? JSON.parse(row.metadata) : {},
+  site: row.site || null
+});
+
 /**
  * Legacy InfluxDB service - being migrated to new architecture
  * Use ../domains/monitoring/infrastructure/influx-client.js for new code
+ *
+ * Writes that fail, or arrive while disconnected, go to a disk-backed write
+ * queue and are replayed in order, with their original timestamps, after the
+ * next successful write.
  */
 class InfluxDBService {
   /**
-   *
+   * @param {object} [options]
+   * @param {WriteQueue} [options.writeQueue] - Queue for failed writes
    */
-  constructor() {
+  constructor({ writeQueue = new WriteQueue(envConfig.getWriteQueueConfig()) } = {}) {
     this.client = null;
     this.writeApi = null;
     this.queryApi = null;
     this.isConnected = false;
+    this.writeQueue = writeQueue;
+    this.replaying = false;
 
     // Configuration from environment variables
     this.config = {
@@ -43,6 +110,14 @@ class InfluxDBService {
     this.initialize();
   }
 
+  /**
+   * @returns {boolean} Whether InfluxDB settings are present; InfluxDB is optional
+   */
+  isConfigured() {
+    const { url, token, org, bucket } = this.config;
+    return Boolean(url && token && org && bucket);
+  }
+
   /**
    * Initialize InfluxDB connection
    */
@@ -52,7 +127,7 @@ class InfluxDBService {
 
     try {
       // Check if we have the required configuration
-      if (!this.config.url || !this.config.token || !this.config.org || !this.config.bucket) {
+      if (!this.isConfigured()) {
         console.error('❌ InfluxDB configuration missing:', {
           hasUrl: !!this.config.url,
           hasToken: !!this.config.token,
@@ -107,6 +182,7 @@ class InfluxDBService {
       const totalInitTime = Date.now() - initStartTime;
       console.log(`🎉 InfluxDB initialization completed successfully in ${totalInitTime}ms`);
 
+      await this.replayQueuedWrites();
       return true;
     } catch (error) {
       const totalInitTime = Date.now() - initStartTime;
@@ -119,14 +195,16 @@ class InfluxDBService {
   /**
    * Store a data point in InfluxDB
    * @param {object} dataPoint - Data point to store
+   * @param {StoreOptions} [options]
    * @returns {Promise<boolean>} Success status
    */
-  async storeDataPoint(dataPoint) {
+  async storeDataPoint(dataPoint, options = {}) {
     const writeStartTime = Date.now();
     console.log(`💾 Storing data point: ${dataPoint.timestamp}`);
 
     if (!this.isConnected) {
-      console.warn('❌ InfluxDB not connected, skipping data point storage');
+      console.warn('❌ InfluxDB not connected, queueing data point');
+      await this.queueWrite('dataPoint', dataPoint, options);
       return false;
     }
 
@@ -144,6 +222,10 @@ class InfluxDBService {
       const point = new Point('pool_metrics')
         .timestamp(new Date(dataPoint.timestamp));
 
+      if (dataPoint.site) {
+        point.tag('site', dataPoint.site);
+      }
+
       // Add fields conditionally to avoid null values
       if (dataPoint.saltInstant !== null && dataPoint.saltInstant !== undefined) {
         point.floatField('salt_instant', dataPoint.saltInstant);
@@ -154,6 +236,15 @@ class InfluxDBService {
       if (dataPoint.cellVoltage !== null && dataPoint.cellVoltage !== undefined) {
         point.floatField('cell_voltage', dataPoint.cellVoltage);
       }
+      if (dataPoint.cellCurrent !== null && dataPoint.cellCurrent !== undefined) {
+        point.floatField('cell_current', dataPoint.cellCurrent);
+      }
+      if (dataPoint.chlorinatorOutput !== null && dataPoint.chlorinatorOutput !== undefined) {
+        point.floatField('chlorinator_output', dataPoint.chlorinatorOutput);
+      }
+      if (dataPoint.chlorineRate !== null && dataPoint.chlorineRate !== undefined) {
+        point.floatField('chlorine_rate', dataPoint.chlorineRate);
+      }
       if (dataPoint.waterTemp !== null && dataPoint.waterTemp !== undefined) {
         point.floatField('water_temp', dataPoint.waterTemp);
       }
@@ -163,6 +254,9 @@ class InfluxDBService {
       if (dataPoint.weatherTemp !== null && dataPoint.weatherTemp !== undefined) {
         point.floatField('weather_temp', dataPoint.weatherTemp);
       }
+      if (dataPoint.weatherHumidity !== null && dataPoint.weatherHumidity !== undefined) {
+        point.floatField('weather_humidity', dataPoint.weatherHumidity);
+      }
       if (dataPoint.pumpStatus !== null && dataPoint.pumpStatus !== undefined) {
         point.booleanField('pump_status', dataPoint.pumpStatus);
       }
@@ -178,7 +272,7 @@ class InfluxDBService {
 
       // Flush to ensure data is persisted
       const flushStart = Date.now();
-      await this.writeApi.flush();
+      await this.flushWrite(options);
       const flushTime = Date.now() - flushStart;
       console.log(`🔄 Flush completed in ${flushTime}ms`);
 
@@ -189,15 +283,17 @@ class InfluxDBService {
     } catch (error) {
       const totalTime = Date.now() - writeStartTime;
       console.error(`❌ Failed to store data point after ${totalTime}ms:`, error);
+      await this.queueWrite('dataPoint', dataPoint, options);
       return false;
     }
   }
 
   /**
    * Get the most recent salt value from InfluxDB
+   * @param {string|null} [siteId] - Restrict to one site (null for all sites)
    * @returns {Promise<number|null>} Current salt value or null if not available
    */
-  async getCurrentSalt() {
+  async getCurrentSalt(siteId = null) {
     if (!this.isConnected) {
       console.warn('InfluxDB not connected, cannot get current salt value');
       return null;
@@ -211,6 +307,7 @@ class InfluxDBService {
         from(bucket: "${this.config.bucket}")
           |> range(start: ${startTime.toISOString()}, stop: ${endTime.toISOString()})
           |> filter(fn: (r) => r._measurement == "pool_metrics")
+          ${siteRegistry.buildFluxFilter(siteId)}
           |> filter(fn: (r) => r._field == "salt_instant")
           |> filter(fn: (r) => r._value != null)
           |> last()
@@ -236,9 +333,10 @@ class InfluxDBService {
 
   /**
    * Get 24-hour rolling average for salt levels
+   * @param {string|null} [siteId] - Restrict to one site (null for all sites)
    * @returns {Promise<number|null>} Rolling average or null if no data
    */
-  async getSaltRollingAverage() {
+  async getSaltRollingAverage(siteId = null) {
     if (!this.isConnected) {
       console.warn('InfluxDB not connected, cannot calculate rolling average');
       return null;
@@ -253,6 +351,7 @@ class InfluxDBService {
         from(bucket: "${this.config.bucket}")
           |> range(start: ${startTime.toISOString()}, stop: ${endTime.toISOString()})
           |> filter(fn: (r) => r._measurement == "pool_metrics")
+          ${siteRegistry.buildFluxFilter(siteId)}
           |> filter(fn: (r) => r._field == "salt_instant")
           |> filter(fn: (r) => r._value != null)
           |> mean()
@@ -279,11 +378,13 @@ class InfluxDBService {
   /**
    * Store an annotation/event
    * @param {Annotation} annotation - The annotation to store
+   * @param {StoreOptions} [options]
    * @returns {Promise<boolean>} Success status
    */
-  async storeAnnotation(annotation) {
+  async storeAnnotation(annotation, options = {}) {
     if (!this.isConnected) {
-      console.warn('InfluxDB not connected, skipping annotation storage');
+      console.warn('InfluxDB not connected, queueing annotation');
+      await this.queueWrite('annotation', annotation, options);
       return false;
     }
 
@@ -295,12 +396,16 @@ class InfluxDBService {
         .stringField('category', annotation.category)
         .stringField('metadata', JSON.stringify(annotation.metadata || {}));
 
-      await this.writeApi.writePoint(point);
-      await this.writeApi.flush();
+      if (annotation.site) {
+        point.tag('site', annotation.site);
+      }
 
+      await this.writeApi.writePoint(point);
+      await this.flushWrite(options);
       return true;
     } catch (error) {
       console.error('Failed to store annotation:', error);
+      await this.queueWrite('annotation', annotation, options);
       return false;
     }
   }
@@ -309,9 +414,10 @@ class InfluxDBService {
    * Query data points from InfluxDB
    * @param {Date} startTime - Start time for query
    * @param {Date} endTime - End time for query
+   * @param {string|null} [siteId] - Restrict to one site (null for all sites)
    * @returns {Promise<Array>} Array of data points
    */
-  async queryDataPoints(startTime, endTime) {
+  async queryDataPoints(startTime, endTime, siteId = null) {
     const queryStartTime = Date.now();
     console.log(`🔍 InfluxDB Query Start: ${startTime.toISOString()} to ${endTime.toISOString()}`);
 
@@ -325,6 +431,7 @@ class InfluxDBService {
         from(bucket: "${this.config.bucket}")
           |> range(start: ${startTime.toISOString()}, stop: ${endTime.toISOString()})
           |> filter(fn: (r) => r._measurement == "pool_metrics")
+          ${siteRegistry.buildFluxFilter(siteId)}
       `;
 
       console.log(`📝 Executing Flux query: ${fluxQuery.substring(0, 100)}...`);
@@ -349,9 +456,13 @@ class InfluxDBService {
             saltInstant: null,
             cellTemp: null,
             cellVoltage: null,
+            cellCurrent: null,
+            chlorinatorOutput: null,
+            chlorineRate: null,
             waterTemp: null,
             airTemp: null,
             weatherTemp: null,
+            weatherHumidity: null,
             pumpStatus: null
           });
         }
@@ -369,6 +480,15 @@ class InfluxDBService {
         case 'cell_voltage':
           dataPoint.cellVoltage = value;
           break;
+        case 'cell_current':
+          dataPoint.cellCurrent = value;
+          break;
+        case 'chlorinator_output':
+          dataPoint.chlorinatorOutput = value;
+          break;
+        case 'chlorine_rate':
+          dataPoint.chlorineRate = value;
+          break;
         case 'water_temp':
           dataPoint.waterTemp = value;
           break;
@@ -378,6 +498,9 @@ class InfluxDBService {
         case 'weather_temp':
           dataPoint.weatherTemp = value;
           break;
+        case 'weather_humidity':
+          dataPoint.weatherHumidity = value;
+          break;
         case 'pump_status':
           dataPoint.pumpStatus = value;
           break;
@@ -433,9 +556,10 @@ class InfluxDBService {
    * Query annotations for a specific time range
    * @param {Date} startTime - Start time
    * @param {Date} endTime - End time
+   * @param {string|null} [siteId] - Restrict to one site (null for all sites)
    * @returns {Promise<Annotation[]>} Array of annotations
    */
-  async queryAnnotations(startTime, endTime) {
+  async queryAnnotations(startTime, endTime, siteId = null) {
     if (!this.isConnected) {
       return [];
     }
@@ -445,6 +569,454 @@ class InfluxDBService {
         from(bucket: "${this.config.bucket}")
           |> range(start: ${startTime.toISOString()}, stop: ${endTime.toISOString()})
           |> filter(fn: (r) => r._measurement == "pool_annotations")
+          ${siteRegistry.buildFluxFilter(siteId)}
+          |> pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")
+          |> sort(columns: ["_time"])
+      `;
+
+      const results = [];
+
+      for await (const { values, tableMeta } of this.queryApi.iterateRows(fluxQuery)) {
+        results.push(toAnnotation(tableMeta.toObject(values)));
+      }
+
+      return results;
+    } catch (error) {
+      console.error('Failed to query annotations:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Query the last value of a pool_metrics field written before a point in time
+   * @param {string} field - InfluxDB field name (e.g. `pump_status`)
+   * @param {Date} before - Only values written before this time count
+   * @param {string|null} [siteId] - Restrict to one site (null for all sites)
+   * @param {number} [lookbackHours] - How far back to look
+   * @returns {Promise<{timestamp: string, value: *}|null>} Last value, or null when none was found
+   */
+  async queryLastValue(field, before, siteId = null, lookbackHours = LAST_VALUE_LOOKBACK_HOURS) {
+    if (!this.isConnected) {
+      return null;
+    }
+
+    try {
+      const startTime = new Date(before.getTime() - lookbackHours * 60 * 60 * 1000);
+      const fluxQuery = `
+        from(bucket: "${this.config.bucket}")
+          |> range(start: ${startTime.toISOString()}, stop: ${before.toISOString()})
+          |> filter(fn: (r) => r._measurement == "pool_metrics" and r._field == "${field}")
+          ${siteRegistry.buildFluxFilter(siteId)}
+          |> group()
+          |> sort(columns: ["_time"])
+          |> last()
+      `;
+
+      let result = null;
+      for await (const { values, tableMeta } of this.queryApi.iterateRows(fluxQuery)) {
+        const o = tableMeta.toObject(values);
+        result = { timestamp: o._time, value: o._value };
+      }
+      return result;
+    } catch (error) {
+      console.error(`Failed to query last ${field} value:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Count the pool_metrics readings of a field above a threshold
+   * @param {string} field - InfluxDB field name (e.g. `cell_current`)
+   * @param {number} threshold - Only values above this count
+   * @param {Date} startTime - Start of the range
+   * @param {Date} endTime - End of the range
+   * @param {string|null} [siteId] - Restrict to one site (null for all sites)
+   * @returns {Promise<number|null>} Number of readings, or null when InfluxDB could not be queried
+   */
+  async countReadingsAbove(field, threshold, startTime, endTime, siteId = null) {
+    if (!this.isConnected) {
+      return null;
+    }
+
+    try {
+      const fluxQuery = `
+        from(bucket: "${this.config.bucket}")
+          |> range(start: ${startTime.toISOString()}, stop: ${endTime.toISOString()})
+          |> filter(fn: (r) => r._measurement == "pool_metrics" and r._field == "${field}")
+          ${siteRegistry.buildFluxFilter(siteId)}
+          |> filter(fn: (r) => r._value > ${Number(threshold)})
+          |> group()
+          |> count()
+      `;
+
+      let count = 0;
+      for await (const { values, tableMeta } of this.queryApi.iterateRows(fluxQuery)) {
+        count += tableMeta.toObject(values)._value;
+      }
+      return count;
+    } catch (error) {
+      console.error(`Failed to count ${field} readings:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Query the last annotation of a category written before a point in time
+   * @param {string} category - Annotation category (e.g. `pump_state_change`)
+   * @param {Date} before - Only annotations before this time count
+   * @param {string|null} [siteId] - Restrict to one site (null for all sites)
+   * @param {number} [lookbackHours] - How far back to look
+   * @returns {Promise<Annotation|null>} Last annotation, or null when none was found
+   */
+  async queryLastAnnotation(category, before, siteId = null, lookbackHours = LAST_VALUE_LOOKBACK_HOURS) {
+    if (!this.isConnected) {
+      return null;
+    }
+
+    try {
+      const startTime = new Date(before.getTime() - lookbackHours * 60 * 60 * 1000);
+      const fluxQuery = `
+        from(bucket: "${this.config.bucket}")
+          |> range(start: ${startTime.toISOString()}, stop: ${before.toISOString()})
+          |> filter(fn: (r) => r._measurement == "pool_annotations")
+          ${siteRegistry.buildFluxFilter(siteId)}
+          |> pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")
+          |> filter(fn: (r) => r.category == "${category}")
+          |> group()
+          |> sort(columns: ["_time"])
+          |> tail(n: 1)
+      `;
+
+      let result = null;
+      for await (const { values, tableMeta } of this.queryApi.iterateRows(fluxQuery)) {
+        result = toAnnotation(tableMeta.toObject(values));
+      }
+      return result;
+    } catch (error) {
+      console.error(`Failed to query last ${category} annotation:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a collection run in the `collection_runs` measurement
+   * Per-endpoint outcomes are kept as JSON, plus an `<endpoint>_ok` field each for dashboards
+   * @param {import('./collectionRunLedger').CollectionRunRecord} run - Finished run
+   * @param {StoreOptions} [options]
+   * @returns {Promise<boolean>} Success status
+   */
+  async storeCollectionRun(run, options = {}) {
+    if (!this.isConnected) {
+      console.warn('InfluxDB not connected, queueing collection run');
+      await this.queueWrite('collectionRun', run, options);
+      return false;
+    }
+
+    try {
+      const point = new Point('collection_runs')
+        .timestamp(new Date(run.timestamp))
+        .tag('site', run.site)
+        .tag('trigger', run.trigger)
+        .tag('status', run.status)
+        .stringField('run_id', run.id)
+        .booleanField('success', run.success)
+        .intField('duration_ms', run.durationMs)
+        .intField('parsed_fields', run.parsedFields)
+        .intField('total_fields', run.totalFields)
+        .stringField('source', run.source || '')
+        .stringField('endpoints', JSON.stringify(run.endpoints || {}))
+        .stringField('errors', JSON.stringify(run.errors || []));
+
+      Object.entries(run.endpoints || {}).forEach(([endpoint, outcome]) => {
+        point.booleanField(`${endpoint}_ok`, outcome.status === 'ok');
+      });
+
+      await this.writeApi.writePoint(point);
+      await this.flushWrite(options);
+      return true;
+    } catch (error) {
+      console.error('Failed to store collection run:', error);
+      await this.queueWrite('collectionRun', run, options);
+      return false;
+    }
+  }
+
+  /**
+   * Query collection runs for a time range
+   * @param {Date} startTime - Start time
+   * @param {Date} endTime - End time
+   * @param {string|null} [siteId] - Restrict to one site (null for all sites)
+   * @returns {Promise<Array<import('./collectionRunLedger').CollectionRunRecord>>} Runs, oldest first
+   */
+  async queryCollectionRuns(startTime, endTime, siteId = null) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const fluxQuery = `
+        from(bucket: "${this.config.bucket}")
+          |> range(start: ${startTime.toISOString()}, stop: ${endTime.toISOString()})
+          |> filter(fn: (r) => r._measurement == "collection_runs")
+          ${siteRegistry.buildFluxFilter(siteId)}
+          |> pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")
+          |> sort(columns: ["_time"])
+      `;
+
+      const results = [];
+
+      for await (const { values, tableMeta } of this.queryApi.iterateRows(fluxQuery)) {
+        const o = tableMeta.toObject(values);
+        results.push({
+          id: o.run_id,
+          timestamp: o._time,
+          site: o.site || null,
+          trigger: o.trigger || null,
+          status: o.status,
+          success: Boolean(o.success),
+          durationMs: o.duration_ms,
+          source: o.source || null,
+          endpoints: o.endpoints ? JSON.parse(o.endpoints) : {},
+          parsedFields: o.parsed_fields || 0,
+          totalFields: o.total_fields || 0,
+          errors: o.errors ? JSON.parse(o.errors) : []
+        });
+      }
+
+      return results;
+    } catch (error) {
+      console.error('Failed to query collection runs:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Store a hand-tested water chemistry result in the `water_tests` measurement
+   * @param {import('./waterChemistry').WaterTest} test - Test result
+   * @param {StoreOptions} [options]
+   * @returns {Promise<boolean>} Success status
+   */
+  async storeWaterTest(test, options = {}) {
+    if (!this.isConnected) {
+      console.warn('InfluxDB not connected, queueing water test');
+      await this.queueWrite('waterTest', test, options);
+      return false;
+    }
+
+    try {
+      const point = new Point('water_tests')
+        .timestamp(new Date(test.timestamp))
+        .tag('site', test.site);
+
+      Object.entries(WATER_TEST_FIELDS).forEach(([key, field]) => {
+        if (typeof test[key] === 'number') {
+          point.floatField(field, test[key]);
+        }
+      });
+      if (test.notes) {
+        point.stringField('notes', test.notes);
+      }
+
+      await this.writeApi.writePoint(point);
+      await this.flushWrite(options);
+      return true;
+    } catch (error) {
+      console.error('Failed to store water test:', error);
+      await this.queueWrite('waterTest', test, options);
+      return false;
+    }
+  }
+
+  /**
+   * Query water tests for a time range
+   * @param {Date} startTime - Start time
+   * @param {Date} endTime - End time
+   * @param {string|null} [siteId] - Restrict to one site (null for all sites)
+   * @returns {Promise<Array<import('./waterChemistry').WaterTest>>} Tests, oldest first
+   */
+  async queryWaterTests(startTime, endTime, siteId = null) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const fluxQuery = `
+        from(bucket: "${this.config.bucket}")
+          |> range(start: ${startTime.toISOString()}, stop: ${endTime.toISOString()})
+          |> filter(fn: (r) => r._measurement == "water_tests")
+          ${siteRegistry.buildFluxFilter(siteId)}
+          |> pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")
+          |> sort(columns: ["_time"])
+      `;
+
+      const results = [];
+
+      for await (const { values, tableMeta } of this.queryApi.iterateRows(fluxQuery)) {
+        const o = tableMeta.toObject(values);
+        const test = { timestamp: o._time, site: o.site || null };
+        Object.entries(WATER_TEST_FIELDS).forEach(([key, field]) => {
+          test[key] = typeof o[field] === 'number' ? o[field] : null;
+        });
+        test.notes = o.notes || '';
+        results.push(test);
+      }
+
+      return results;
+    } catch (error) {
+      console.error('Failed to query water tests:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Store a metric alert opening or resolving in the `alert_events` measurement
+   * @param {import('./alertEngine').AlertEvent} event - Alert event
+   * @param {StoreOptions} [options]
+   * @returns {Promise<boolean>} Success status
+   */
+  async storeAlertEvent(event, options = {}) {
+    if (!this.isConnected) {
+      console.warn('InfluxDB not connected, queueing alert event');
+      await this.queueWrite('alertEvent', event, options);
+      return false;
+    }
+
+    try {
+      const point = new Point('alert_events')
+        .timestamp(new Date(event.timestamp))
+        .tag('rule', event.ruleId)
+        .tag('state', event.state)
+        .stringField('alert_id', event.id)
+        .stringField('metric', event.metric)
+        .stringField('direction', event.direction)
+        .floatField('value', event.value)
+        .floatField('threshold', event.threshold)
+        .stringField('severity', event.severity)
+        .stringField('message', event.message)
+        .stringField('started_at', event.startedAt);
+
+      // Home alerts are not tied to a site
+      if (event.site) {
+        point.tag('site', event.site);
+      }
+
+      await this.writeApi.writePoint(point);
+      await this.flushWrite(options);
+      return true;
+    } catch (error) {
+      console.error('Failed to store alert event:', error);
+      await this.queueWrite('alertEvent', event, options);
+      return false;
+    }
+  }
+
+  /**
+   * Query metric alert events for a time range
+   * @param {Date} startTime - Start time
+   * @param {Date} endTime - End time
+   * @param {string|null} [siteId] - Restrict to one site (null for all sites; the default site includes home alerts)
+   * @returns {Promise<Array<import('./alertEngine').AlertEvent>>} Events, oldest first
+   */
+  async queryAlertEvents(startTime, endTime, siteId = null) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const fluxQuery = `
+        from(bucket: "${this.config.bucket}")
+          |> range(start: ${startTime.toISOString()}, stop: ${endTime.toISOString()})
+          |> filter(fn: (r) => r._measurement == "alert_events")
+          ${siteRegistry.buildFluxFilter(siteId)}
+          |> pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")
+          |> group()
+          |> sort(columns: ["_time"])
+      `;
+
+      const results = [];
+
+      for await (const { values, tableMeta } of this.queryApi.iterateRows(fluxQuery)) {
+        const o = tableMeta.toObject(values);
+        results.push({
+          id: o.alert_id,
+          ruleId: o.rule,
+          metric: o.metric,
+          site: o.site || null,
+          state: o.state,
+          direction: o.direction,
+          value: o.value,
+          threshold: o.threshold,
+          severity: o.severity,
+          message: o.message || '',
+          startedAt: o.started_at || o._time,
+          timestamp: o._time
+        });
+      }
+
+      return results;
+    } catch (error) {
+      console.error('Failed to query alert events:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Store a notification delivery in the `notification_deliveries` measurement
+   * @param {import('./notifier').Delivery} delivery - Delivery attempt
+   * @param {StoreOptions} [options]
+   * @returns {Promise<boolean>} Success status
+   */
+  async storeNotificationDelivery(delivery, options = {}) {
+    if (!this.isConnected) {
+      console.warn('InfluxDB not connected, queueing notification delivery');
+      await this.queueWrite('notificationDelivery', delivery, options);
+      return false;
+    }
+
+    try {
+      const point = new Point('notification_deliveries')
+        .timestamp(new Date(delivery.timestamp))
+        .tag('channel', delivery.channel)
+        .tag('event', delivery.event)
+        .tag('status', delivery.status)
+        .stringField('delivery_id', delivery.id)
+        .stringField('channel_type', delivery.type)
+        .stringField('title', delivery.title)
+        .intField('attempts', delivery.attempts)
+        .intField('duration_ms', delivery.durationMs)
+        .stringField('error', delivery.error || '')
+        .stringField('reason', delivery.reason || '');
+
+      if (delivery.site) {
+        point.tag('site', delivery.site);
+      }
+
+      await this.writeApi.writePoint(point);
+      await this.flushWrite(options);
+      return true;
+    } catch (error) {
+      console.error('Failed to store notification delivery:', error);
+      await this.queueWrite('notificationDelivery', delivery, options);
+      return false;
+    }
+  }
+
+  /**
+   * Query notification deliveries for a time range
+   * @param {Date} startTime - Start time
+   * @param {Date} endTime - End time
+   * @returns {Promise<Array<import('./notifier').Delivery>>} Deliveries, oldest first
+   */
+  async queryNotificationDeliveries(startTime, endTime) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const fluxQuery = `
+        from(bucket: "${this.config.bucket}")
+          |> range(start: ${startTime.toISOString()}, stop: ${endTime.toISOString()})
+          |> filter(fn: (r) => r._measurement == "notification_deliveries")
           |> pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")
           |> sort(columns: ["_time"])
       `;
@@ -454,28 +1026,112 @@ class InfluxDBService {
       for await (const { values, tableMeta } of this.queryApi.iterateRows(fluxQuery)) {
         const o = tableMeta.toObject(values);
         results.push({
+          id: o.delivery_id,
           timestamp: o._time,
+          channel: o.channel,
+          type: o.channel_type,
+          event: o.event,
+          site: o.site || null,
           title: o.title || '',
-          description: o.description || '',
-          category: o.category || '',
-          metadata: o.metadata ? JSON.parse(o.metadata) : {}
+          status: o.status,
+          attempts: o.attempts || 0,
+          durationMs: o.duration_ms || 0,
+          error: o.error || null,
+          reason: o.reason || null
         });
       }
 
       return results;
     } catch (error) {
-      console.error('Failed to query annotations:', error);
+      console.error('Failed to query notification deliveries:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Store an acknowledgement or snooze in the `alert_actions` measurement
+   * @param {import('./alertSilencer').AlertAction} action - Action taken
+   * @param {StoreOptions} [options]
+   * @returns {Promise<boolean>} Success status
+   */
+  async storeAlertAction(action, options = {}) {
+    if (!this.isConnected) {
+      console.warn('InfluxDB not connected, queueing alert action');
+      await this.queueWrite('alertAction', action, options);
+      return false;
+    }
+
+    try {
+      const point = new Point('alert_actions')
+        .timestamp(new Date(action.timestamp))
+        .tag('action', action.action)
+        .stringField('target', action.target)
+        .stringField('until', action.until || '')
+        .stringField('note', action.note || '');
+
+      await this.writeApi.writePoint(point);
+      await this.flushWrite(options);
+      return true;
+    } catch (error) {
+      console.error('Failed to store alert action:', error);
+      await this.queueWrite('alertAction', action, options);
+      return false;
+    }
+  }
+
+  /**
+   * Query acknowledgements, snoozes and quiet hours changes for a time range
+   * @param {Date|null} startTime - Start time (null for all stored actions)
+   * @param {Date} endTime - End time
+   * @param {string[]|null} [actions] - Restrict to these actions, e.g. ['snooze', 'unsnooze']
+   * @returns {Promise<Array<import('./alertSilencer').AlertAction>>} Actions, oldest first
+   */
+  async queryAlertActions(startTime, endTime, actions = null) {
+    if (!this.isConnected) {
+      return [];
+    }
+
+    try {
+      const fluxQuery = `
+        from(bucket: "${this.config.bucket}")
+          |> range(start: ${startTime ? startTime.toISOString() : 0}, stop: ${endTime.toISOString()})
+          |> filter(fn: (r) => r._measurement == "alert_actions")
+          ${actions ? `|> filter(fn: (r) => contains(value: r.action, set: ${JSON.stringify(actions)}))` : ''}
+          |> pivot(rowKey:["_time"], columnKey: ["_field"], valueColumn: "_value")
+          |> group()
+          |> sort(columns: ["_time"])
+      `;
+
+      const results = [];
+
+      for await (const { values, tableMeta } of this.queryApi.iterateRows(fluxQuery)) {
+        const o = tableMeta.toObject(values);
+        results.push({
+          action: o.action,
+          target: o.target,
+          until: o.until || null,
+          note: o.note || null,
+          timestamp: o._time
+        });
+      }
+
+      return results;
+    } catch (error) {
+      console.error('Failed to query alert actions:', error);
       return [];
     }
   }
 
   /**
    * Get statistics about stored data
+   * @param {string|null} [siteId] - Restrict to one site (null for all sites)
    * @returns {Promise<object>} Statistics object
    */
-  async getStats() {
+  async getStats(siteId = null) {
+    const writeQueue = await this.writeQueue.getStats();
+
     if (!this.isConnected) {
-      return { connected: false };
+      return { connected: false, writeQueue };
     }
 
     try {
@@ -486,6 +1142,7 @@ class InfluxDBService {
         from(bucket: "${this.config.bucket}")
           |> range(start: ${oneDayAgo.toISOString()}, stop: ${now.toISOString()})
           |> filter(fn: (r) => r._measurement == "pool_metrics")
+          ${siteRegistry.buildFluxFilter(siteId)}
           |> count()
       `;
 
@@ -499,11 +1156,68 @@ class InfluxDBService {
         connected: true,
         dataPointCount,
         retentionDays: 30, // InfluxDB Cloud default
-        bucket: this.config.bucket
+        bucket: this.config.bucket,
+        writeQueue
       };
     } catch (error) {
       console.error('Failed to get stats:', error);
-      return { connected: false, error: error.message };
+      return { connected: false, error: error.message, writeQueue };
+    }
+  }
+
+  /**
+   * Queue a write that could not be stored, unless it is itself being replayed
+   * or InfluxDB is not configured, in which case it would never be replayed
+   * @param {string} type - Write type (a key of QUEUED_WRITERS)
+   * @param {object} payload - Argument for the store method
+   * @param {StoreOptions} options - Options the store method was called with
+   */
+  async queueWrite(type, payload, options) {
+    if (options.replay || !this.isConfigured()) {
+      return;
+    }
+    try {
+      await this.writeQueue.enqueue(type, payload);
+    } catch (error) {
+      console.error(`❌ Failed to queue ${type} write:`, error.message);
+    }
+  }
+
+  /**
+   * Flush a live write; replayed writes are flushed once per batch by the replay
+   * @param {StoreOptions} options - Options the store method was called with
+   */
+  async flushWrite(options) {
+    if (!options.replay) {
+      await this.writeApi.flush();
+    }
+  }
+
+  /**
+   * Replay queued writes in order through the store methods, in batches with one
+   * flush each. Runs from the scheduler, the cron routes and after connecting,
+   * not on the write path
+   * @param {object} [options] - Batch size and most writes per replay (see WriteQueue.replay)
+   * @returns {Promise<{replayed: number, remaining: number}>} Replay result
+   */
+  async replayQueuedWrites(options = {}) {
+    if (!this.isConnected || this.replaying) {
+      return { replayed: 0, remaining: await this.writeQueue.getDepth() };
+    }
+
+    this.replaying = true;
+    try {
+      return await this.writeQueue.replay((type, payload) => {
+        const method = QUEUED_WRITERS[type];
+        if (!method) {
+          // Dropped rather than blocking the queue forever
+          console.warn(`⚠️ Dropping queued write of unknown type: ${type}`);
+          return true;
+        }
+        return this[method](payload, { replay: true });
+      }, { ...options, flush: () => this.writeApi.flush() });
+    } finally {
+      this.replaying = false;
     }
   }
 
@@ -576,11 +1290,15 @@ class InfluxDBService {
    * @param {string} alertData.startTime - Alert start time (ISO string)
    * @param {string} alertData.endTime - Alert end time (ISO string)
    * @param {object} alertData.geometry - Alert geometry data
+   * @param {string} [alertData.source] - Where the alert came from (NWS when omitted, 'forecast' for forecast warnings)
+   * @param {string} [alertData.site] - Site the alert applies to (NWS alerts cover every site)
+   * @param {StoreOptions} [options]
    * @returns {Promise<boolean>} Success status
    */
-  async storeWeatherAlert(alertData) {
+  async storeWeatherAlert(alertData, options = {}) {
     if (!this.isConnected) {
-      console.warn('InfluxDB not connected, skipping weather alert storage');
+      console.warn('InfluxDB not connected, queueing weather alert');
+      await this.queueWrite('weatherAlert', alertData, options);
       return false;
     }
 
@@ -611,14 +1329,24 @@ class InfluxDBService {
         .stringField('status', 'end')
         .stringField('geometry', JSON.stringify(alertData.geometry || {}));
 
+      [startPoint, endPoint].forEach(point => {
+        if (alertData.source) {
+          point.stringField('source', alertData.source);
+        }
+        if (alertData.site) {
+          point.tag('site', alertData.site);
+        }
+      });
+
       await this.writeApi.writePoint(startPoint);
       await this.writeApi.writePoint(endPoint);
-      await this.writeApi.flush();
+      await this.flushWrite(options);
 
       console.log(`✅ Weather alert stored: ${alertData.event} (${alertData.id})`);
       return true;
     } catch (error) {
       console.error('Failed to store weather alert:', error);
+      await this.queueWrite('weatherAlert', alertData, options);
       return false;
     }
   }
@@ -662,7 +1390,9 @@ class InfluxDBService {
             description: o.description,
             instruction: o.instruction,
             startTime: o._time,
-            geometry: o.geometry ? JSON.parse(o.geometry) : {}
+            geometry: o.geometry ? JSON.parse(o.geometry) : {},
+            source: o.source || 'NWS',
+            site: o.site || null
           });
         } else if (status === 'end') {
           alertEnds.set(alertId, o._time);
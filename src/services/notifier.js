@@ -0,0 +1,560 @@
+/**
+ * Notifier
+ * Sends NWS weather alerts, filter pump changes and metric alerts to the
+ * channels in NOTIFICATION_CHANNELS: a JSON webhook, SMTP email, ntfy or
+ * Pushover. Each channel renders its own title and body templates, failed
+ * sends are retried with backoff, and every delivery goes to the delivery log.
+ * Notifications the alert silencer holds back (snoozes, quiet hours) are
+ * logged as suppressed
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { influxDBService } = require('./influxDBService');
+const { sendMail } = require('./smtpClient');
+const { alertSilencer } = require('./alertSilencer');
+const { isTransientError, retryWithBackoff } = require('../utils/resilience');
+const { envConfig } = require('../config/environment');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const HTTP_TIMEOUT_MS = 10000;
+
+// Delay before the first retry; each later retry waits twice as long
+const RETRY_BASE_DELAY_MS = 2000;
+
+// Longest a delivery may take, retries and backoff included; channels are sent to in
+// parallel, so this also caps how long a dead channel holds up a collection or cron run
+const DELIVERY_TIME_LIMIT_MS = 20000;
+
+// Deliveries kept in memory for when InfluxDB is not connected
+const MAX_MEMORY_DELIVERIES = 200;
+
+// Events a channel can subscribe to (all by default)
+const EVENTS = ['weather-alert', 'pump-state', 'metric-alert'];
+
+/**
+ * Title and body per event; {{name}} is replaced with the notification's field of that name
+ * ({{reminder}} is "Reminder: " when an alert still open is sent again)
+ * @type {Object<string, {title: string, body: string}>}
+ */
+const DEFAULT_TEMPLATES = {
+  'weather-alert': {
+    title: '{{reminder}}{{event}}',
+    body: '{{severity}} weather alert from {{start}} until {{end}}.\n\n{{description}}\n\n{{instruction}}'
+  },
+  'pump-state': {
+    title: 'Filter pump turned {{state}}',
+    body: 'The filter pump at {{site}} turned {{state}} at {{time}}.'
+  },
+  'metric-alert': {
+    title: '{{reminder}}{{label}} alert {{state}}',
+    body: '{{message}} at {{site}} ({{time}}).'
+  },
+  test: {
+    title: 'NightSwim test notification',
+    body: 'Notifications to this channel work. Sent {{time}}.'
+  }
+};
+
+const NTFY_PRIORITIES = { info: 3, warning: 4, critical: 5 };
+
+const PUSHOVER_PRIORITIES = { info: -1, warning: 0, critical: 1 };
+
+/**
+ * @typedef {object} Notification
+ * @property {string} event - One of EVENTS (or 'test')
+ * @property {string} severity - 'info', 'warning' or 'critical'
+ * @property {string|null} site - Site it concerns (null when not tied to a site)
+ * @property {string} timestamp - ISO timestamp of what happened
+ * @property {object} fields - Values for the templates
+ * @property {string} [alertId] - Alert it is about (metric alert ID or NWS alert ID)
+ * @property {string} [ruleId] - Metric alert rule that fired
+ * @property {boolean} [reminder] - Whether it repeats an alert still open
+ */
+
+/**
+ * @typedef {object} Message
+ * @property {string} event - Notification event
+ * @property {string} severity - Notification severity
+ * @property {string|null} site - Site it concerns
+ * @property {string} timestamp - ISO timestamp of what happened
+ * @property {string} title - Rendered title
+ * @property {string} body - Rendered body
+ * @property {object} fields - Values the templates were rendered with
+ */
+
+/**
+ * @typedef {object} Delivery
+ * @property {string} id - Delivery ID
+ * @property {string} timestamp - ISO timestamp the delivery started
+ * @property {string} channel - Channel ID
+ * @property {string} type - Channel type
+ * @property {string} event - Notification event
+ * @property {string|null} site - Site the notification concerns
+ * @property {string} title - Rendered title
+ * @property {string} status - 'sent', 'failed' or 'suppressed'
+ * @property {number} attempts - Sends tried, retries included
+ * @property {number} durationMs - Time taken, backoff included
+ * @property {string|null} error - Last error when the delivery failed
+ * @property {string|null} reason - Why a suppressed notification was held back
+ */
+
+/**
+ * Channel adapters: the settings each needs and how it sends a rendered message
+ * @type {Object<string, {required: Array<string>, send: function(object, Message): Promise<*>}>}
+ */
+const CHANNEL_TYPES = {
+  // JSON POST with the rendered message and the raw fields
+  webhook: {
+    required: ['url'],
+    send: (channel, message) => axios.post(channel.url, {
+      event: message.event,
+      severity: message.severity,
+      site: message.site,
+      timestamp: message.timestamp,
+      title: message.title,
+      body: message.body,
+      data: message.fields
+    }, { headers: channel.headers || {}, timeout: HTTP_TIMEOUT_MS })
+  },
+
+  // Plain text email; host, port, secure, user, pass, tls and allowInsecureAuth are passed to the SMTP client
+  email: {
+    required: ['host', 'from', 'to'],
+    send: (channel, message) => sendMail(channel, {
+      from: channel.from,
+      to: channel.to,
+      subject: message.title,
+      text: message.body
+    })
+  },
+
+  // ntfy JSON publish to the server root (https://ntfy.sh unless url is set)
+  ntfy: {
+    required: ['topic'],
+    send: (channel, message) => axios.post(channel.url || 'https://ntfy.sh', {
+      topic: channel.topic,
+      title: message.title,
+      message: message.body,
+      priority: NTFY_PRIORITIES[message.severity],
+      tags: [message.event]
+    }, {
+      headers: channel.token ? { Authorization: `Bearer ${channel.token}` } : {},
+      timeout: HTTP_TIMEOUT_MS
+    })
+  },
+
+  // Pushover message API, or any service that takes the same fields at url
+  pushover: {
+    required: ['token', 'user'],
+    send: (channel, message) => axios.post(channel.url || 'https://api.pushover.net/1/messages.json', {
+      token: channel.token,
+      user: channel.user,
+      title: message.title,
+      message: message.body,
+      priority: PUSHOVER_PRIORITIES[message.severity]
+    }, { timeout: HTTP_TIMEOUT_MS })
+  }
+};
+
+/**
+ * Fill in a template's {{name}} placeholders; unknown names are left empty
+ * @param {string} template - Template
+ * @param {object} fields - Values by name
+ * @returns {string} Rendered text, without leading or trailing blank space
+ */
+const renderTemplate = (template, fields) => template
+  .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (fields[name] === null || fields[name] === undefined ? '' : String(fields[name])))
+  .trim();
+
+/**
+ * Check one channel's settings and fill in defaults
+ * @param {object} config - Channel settings
+ * @param {number} index - Position in the channel list
+ * @param {Set<string>} ids - Ids of the channels before it
+ * @returns {object} Channel with an id, events and templates per event
+ */
+const buildChannel = (config, index, ids) => {
+  const adapter = config && CHANNEL_TYPES[config.type];
+  if (!adapter) {
+    throw new Error(`Unknown notification channel type: ${config && config.type} (use ${Object.keys(CHANNEL_TYPES).join(', ')})`);
+  }
+  const missing = adapter.required.filter(setting => !config[setting]);
+  if (missing.length > 0) {
+    throw new Error(`Notification channel ${config.id || config.type} needs ${missing.join(', ')}`);
+  }
+
+  const id = config.id || (ids.has(config.type) ? `${config.type}-${index + 1}` : config.type);
+  if (ids.has(id)) {
+    throw new Error(`Notification channel id ${id} is used twice`);
+  }
+
+  const templates = {};
+  Object.entries(DEFAULT_TEMPLATES).forEach(([event, template]) => {
+    templates[event] = { ...template, ...(config.templates && config.templates[event]) };
+  });
+
+  return { ...config, id, events: config.events || EVENTS, templates };
+};
+
+/**
+ * Check channel settings and fill in defaults
+ * @param {Array<object>} configs - Channels from NOTIFICATION_CHANNELS
+ * @param {object} [options]
+ * @param {boolean} [options.skipInvalid] - Log and leave out invalid channels instead of throwing
+ * @returns {Array<object>} Channels, each with an id, events and templates per event
+ */
+const buildChannels = (configs = [], { skipInvalid = false } = {}) => {
+  const ids = new Set();
+  const channels = [];
+
+  configs.forEach((config, index) => {
+    try {
+      const channel = buildChannel(config, index, ids);
+      ids.add(channel.id);
+      channels.push(channel);
+    } catch (error) {
+      if (!skipInvalid) {
+        throw error;
+      }
+      console.error(`❌ ${error.message}; skipping this channel`);
+    }
+  });
+
+  return channels;
+};
+
+/**
+ * Notification severity for an NWS alert; only severe alerts that need action now
+ * or soon are critical, so a severe alert for later in the week waits out quiet hours
+ * @param {string} severity - NWS severity (Extreme, Severe, Moderate, Minor, Unknown)
+ * @param {string} urgency - NWS urgency (Immediate, Expected, Future, Past, Unknown)
+ * @returns {string} 'critical', 'warning' or 'info'
+ */
+const weatherSeverity = (severity, urgency) => {
+  const severe = severity === 'Extreme' || severity === 'Severe';
+  if (severe && (urgency === 'Immediate' || urgency === 'Expected')) return 'critical';
+  if (severe || severity === 'Moderate') return 'warning';
+  return 'info';
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Settle with a send, or fail once the deadline passes
+ * @param {Promise<*>} send - Send in progress
+ * @param {number} deadline - Epoch milliseconds to give up at
+ * @param {string} message - Error message on giving up
+ * @returns {Promise<*>} The send's result
+ */
+const beforeDeadline = (send, deadline, message) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    // Out of time, so not worth retrying
+    reject(Object.assign(new Error(message), { permanent: true }));
+  }, Math.max(deadline - Date.now(), 0));
+  send.then(resolve, reject).finally(() => clearTimeout(timer));
+});
+
+const formatTime = timestamp => new Date(timestamp).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+
+class Notifier {
+  /**
+   * @param {object} [options]
+   * @param {Array<object>} [options.channels] - Channel settings; throws on an invalid channel (default NOTIFICATION_CHANNELS, whose invalid channels are skipped)
+   * @param {number} [options.retries] - Retries after a failed send (NOTIFICATION_RETRIES)
+   * @param {number} [options.baseDelay] - Delay before the first retry in milliseconds
+   * @param {Function} [options.wait] - Waits the given milliseconds between retries (for testing)
+   * @param {number} [options.timeLimit] - Longest a delivery may take in milliseconds, retries included
+   * @param {import('./alertSilencer').AlertSilencer} [options.silencer] - Decides which notifications are held back
+   */
+  constructor({ channels, retries, baseDelay = RETRY_BASE_DELAY_MS, wait = sleep, timeLimit = DELIVERY_TIME_LIMIT_MS, silencer = alertSilencer } = {}) {
+    const config = envConfig.getNotificationConfig();
+    // A bad channel in NOTIFICATION_CHANNELS must not stop everything that requires the notifier
+    this.channels = channels ? buildChannels(channels) : buildChannels(config.channels, { skipInvalid: true });
+    this.retries = retries ?? config.retries;
+    this.baseDelay = baseDelay;
+    this.wait = wait;
+    this.timeLimit = timeLimit;
+    this.silencer = silencer;
+    /** @type {Delivery[]} */
+    this.deliveries = [];
+  }
+
+  /**
+   * Render a notification with a channel's templates
+   * @param {object} channel - Channel
+   * @param {Notification} notification - Notification
+   * @returns {Message} Message to send
+   */
+  render(channel, notification) {
+    const template = channel.templates[notification.event];
+    return {
+      event: notification.event,
+      severity: notification.severity,
+      site: notification.site,
+      timestamp: notification.timestamp,
+      title: renderTemplate(template.title, notification.fields),
+      body: renderTemplate(template.body, notification.fields),
+      fields: notification.fields
+    };
+  }
+
+  /**
+   * Send a notification to every channel subscribed to its event, unless the silencer holds it back
+   * @param {Notification} notification - Notification
+   * @returns {Promise<Delivery[]>} One delivery per channel
+   */
+  async notify(notification) {
+    const channels = this.channels.filter(channel => channel.events.includes(notification.event));
+    if (channels.length === 0) {
+      return [];
+    }
+
+    await this.silencer.restore();
+    const reason = this.silencer.check(notification);
+    if (reason) {
+      return Promise.all(channels.map(channel => this.suppress(channel, notification, reason)));
+    }
+    return Promise.all(channels.map(channel => this.deliver(channel, notification)));
+  }
+
+  /**
+   * Send to one channel, retrying with backoff, and log the delivery
+   * Connection errors, timeouts, 429 and 5xx responses and 4xx SMTP replies are retried
+   * until the time limit, which fails the delivery
+   * @param {object} channel - Channel
+   * @param {Notification} notification - Notification
+   * @returns {Promise<Delivery>} Delivery
+   */
+  async deliver(channel, notification) {
+    const message = this.render(channel, notification);
+    const startedAt = Date.now();
+    const deadline = startedAt + this.timeLimit;
+    let attempts = 0;
+    let error = null;
+    let lastError = null;
+
+    try {
+      await retryWithBackoff(attempt => {
+        const giveUp = `Gave up after ${this.timeLimit / 1000}s${lastError ? ` (last error: ${lastError.message})` : ''}`;
+        if (Date.now() >= deadline) {
+          throw Object.assign(new Error(giveUp), { permanent: true });
+        }
+        attempts = attempt + 1;
+        return beforeDeadline(CHANNEL_TYPES[channel.type].send(channel, message), deadline, giveUp)
+          .catch(sendError => {
+            lastError = sendError;
+            throw sendError;
+          });
+      }, {
+        retries: this.retries,
+        baseDelay: this.baseDelay,
+        shouldRetry: sendError => !sendError.permanent && isTransientError(sendError),
+        // A backoff never waits past the time limit
+        wait: ms => this.wait(Math.min(ms, Math.max(deadline - Date.now(), 0)))
+      });
+    } catch (sendError) {
+      error = sendError.message;
+    }
+
+    const delivery = {
+      id: crypto.randomUUID(),
+      timestamp: new Date(startedAt).toISOString(),
+      channel: channel.id,
+      type: channel.type,
+      event: notification.event,
+      site: notification.site,
+      title: message.title,
+      status: error ? 'failed' : 'sent',
+      attempts,
+      durationMs: Date.now() - startedAt,
+      error,
+      reason: null
+    };
+
+    if (error) {
+      console.error(`❌ Notification to ${channel.id} failed after ${attempts} attempt(s): ${error}`);
+    } else {
+      console.log(`📣 Notification sent to ${channel.id}: ${message.title}`);
+    }
+
+    return this.log(delivery);
+  }
+
+  /**
+   * Log a notification held back for one channel without sending it
+   * @param {object} channel - Channel
+   * @param {Notification} notification - Notification
+   * @param {string} reason - Why it was held back
+   * @returns {Promise<Delivery>} Suppressed delivery
+   */
+  suppress(channel, notification, reason) {
+    const message = this.render(channel, notification);
+    console.log(`🔕 Notification to ${channel.id} held back (${reason}): ${message.title}`);
+
+    return this.log({
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      channel: channel.id,
+      type: channel.type,
+      event: notification.event,
+      site: notification.site,
+      title: message.title,
+      status: 'suppressed',
+      attempts: 0,
+      durationMs: 0,
+      error: null,
+      reason
+    });
+  }
+
+  /**
+   * Keep a delivery in memory and store it in InfluxDB
+   * @param {Delivery} delivery - Delivery
+   * @returns {Promise<Delivery>} The delivery
+   */
+  async log(delivery) {
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > MAX_MEMORY_DELIVERIES) {
+      this.deliveries.shift();
+    }
+
+    try {
+      await influxDBService.storeNotificationDelivery(delivery);
+    } catch (error) {
+      console.error('❌ Error storing notification delivery:', error);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Notify about a new NWS weather alert, or remind about one still active
+   * @param {object} alert - Alert from WeatherAlertService.parseAlertData
+   * @param {object} [options]
+   * @param {boolean} [options.reminder] - Whether the alert was sent before
+   * @returns {Promise<Delivery[]>} Deliveries
+   */
+  notifyWeatherAlert(alert, { reminder = false } = {}) {
+    return this.notify({
+      event: 'weather-alert',
+      severity: weatherSeverity(alert.severity, alert.urgency),
+      site: alert.site || null,
+      timestamp: alert.startTime,
+      alertId: alert.id,
+      reminder,
+      fields: {
+        ...alert,
+        reminder: reminder ? 'Reminder: ' : '',
+        start: formatTime(alert.startTime),
+        end: formatTime(alert.endTime)
+      }
+    });
+  }
+
+  /**
+   * Notify about the filter pump turning on or off
+   * @param {string} siteId - Site of the pump
+   * @param {import('./equipmentStateTracker').EquipmentTransition} transition - Pump change
+   * @returns {Promise<Delivery[]>} Deliveries
+   */
+  notifyPumpChange(siteId, transition) {
+    return this.notify({
+      event: 'pump-state',
+      severity: 'info',
+      site: siteId,
+      timestamp: transition.timestamp,
+      fields: { site: siteId, state: transition.after ? 'on' : 'off', time: formatTime(transition.timestamp) }
+    });
+  }
+
+  /**
+   * Notify about a metric alert opening or resolving, or remind about one still open
+   * @param {import('./alertEngine').AlertEvent} event - Alert event
+   * @param {string} label - Name of the metric, e.g. "Salt level"
+   * @param {object} [options]
+   * @param {boolean} [options.reminder] - Whether the alert was sent before
+   * @returns {Promise<Delivery[]>} Deliveries
+   */
+  notifyMetricAlert(event, label, { reminder = false } = {}) {
+    let state = 'resolved';
+    if (event.state === 'open') {
+      state = reminder ? 'still open' : 'opened';
+    }
+
+    return this.notify({
+      event: 'metric-alert',
+      severity: event.state === 'open' ? event.severity : 'info',
+      site: event.site,
+      timestamp: event.timestamp,
+      alertId: event.id,
+      ruleId: event.ruleId,
+      reminder,
+      fields: {
+        ...event,
+        label,
+        reminder: reminder ? 'Reminder: ' : '',
+        site: event.site || 'home',
+        state,
+        time: formatTime(event.timestamp)
+      }
+    });
+  }
+
+  /**
+   * Send a test notification, whatever events the channels subscribe to
+   * @param {string|null} [channelId] - Channel to test (null for all)
+   * @returns {Promise<Delivery[]>} Deliveries
+   */
+  sendTest(channelId = null) {
+    const now = new Date();
+    const channels = this.channels.filter(channel => !channelId || channel.id === channelId);
+    return Promise.all(channels.map(channel => this.deliver(channel, {
+      event: 'test',
+      severity: 'info',
+      site: null,
+      timestamp: now.toISOString(),
+      fields: { time: formatTime(now) }
+    })));
+  }
+
+  /**
+   * Configured channels, without their addresses or credentials
+   * @returns {Array<{id: string, type: string, events: Array<string>}>} Channels
+   */
+  getChannels() {
+    return this.channels.map(({ id, type, events }) => ({ id, type, events }));
+  }
+
+  /**
+   * Delivery log, newest first
+   * Reads InfluxDB when connected so deliveries from other processes are included
+   * @param {object} [options]
+   * @param {number} [options.hours] - How far back to look
+   * @param {Date} [options.now] - End of the window
+   * @returns {Promise<Delivery[]>} Deliveries in the window
+   */
+  async getDeliveries({ hours = 24, now = new Date() } = {}) {
+    const startTime = new Date(now.getTime() - hours * HOUR_MS);
+
+    const deliveries = influxDBService.isConnected
+      ? await influxDBService.queryNotificationDeliveries(startTime, now)
+      : this.deliveries.filter(delivery => new Date(delivery.timestamp) >= startTime);
+
+    // Reversed first so deliveries logged in the same millisecond stay newest first (the sort is stable)
+    return [...deliveries].reverse().sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+}
+
+// Create singleton instance
+const notifier = new Notifier();
+
+module.exports = {
+  Notifier,
+  notifier,
+  renderTemplate,
+  weatherSeverity,
+  CHANNEL_TYPES,
+  EVENTS
+};
@@ -0,0 +1,145 @@
+const { influxDBService } = require('./influxDBService');
+const { siteRegistry } = require('../config/sites');
+
+/**
+ * @typedef {object} ParserDrift
+ * @property {string} field - Field path that stopped parsing, e.g. "filter.status"
+ * @property {string|null} lastSelector - Selector the field last parsed with
+ * @property {string} lastConfidence - Confidence of the last successful parse
+ * @property {string} lastParsedAt - ISO timestamp of the last successful parse
+ */
+
+/**
+ * @typedef {object} ParserHealth
+ * @property {string} timestamp - ISO timestamp of the collection
+ * @property {string} site - Site the pages were collected from
+ * @property {boolean} healthy - False when any field that used to parse is now null
+ * @property {string} confidence - Lowest confidence across parsed fields
+ * @property {object} fields - Field path to {selector, confidence, parsed}
+ * @property {ParserDrift[]} drift - Fields that used to parse and are now null
+ * @property {string[]} recovered - Fields that parse again after drifting
+ */
+
+class ParserHealthTracker {
+  constructor() {
+    // Parser state per site, keyed by site ID
+    this.sites = new Map();
+  }
+
+  getSiteState(siteId) {
+    if (!this.sites.has(siteId)) {
+      this.sites.set(siteId, { lastParsed: new Map(), drifting: new Set(), latest: null });
+    }
+    return this.sites.get(siteId);
+  }
+
+  /**
+   * Compare a collection's parse report with earlier collections
+   * @param {import('../domains/pool/parsers/parse-report').ParseReport} report - Report filled in by the parsers
+   * @param {string} timestamp - ISO timestamp of the data collection
+   * @param {string} [siteId] - Site the pages came from (defaults to the default site)
+   * @returns {Promise<ParserHealth>} Parser health record for the collection
+   */
+  async check(report, timestamp, siteId = siteRegistry.getDefaultSite().id) {
+    const state = this.getSiteState(siteId);
+    const fields = report.getFields();
+    const drift = [];
+    const recovered = [];
+
+    Object.entries(fields).forEach(([field, info]) => {
+      if (info.parsed) {
+        state.lastParsed.set(field, { selector: info.selector, confidence: info.confidence, timestamp });
+        if (state.drifting.delete(field)) {
+          recovered.push(field);
+        }
+        return;
+      }
+
+      // Fields that have never parsed (e.g. no chlorinator installed) are not drift
+      const last = state.lastParsed.get(field);
+      if (last) {
+        drift.push({
+          field,
+          lastSelector: last.selector,
+          lastConfidence: last.confidence,
+          lastParsedAt: last.timestamp
+        });
+      }
+    });
+
+    const newDrift = drift.filter(({ field }) => !state.drifting.has(field));
+    newDrift.forEach(({ field }) => state.drifting.add(field));
+
+    const health = {
+      timestamp,
+      site: siteId,
+      healthy: drift.length === 0,
+      confidence: report.getOverallConfidence(),
+      fields,
+      drift,
+      recovered
+    };
+    state.latest = health;
+
+    if (newDrift.length > 0) {
+      console.warn(`⚠️ Parser drift detected for ${siteId}: ${newDrift.map(({ field }) => field).join(', ')} stopped parsing`);
+      await this.createDriftAnnotation(newDrift, timestamp, siteId);
+    }
+    if (recovered.length > 0) {
+      console.log(`✅ Parser recovered for ${siteId}: ${recovered.join(', ')}`);
+    }
+
+    return health;
+  }
+
+  /**
+   * Create an annotation the first time fields start drifting
+   * @param {ParserDrift[]} drift - Newly drifting fields
+   * @param {string} timestamp - ISO timestamp
+   * @param {string} siteId - Site the pages came from
+   * @returns {Promise<boolean>} Success status
+   */
+  async createDriftAnnotation(drift, timestamp, siteId) {
+    const fields = drift.map(({ field }) => field);
+    const annotation = {
+      timestamp,
+      site: siteId,
+      title: 'Parser Drift',
+      description: `Fields stopped parsing: ${fields.join(', ')}`,
+      category: 'parser_drift',
+      metadata: {
+        fields,
+        selectors: drift.map(({ lastSelector }) => lastSelector),
+        source: 'automatic_detection'
+      }
+    };
+
+    try {
+      return await influxDBService.storeAnnotation(annotation);
+    } catch (error) {
+      console.error('❌ Error creating parser drift annotation:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the most recent parser health record
+   * @param {string} [siteId] - Site to look up (defaults to the default site)
+   * @returns {ParserHealth|null} Latest record, or null before the first collection
+   */
+  getHealth(siteId = siteRegistry.getDefaultSite().id) {
+    return this.getSiteState(siteId).latest;
+  }
+
+  /**
+   * Reset the tracker (useful for testing)
+   */
+  reset() {
+    this.sites.clear();
+  }
+}
+
+// Create singleton instance
+const parserHealthTracker = new ParserHealthTracker();
+
+module.exports = parserHealthTracker;
@@ -1,5 +1,14 @@
 const cheerio = require('cheerio');
 const { POOL_CONSTANTS } = require('../utils/constants');
+const {
+  CONFIDENCE,
+  candidates,
+  matchText,
+  parseNumber,
+  parseInteger,
+  parseOnOff,
+  recordMatch
+} = require('../domains/pool/parsers/parse-report');
 
 /**
  * @typedef {object} DashboardData
@@ -60,73 +69,39 @@ const { POOL_CONSTANTS } = require('../utils/constants');
  * @property {string|null} setting - Setting
  * @property {string|null} repeat - Repeat pattern
  * @property {string|null} status - Schedule status
+ * @property {string|null} id - Hayward schedule ID (from the row's edit link)
  */
 
 /**
  * Parse dashboard data from HTML
  * @param {string} html - Raw HTML content
+ * @param {import('../domains/pool/parsers/parse-report').ParseReport} [report] - Records the selector and confidence for each field
  * @returns {DashboardData} Parsed dashboard data
  */
-const parseDashboardData = (html) => {
+const parseDashboardData = (html, report = null) => {
   const $ = cheerio.load(html);
 
-  // Helper function to extract temperature value
-  const extractTemp = ($, selector) => {
-    const temp = $(selector).text().trim();
-    if (temp && temp !== '--' && temp !== '---') {
-      const match = temp.match(/(\d+(?:\.\d+)?)/);
-      return match ? parseFloat(match[1]) : null;
-    }
-    return null;
-  };
-
-  // Helper function to extract air temperature
-  const extractAirTemp = ($) => {
-    // Primary selector for current temperature
-    const currentTemp = $('#lblCurrentTemp').text().trim();
-    if (currentTemp) {
-      const match = currentTemp.match(/(\d+(?:\.\d+)?)/);
-      if (match) {
-        return parseFloat(match[1]);
-      }
-    }
-
-    // Fallback selectors if lblCurrentTemp is not found
-    const fallbackSelectors = [
-      '[id*="lblAirTemp"]',
-      '[id*="AirTemp"]',
-      '[id*="airTemp"]',
-      '[id*="lblOutdoorTemp"]',
-      '[id*="OutdoorTemp"]',
-      '[id*="outdoorTemp"]',
-      '[id*="lblAmbientTemp"]',
-      '[id*="AmbientTemp"]',
-      '[id*="ambientTemp"]',
-      '[id*="lblWeatherTemp"]',
-      '[id*="WeatherTemp"]',
-      '[id*="weatherTemp"]'
-    ];
-
-    for (const selector of fallbackSelectors) {
-      const temp = $(selector).text().trim();
-      if (temp) {
-        const match = temp.match(/(\d+(?:\.\d+)?)/);
-        if (match) {
-          return parseFloat(match[1]);
-        }
-      }
-    }
-
-    return null;
-  };
+  // Primary selector for current temperature, then fallbacks if lblCurrentTemp is not found
+  const airTempSelectors = [
+    ...candidates(CONFIDENCE.HIGH, ['#lblCurrentTemp']),
+    ...candidates(CONFIDENCE.MEDIUM, ['[id*="lblAirTemp"]']),
+    ...candidates(CONFIDENCE.LOW, ['[id*="AirTemp"]', '[id*="airTemp"]']),
+    ...candidates(CONFIDENCE.MEDIUM, ['[id*="lblOutdoorTemp"]']),
+    ...candidates(CONFIDENCE.LOW, ['[id*="OutdoorTemp"]', '[id*="outdoorTemp"]']),
+    ...candidates(CONFIDENCE.MEDIUM, ['[id*="lblAmbientTemp"]']),
+    ...candidates(CONFIDENCE.LOW, ['[id*="AmbientTemp"]', '[id*="ambientTemp"]']),
+    ...candidates(CONFIDENCE.MEDIUM, ['[id*="lblWeatherTemp"]']),
+    ...candidates(CONFIDENCE.LOW, ['[id*="WeatherTemp"]', '[id*="weatherTemp"]'])
+  ];
+  const temperature = selector => matchText($, candidates(CONFIDENCE.HIGH, [selector]), parseNumber);
 
   return {
     temperature: {
-      target: extractTemp($, '[id*="lblTempTarget"]'),
-      actual: extractTemp($, '[id*="lblTempActual"]'),
+      target: recordMatch(report, 'dashboard.temperature.target', temperature('[id*="lblTempTarget"]')),
+      actual: recordMatch(report, 'dashboard.temperature.actual', temperature('[id*="lblTempActual"]')),
       unit: POOL_CONSTANTS.UNITS.TEMPERATURE
     },
-    airTemperature: extractAirTemp($),
+    airTemperature: recordMatch(report, 'dashboard.airTemperature', matchText($, airTempSelectors, parseNumber)),
     systemStatus: POOL_CONSTANTS.DEFAULTS.SYSTEM_STATUS
   };
 };
@@ -134,116 +109,68 @@ const parseDashboardData = (html) => {
 /**
  * Parse filter pump data from HTML
  * @param {string} html - Raw HTML content
+ * @param {import('../domains/pool/parsers/parse-report').ParseReport} [report] - Records the selector and confidence for each field
  * @returns {FilterData} Parsed filter data
  */
-const parseFilterData = (html) => {
+const parseFilterData = (html, report = null) => {
   const $ = cheerio.load(html);
 
-  return {
-    status: (() => {
-      // Try multiple selectors for filter/pump status
-      const statusSelectors = [
-        '#cphMainContent_3_divStatusName',  // This is the correct selector!
-        '[id*="divfilterStatus"]',
-        '[id*="filterStatus"]',
-        '[id*="pumpStatus"]',
-        '[id*="divPump"]',
-        '[id*="lblFilter"]',
-        '[id*="lblPump"]',
-        '[id*="filter"]',
-        '[id*="pump"]'
-      ];
-
-      let status = null;
-
-      for (const selector of statusSelectors) {
-        const element = $(selector);
-        if (element.length > 0) {
-          const text = element.text().trim();
-          console.log(`🔍 Filter status selector "${selector}": "${text}"`);
-
-          if (text) {
-            // Check for various "on" indicators
-            const isOn = text.toLowerCase().includes('on') ||
-                        text.toLowerCase().includes('running') ||
-                        text.toLowerCase().includes('active') ||
-                        text.toLowerCase().includes('enabled') ||
-                        text.toLowerCase().includes('1') ||
-                        text.toLowerCase().includes('true');
-
-            // Check for various "off" indicators
-            const isOff = text.toLowerCase().includes('off') ||
-                         text.toLowerCase().includes('stopped') ||
-                         text.toLowerCase().includes('inactive') ||
-                         text.toLowerCase().includes('disabled') ||
-                         text.toLowerCase().includes('0') ||
-                         text.toLowerCase().includes('false');
-
-            if (isOn) {
-              status = true;
-              console.log(`✅ Filter pump detected as ON via selector "${selector}"`);
-              break;
-            } else if (isOff) {
-              status = false;
-              console.log(`❌ Filter pump detected as OFF via selector "${selector}"`);
-              break;
-            }
-          }
-        }
-      }
+  // Try multiple selectors for filter/pump status
+  const statusSelectors = [
+    ...candidates(CONFIDENCE.HIGH, ['#cphMainContent_3_divStatusName']), // This is the correct selector!
+    ...candidates(CONFIDENCE.MEDIUM, [
+      '[id*="divfilterStatus"]',
+      '[id*="filterStatus"]',
+      '[id*="pumpStatus"]',
+      '[id*="divPump"]',
+      '[id*="lblFilter"]',
+      '[id*="lblPump"]'
+    ]),
+    ...candidates(CONFIDENCE.LOW, ['[id*="filter"]', '[id*="pump"]'])
+  ];
+  const diagnosticSelectors = [
+    ...candidates(CONFIDENCE.MEDIUM, ['[id*="divPump"]']),
+    ...candidates(CONFIDENCE.LOW, ['[id*="pump"]', '[id*="filter"]'])
+  ];
+
+  const diagnostic = matchText($, diagnosticSelectors, text => text);
+  let status = matchText($, statusSelectors, parseOnOff);
+
+  // If no clear status found, try to infer it from the diagnostic text
+  if (status.value === null && diagnostic.value) {
+    console.log(`🔍 Filter diagnostic text: "${diagnostic.value}"`);
+    const inferred = parseOnOff(diagnostic.value);
+    if (inferred !== null) {
+      status = { value: inferred, selector: diagnostic.selector, confidence: CONFIDENCE.LOW };
+    }
+  }
 
-      // If no clear status found, try to infer from diagnostic text
-      if (status === null) {
-        const diagnostic = $('[id*="divPump"]').text().trim() ||
-                          $('[id*="pump"]').text().trim() ||
-                          $('[id*="filter"]').text().trim();
-
-        if (diagnostic) {
-          console.log(`🔍 Filter diagnostic text: "${diagnostic}"`);
-          const isOn = diagnostic.toLowerCase().includes('on') ||
-                      diagnostic.toLowerCase().includes('running') ||
-                      diagnostic.toLowerCase().includes('active');
-
-          if (isOn) {
-            status = true;
-            console.log('✅ Filter pump inferred as ON from diagnostic text');
-          }
-        }
-      }
+  console.log(`🏊‍♂️ Final filter pump status: ${status.value} (${status.selector || 'no selector'}, ${status.confidence} confidence)`);
 
-      console.log(`🏊‍♂️ Final filter pump status: ${status}`);
-      return status;
-    })(),
-    diagnostic: $('[id*="divPump"]').text().trim() ||
-                $('[id*="pump"]').text().trim() ||
-                $('[id*="filter"]').text().trim() || null
+  return {
+    status: recordMatch(report, 'filter.status', status),
+    diagnostic: recordMatch(report, 'filter.diagnostic', diagnostic)
   };
 };
 
 /**
  * Parse heater data from HTML
  * @param {string} html - Raw HTML content
+ * @param {import('../domains/pool/parsers/parse-report').ParseReport} [report] - Records the selector and confidence for each field
  * @returns {HeaterData} Parsed heater data
  */
-const parseHeaterData = (html) => {
+const parseHeaterData = (html, report = null) => {
   const $ = cheerio.load(html);
 
-  // Helper function to extract temperature value
-  const extractTemp = ($, selector) => {
-    const temp = $(selector).text().trim();
-    if (temp && temp !== '--' && temp !== '---') {
-      const match = temp.match(/(\d+(?:\.\d+)?)/);
-      return match ? parseFloat(match[1]) : null;
-    }
-    return null;
-  };
+  const temperature = (name, selector) => recordMatch(report, `heater.temperature.${name}`,
+    matchText($, candidates(CONFIDENCE.HIGH, [selector]), parseNumber));
 
   return {
     temperature: {
-      min: extractTemp($, '[id*="lblMinTargetTemp"]'),
-      current: extractTemp($, '[id*="lblTemp"]'),
-      max: extractTemp($, '[id*="lblMaxTargetTemp"]'),
-      actual: extractTemp($, '[id*="lblActualTemp"]'),
+      min: temperature('min', '[id*="lblMinTargetTemp"]'),
+      current: temperature('current', '[id*="lblTemp"]'),
+      max: temperature('max', '[id*="lblMaxTargetTemp"]'),
+      actual: temperature('actual', '[id*="lblActualTemp"]'),
       unit: POOL_CONSTANTS.UNITS.TEMPERATURE
     },
     status: $('input[type="radio"]:checked').attr('name') || null,
@@ -254,66 +181,39 @@ const parseHeaterData = (html) => {
 /**
  * Parse chlorinator data from HTML
  * @param {string} html - Raw HTML content
+ * @param {import('../domains/pool/parsers/parse-report').ParseReport} [report] - Records the selector and confidence for each field
  * @returns {ChlorinatorData} Parsed chlorinator data
  */
-const parseChlorinatorData = (html) => {
+const parseChlorinatorData = (html, report = null) => {
   const $ = cheerio.load(html);
 
-  // Helper function to extract numeric value
-  const extractNumeric = ($, selector) => {
-    const text = $(selector).text().trim();
-    if (text && text !== '--' && text !== '---') {
-      const match = text.match(/(\d+(?:\.\d+)?)/);
-      return match ? parseFloat(match[1]) : null;
-    }
-    return null;
-  };
-
-  // Helper function to extract salt value
-  const extractSalt = ($) => {
-    const rawText = $('.boxchlppm').text().trim();
-    if (rawText) {
-      const match = rawText.match(/(\d+)/);
-      return match ? parseInt(match[1]) : null;
-    }
-
-    // Try fallback selectors
-    const fallbackSelectors = [
-      '[id*="boxchlppm"]',
-      '[id*="lbInstantSalt"]',
-      '[id*="chlppm"]',
-      '[id*="salt"]',
-      '[id*="InstantSalt"]',
-      '[id*="SaltLevel"]'
-    ];
-
-    for (const selector of fallbackSelectors) {
-      const text = $(selector).text().trim();
-      if (text) {
-        const match = text.match(/(\d+)/);
-        if (match) {
-          return parseInt(match[1]);
-        }
-      }
-    }
-
-    return null;
-  };
+  const saltSelectors = [
+    ...candidates(CONFIDENCE.HIGH, ['.boxchlppm']),
+    ...candidates(CONFIDENCE.MEDIUM, ['[id*="boxchlppm"]', '[id*="lbInstantSalt"]', '[id*="chlppm"]']),
+    ...candidates(CONFIDENCE.LOW, ['[id*="salt"]']),
+    ...candidates(CONFIDENCE.MEDIUM, ['[id*="InstantSalt"]', '[id*="SaltLevel"]'])
+  ];
+  const averageSaltSelectors = [
+    ...candidates(CONFIDENCE.HIGH, ['[id*="lbAverageSalt"]']),
+    ...candidates(CONFIDENCE.LOW, ['[id*="AverageSalt"]'])
+  ];
+  const field = (name, match) => recordMatch(report, `chlorinator.${name}`, match);
+  const numeric = selector => matchText($, candidates(CONFIDENCE.HIGH, [selector]), parseNumber);
 
   return {
     salt: {
-      instant: extractSalt($),
-      average: extractNumeric($, '[id*="lbAverageSalt"]') || extractNumeric($, '[id*="AverageSalt"]'),
+      instant: field('salt.instant', matchText($, saltSelectors, parseInteger)),
+      average: field('salt.average', matchText($, averageSaltSelectors, parseNumber)),
       unit: POOL_CONSTANTS.UNITS.SALT
     },
     cell: {
       temperature: {
-        value: extractNumeric($, '[id*="lbCellTemp"]'),
+        value: field('cell.temperature', numeric('[id*="lbCellTemp"]')),
         unit: POOL_CONSTANTS.UNITS.TEMPERATURE
       },
-      voltage: extractNumeric($, '[id*="lbCellVoltage"]'),
-      current: extractNumeric($, '[id*="lbCellCurrent"]'),
-      type: $('[id*="lbCellType"]').text().trim() || null
+      voltage: field('cell.voltage', numeric('[id*="lbCellVoltage"]')),
+      current: field('cell.current', numeric('[id*="lbCellCurrent"]')),
+      type: field('cell.type', matchText($, candidates(CONFIDENCE.HIGH, ['[id*="lbCellType"]']), text => text))
     },
     status: $('input[type="radio"]:checked').attr('name') || null,
     enabled: $('input[type="radio"]:checked').length > 0
@@ -323,18 +223,31 @@ const parseChlorinatorData = (html) => {
 /**
  * Parse lights data from HTML
  * @param {string} html - Raw HTML content
+ * @param {import('../domains/pool/parsers/parse-report').ParseReport} [report] - Records the selector and confidence for each field
  * @returns {LightsData} Parsed lights data
  */
-const parseLightsData = (html) => {
+const parseLightsData = (html, report = null) => {
   const $ = cheerio.load(html);
+  const text = value => value;
 
   return {
-    status: $('[id*="status"]').text().trim() || null,
-    brightness: $('[id*="brightness"]').text().trim() || null,
+    status: recordMatch(report, 'lights.status', matchText($, candidates(CONFIDENCE.LOW, ['[id*="status"]']), text)),
+    brightness: recordMatch(report, 'lights.brightness', matchText($, candidates(CONFIDENCE.MEDIUM, ['[id*="brightness"]']), text)),
     enabled: $('input[type="checkbox"]:checked').length > 0
   };
 };
 
+/**
+ * Extract the Hayward schedule ID from the edit/delete links in a schedule row
+ * @param {import('cheerio').Cheerio} $row - Schedule table row
+ * @returns {string|null} Schedule ID or null if the row has no links
+ */
+const extractScheduleId = ($row) => {
+  const href = $row.find('a[href]').map((index, link) => link.attribs.href).get().join(' ');
+  const match = href.match(/schedule_?id=([^&'"\s]+)/i);
+  return match ? match[1] : null;
+};
+
 /**
  * Parse schedules data from HTML
  * @param {string} html - Raw HTML content
@@ -369,7 +282,8 @@ const parseSchedulesData = (html) => {
             endTime: $(cells[2]).text().trim() || null,
             setting: $(cells[3]).text().trim() || null,
             repeat: $(cells[4]).text().trim() || null,
-            status: $(cells[5]).text().trim() || null
+            status: $(cells[5]).text().trim() || null,
+            id: extractScheduleId($row)
           };
 
           // Only add if we have meaningful data
@@ -387,16 +301,24 @@ const parseSchedulesData = (html) => {
 /**
  * Create the complete pool data structure
  * @param {object} data - Object containing parsed data from different components
+ * @param {import('../config/sites').Site} [data.site] - Site the data belongs to
  * @returns {PoolData} Complete pool data structure
  */
 const createPoolDataStructure = (data) => {
+  const system = data.site ? {
+    site: data.site.id,
+    mspId: data.site.mspId,
+    bowId: data.site.bowId,
+    bowSystemId: data.site.bowSystemId
+  } : {
+    mspId: POOL_CONSTANTS.MSP_ID,
+    bowId: POOL_CONSTANTS.BOW_ID,
+    bowSystemId: POOL_CONSTANTS.BOW_SYSTEM_ID
+  };
+
   return {
     timestamp: new Date().toISOString(),
-    system: {
-      mspId: POOL_CONSTANTS.MSP_ID,
-      bowId: POOL_CONSTANTS.BOW_ID,
-      bowSystemId: POOL_CONSTANTS.BOW_SYSTEM_ID
-    },
+    system,
     dashboard: data.dashboard || {},
     filter: data.filter || {},
     heater: data.heater || {},
@@ -475,6 +397,7 @@ module.exports = {
   parseChlorinatorData,
   parseLightsData,
   parseSchedulesData,
+  extractScheduleId,
   parseWeatherData,
   parseAllData,
   createPoolDataStructure
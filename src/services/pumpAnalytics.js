@@ -0,0 +1,194 @@
+/**
+ * Pump Analytics
+ * Daily filter pump runtime, cycles, idle time and water turnovers worked out
+ * from the pump status recorded with every collection
+ */
+
+const { influxDBService } = require('./influxDBService');
+const pumpStateTracker = require('./pumpStateTracker');
+const { GAP_FACTOR } = require('./gapDetector');
+const { timeSeriesService } = require('../domains/monitoring');
+const { envConfig } = require('../config/environment');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * @typedef {object} PumpPeriod
+ * @property {boolean} on - Pump state for the period
+ * @property {number} start - Period start (ms)
+ * @property {number} end - Period end (ms)
+ */
+
+/**
+ * @typedef {object} PumpDay
+ * @property {string} date - Local date (YYYY-MM-DD)
+ * @property {number} runtimeHours - Hours the pump ran
+ * @property {number} cycles - Runs that started on the day (a data gap during a run splits it in two)
+ * @property {number|null} averageCycleHours - Average length of those runs
+ * @property {number|null} longestIdleHours - Longest stretch the pump was off during the day
+ * @property {number|null} turnovers - Times the pool volume was pumped through the filter (null without volume and flow rate)
+ * @property {number} coverageHours - Hours of the day with known pump state
+ */
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const overlap = (period, start, end) => Math.max(0, Math.min(period.end, end) - Math.max(period.start, start));
+
+const localDate = time => {
+  const date = new Date(time);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Turn pump status samples into on/off periods. Each sample's state lasts until
+ * the next sample; time across a data gap is left unknown, so a gap splits a period.
+ * @param {Array<{timestamp: string|number, pumpStatus: boolean|null}>} points - Collected points
+ * @param {number} maxIntervalMs - Longest time between samples that still counts as known
+ * @param {number} now - Current time (ms); the latest state lasts until now unless it is stale
+ * @returns {Array<PumpPeriod>} Periods, oldest first
+ */
+const buildPumpPeriods = (points, maxIntervalMs, now) => {
+  const samples = points
+    .filter(point => typeof point.pumpStatus === 'boolean')
+    .map(point => ({ time: new Date(point.timestamp).getTime(), on: point.pumpStatus }))
+    .sort((a, b) => a.time - b.time);
+
+  const periods = [];
+  samples.forEach((sample, i) => {
+    const next = i + 1 < samples.length ? samples[i + 1].time : now;
+    if (next - sample.time > maxIntervalMs || next <= sample.time) {
+      return;
+    }
+
+    const previous = periods[periods.length - 1];
+    if (previous && previous.on === sample.on && previous.end === sample.time) {
+      previous.end = next;
+    } else {
+      periods.push({ on: sample.on, start: sample.time, end: next });
+    }
+  });
+  return periods;
+};
+
+/**
+ * Work out per-day pump analytics from on/off periods
+ * @param {Array<PumpPeriod>} periods - Periods from buildPumpPeriods
+ * @param {object} options
+ * @param {number} options.start - Window start, a local midnight (ms)
+ * @param {number} options.now - Window end (ms)
+ * @param {number|null} [options.volumeGallons] - Pool volume
+ * @param {number|null} [options.flowRateGpm] - Pump flow rate
+ * @returns {Array<PumpDay>} One entry per day, oldest first
+ */
+const summarizeDays = (periods, { start, now, volumeGallons = null, flowRateGpm = null }) => {
+  const days = [];
+  for (let dayStart = start; dayStart < now;) {
+    // Next local midnight (days are not always 24 hours across DST changes)
+    const next = new Date(dayStart + DAY_MS + HOUR_MS * 2);
+    next.setHours(0, 0, 0, 0);
+    const dayEnd = Math.min(next.getTime(), now);
+
+    const runtimeMs = periods
+      .filter(period => period.on)
+      .reduce((total, period) => total + overlap(period, dayStart, dayEnd), 0);
+    const coverageMs = periods.reduce((total, period) => total + overlap(period, dayStart, dayEnd), 0);
+    const cycles = periods.filter(period => period.on && period.start >= dayStart && period.start < dayEnd);
+    const idle = periods
+      .filter(period => !period.on)
+      .map(period => overlap(period, dayStart, dayEnd))
+      .filter(duration => duration > 0);
+
+    const runtimeHours = runtimeMs / HOUR_MS;
+    days.push({
+      date: localDate(dayStart),
+      runtimeHours: round(runtimeHours),
+      cycles: cycles.length,
+      averageCycleHours: cycles.length > 0
+        ? round(cycles.reduce((total, period) => total + (period.end - period.start), 0) / cycles.length / HOUR_MS)
+        : null,
+      longestIdleHours: idle.length > 0 ? round(Math.max(...idle) / HOUR_MS) : null,
+      turnovers: volumeGallons && flowRateGpm ? round(runtimeHours * 60 * flowRateGpm / volumeGallons) : null,
+      coverageHours: round(coverageMs / HOUR_MS)
+    });
+
+    dayStart = next.getTime();
+  }
+  return days;
+};
+
+class PumpAnalytics {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.expectedIntervalMs] - Expected time between collections
+   */
+  constructor({ expectedIntervalMs } = {}) {
+    this.expectedIntervalMs = expectedIntervalMs || envConfig.getGapDetectionConfig().expectedIntervalMs;
+  }
+
+  /**
+   * Get pump analytics for the last N days (today included, up to now)
+   * @param {import('../config/sites').Site} site - Site to analyse
+   * @param {object} [options]
+   * @param {number} [options.days] - Days to cover
+   * @param {Date} [options.now] - End of the window
+   * @returns {Promise<object>} Daily analytics, a summary and the data source
+   */
+  async getAnalytics(site, { days = 7, now = new Date() } = {}) {
+    const windowStart = new Date(now.getTime());
+    windowStart.setHours(0, 0, 0, 0);
+    windowStart.setDate(windowStart.getDate() - (days - 1));
+
+    let source = 'influxdb';
+    let points = await influxDBService.queryDataPoints(windowStart, now, site.id);
+    if (!points.some(point => typeof point.pumpStatus === 'boolean')) {
+      source = 'memory';
+      points = timeSeriesService.getDataPoints(0, site.id)
+        .filter(point => point.timestamp >= windowStart.getTime());
+    }
+
+    const periods = buildPumpPeriods(points, this.expectedIntervalMs * GAP_FACTOR, now.getTime());
+    const daily = summarizeDays(periods, {
+      start: windowStart.getTime(),
+      now: now.getTime(),
+      volumeGallons: site.volumeGallons,
+      flowRateGpm: site.flowRateGpm
+    });
+
+    const idle = periods.filter(period => !period.on).map(period => period.end - period.start);
+    const average = field => {
+      const values = daily.map(day => day[field]).filter(value => value !== null);
+      return values.length > 0 ? round(values.reduce((total, value) => total + value, 0) / values.length) : null;
+    };
+
+    return {
+      site: site.id,
+      days: daily,
+      summary: {
+        averageRuntimeHours: average('runtimeHours'),
+        totalCycles: daily.reduce((total, day) => total + day.cycles, 0),
+        averageCycleHours: average('averageCycleHours'),
+        // Whole idle periods, so an overnight stop is not cut at midnight
+        longestIdleHours: idle.length > 0 ? round(Math.max(...idle) / HOUR_MS) : null,
+        averageTurnovers: average('turnovers')
+      },
+      currentState: pumpStateTracker.getCurrentState(site.id),
+      pool: {
+        volumeGallons: site.volumeGallons,
+        flowRateGpm: site.flowRateGpm
+      },
+      source
+    };
+  }
+}
+
+// Create singleton instance
+const pumpAnalytics = new PumpAnalytics();
+
+module.exports = {
+  PumpAnalytics,
+  pumpAnalytics,
+  buildPumpPeriods,
+  summarizeDays
+};
@@ -1,4 +1,7 @@
 const { influxDBService } = require('./influxDBService');
+const { equipmentStateTracker } = require('./equipmentStateTracker');
+const { notifier } = require('./notifier');
+const { siteRegistry } = require('../config/sites');
 
 /**
  * @typedef {object} PumpState
@@ -7,95 +10,129 @@ const { influxDBService } = require('./influxDBService');
  * @property {string} lastChangeType - 'on' or 'off'
  */
 
+/**
+ * @typedef {object} PumpTransition
+ * @property {string} timestamp - ISO timestamp of the collection that saw the change
+ * @property {string} changeType - 'on' or 'off'
+ * @property {boolean} annotated - A pump_state_change annotation exists for it
+ * @property {boolean} derived - Consecutive pump_status readings show it
+ */
+
+const toTime = timestamp => new Date(timestamp).getTime();
+
+/**
+ * Tracks filter pump on/off per site and annotates each change, using the
+ * equipment state tracker's `pump` watcher.
+ *
+ * State lives in memory, so after a cold start it is restored from InfluxDB:
+ * the newer of the last `pump_status` reading and the last `pump_state_change`
+ * annotation gives the current state. Readings at or before the last one seen
+ * are ignored, so a retried or replayed collection never annotates twice.
+ */
 class PumpStateTracker {
-  constructor() {
-    this.currentState = null;
-    this.lastChangeTime = null;
-    this.lastChangeType = null;
+  /**
+   * @param {import('./equipmentStateTracker').EquipmentStateTracker} [tracker] - Tracker holding the pump watcher
+   */
+  constructor(tracker = equipmentStateTracker) {
+    this.tracker = tracker;
+  }
+
+  /**
+   * Restore a site's pump state from InfluxDB once per process
+   * @param {string} [siteId] - Site to restore (defaults to the default site)
+   * @param {Date} [before] - Restore from readings before this time
+   * @returns {Promise<PumpState>} Current pump state
+   */
+  async restore(siteId = siteRegistry.getDefaultSite().id, before = new Date()) {
+    await this.tracker.restore('pump', siteId, before);
+    return this.getCurrentState(siteId);
   }
 
   /**
    * Check for pump state changes and generate annotations
    * @param {boolean} newPumpStatus - Current pump status from Hayward
    * @param {string} timestamp - ISO timestamp of the data collection
+   * @param {string} [siteId] - Site the status was collected from (defaults to the default site)
    * @returns {Promise<boolean>} True if state changed and annotation was created
    */
-  async checkStateChange(newPumpStatus, timestamp) {
-    // Skip if this is the first time (no previous state to compare)
-    if (this.currentState === null) {
-      this.currentState = newPumpStatus;
-      this.lastChangeTime = timestamp;
-      console.log(`🔧 Initial pump state: ${newPumpStatus ? 'ON' : 'OFF'}`);
-      return false;
-    }
-
-    // Check if state has changed
-    if (this.currentState !== newPumpStatus) {
-      const changeType = newPumpStatus ? 'on' : 'off';
-      const previousState = this.currentState ? 'ON' : 'OFF';
-      const newState = newPumpStatus ? 'ON' : 'OFF';
-
-      console.log(`🔄 Pump state change detected: ${previousState} → ${newState}`);
-
-      // Update tracking state
-      this.currentState = newPumpStatus;
-      this.lastChangeTime = timestamp;
-      this.lastChangeType = changeType;
-
-      // Generate annotation
-      await this.createPumpStateAnnotation(changeType, timestamp);
-
-      return true;
+  async checkStateChange(newPumpStatus, timestamp, siteId = siteRegistry.getDefaultSite().id) {
+    const transition = await this.tracker.observe('pump', newPumpStatus, timestamp, siteId);
+    if (transition) {
+      await notifier.notifyPumpChange(siteId, transition);
     }
-
-    return false;
+    return transition !== null;
   }
 
   /**
-   * Create an annotation for pump state change
-   * @param {string} changeType - 'on' or 'off'
-   * @param {string} timestamp - ISO timestamp
-   * @returns {Promise<boolean>} Success status
+   * Get current pump state information
+   * @param {string} [siteId] - Site to look up (defaults to the default site)
+   * @returns {PumpState} Current pump state
    */
-  async createPumpStateAnnotation(changeType, timestamp) {
-    const annotation = {
-      timestamp,
-      title: `Filter Pump ${changeType.toUpperCase()}`,
-      description: `Filter pump automatically turned ${changeType}`,
-      category: 'pump_state_change',
-      metadata: {
-        changeType,
-        source: 'automatic_detection',
-        component: 'filter_pump'
-      }
-    };
-
-    try {
-      console.log(`📝 Creating pump state annotation: ${annotation.title}`);
-      const success = await influxDBService.storeAnnotation(annotation);
-
-      if (success) {
-        console.log('✅ Pump state annotation created successfully');
-      } else {
-        console.error('❌ Failed to create pump state annotation');
-      }
-
-      return success;
-    } catch (error) {
-      console.error('❌ Error creating pump state annotation:', error);
-      return false;
+  getCurrentState(siteId = siteRegistry.getDefaultSite().id) {
+    const state = this.tracker.getState('pump', siteId);
+    let lastChangeType = null;
+    if (state.lastChange !== null) {
+      lastChangeType = state.lastChange ? 'on' : 'off';
     }
+
+    return {
+      isOn: state.value,
+      lastChangeTime: state.lastChangeTime,
+      lastChangeType
+    };
   }
 
   /**
-   * Get current pump state information
-   * @returns {PumpState} Current pump state
+   * Derive pump state changes from the stored pump_status readings and
+   * pump_state_change annotations, one entry per timestamp
+   * @param {string} [siteId] - Site to look up (defaults to the default site)
+   * @param {object} [options]
+   * @param {number} [options.hours] - How far back to look
+   * @param {Date} [options.now] - End of the window
+   * @returns {Promise<object>} State at the start of the window, transitions (oldest first) and current state
    */
-  getCurrentState() {
+  async getStateHistory(siteId = siteRegistry.getDefaultSite().id, { hours = 24, now = new Date() } = {}) {
+    const startTime = new Date(now.getTime() - hours * 60 * 60 * 1000);
+    const [points, annotations] = await Promise.all([
+      influxDBService.queryDataPoints(startTime, now, siteId),
+      influxDBService.queryAnnotations(startTime, now, siteId)
+    ]);
+
+    const readings = points.filter(point => typeof point.pumpStatus === 'boolean');
+    const transitions = new Map();
+
+    readings.forEach((reading, i) => {
+      if (i > 0 && reading.pumpStatus !== readings[i - 1].pumpStatus) {
+        transitions.set(toTime(reading.timestamp), {
+          timestamp: reading.timestamp,
+          changeType: reading.pumpStatus ? 'on' : 'off',
+          annotated: false,
+          derived: true
+        });
+      }
+    });
+
+    annotations
+      .filter(annotation => annotation.category === 'pump_state_change' && annotation.metadata.changeType)
+      .forEach(annotation => {
+        const time = toTime(annotation.timestamp);
+        transitions.set(time, {
+          timestamp: annotation.timestamp,
+          changeType: annotation.metadata.changeType,
+          annotated: true,
+          derived: transitions.has(time)
+        });
+      });
+
+    await this.restore(siteId);
+
     return {
-      isOn: this.currentState,
-      lastChangeTime: this.lastChangeTime,
-      lastChangeType: this.lastChangeType
+      site: siteId,
+      initialState: readings.length > 0 ? readings[0].pumpStatus : null,
+      transitions: Array.from(transitions.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([, transition]) => transition),
+      currentState: this.getCurrentState(siteId)
     };
   }
 
@@ -103,9 +140,7 @@ class PumpStateTracker {
    * Reset the tracker (useful for testing)
    */
   reset() {
-    this.currentState = null;
-    this.lastChangeTime = null;
-    this.lastChangeType = null;
+    this.tracker.reset('pump');
     console.log('🔄 Pump state tracker reset');
   }
 }
@@ -0,0 +1,204 @@
+/**
+ * Salt Dosing
+ * How much salt to add to reach the target level, the weekly salt loss and the
+ * date salt is projected to fall below the low threshold, worked out from the
+ * salt readings stored with every collection
+ */
+
+const { influxDBService } = require('./influxDBService');
+const { timeSeriesService } = require('../domains/monitoring');
+const { envConfig } = require('../config/environment');
+const { POOL_SYSTEM } = require('../config/pool-constants');
+
+// Pounds of salt that raise one gallon of water by 1 ppm (a gallon of water weighs 8.34 lb)
+const POUNDS_PER_GALLON_PPM = 8.34 / 1000000;
+
+// Readings averaged for the current salt level
+const CURRENT_WINDOW_HOURS = 24;
+
+// A rise this big between daily averages means salt was added
+const DOSE_JUMP_PPM = 150;
+
+// Daily averages needed before a trend is estimated
+const MIN_TREND_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} SaltTrend
+ * @property {number|null} ppmPerDay - Change in salt per day (negative while salt is being lost)
+ * @property {number} daysUsed - Daily averages the trend was fitted to
+ * @property {string|null} since - First day used (YYYY-MM-DD)
+ * @property {string|null} lastDoseDate - Day salt was last added, when seen in the window
+ */
+
+const round = (value, places = 0) => Math.round(value * 10 ** places) / 10 ** places;
+
+const hasSalt = point => typeof point.saltInstant === 'number' && point.saltInstant > 0;
+
+const localDate = time => {
+  const date = new Date(time);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Pounds of salt needed to raise the pool from its current level to the target
+ * @param {number} currentPpm - Current salt level
+ * @param {number} targetPpm - Target salt level
+ * @param {number} volumeGallons - Pool volume
+ * @returns {number} Pounds of salt (0 when already at or above the target)
+ */
+const poundsOfSaltNeeded = (currentPpm, targetPpm, volumeGallons) =>
+  Math.max(0, targetPpm - currentPpm) * volumeGallons * POUNDS_PER_GALLON_PPM;
+
+/**
+ * Average salt readings per local day
+ * @param {Array<{timestamp: string|number, saltInstant: number}>} points - Readings with salt
+ * @returns {Array<{date: string, time: number, ppm: number}>} One entry per day, oldest first
+ */
+const dailyAverages = points => {
+  const days = new Map();
+  points.forEach(point => {
+    const time = new Date(point.timestamp).getTime();
+    const date = localDate(time);
+    if (!days.has(date)) {
+      days.set(date, { date, times: [], values: [] });
+    }
+    days.get(date).times.push(time);
+    days.get(date).values.push(point.saltInstant);
+  });
+
+  const mean = values => values.reduce((total, value) => total + value, 0) / values.length;
+  return Array.from(days.values())
+    .map(day => ({ date: day.date, time: mean(day.times), ppm: mean(day.values) }))
+    .sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Estimate how fast salt is being lost, from daily averages since salt was last added
+ * @param {Array<{timestamp: string|number, saltInstant: number}>} points - Readings with salt
+ * @returns {SaltTrend} Least-squares trend
+ */
+const estimateSaltTrend = points => {
+  const days = dailyAverages(points);
+
+  // Salt only rises when it is added; the day it was added mixes both levels, so start the day after
+  let start = 0;
+  let lastDoseDate = null;
+  for (let i = 1; i < days.length; i++) {
+    if (days[i].ppm - days[i - 1].ppm >= DOSE_JUMP_PPM) {
+      start = i + 1;
+      lastDoseDate = days[i].date;
+    }
+  }
+
+  const used = days.slice(start);
+  const trend = {
+    ppmPerDay: null,
+    daysUsed: used.length,
+    since: used.length > 0 ? used[0].date : null,
+    lastDoseDate
+  };
+  if (used.length < MIN_TREND_DAYS) {
+    return trend;
+  }
+
+  const xs = used.map(day => (day.time - used[0].time) / DAY_MS);
+  const meanX = xs.reduce((total, x) => total + x, 0) / xs.length;
+  const meanY = used.reduce((total, day) => total + day.ppm, 0) / used.length;
+  const covariance = used.reduce((total, day, i) => total + (xs[i] - meanX) * (day.ppm - meanY), 0);
+  const variance = xs.reduce((total, x) => total + (x - meanX) ** 2, 0);
+
+  trend.ppmPerDay = variance > 0 ? round(covariance / variance, 1) : null;
+  return trend;
+};
+
+class SaltDosing {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.bagPounds] - Weight of one bag of salt (SALT_BAG_POUNDS)
+   */
+  constructor({ bagPounds } = {}) {
+    this.bagPounds = bagPounds || envConfig.getSaltConfig().bagPounds;
+  }
+
+  /**
+   * Work out the salt to add and the salt loss trend for a site
+   * @param {import('../config/sites').Site} site - Site to analyse
+   * @param {object} [options]
+   * @param {number} [options.days] - Days of readings the trend uses
+   * @param {Date} [options.now] - End of the window
+   * @returns {Promise<object>} Current level, dose, trend and projected low date
+   */
+  async getRecommendation(site, { days = 30, now = new Date() } = {}) {
+    const startTime = new Date(now.getTime() - days * DAY_MS);
+
+    let source = 'influxdb';
+    let points = (await influxDBService.queryDataPoints(startTime, now, site.id)).filter(hasSalt);
+    if (points.length === 0) {
+      source = 'memory';
+      points = timeSeriesService.getDataPoints(0, site.id)
+        .filter(point => hasSalt(point) && new Date(point.timestamp).getTime() >= startTime.getTime());
+    }
+
+    const recentStart = now.getTime() - CURRENT_WINDOW_HOURS * 60 * 60 * 1000;
+    const recent = points.filter(point => new Date(point.timestamp).getTime() >= recentStart);
+    const currentPpm = recent.length > 0
+      ? round(recent.reduce((total, point) => total + point.saltInstant, 0) / recent.length)
+      : null;
+
+    const { target, low } = POOL_SYSTEM.VALIDATION.SALT;
+    const targetPpm = site.saltTargetPpm || target;
+    const volumeGallons = site.volumeGallons;
+
+    let poundsNeeded = null;
+    let bags = null;
+    if (currentPpm !== null && volumeGallons) {
+      poundsNeeded = round(poundsOfSaltNeeded(currentPpm, targetPpm, volumeGallons), 1);
+      bags = Math.ceil(poundsNeeded / this.bagPounds);
+    }
+
+    const trend = estimateSaltTrend(points);
+    const lossPpmPerWeek = trend.ppmPerDay !== null ? round(-trend.ppmPerDay * 7) : null;
+    const lossPoundsPerWeek = lossPpmPerWeek !== null && volumeGallons
+      ? round(Math.max(0, lossPpmPerWeek) * volumeGallons * POUNDS_PER_GALLON_PPM, 1)
+      : null;
+
+    const belowLow = currentPpm !== null && currentPpm < low;
+    let projectedLowDate = null;
+    if (currentPpm !== null && !belowLow && trend.ppmPerDay !== null && trend.ppmPerDay < 0) {
+      projectedLowDate = new Date(now.getTime() + (currentPpm - low) / -trend.ppmPerDay * DAY_MS).toISOString();
+    }
+
+    return {
+      site: site.id,
+      currentPpm,
+      targetPpm,
+      lowPpm: low,
+      volumeGallons,
+      poundsNeeded,
+      bagPounds: this.bagPounds,
+      bags,
+      trend: {
+        ...trend,
+        lossPpmPerWeek,
+        lossPoundsPerWeek
+      },
+      belowLow,
+      projectedLowDate,
+      source
+    };
+  }
+}
+
+// Create singleton instance
+const saltDosing = new SaltDosing();
+
+module.exports = {
+  SaltDosing,
+  saltDosing,
+  POUNDS_PER_GALLON_PPM,
+  poundsOfSaltNeeded,
+  estimateSaltTrend
+};
@@ -0,0 +1,333 @@
+/**
+ * Collection Scheduler
+ * Runs the cron route work in-process on node-cron schedules when server.js runs standalone
+ */
+
+const cron = require('node-cron');
+const { envConfig } = require('../config/environment');
+const collectionTasks = require('./collectionTasks');
+
+// How far ahead to look for the next run: a year for minute schedules, a day for second schedules
+const MAX_MINUTE_STEPS = 366 * 24 * 60;
+const MAX_SECOND_STEPS = 24 * 60 * 60;
+
+// Cron fields in order (seconds optional), with their ranges and accepted names
+const CRON_FIELDS = [
+  { name: 'second', min: 0, max: 59, read: date => date.getSeconds() },
+  { name: 'minute', min: 0, max: 59, read: date => date.getMinutes() },
+  { name: 'hour', min: 0, max: 23, read: date => date.getHours() },
+  { name: 'day', min: 1, max: 31, read: date => date.getDate() },
+  {
+    name: 'month',
+    min: 1,
+    max: 12,
+    names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+    read: date => date.getMonth() + 1
+  },
+  // 7 is also Sunday
+  { name: 'weekday', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], read: date => date.getDay() }
+];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Scheduled jobs by name; each throws when its run failed
+ * @type {Object<string, Function>}
+ */
+const DEFAULT_JOBS = {
+  'pool-collection': async () => {
+    const results = await collectionTasks.collectAllSites('scheduler');
+    if (results.length > 0 && results.every(result => !result.success)) {
+      throw new Error(results.map(result => `${result.site}: ${result.error}`).join(', '));
+    }
+  },
+  'weather-collection': async () => {
+    const weatherData = await collectionTasks.collectWeather();
+    if (!weatherData) {
+      throw new Error('Weather data fetch failed');
+    }
+  },
+  'weather-alerts': () => collectionTasks.checkWeatherAlerts(),
+  'gap-backfill': () => collectionTasks.backfillGaps(),
+  'staleness-check': () => collectionTasks.checkStaleness(),
+  'write-queue-replay': () => collectionTasks.replayQueuedWrites()
+};
+
+/**
+ * Turn a cron value into a number, accepting month and weekday names (e.g. jan, monday)
+ */
+const parseCronValue = (value, field) => {
+  const text = value.toLowerCase();
+  const nameIndex = (field.names || []).findIndex(name => text.startsWith(name));
+  if (nameIndex !== -1) {
+    return nameIndex + field.min;
+  }
+  return /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+};
+
+/**
+ * Expand one cron field (*, lists, ranges and steps) into the set of values it matches
+ * @returns {Set<number>}
+ */
+const parseCronField = (text, field) => {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    const [start, end] = range === '*'
+      ? [field.min, field.max]
+      : range.split('-').map(value => parseCronValue(value, field));
+    // A single value with a step (5/15) runs from that value to the end of the range
+    let last = end;
+    if (last === undefined) {
+      last = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= last; value += step) {
+      values.add(field.name === 'weekday' && value === 7 ? 0 : value);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Build a matcher that fires on the same times node-cron does for an expression
+ * node-cron 3 has no public next-run API, so schedules are matched field by field here
+ * @param {string} expression - Valid 5 or 6 field cron expression
+ * @returns {Function} (date) => boolean
+ */
+const buildCronMatcher = (expression) => {
+  const parts = expression.trim().split(/\s+/);
+  const texts = parts.length === 6 ? parts : ['0', ...parts];
+  const fields = CRON_FIELDS.map((field, index) => ({ ...field, values: parseCronField(texts[index], field) }));
+
+  return date => fields.every(field => field.values.has(field.read(date)));
+};
+
+/**
+ * Get the next time a cron expression fires after a given time
+ * @param {string} expression - 5 or 6 field cron expression
+ * @param {Date} [from] - Time to search from
+ * @returns {Date|null} Next run, or null if the expression is invalid or never fires
+ */
+const getNextRun = (expression, from = new Date()) => {
+  if (!cron.validate(expression)) {
+    return null;
+  }
+
+  const matches = buildCronMatcher(expression);
+
+  const hasSeconds = expression.trim().split(/\s+/).length === 6;
+  const step = hasSeconds ? 1000 : 60 * 1000;
+  const maxSteps = hasSeconds ? MAX_SECOND_STEPS : MAX_MINUTE_STEPS;
+
+  const candidate = new Date(from.getTime());
+  candidate.setMilliseconds(0);
+  if (!hasSeconds) {
+    candidate.setSeconds(0);
+  }
+
+  for (let i = 0; i < maxSteps; i++) {
+    candidate.setTime(candidate.getTime() + step);
+    if (matches(candidate)) {
+      return new Date(candidate.getTime());
+    }
+  }
+  return null;
+};
+
+/**
+ * Runs pool collection, weather collection and alert checks in-process when
+ * server.js runs standalone. A job still running when its next tick arrives is
+ * skipped rather than started twice, and each run starts after a random delay
+ * of up to the configured jitter so sites are not all hit on the minute.
+ */
+class CollectionScheduler {
+  /**
+   * @param {object} [options]
+   * @param {Object<string, Function>} [options.jobs] - Jobs by name
+   * @param {object} [options.cron] - node-cron compatible scheduler
+   * @param {Function} [options.random] - Random number source for jitter
+   * @param {Function} [options.wait] - Waits for the jitter delay
+   */
+  constructor({ jobs = DEFAULT_JOBS, cron: scheduler = cron, random = Math.random, wait = sleep } = {}) {
+    this.cron = scheduler;
+    this.random = random;
+    this.wait = wait;
+    this.started = false;
+    this.jitterMs = 0;
+    this.jobs = {};
+
+    Object.entries(jobs).forEach(([name, fn]) => {
+      this.jobs[name] = {
+        fn,
+        schedule: null,
+        task: null,
+        running: false,
+        runs: 0,
+        failures: 0,
+        skipped: 0,
+        lastRun: null
+      };
+    });
+  }
+
+  /**
+   * Schedule every job that has a valid cron expression
+   * @param {object} [config] - See EnvironmentConfig.getSchedulerConfig
+   * @returns {boolean} Whether the scheduler started
+   */
+  start(config = envConfig.getSchedulerConfig()) {
+    if (this.started) {
+      return true;
+    }
+    if (!config.enabled) {
+      console.log('⏰ Scheduler disabled');
+      return false;
+    }
+
+    this.jitterMs = config.jitterMs || 0;
+
+    Object.entries(this.jobs).forEach(([name, job]) => {
+      const schedule = config.schedules[name];
+      job.schedule = schedule || 'off';
+
+      if (!schedule || schedule === 'off') {
+        console.log(`⏰ Scheduler: ${name} is off`);
+        return;
+      }
+      if (!this.cron.validate(schedule)) {
+        console.warn(`⚠️  Scheduler: invalid schedule "${schedule}" for ${name}, leaving it off`);
+        job.schedule = 'off';
+        return;
+      }
+
+      job.task = this.cron.schedule(schedule, () => this.runJob(name));
+      console.log(`⏰ Scheduler: ${name} scheduled at "${schedule}"`);
+    });
+
+    this.started = true;
+    return true;
+  }
+
+  /**
+   * Stop every scheduled job; runs already in progress finish
+   */
+  stop() {
+    Object.values(this.jobs).forEach(job => {
+      if (job.task) {
+        job.task.stop();
+        job.task = null;
+      }
+    });
+    this.started = false;
+  }
+
+  /**
+   * Run a job now unless it is already running
+   * @param {string} name - Job name
+   * @returns {Promise<boolean>} Whether the job ran
+   */
+  async runJob(name) {
+    const job = this.jobs[name];
+    if (!job) {
+      throw new Error(`Unknown scheduler job: ${name}`);
+    }
+
+    if (job.running) {
+      job.skipped += 1;
+      console.warn(`⏭️ Scheduler: ${name} is still running, skipping this run`);
+      return false;
+    }
+
+    // Held through the jitter delay so a tick arriving meanwhile is skipped too
+    job.running = true;
+    try {
+      if (this.jitterMs > 0) {
+        await this.wait(Math.floor(this.random() * this.jitterMs));
+      }
+
+      const startedAt = new Date();
+      let error = null;
+      try {
+        await job.fn();
+      } catch (jobError) {
+        error = jobError.message;
+      }
+      const finishedAt = new Date();
+
+      job.runs += 1;
+      if (error) {
+        job.failures += 1;
+        console.error(`❌ Scheduler: ${name} failed:`, error);
+      }
+      job.lastRun = {
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        success: !error,
+        error
+      };
+      return true;
+    } finally {
+      job.running = false;
+    }
+  }
+
+  /**
+   * Get each job's next run, soonest first
+   * @param {Date} [from] - Time to search from
+   * @returns {Array<{job: string, schedule: string, nextRun: string|null}>} Next runs
+   */
+  getNextRuns(from = new Date()) {
+    return Object.entries(this.jobs)
+      .filter(([, job]) => job.task)
+      .map(([name, job]) => {
+        const nextRun = getNextRun(job.schedule, from);
+        return { job: name, schedule: job.schedule, nextRun: nextRun && nextRun.toISOString() };
+      })
+      .sort((a, b) => {
+        if (!a.nextRun) return 1;
+        if (!b.nextRun) return -1;
+        return a.nextRun.localeCompare(b.nextRun);
+      });
+  }
+
+  /**
+   * Get the scheduler status for the status endpoint
+   * @returns {object} Whether it is running, and per-job stats
+   */
+  getStatus() {
+    const now = new Date();
+    const jobs = {};
+    Object.entries(this.jobs).forEach(([name, job]) => {
+      const nextRun = job.task ? getNextRun(job.schedule, now) : null;
+      jobs[name] = {
+        schedule: job.schedule,
+        running: job.running,
+        runs: job.runs,
+        failures: job.failures,
+        skipped: job.skipped,
+        lastRun: job.lastRun,
+        nextRun: nextRun && nextRun.toISOString()
+      };
+    });
+
+    return {
+      enabled: this.started,
+      jitterSeconds: this.jitterMs / 1000,
+      jobs
+    };
+  }
+}
+
+// Create singleton instance
+const collectionScheduler = new CollectionScheduler();
+
+module.exports = {
+  CollectionScheduler,
+  collectionScheduler,
+  getNextRun
+};
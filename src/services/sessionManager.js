@@ -2,19 +2,29 @@
 // Use ../domains/pool/infrastructure/hayward-session.js for new code
 
 const HaywardSession = require('./HaywardSession');
+const { createSessionStore } = require('./sessionStore');
+const { envConfig } = require('../config/environment');
+
+// Where persistent sessions are saved between processes (SESSION_STORE / SESSION_STORE_DIR)
+/** @type {import('./sessionStore').SessionStore} */
+let sessionStore = createSessionStore(envConfig.get('SESSION_STORE'), envConfig.get('SESSION_STORE_DIR'));
 
 // Store for user sessions and their cookie jars
 /** @type {Map<string, import('./HaywardSession')>} */
 const userSessions = new Map();
 
 // Clean up expired sessions periodically
-setInterval(() => {
+// unref so the timer never keeps a cron run or script from exiting (browser-style timers have no unref)
+const cleanupTimer = setInterval(() => {
   for (const [sessionId, session] of userSessions.entries()) {
     if (session.isExpired()) {
       userSessions.delete(sessionId);
     }
   }
 }, 60 * 60 * 1000); // Clean up every hour
+if (typeof cleanupTimer.unref === 'function') {
+  cleanupTimer.unref();
+}
 
 const sessionManager = {
   /**
@@ -36,6 +46,54 @@ const sessionManager = {
     return session;
   },
 
+  /**
+   * Get a session that is saved to the session store, so later processes reuse its login
+   * Loads the stored copy when this process has none; expired copies are discarded
+   * @param {string} sessionId - Stable session ID, e.g. "cron-<site>"
+   * @returns {Promise<import('./HaywardSession')>} The session instance
+   */
+  async getPersistentSession(sessionId) {
+    const existing = userSessions.get(sessionId);
+    if (existing && existing.store && !existing.isExpired()) {
+      return existing;
+    }
+
+    let session = null;
+    const stored = await sessionStore.load(sessionId);
+    if (stored) {
+      try {
+        session = HaywardSession.fromJSON(stored, { store: sessionStore });
+      } catch (error) {
+        console.warn(`⚠️ Discarding unreadable stored session ${sessionId}:`, error.message);
+      }
+    }
+
+    if (!session || session.isExpired()) {
+      if (stored) {
+        await sessionStore.remove(sessionId);
+      }
+      session = new HaywardSession(sessionId, { store: sessionStore });
+    }
+
+    userSessions.set(sessionId, session);
+    return session;
+  },
+
+  /**
+   * Replace the session store (e.g. with a shared store, or a memory store in tests)
+   * @param {import('./sessionStore').SessionStore} store - Session store
+   */
+  setStore(store) {
+    sessionStore = store;
+  },
+
+  /**
+   * @returns {import('./sessionStore').SessionStore} The session store in use
+   */
+  getStore() {
+    return sessionStore;
+  },
+
   /**
    * Store a session
    * @param {string} sessionId - The session ID
@@ -0,0 +1,102 @@
+/**
+ * Session Store
+ * Persists serialized Hayward sessions so serverless invocations and restarted
+ * processes can reuse a login instead of authenticating on every run
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_STORE_DIR = path.join(os.tmpdir(), 'nightswim-sessions');
+
+/**
+ * @typedef {object} SessionStore
+ * @property {function(string): Promise<object|null>} load - Load a serialized session, or null when none is stored
+ * @property {function(string, object): Promise<void>} save - Store a serialized session
+ * @property {function(string): Promise<void>} remove - Delete a stored session
+ */
+
+/**
+ * Stores each session as a JSON file (the default; /tmp survives warm serverless invocations)
+ */
+class FileSessionStore {
+  /**
+   * @param {string} [dir] - Directory for session files
+   */
+  constructor(dir = DEFAULT_STORE_DIR) {
+    this.dir = dir;
+  }
+
+  filePath(sessionId) {
+    // Session IDs come from site IDs, but keep them from escaping the store directory
+    return path.join(this.dir, `${String(sessionId).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+  }
+
+  async load(sessionId) {
+    try {
+      const contents = await fs.promises.readFile(this.filePath(sessionId), 'utf8');
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not load stored session ${sessionId}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async save(sessionId, data) {
+    await fs.promises.mkdir(this.dir, { recursive: true, mode: 0o700 });
+    // Session cookies are as good as the password, so keep the file private
+    await fs.promises.writeFile(this.filePath(sessionId), JSON.stringify(data), { mode: 0o600 });
+  }
+
+  async remove(sessionId) {
+    await fs.promises.rm(this.filePath(sessionId), { force: true });
+  }
+}
+
+/**
+ * Keeps sessions in process memory (tests, or deployments that should never write sessions to disk)
+ */
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async load(sessionId) {
+    return this.sessions.has(sessionId) ? JSON.parse(this.sessions.get(sessionId)) : null;
+  }
+
+  async save(sessionId, data) {
+    this.sessions.set(sessionId, JSON.stringify(data));
+  }
+
+  async remove(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+}
+
+/**
+ * Create the store selected by SESSION_STORE
+ * @param {string} [type] - 'file' (default) or 'memory'
+ * @param {string} [dir] - Directory for the file store (SESSION_STORE_DIR)
+ * @returns {SessionStore} Session store
+ */
+const createSessionStore = (type = 'file', dir = DEFAULT_STORE_DIR) => {
+  const storeType = String(type || 'file').toLowerCase();
+  if (storeType === 'memory') {
+    return new MemorySessionStore();
+  }
+  if (storeType !== 'file') {
+    console.warn(`⚠️  Unknown SESSION_STORE "${storeType}", storing sessions in files`);
+  }
+  return new FileSessionStore(dir || DEFAULT_STORE_DIR);
+};
+
+module.exports = {
+  DEFAULT_STORE_DIR,
+  FileSessionStore,
+  MemorySessionStore,
+  createSessionStore
+};
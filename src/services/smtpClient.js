@@ -0,0 +1,270 @@
+/**
+ * SMTP Client
+ * Sends plain text email over SMTP: implicit TLS (port 465) or STARTTLS when
+ * the server offers it, AUTH PLAIN when credentials are given. Credentials are
+ * only sent over TLS unless allowInsecureAuth is set. Enough for notification
+ * emails to a relay or a local SMTP sink
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * An SMTP server reply other than the one expected
+ */
+class SmtpError extends Error {
+  /**
+   * @param {string} command - Command that was answered
+   * @param {{code: number, text: string}} reply - Server reply
+   */
+  constructor(command, reply) {
+    super(`SMTP ${command} failed: ${reply.code} ${reply.text}`);
+    this.name = 'SmtpError';
+    this.code = reply.code;
+    // 5xx replies are permanent: sending again will not help
+    this.permanent = reply.code >= 500;
+  }
+}
+
+/**
+ * Encode a header value as an RFC 2047 word when it is not plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} Encoded value
+ */
+const encodeHeader = value => (/^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+
+/**
+ * Build a plain text message; the body is base64 encoded so no line needs dot-stuffing
+ * @param {object} mail
+ * @param {string} mail.from - Sender address
+ * @param {Array<string>} mail.to - Recipient addresses
+ * @param {string} mail.subject - Subject
+ * @param {string} mail.text - Body
+ * @returns {string} Message with CRLF line endings
+ */
+const buildMessage = ({ from, to, subject, text }) => {
+  const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').match(/.{1,76}/g) || [];
+  const domain = from.split('@')[1] || os.hostname();
+
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    ...body
+  ].join('\r\n');
+};
+
+/**
+ * One SMTP session: reads multi-line replies and sends commands
+ */
+class SmtpConnection {
+  /**
+   * @param {net.Socket} socket - Connected socket
+   * @param {number} timeoutMs - Idle timeout
+   */
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.buffer = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiting = null;
+    this.error = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.on('data', chunk => this.receive(chunk.toString('utf8')));
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    socket.setTimeout(this.timeoutMs, () => {
+      this.fail(new Error('SMTP connection timed out'));
+      socket.destroy();
+    });
+  }
+
+  detach() {
+    this.socket.removeAllListeners('data');
+    this.socket.removeAllListeners('error');
+    this.socket.removeAllListeners('close');
+    this.socket.setTimeout(0);
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+    let end = this.buffer.indexOf('\r\n');
+    while (end >= 0) {
+      const line = this.buffer.slice(0, end);
+      this.buffer = this.buffer.slice(end + 2);
+      this.lines.push(line);
+
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        this.replies.push({
+          code: parseInt(line.slice(0, 3), 10),
+          text: this.lines.map(part => part.slice(4)).join('\n'),
+          lines: this.lines
+        });
+        this.lines = [];
+      }
+      end = this.buffer.indexOf('\r\n');
+    }
+    this.settle();
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    this.settle();
+  }
+
+  settle() {
+    if (!this.waiting) return;
+    const { resolve, reject } = this.waiting;
+    if (this.replies.length > 0) {
+      this.waiting = null;
+      resolve(this.replies.shift());
+    } else if (this.error) {
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  /**
+   * @returns {Promise<{code: number, text: string, lines: Array<string>}>} Next reply
+   */
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.settle();
+    });
+  }
+
+  /**
+   * Send a command and check the reply
+   * @param {string|null} command - Command line, or null to only read a reply
+   * @param {Array<number>} expected - Reply codes that mean success
+   * @param {string} [name] - Command name for errors (keeps credentials out of messages)
+   * @returns {Promise<object>} Reply
+   */
+  async send(command, expected, name = command) {
+    if (command !== null) {
+      this.socket.write(`${command}\r\n`);
+    }
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      throw new SmtpError(name, reply);
+    }
+    return reply;
+  }
+
+  /**
+   * Switch the session to TLS after STARTTLS
+   * @param {string} host - Server name to verify
+   * @param {object} tlsOptions - Extra tls.connect options
+   * @returns {Promise<void>}
+   */
+  upgrade(host, tlsOptions) {
+    this.detach();
+    return new Promise((resolve, reject) => {
+      const secure = tls.connect({ socket: this.socket, servername: host, ...tlsOptions }, () => resolve());
+      secure.once('error', reject);
+      this.attach(secure);
+    });
+  }
+}
+
+/**
+ * Send an email
+ * @param {object} server
+ * @param {string} server.host - SMTP host
+ * @param {number} [server.port] - Port (465 when secure, 587 otherwise)
+ * @param {boolean} [server.secure] - Connect with TLS from the start (port 465)
+ * @param {string} [server.user] - Login user (no AUTH without one)
+ * @param {string} [server.pass] - Login password
+ * @param {object} [server.tls] - Extra tls.connect options, e.g. { rejectUnauthorized: false }
+ * @param {boolean} [server.allowInsecureAuth] - Send credentials even when the server offers no TLS (local relays only)
+ * @param {number} [server.timeoutMs] - Idle timeout
+ * @param {object} mail
+ * @param {string} mail.from - Sender address
+ * @param {string|Array<string>} mail.to - Recipients (array or comma separated)
+ * @param {string} mail.subject - Subject
+ * @param {string} mail.text - Plain text body
+ * @returns {Promise<{accepted: Array<string>, response: string}>} Recipients and the server's reply to the message
+ * @throws {Error} A permanent error when credentials would go out without TLS
+ */
+const sendMail = async (server, mail) => {
+  const { host, secure = false, user, pass, tls: tlsOptions = {}, allowInsecureAuth = false, timeoutMs = DEFAULT_TIMEOUT_MS } = server;
+  const port = server.port || (secure ? 465 : 587);
+  const to = (Array.isArray(mail.to) ? mail.to : String(mail.to).split(','))
+    .map(address => address.trim())
+    .filter(Boolean);
+
+  const socket = await new Promise((resolve, reject) => {
+    const connected = secure
+      ? tls.connect({ host, port, servername: host, ...tlsOptions }, () => resolve(connected))
+      : net.connect({ host, port }, () => resolve(connected));
+    connected.once('error', reject);
+    connected.setTimeout(timeoutMs, () => {
+      connected.destroy();
+      reject(new Error('SMTP connection timed out'));
+    });
+  });
+  const connection = new SmtpConnection(socket, timeoutMs);
+
+  try {
+    await connection.send(null, [220], 'greeting');
+    const hello = await connection.send(`EHLO ${os.hostname()}`, [250], 'EHLO');
+    let encrypted = secure;
+
+    if (!secure && hello.lines.some(line => /^250[ -]STARTTLS/i.test(line))) {
+      await connection.send('STARTTLS', [220]);
+      await connection.upgrade(host, tlsOptions);
+      encrypted = true;
+      // Capabilities may differ over TLS, so say hello again
+      await connection.send(`EHLO ${os.hostname()}`, [250], 'EHLO');
+    }
+
+    if (user && !encrypted && !allowInsecureAuth) {
+      const error = new Error(`SMTP server ${host} offers no TLS, so the login was not sent in cleartext (set allowInsecureAuth to send it anyway)`);
+      // Sending again will not help
+      error.permanent = true;
+      throw error;
+    }
+
+    if (user) {
+      const credentials = Buffer.from(`\0${user}\0${pass || ''}`, 'utf8').toString('base64');
+      await connection.send(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+    }
+
+    await connection.send(`MAIL FROM:<${mail.from}>`, [250], 'MAIL FROM');
+    for (const address of to) {
+      await connection.send(`RCPT TO:<${address}>`, [250, 251], 'RCPT TO');
+    }
+    await connection.send('DATA', [354]);
+    const reply = await connection.send(`${buildMessage({ ...mail, to })}\r\n.`, [250], 'message');
+    await connection.send('QUIT', [221]).catch(() => {});
+
+    return { accepted: to, response: `${reply.code} ${reply.text}` };
+  } finally {
+    connection.detach();
+    connection.socket.destroy();
+  }
+};
+
+module.exports = {
+  sendMail,
+  buildMessage,
+  SmtpError
+};
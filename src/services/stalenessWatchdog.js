@@ -0,0 +1,207 @@
+/**
+ * Staleness Watchdog
+ * Tracks how old the latest reading of each metric is and marks it stale
+ * past the configured age, so the dashboard does not show a reading from
+ * hours ago as current. The scheduled check also feeds each site's pool
+ * data age to the alert engine, which opens the collection-stopped alert
+ * when collection has silently stopped
+ */
+
+const { influxDBService } = require('./influxDBService');
+const { alertEngine } = require('./alertEngine');
+const { timeSeriesService } = require('../domains/monitoring');
+const { siteRegistry } = require('../config/sites');
+const { envConfig } = require('../config/environment');
+
+const MINUTE_MS = 60 * 1000;
+
+// How far back the latest readings are looked up (7 days); older metrics count as missing
+const LOOKBACK_HOURS = 168;
+
+// How long a report is reused for dashboard requests, so each refresh does not re-query every metric (1 minute)
+const REPORT_CACHE_MS = 60 * 1000;
+
+/**
+ * Metrics watched: the InfluxDB field and time series key they are read from, and
+ * which staleness limit applies. Weather and home readings are not tied to a site
+ * @type {Object<string, {label: string, field: string, group: string, pumpOnly?: boolean}>}
+ */
+const METRICS = {
+  saltInstant: { label: 'Salt level', field: 'salt_instant', group: 'pool', pumpOnly: true },
+  waterTemp: { label: 'Water temperature', field: 'water_temp', group: 'pool', pumpOnly: true },
+  pumpStatus: { label: 'Pump status', field: 'pump_status', group: 'pool' },
+  weatherTemp: { label: 'Weather', field: 'weather_temp', group: 'weather' },
+  homeTemperature: { label: 'Home temperature', field: 'Temp (F)', group: 'home' },
+  homeHumidity: { label: 'Home humidity', field: 'Humidity (%)', group: 'home' }
+};
+
+/**
+ * @typedef {object} MetricFreshness
+ * @property {string} metric - Metric (a key of METRICS)
+ * @property {string} label - Metric name
+ * @property {string|null} lastUpdated - ISO timestamp of the latest reading (null when there is none)
+ * @property {number|null} ageMinutes - Minutes since the latest reading
+ * @property {number} staleAfterMinutes - Age past which the metric is stale
+ * @property {string} status - 'fresh', 'stale', 'missing', or 'pump-off' for a flow sensor idle while the pump is off
+ * @property {boolean} stale - Whether the metric is stale or missing
+ */
+
+/**
+ * @typedef {object} FreshnessReport
+ * @property {string} site - Site checked
+ * @property {string} checkedAt - ISO timestamp of the check
+ * @property {boolean} stale - Whether any metric is stale or missing
+ * @property {number|null} collectionAgeMinutes - Minutes since the site's newest pool reading
+ * @property {MetricFreshness[]} metrics - Freshness per metric
+ */
+
+class StalenessWatchdog {
+  /**
+   * @param {object} [options]
+   * @param {{poolMinutes: number, weatherMinutes: number, homeMinutes: number}} [options.limits] - Stale ages (STALE_*_MINUTES)
+   */
+  constructor({ limits = envConfig.getStalenessConfig() } = {}) {
+    this.limits = limits;
+    // Latest report per site: { checkedAt: ms, report: Promise<FreshnessReport> }
+    this.reports = new Map();
+  }
+
+  /**
+   * Latest reading of every metric, from InfluxDB and the in-memory time series, whichever is newer
+   * @param {string} siteId - Site whose pool readings to use
+   * @param {Date} now - Current time
+   * @returns {Promise<Object<string, {timestamp: number, value: *}|null>>} Latest reading by metric
+   */
+  async getLatestReadings(siteId, now) {
+    const memory = {
+      pool: timeSeriesService.getDataPoints(LOOKBACK_HOURS, siteId),
+      weather: timeSeriesService.getDataPoints(LOOKBACK_HOURS),
+      home: []
+    };
+
+    const entries = await Promise.all(Object.entries(METRICS).map(async ([metric, { field, group }]) => {
+      let stored = null;
+      try {
+        stored = await influxDBService.queryLastValue(field, now, group === 'pool' ? siteId : null, LOOKBACK_HOURS);
+      } catch (error) {
+        console.warn(`⚠️ Could not read the latest ${field} reading:`, error.message);
+      }
+
+      const points = memory[group];
+      let latest = stored ? { timestamp: new Date(stored.timestamp).getTime(), value: stored.value } : null;
+      for (let i = points.length - 1; i >= 0; i--) {
+        if (points[i][metric] !== null && points[i][metric] !== undefined) {
+          if (!latest || points[i].timestamp > latest.timestamp) {
+            latest = { timestamp: points[i].timestamp, value: points[i][metric] };
+          }
+          break;
+        }
+      }
+      return [metric, latest];
+    }));
+
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * How old each metric's latest reading is
+   * @param {string} siteId - Site to check
+   * @param {Date} [now] - Current time
+   * @returns {Promise<FreshnessReport>} Freshness report
+   */
+  async check(siteId, now = new Date()) {
+    const readings = await this.getLatestReadings(siteId, now);
+    const ageOf = reading => (reading ? Math.max(Math.round((now.getTime() - reading.timestamp) / MINUTE_MS), 0) : null);
+    const limitOf = group => this.limits[`${group}Minutes`];
+
+    // Salt and water temperature sensors sit in the plumbing and go quiet while a known-off pump is idle
+    const pump = readings.pumpStatus;
+    const pumpOff = Boolean(pump) && pump.value === false && ageOf(pump) <= this.limits.poolMinutes;
+
+    const metrics = Object.entries(METRICS).map(([metric, { label, group, pumpOnly }]) => {
+      const reading = readings[metric];
+      const ageMinutes = ageOf(reading);
+      let status = 'fresh';
+      if (ageMinutes === null) {
+        status = 'missing';
+      } else if (ageMinutes > limitOf(group)) {
+        status = pumpOnly && pumpOff ? 'pump-off' : 'stale';
+      }
+
+      return {
+        metric,
+        label,
+        lastUpdated: reading ? new Date(reading.timestamp).toISOString() : null,
+        ageMinutes,
+        staleAfterMinutes: limitOf(group),
+        status,
+        stale: status === 'stale' || status === 'missing'
+      };
+    });
+
+    const poolAges = metrics
+      .filter(entry => METRICS[entry.metric].group === 'pool' && entry.ageMinutes !== null)
+      .map(entry => entry.ageMinutes);
+
+    return {
+      site: siteId,
+      checkedAt: now.toISOString(),
+      stale: metrics.some(entry => entry.stale),
+      collectionAgeMinutes: poolAges.length > 0 ? Math.min(...poolAges) : null,
+      metrics
+    };
+  }
+
+  /**
+   * Freshness report for the dashboard, reusing one checked in the last minute
+   * Concurrent requests share the same check, and the scheduled check refreshes it
+   * @param {string} siteId - Site to check
+   * @param {Date} [now] - Current time
+   * @returns {Promise<FreshnessReport>} Freshness report, up to a minute old
+   */
+  getReport(siteId, now = new Date()) {
+    const cached = this.reports.get(siteId);
+    if (cached && now.getTime() - cached.checkedAt < REPORT_CACHE_MS) {
+      return cached.report;
+    }
+
+    const report = this.check(siteId, now);
+    this.reports.set(siteId, { checkedAt: now.getTime(), report });
+    report.catch(() => {
+      if (this.reports.get(siteId)?.report === report) {
+        this.reports.delete(siteId);
+      }
+    });
+    return report;
+  }
+
+  /**
+   * Check every site, log stale metrics and let the alert engine open or resolve the collection-stopped alert
+   * @param {Date} [now] - Current time
+   * @returns {Promise<FreshnessReport[]>} Report per site
+   */
+  async checkAll(now = new Date()) {
+    const reports = [];
+    for (const site of siteRegistry.getSites()) {
+      const report = await this.check(site.id, now);
+      this.reports.set(site.id, { checkedAt: now.getTime(), report: Promise.resolve(report) });
+      const stale = report.metrics.filter(entry => entry.stale).map(entry => entry.label);
+      if (stale.length > 0) {
+        console.warn(`⚠️ Stale data for site ${site.id}: ${stale.join(', ')}`);
+      }
+
+      await alertEngine.evaluateWatchdog(site, report.collectionAgeMinutes, now);
+      reports.push(report);
+    }
+    return reports;
+  }
+}
+
+// Create singleton instance
+const stalenessWatchdog = new StalenessWatchdog();
+
+module.exports = {
+  StalenessWatchdog,
+  stalenessWatchdog,
+  METRICS
+};
@@ -4,6 +4,9 @@
  * @property {number|null} saltInstant - Salt level value
  * @property {number|null} cellTemp - Cell temperature value
  * @property {number|null} cellVoltage - Cell voltage value
+ * @property {number|null} [cellCurrent] - Cell current value
+ * @property {number|null} [chlorinatorOutput] - Chlorinator output percentage
+ * @property {number|null} [chlorineRate] - Estimated chlorine generation (lb/day)
  * @property {number|null} waterTemp - Water temperature value
  * @property {number|null} airTemp - Air temperature value
  * @property {number|null} weatherTemp - Weather temperature value
@@ -0,0 +1,256 @@
+/**
+ * Water Chemistry
+ * Hand-tested water chemistry (pH, free chlorine, CYA, total alkalinity and
+ * calcium hardness) stored as `water_tests`, with the Langelier Saturation Index
+ * worked out from the water temperature measured at test time
+ */
+
+const { influxDBService } = require('./influxDBService');
+const { timeSeriesService } = require('../domains/monitoring');
+const { POOL_SYSTEM } = require('../config/pool-constants');
+
+// Readings this close to a test are used for its water temperature and TDS
+const READING_WINDOW_MS = 60 * 60 * 1000;
+
+// TDS used when neither the test nor a salt reading gives one
+const DEFAULT_TDS = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Accepted values for each test field
+ * @type {Object<string, {min: number, max: number, label: string}>}
+ */
+const TEST_LIMITS = {
+  ph: { min: 0, max: 14, label: 'pH' },
+  freeChlorine: { min: 0, max: 50, label: 'Free chlorine (ppm)' },
+  cya: { min: 0, max: 300, label: 'CYA (ppm)' },
+  totalAlkalinity: { min: 0, max: 500, label: 'Total alkalinity (ppm)' },
+  calciumHardness: { min: 0, max: 2000, label: 'Calcium hardness (ppm)' },
+  tds: { min: 0, max: 20000, label: 'TDS (ppm)' },
+  waterTemp: { min: 32, max: 120, label: 'Water temperature (°F)' }
+};
+
+// Fields a test needs at least one of
+const MEASURED_FIELDS = ['ph', 'freeChlorine', 'cya', 'totalAlkalinity', 'calciumHardness'];
+
+const MAX_NOTES_LENGTH = 500;
+
+/**
+ * @typedef {object} WaterTest
+ * @property {string} timestamp - ISO timestamp the water was tested
+ * @property {string} site - Site the test belongs to
+ * @property {number|null} ph - pH
+ * @property {number|null} freeChlorine - Free chlorine (ppm)
+ * @property {number|null} cya - Cyanuric acid (ppm)
+ * @property {number|null} totalAlkalinity - Total alkalinity (ppm as CaCO3)
+ * @property {number|null} calciumHardness - Calcium hardness (ppm as CaCO3)
+ * @property {number|null} waterTemp - Water temperature at test time (°F)
+ * @property {number|null} tds - Total dissolved solids (ppm)
+ * @property {number|null} lsi - Langelier Saturation Index
+ * @property {string} notes - Free-form notes
+ */
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Langelier Saturation Index: pH minus the pH at which the water is saturated with
+ * calcium carbonate. Below zero the water is corrosive, above zero it deposits scale.
+ * @param {object} values
+ * @param {number} values.ph - pH
+ * @param {number} values.waterTemp - Water temperature (°F)
+ * @param {number} values.calciumHardness - Calcium hardness (ppm as CaCO3)
+ * @param {number} values.totalAlkalinity - Total alkalinity (ppm as CaCO3)
+ * @param {number} [values.cya] - Cyanuric acid (ppm)
+ * @param {number} [values.tds] - Total dissolved solids (ppm)
+ * @returns {number|null} LSI, or null when the values cannot give one
+ */
+const calculateLSI = ({ ph, waterTemp, calciumHardness, totalAlkalinity, cya = 0, tds = DEFAULT_TDS }) => {
+  // About a third of the CYA reading shows up in the alkalinity test without being carbonate
+  const carbonateAlkalinity = totalAlkalinity - (cya || 0) / 3;
+  if (carbonateAlkalinity <= 0 || calciumHardness <= 0 || tds <= 0) {
+    return null;
+  }
+
+  const celsius = (waterTemp - 32) * 5 / 9;
+  const tdsFactor = (Math.log10(tds) - 1) / 10;
+  const temperatureFactor = -13.12 * Math.log10(celsius + 273) + 34.55;
+  const calciumFactor = Math.log10(calciumHardness) - 0.4;
+  const alkalinityFactor = Math.log10(carbonateAlkalinity);
+
+  const saturationPh = (9.3 + tdsFactor + temperatureFactor) - (calciumFactor + alkalinityFactor);
+  return round(ph - saturationPh);
+};
+
+/**
+ * Compare test values with the ideal ranges
+ * @param {WaterTest} test - Test result
+ * @returns {Object<string, string>} 'low', 'ok' or 'high' for each value present
+ */
+const checkRanges = test => Object.fromEntries(Object.entries(POOL_SYSTEM.CHEMISTRY_RANGES)
+  .filter(([field]) => typeof test[field] === 'number')
+  .map(([field, { min, max }]) => {
+    if (test[field] < min) return [field, 'low'];
+    if (test[field] > max) return [field, 'high'];
+    return [field, 'ok'];
+  }));
+
+/**
+ * What an LSI value means for the water
+ * @param {number|null} lsi - Langelier Saturation Index
+ * @returns {string|null} 'corrosive', 'balanced' or 'scaling'
+ */
+const describeLSI = lsi => {
+  if (lsi === null || lsi === undefined) return null;
+  const { min, max } = POOL_SYSTEM.CHEMISTRY_RANGES.lsi;
+  if (lsi < min) return 'corrosive';
+  if (lsi > max) return 'scaling';
+  return 'balanced';
+};
+
+/**
+ * Validate a test result sent to POST /api/pool/chemistry
+ * @param {object} body - Request body
+ * @returns {{values: object, errors: Array<string>}} Parsed values and validation errors
+ */
+const parseWaterTest = (body = {}) => {
+  const errors = [];
+  const values = {};
+
+  Object.entries(TEST_LIMITS).forEach(([field, { min, max, label }]) => {
+    const raw = body[field];
+    if (raw === undefined || raw === null || raw === '') {
+      values[field] = null;
+      return;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      errors.push(`${label} must be a number between ${min} and ${max}`);
+      return;
+    }
+    values[field] = value;
+  });
+
+  if (errors.length === 0 && !MEASURED_FIELDS.some(field => typeof values[field] === 'number')) {
+    errors.push(`At least one of ${MEASURED_FIELDS.join(', ')} is required`);
+  }
+
+  values.timestamp = body.timestamp ? new Date(body.timestamp) : new Date();
+  if (Number.isNaN(values.timestamp.getTime())) {
+    errors.push('timestamp must be a valid date');
+  } else if (values.timestamp.getTime() > Date.now() + READING_WINDOW_MS) {
+    errors.push('timestamp cannot be in the future');
+  }
+
+  values.notes = body.notes ? String(body.notes).slice(0, MAX_NOTES_LENGTH) : '';
+
+  return { values, errors };
+};
+
+class WaterChemistry {
+  /**
+   * Find the pool readings closest to a time
+   * @param {string} siteId - Site to look up
+   * @param {Date} time - Test time
+   * @returns {Promise<{waterTemp: number|null, saltInstant: number|null}>} Nearest water temperature and salt readings
+   */
+  async findReadings(siteId, time) {
+    const startTime = new Date(time.getTime() - READING_WINDOW_MS);
+    const endTime = new Date(time.getTime() + READING_WINDOW_MS);
+
+    let points = await influxDBService.queryDataPoints(startTime, endTime, siteId);
+    if (points.length === 0) {
+      points = timeSeriesService.getDataPoints(0, siteId).filter(point => {
+        const pointTime = new Date(point.timestamp).getTime();
+        return pointTime >= startTime.getTime() && pointTime <= endTime.getTime();
+      });
+    }
+
+    const nearest = field => {
+      const candidates = points.filter(point => typeof point[field] === 'number');
+      if (candidates.length === 0) {
+        return null;
+      }
+      const distance = point => Math.abs(new Date(point.timestamp).getTime() - time.getTime());
+      return candidates.reduce((best, point) => (distance(point) < distance(best) ? point : best))[field];
+    };
+
+    return { waterTemp: nearest('waterTemp'), saltInstant: nearest('saltInstant') };
+  }
+
+  /**
+   * Work out the LSI for a test and store it
+   * @param {import('../config/sites').Site} site - Site the test belongs to
+   * @param {object} values - Values from parseWaterTest
+   * @returns {Promise<{test: object, stored: boolean}>} Stored test with its range checks, and whether InfluxDB took it
+   *   (false means it was queued, or dropped when InfluxDB is not configured)
+   */
+  async recordTest(site, values) {
+    const readings = await this.findReadings(site.id, values.timestamp);
+    const waterTemp = values.waterTemp !== null ? values.waterTemp : readings.waterTemp;
+    // Salt makes up most of the dissolved solids in a salt water pool
+    const tds = values.tds !== null ? values.tds : readings.saltInstant;
+
+    const test = {
+      timestamp: values.timestamp.toISOString(),
+      site: site.id,
+      ph: values.ph,
+      freeChlorine: values.freeChlorine,
+      cya: values.cya,
+      totalAlkalinity: values.totalAlkalinity,
+      calciumHardness: values.calciumHardness,
+      waterTemp,
+      tds,
+      lsi: null,
+      notes: values.notes
+    };
+
+    if ([test.ph, test.waterTemp, test.calciumHardness, test.totalAlkalinity].every(value => typeof value === 'number')) {
+      test.lsi = calculateLSI({ ...test, tds: tds || DEFAULT_TDS });
+    }
+
+    const stored = await influxDBService.storeWaterTest(test);
+    return { test: this.evaluate(test), stored };
+  }
+
+  /**
+   * Add range checks and the LSI reading to a test
+   * @param {WaterTest} test - Test result
+   * @returns {object} Test with `ranges` and `lsiStatus`
+   */
+  evaluate(test) {
+    return { ...test, ranges: checkRanges(test), lsiStatus: describeLSI(test.lsi) };
+  }
+
+  /**
+   * Get a site's water tests
+   * @param {import('../config/sites').Site} site - Site to look up
+   * @param {object} [options]
+   * @param {number} [options.days] - Days of tests to return
+   * @param {Date} [options.now] - End of the window
+   * @returns {Promise<object>} Tests (oldest first), the latest test and the ideal ranges
+   */
+  async getTests(site, { days = 90, now = new Date() } = {}) {
+    const startTime = new Date(now.getTime() - days * DAY_MS);
+    const tests = (await influxDBService.queryWaterTests(startTime, now, site.id)).map(test => this.evaluate(test));
+
+    return {
+      site: site.id,
+      tests,
+      latest: tests.length > 0 ? tests[tests.length - 1] : null,
+      ranges: POOL_SYSTEM.CHEMISTRY_RANGES
+    };
+  }
+}
+
+// Create singleton instance
+const waterChemistry = new WaterChemistry();
+
+module.exports = {
+  WaterChemistry,
+  waterChemistry,
+  calculateLSI,
+  checkRanges,
+  describeLSI,
+  parseWaterTest
+};
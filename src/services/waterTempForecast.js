@@ -0,0 +1,324 @@
+/**
+ * Water Temperature Forecast
+ * Predicts water temperature from the hourly weather forecast with a heat model
+ * fit to our own water temperature, weather temperature and pump readings
+ */
+
+const { influxDBService } = require('./influxDBService');
+const weatherService = require('./weatherService');
+const { timeSeriesService } = require('../domains/monitoring');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Days of readings the model is fit to
+const TRAINING_DAYS = 14;
+
+// A fitted model is reused for this long
+const MODEL_TTL_MS = HOUR_MS;
+
+// The forecast starts from a water reading no older than this
+const START_WINDOW_MS = DAY_MS;
+
+// Hour-to-hour changes the fit needs before it is trusted
+const MIN_SAMPLES = 24;
+
+// Water readings further apart than this are not paired up for the fit
+const MAX_STEP_HOURS = 3;
+
+// Sun hours of the fixed daylight curve that stands in for solar gain
+const SUNRISE_HOUR = 6;
+const DAYLIGHT_HOURS = 12;
+
+/**
+ * @typedef {object} WaterTempModel
+ * @property {number} exchangePerHour - Share of the air-water difference the water moves each hour
+ * @property {number} sunGainPerHour - °F gained per hour at the midday peak of the daylight curve
+ * @property {number} pumpGainPerHour - °F gained per hour of pump running (pump heat and mixing)
+ * @property {number} samples - Hour-to-hour changes the model was fit to
+ * @property {number} rmse - Root mean square error of a one-step prediction (°F)
+ * @property {string} fittedAt - When the model was fit
+ */
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const mean = values => (values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null);
+
+/**
+ * Relative strength of the sun through the day, 0 at night and 1 at midday
+ * @param {number} time - Start of the hour (ms)
+ * @returns {number} 0 to 1
+ */
+const daylight = time => {
+  const hour = new Date(time).getHours() + 0.5;
+  return Math.max(0, Math.sin(Math.PI * (hour - SUNRISE_HOUR) / DAYLIGHT_HOURS));
+};
+
+/**
+ * Solve a small linear system by Gaussian elimination
+ * @param {Array<Array<number>>} matrix - Square matrix
+ * @param {Array<number>} vector - Right-hand side
+ * @returns {Array<number>|null} Solution, or null when the system is singular
+ */
+const solve = (matrix, vector) => {
+  const rows = matrix.map((row, i) => [...row, vector[i]]);
+  const size = rows.length;
+  for (let column = 0; column < size; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-9) return null;
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+    for (let row = 0; row < size; row++) {
+      if (row !== column) {
+        const factor = rows[row][column] / rows[column][column];
+        for (let k = column; k <= size; k++) {
+          rows[row][k] -= factor * rows[column][k];
+        }
+      }
+    }
+  }
+  return rows.map((row, i) => row[size] / row[i]);
+};
+
+/**
+ * Group readings into hours
+ * @param {Array<object>} points - Collected points
+ * @returns {Map<number, {water: number|null, air: number|null, pump: number|null}>} Keyed by the start of the hour (ms)
+ */
+const hourlyReadings = points => {
+  const buckets = new Map();
+  points.forEach(point => {
+    const hour = Math.floor(new Date(point.timestamp).getTime() / HOUR_MS) * HOUR_MS;
+    if (!buckets.has(hour)) {
+      buckets.set(hour, { water: [], air: [], pump: [] });
+    }
+    const bucket = buckets.get(hour);
+    // The water sensor sits in the plumbing, so it only reads the pool while water flows
+    if (point.pumpStatus === true && typeof point.waterTemp === 'number') bucket.water.push(point.waterTemp);
+    if (typeof point.weatherTemp === 'number') bucket.air.push(point.weatherTemp);
+    if (typeof point.pumpStatus === 'boolean') bucket.pump.push(point.pumpStatus ? 1 : 0);
+  });
+
+  const hours = new Map();
+  Array.from(buckets.keys()).sort((a, b) => a - b).forEach(hour => {
+    const bucket = buckets.get(hour);
+    hours.set(hour, { water: mean(bucket.water), air: mean(bucket.air), pump: mean(bucket.pump) });
+  });
+  return hours;
+};
+
+/**
+ * Fit dT = k·(air − water) + s·daylight + p·pump per hour by least squares, from pairs of
+ * water readings up to MAX_STEP_HOURS apart
+ * @param {Map<number, object>} hours - Hourly readings from hourlyReadings
+ * @returns {Omit<WaterTempModel, 'fittedAt'>|null} The model, or null without enough data or when the fit makes no physical sense
+ */
+const fitModel = hours => {
+  const observed = Array.from(hours.entries()).filter(([, hour]) => hour.water !== null);
+  const samples = [];
+  for (let i = 0; i + 1 < observed.length; i++) {
+    const [start, { water }] = observed[i];
+    const [end, next] = observed[i + 1];
+    const drivers = [];
+    for (let time = start; time < end; time += HOUR_MS) {
+      drivers.push({ time, ...(hours.get(time) || {}) });
+    }
+    const complete = drivers.every(driver => typeof driver.air === 'number' && typeof driver.pump === 'number');
+    if (end - start <= MAX_STEP_HOURS * HOUR_MS && complete) {
+      samples.push({
+        x: [
+          drivers.reduce((total, driver) => total + driver.air - water, 0),
+          drivers.reduce((total, driver) => total + daylight(driver.time), 0),
+          drivers.reduce((total, driver) => total + driver.pump, 0)
+        ],
+        y: next.water - water
+      });
+    }
+  }
+  if (samples.length < MIN_SAMPLES) return null;
+
+  // Normal equations (XᵀX)β = Xᵀy
+  const xtx = [0, 1, 2].map(row => [0, 1, 2].map(column =>
+    samples.reduce((total, sample) => total + sample.x[row] * sample.x[column], 0)));
+  const xty = [0, 1, 2].map(row => samples.reduce((total, sample) => total + sample.x[row] * sample.y, 0));
+  const coefficients = solve(xtx, xty);
+  // Water always drifts towards the air temperature, and never past it in an hour
+  if (!coefficients || !(coefficients[0] > 0 && coefficients[0] < 1)) return null;
+
+  const [exchangePerHour, sunGainPerHour, pumpGainPerHour] = coefficients;
+  const squaredErrors = samples.map(sample => {
+    const predicted = sample.x.reduce((total, value, i) => total + value * coefficients[i], 0);
+    return (predicted - sample.y) ** 2;
+  });
+
+  return {
+    exchangePerHour: round(exchangePerHour, 4),
+    sunGainPerHour: round(sunGainPerHour, 3),
+    pumpGainPerHour: round(pumpGainPerHour, 3),
+    samples: samples.length,
+    rmse: round(Math.sqrt(mean(squaredErrors)), 2)
+  };
+};
+
+/**
+ * Typical share of each local hour of the day the pump runs
+ * @param {Map<number, object>} hours - Hourly readings from hourlyReadings
+ * @returns {Array<number>} 24 values from 0 to 1
+ */
+const pumpSchedule = hours => {
+  const byHour = Array.from({ length: 24 }, () => []);
+  hours.forEach((hour, time) => {
+    if (typeof hour.pump === 'number') byHour[new Date(time).getHours()].push(hour.pump);
+  });
+  const overall = mean(byHour.flat()) || 0;
+  return byHour.map(values => (values.length > 0 ? mean(values) : overall));
+};
+
+class WaterTempForecast {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.trainingDays] - Days of readings the model is fit to
+   */
+  constructor({ trainingDays = TRAINING_DAYS } = {}) {
+    this.trainingDays = trainingDays;
+    // Fitted model and pump schedule per site
+    this.fits = new Map();
+  }
+
+  /**
+   * Hourly readings from InfluxDB or in-memory storage
+   * @param {string} siteId - Site to read
+   * @param {Date} now - End of the window
+   * @param {number} windowMs - Length of the window
+   * @returns {Promise<{hours: Map<number, object>, source: string}>} Hourly readings and where they came from
+   */
+  async getHourlyReadings(siteId, now, windowMs) {
+    const startTime = new Date(now.getTime() - windowMs);
+
+    let source = 'influxdb';
+    let points = await influxDBService.queryDataPoints(startTime, now, siteId);
+    if (points.length === 0) {
+      source = 'memory';
+      points = timeSeriesService.getDataPoints(0, siteId)
+        .filter(point => new Date(point.timestamp).getTime() >= startTime.getTime());
+    }
+    return { hours: hourlyReadings(points), source };
+  }
+
+  /**
+   * Forecast a site's water temperature
+   * @param {import('../config/sites').Site} site - Site to forecast
+   * @param {object} [options]
+   * @param {number} [options.hours] - Hours ahead to forecast
+   * @param {Date} [options.now] - Forecast start
+   * @returns {Promise<object>} The model, the latest water temperature and the hourly forecast
+   */
+  async getForecast(site, { hours = 48, now = new Date() } = {}) {
+    const cached = this.fits.get(site.id);
+    let fit = cached && now.getTime() - new Date(cached.model.fittedAt).getTime() < MODEL_TTL_MS ? cached : null;
+
+    // A fresh model only needs the readings the forecast starts from
+    const windowMs = fit ? START_WINDOW_MS : this.trainingDays * DAY_MS;
+    const { hours: readings, source } = await this.getHourlyReadings(site.id, now, windowMs);
+    if (!fit) {
+      const fitted = fitModel(readings);
+      if (fitted) {
+        fit = { model: { ...fitted, fittedAt: now.toISOString() }, schedule: pumpSchedule(readings) };
+        this.fits.set(site.id, fit);
+      }
+    }
+    const model = fit ? fit.model : null;
+
+    const observed = Array.from(readings.entries())
+      .filter(([time, hour]) => hour.water !== null && time >= now.getTime() - START_WINDOW_MS);
+    const latest = observed.length > 0 ? observed[observed.length - 1] : null;
+    const result = {
+      site: site.id,
+      model,
+      current: latest ? { timestamp: new Date(latest[0]).toISOString(), waterTemp: round(latest[1].water) } : null,
+      forecast: [],
+      summary: null,
+      reason: null,
+      source
+    };
+
+    if (!model) {
+      result.reason = `Not enough pump-on water temperature readings with weather data in the last ${this.trainingDays} days to fit a model`;
+      return result;
+    }
+    if (!latest) {
+      result.reason = 'No recent water temperature reading to start the forecast from';
+      return result;
+    }
+
+    const weather = await weatherService.getHourlyForecast(hours);
+    if (!weather || weather.length === 0) {
+      result.reason = 'Weather forecast unavailable';
+      return result;
+    }
+
+    result.forecast = this.simulate(model, latest, readings, weather, fit.schedule, now);
+    if (result.forecast.length > 0) {
+      const temps = result.forecast.map(hour => hour.waterTemp);
+      result.summary = { min: Math.min(...temps), max: Math.max(...temps) };
+    }
+    return result;
+  }
+
+  /**
+   * Step the model hour by hour from the latest water reading to the end of the weather forecast,
+   * using recorded weather and pump state for hours already past
+   * @param {WaterTempModel} model - Fitted model
+   * @param {[number, object]} latest - Start of the hour of the latest water reading and its readings
+   * @param {Map<number, object>} readings - Hourly readings
+   * @param {Array<{timestamp: string, temperature: number|null}>} weather - Hourly weather forecast
+   * @param {Array<number>} schedule - Typical pump share for each local hour
+   * @param {Date} now - Forecast start
+   * @returns {Array<{timestamp: string, waterTemp: number, airTemp: number}>} Predicted water temperature per forecast hour
+   */
+  simulate(model, latest, readings, weather, schedule, now) {
+    const forecastAir = new Map(weather
+      .filter(hour => typeof hour.temperature === 'number')
+      .map(hour => [new Date(hour.timestamp).getTime(), hour.temperature]));
+    const forecastTimes = Array.from(forecastAir.keys()).sort((a, b) => a - b);
+    if (forecastTimes.length === 0) return [];
+
+    const [start, startReadings] = latest;
+    const end = forecastTimes[forecastTimes.length - 1];
+    let water = startReadings.water;
+    let air = startReadings.air;
+    const forecast = [];
+    for (let time = start; time < end; time += HOUR_MS) {
+      const recorded = time < now.getTime() ? readings.get(time) : null;
+      // Carry the last air temperature across hours with neither a reading nor a forecast
+      if (recorded && typeof recorded.air === 'number') {
+        air = recorded.air;
+      } else if (forecastAir.has(time)) {
+        air = forecastAir.get(time);
+      }
+      if (typeof air !== 'number') continue;
+      const pump = recorded && typeof recorded.pump === 'number' ? recorded.pump : schedule[new Date(time).getHours()];
+
+      water += model.exchangePerHour * (air - water) + model.sunGainPerHour * daylight(time) + model.pumpGainPerHour * pump;
+
+      const next = time + HOUR_MS;
+      if (next >= now.getTime() && forecastAir.has(next)) {
+        forecast.push({ timestamp: new Date(next).toISOString(), waterTemp: round(water), airTemp: forecastAir.get(next) });
+      }
+    }
+    return forecast;
+  }
+}
+
+// Create singleton instance
+const waterTempForecast = new WaterTempForecast();
+
+module.exports = {
+  WaterTempForecast,
+  waterTempForecast,
+  fitModel,
+  hourlyReadings,
+  daylight
+};
@@ -1,6 +1,12 @@
 const axios = require('axios');
 const { influxDBService } = require('./influxDBService');
 const geocodingService = require('./geocodingService');
+const { FORECAST_SOURCE } = require('./forecastWarnings');
+const { notifier } = require('./notifier');
+const { alertSilencer } = require('./alertSilencer');
+
+// Forecast warnings look this far ahead, and may have started up to this long ago
+const FORECAST_WARNING_WINDOW_MS = 48 * 60 * 60 * 1000;
 
 /**
  * Weather Alert Service
@@ -18,6 +24,13 @@ class WeatherAlertService {
     this.state = null; // Will be derived from coordinates
     this.coordinates = null; // Will be set during initialization
     this.initialized = false;
+
+    // NWS alert IDs written to InfluxDB (or found there) by this process, so each is written once
+    this.storedIds = new Set();
+    // When each active alert was last delivered to a channel, for reminders
+    this.notifiedAt = new Map();
+    // When each alert seen expires, so ended alerts can be forgotten
+    this.expiresAt = new Map();
   }
 
   /**
@@ -127,16 +140,21 @@ class WeatherAlertService {
   }
 
   /**
-   * Store weather alerts as range annotations in InfluxDB
+   * Store weather alerts as range annotations in InfluxDB, each once per process
+   * A failed write is queued by the InfluxDB service, so it is not tried again here
    * @param {Array} alerts - Array of weather alerts
-   * @returns {Promise<number>} Number of alerts stored
+   * @returns {Promise<{stored: Array, found: Array}>} Parsed alerts stored now, and those already stored before
    */
   async storeWeatherAlerts(alerts) {
-    let storedCount = 0;
+    const stored = [];
+    const found = [];
 
     for (const alert of alerts) {
       try {
         const alertData = this.parseAlertData(alert);
+        if (this.storedIds.has(alertData.id)) {
+          continue;
+        }
 
         // Check if we already have this alert stored
         const existingAlerts = await this.influxDB.queryWeatherAlerts(
@@ -151,18 +169,20 @@ class WeatherAlertService {
         if (!alreadyStored) {
           const success = await this.influxDB.storeWeatherAlert(alertData);
           if (success) {
-            storedCount++;
+            stored.push(alertData);
             console.log(`✅ Stored weather alert: ${alertData.event}`);
           }
         } else {
+          found.push(alertData);
           console.log(`⏭️ Alert already stored: ${alertData.event}`);
         }
+        this.storedIds.add(alertData.id);
       } catch (error) {
         console.error(`❌ Error storing alert ${alert.id}:`, error);
       }
     }
 
-    return storedCount;
+    return { stored, found };
   }
 
   /**
@@ -195,17 +215,35 @@ class WeatherAlertService {
     try {
       console.log('🌤️ Checking for new weather alerts...');
 
+      const now = new Date();
       const alerts = await this.getWeatherAlerts();
-      const storedCount = await this.storeWeatherAlerts(alerts);
+      const { stored, found } = await this.storeWeatherAlerts(alerts);
+
+      // An alert already stored when this process first saw it was sent by an earlier one
+      found
+        .filter(alertData => !this.notifiedAt.has(alertData.id))
+        .forEach(alertData => this.notifiedAt.set(alertData.id, now.getTime()));
+
+      // Alerts not delivered yet are sent whether or not storing them worked, and
+      // tried again on the next check until a channel takes them
+      let notificationsSent = 0;
+      for (const alertData of alerts.map(alert => this.parseAlertData(alert))) {
+        if (!this.notifiedAt.has(alertData.id)) {
+          notificationsSent += await this.sendAlert(alertData, now);
+        }
+      }
+      const remindersSent = await this.remindActiveAlerts(alerts, now);
 
       const result = {
         checked: true,
         totalAlerts: alerts.length,
-        newAlertsStored: storedCount,
+        newAlertsStored: stored.length,
+        notificationsSent,
+        remindersSent,
         timestamp: new Date().toISOString()
       };
 
-      console.log(`📊 Weather alert check complete: ${storedCount} new alerts stored`);
+      console.log(`📊 Weather alert check complete: ${stored.length} new alerts stored`);
       return result;
     } catch (error) {
       console.error('❌ Error in weather alert check:', error);
@@ -217,12 +255,64 @@ class WeatherAlertService {
     }
   }
 
+  /**
+   * Send an alert to the notification channels; it only counts as notified once a channel takes it
+   * @param {object} alertData - Alert from parseAlertData
+   * @param {Date} now - Current time
+   * @param {object} [options] - See Notifier.notifyWeatherAlert
+   * @returns {Promise<number>} Notifications sent
+   */
+  async sendAlert(alertData, now, options = {}) {
+    const deliveries = await notifier.notifyWeatherAlert(alertData, options);
+    const sent = deliveries.filter(delivery => delivery.status === 'sent').length;
+    if (sent > 0) {
+      this.notifiedAt.set(alertData.id, now.getTime());
+    }
+    return sent;
+  }
+
+  /**
+   * Send reminders for delivered alerts still active that are due one and not acknowledged
+   * Alerts never delivered are left to checkAndStoreAlerts, which sends them as new
+   * @param {Array} alerts - Active NWS alerts
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Reminder notifications sent
+   */
+  async remindActiveAlerts(alerts, now) {
+    await alertSilencer.restore();
+
+    const active = new Set();
+    let remindersSent = 0;
+    for (const alert of alerts) {
+      const alertData = this.parseAlertData(alert);
+      const notifiedAt = this.notifiedAt.get(alertData.id);
+      active.add(alertData.id);
+      this.expiresAt.set(alertData.id, new Date(alertData.endTime).getTime());
+
+      if (notifiedAt !== undefined && alertSilencer.isReminderDue(alertData.id, notifiedAt, now)) {
+        remindersSent += await this.sendAlert(alertData, now, { reminder: true });
+      }
+    }
+
+    // Forget alerts that have ended; a failed fetch lists none, so unexpired alerts are kept
+    [...this.expiresAt.entries()]
+      .filter(([id, expiresAt]) => !active.has(id) && expiresAt <= now.getTime())
+      .forEach(([id]) => {
+        this.expiresAt.delete(id);
+        this.notifiedAt.delete(id);
+        this.storedIds.delete(id);
+      });
+
+    return remindersSent;
+  }
+
   /**
    * Get currently active weather alerts
-   * @returns {Promise<Array>} Active alerts
+   * @returns {Promise<Array>} Active NWS alerts (forecast warnings are listed by getForecastWarnings)
    */
   async getActiveAlerts() {
-    return await this.influxDB.getActiveWeatherAlerts();
+    const alerts = await this.influxDB.getActiveWeatherAlerts();
+    return alerts.filter(alert => alert.source !== FORECAST_SOURCE);
   }
 
   /**
@@ -230,7 +320,26 @@ class WeatherAlertService {
    * @returns {Promise<boolean>} True if there are active alerts
    */
   async hasActiveAlerts() {
-    return await this.influxDB.hasActiveWeatherAlerts();
+    const activeAlerts = await this.getActiveAlerts();
+    return activeAlerts.length > 0;
+  }
+
+  /**
+   * Get freeze and heat warnings from the forecast that are under way or still to come
+   * @param {string|null} [siteId] - Restrict to one site (null for all sites)
+   * @returns {Promise<Array>} Forecast warnings, soonest first
+   */
+  async getForecastWarnings(siteId = null) {
+    const now = new Date();
+    const alerts = await this.influxDB.queryWeatherAlerts(
+      new Date(now.getTime() - FORECAST_WARNING_WINDOW_MS),
+      new Date(now.getTime() + 2 * FORECAST_WARNING_WINDOW_MS)
+    );
+
+    return alerts
+      .filter(alert => alert.source === FORECAST_SOURCE && new Date(alert.endTime) >= now)
+      .filter(alert => !siteId || alert.site === siteId)
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
   }
 
   /**
@@ -331,11 +440,17 @@ class WeatherAlertService {
 
   /**
    * Get weather alert information for dashboard display
+   * @param {string|null} [siteId] - Site whose forecast warnings to include (null for all sites)
    * @returns {Promise<object>} Dashboard-ready alert information
    */
-  async getDashboardAlerts() {
+  async getDashboardAlerts(siteId = null) {
     try {
-      const activeAlerts = await this.getActiveAlerts();
+      const [alerts, forecastWarnings] = await Promise.all([
+        this.getActiveAlerts(),
+        this.getForecastWarnings(siteId),
+        alertSilencer.restore()
+      ]);
+      const activeAlerts = alerts.map(alert => ({ ...alert, acknowledged: alertSilencer.isAcknowledged(alert.id) }));
       const hasAlerts = activeAlerts.length > 0;
 
       return {
@@ -343,6 +458,7 @@ class WeatherAlertService {
         activeAlerts,
         alertCount: activeAlerts.length,
         mostSevereAlert: hasAlerts ? this.getMostSevereAlert(activeAlerts) : null,
+        forecastWarnings,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -351,6 +467,7 @@ class WeatherAlertService {
         hasActiveAlerts: false,
         activeAlerts: [],
         alertCount: 0,
+        forecastWarnings: [],
         error: error.message,
         timestamp: new Date().toISOString()
       };
@@ -1,6 +1,12 @@
 const axios = require('axios');
 const geocodingService = require('./geocodingService');
 
+// The OpenMeteo archive only has data up to about this many days ago
+const ARCHIVE_LAG_DAYS = 5;
+
+// OpenMeteo updates its forecast hourly, so there is no point fetching it more often
+const FORECAST_CACHE_TIMEOUT = 30 * 60 * 1000;
+
 /**
  * Weather service for fetching real-time air temperature data using OpenMeteo API
  * OpenMeteo provides current conditions updated every 10-15 minutes
@@ -11,6 +17,7 @@ class WeatherService {
     this.zipCode = process.env.POOL_ZIP_CODE || '32708';
     this.coordinates = null;
     this.initialized = false;
+    this.forecastCache = null;
   }
 
   /**
@@ -211,6 +218,7 @@ class WeatherService {
     this.zipCode = newZipCode;
     this.initialized = false;
     this.coordinates = null;
+    this.forecastCache = null;
 
     return await this.initialize();
   }
@@ -313,6 +321,104 @@ class WeatherService {
     }
   }
 
+  /**
+   * Get hourly temperature and humidity for a past time range, for backfilling gaps
+   * Uses the forecast API (which keeps the last ~3 months) for recent ranges and the
+   * archive API, which lags by about 5 days, for older ones
+   * @param {Date} startTime - Range start
+   * @param {Date} endTime - Range end
+   * @returns {Promise<Array<{timestamp: string, temperature: number|null, humidity: number|null}>|null>} Hourly readings in the range, or null if failed
+   */
+  async getHourlyWeather(startTime, endTime) {
+    // Ensure service is initialized
+    await this.initialize();
+
+    try {
+      const archiveCutoff = Date.now() - ARCHIVE_LAG_DAYS * 24 * 60 * 60 * 1000;
+      const baseUrl = endTime.getTime() < archiveCutoff
+        ? 'https://archive-api.open-meteo.com/v1/archive'
+        : 'https://api.open-meteo.com/v1/forecast';
+      const startDate = startTime.toISOString().split('T')[0];
+      const endDate = endTime.toISOString().split('T')[0];
+
+      // GMT so the hourly times can be compared with stored UTC timestamps
+      const url = `${baseUrl}?latitude=${this.coordinates.lat}&longitude=${this.coordinates.lng}&start_date=${startDate}&end_date=${endDate}&hourly=temperature_2m,relative_humidity_2m&temperature_unit=fahrenheit&timezone=GMT`;
+
+      console.log(`📊 Fetching hourly weather from ${startDate} to ${endDate}...`);
+
+      const response = await axios.get(url, {
+        timeout: 15000 // 15 second timeout for historical data
+      });
+
+      const hourly = response.data && response.data.hourly;
+      if (!hourly || !Array.isArray(hourly.time)) {
+        console.error('❌ Invalid hourly weather data response:', response.data);
+        return null;
+      }
+
+      return hourly.time
+        .map((time, i) => ({
+          timestamp: new Date(`${time}Z`).toISOString(),
+          temperature: hourly.temperature_2m[i],
+          humidity: hourly.relative_humidity_2m[i]
+        }))
+        .filter(reading => {
+          const time = new Date(reading.timestamp);
+          return time >= startTime && time <= endTime;
+        });
+
+    } catch (error) {
+      console.error('❌ Hourly weather API error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the hourly forecast from the current hour on
+   * Cached for 30 minutes; times are UTC like getHourlyWeather
+   * @param {number} hours - Hours of forecast to fetch (default: 48)
+   * @returns {Promise<Array<{timestamp: string, temperature: number|null, humidity: number|null}>|null>} Hourly forecast, or null if failed
+   */
+  async getHourlyForecast(hours = 48) {
+    // Ensure service is initialized
+    await this.initialize();
+
+    const cached = this.forecastCache;
+    if (cached && cached.hours >= hours && (Date.now() - cached.timestamp) < FORECAST_CACHE_TIMEOUT) {
+      return cached.data.slice(0, hours);
+    }
+
+    try {
+      const url = `https://api.open-meteo.com/v1/forecast?latitude=${this.coordinates.lat}&longitude=${this.coordinates.lng}&hourly=temperature_2m,relative_humidity_2m&forecast_hours=${hours}&temperature_unit=fahrenheit&timezone=GMT`;
+
+      console.log(`🌤️ Fetching ${hours} hour weather forecast for ${this.coordinates.displayName}...`);
+
+      const response = await axios.get(url, {
+        timeout: 10000
+      });
+
+      const hourly = response.data && response.data.hourly;
+      if (!hourly || !Array.isArray(hourly.time)) {
+        console.error('❌ Invalid weather forecast response:', response.data);
+        return null;
+      }
+
+      const forecast = hourly.time.map((time, i) => ({
+        timestamp: new Date(`${time}Z`).toISOString(),
+        temperature: hourly.temperature_2m[i],
+        humidity: hourly.relative_humidity_2m[i]
+      }));
+
+      this.forecastCache = { data: forecast, hours, timestamp: Date.now() };
+      console.log(`✅ Weather forecast fetched: ${forecast.length} hours`);
+      return forecast;
+
+    } catch (error) {
+      console.error('❌ Weather forecast API error:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Calculate heat index using the National Weather Service regression formula
    * @param {number} temperature - Temperature in Fahrenheit
@@ -0,0 +1,257 @@
+/**
+ * Write Queue
+ * Keeps InfluxDB writes that failed (or were skipped while disconnected) in an
+ * append-only file so they can be replayed, oldest first, once InfluxDB is back
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_QUEUE_DIR = path.join(os.tmpdir(), 'nightswim-write-queue');
+const DEFAULT_MAX_ENTRIES = 10000;
+const QUEUE_FILE = 'influxdb-writes.jsonl';
+
+// Writes flushed together during a replay, and the most one replay writes so it fits in a cron request
+const REPLAY_BATCH_SIZE = 500;
+const REPLAY_MAX_WRITES = 2000;
+
+/**
+ * @typedef {object} QueuedWrite
+ * @property {string} id - Entry ID
+ * @property {string} type - Write type ('dataPoint', 'annotation', 'weatherAlert', 'collectionRun')
+ * @property {object} payload - Argument originally passed to the store method (keeps its own timestamp)
+ * @property {string} queuedAt - ISO timestamp the write was queued
+ */
+
+/**
+ * Disk-backed FIFO of failed writes, one JSON entry per line
+ */
+class WriteQueue {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Directory for the queue file (WRITE_QUEUE_DIR)
+   * @param {number} [options.maxEntries] - Oldest entries are dropped beyond this (WRITE_QUEUE_MAX_ENTRIES)
+   */
+  constructor({ dir = DEFAULT_QUEUE_DIR, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.dir = dir || DEFAULT_QUEUE_DIR;
+    this.file = path.join(this.dir, QUEUE_FILE);
+    this.maxEntries = maxEntries > 0 ? maxEntries : DEFAULT_MAX_ENTRIES;
+    this.entries = null;
+    // Set when the file no longer matches the entries in memory
+    this.dirty = false;
+    this.pending = Promise.resolve();
+    this.replayed = 0;
+    this.dropped = 0;
+    this.lastReplayAt = null;
+    this.lastReplayError = null;
+  }
+
+  /**
+   * Run queue operations one at a time so appends and rewrites never interleave
+   * @param {Function} operation - Async operation
+   * @returns {Promise<*>} Operation result
+   */
+  serialize(operation) {
+    const result = this.pending.then(operation);
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Read the queue file into memory the first time it is needed
+   * @returns {Promise<Array<QueuedWrite>>} Queued writes, oldest first
+   */
+  async load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    let contents = '';
+    try {
+      contents = await fs.promises.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('⚠️ Could not read the write queue:', error.message);
+      }
+    }
+
+    this.entries = [];
+    contents.split('\n').filter(line => line.trim()).forEach(line => {
+      try {
+        this.entries.push(JSON.parse(line));
+      } catch (error) {
+        // A line cut short by a crash mid-append; the rest of the queue is still good
+        console.warn('⚠️ Skipping unreadable write queue entry:', error.message);
+        this.dirty = true;
+      }
+    });
+    return this.entries;
+  }
+
+  /**
+   * Replace the queue file with the in-memory entries
+   */
+  async rewrite() {
+    await fs.promises.mkdir(this.dir, { recursive: true, mode: 0o700 });
+    const tempFile = `${this.file}.tmp`;
+    const contents = this.entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+    await fs.promises.writeFile(tempFile, contents, { mode: 0o600 });
+    await fs.promises.rename(tempFile, this.file);
+    this.dirty = false;
+  }
+
+  /**
+   * Queue a write for replay
+   * @param {string} type - Write type
+   * @param {object} payload - Argument for the store method
+   * @returns {Promise<QueuedWrite>} Queued entry
+   */
+  enqueue(type, payload) {
+    return this.serialize(async () => {
+      await this.load();
+
+      const entry = {
+        id: crypto.randomUUID(),
+        type,
+        payload,
+        queuedAt: new Date().toISOString()
+      };
+      this.entries.push(entry);
+
+      if (this.entries.length > this.maxEntries) {
+        const overflow = this.entries.length - this.maxEntries;
+        this.entries.splice(0, overflow);
+        this.dropped += overflow;
+        this.dirty = true;
+        console.warn(`⚠️ Write queue full, dropped the ${overflow} oldest write(s)`);
+      }
+
+      try {
+        if (this.dirty) {
+          await this.rewrite();
+        } else {
+          await fs.promises.mkdir(this.dir, { recursive: true, mode: 0o700 });
+          await fs.promises.appendFile(this.file, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+        }
+      } catch (error) {
+        // Still held in memory; the next rewrite puts it on disk
+        console.error('❌ Could not save queued write to disk:', error.message);
+        this.dirty = true;
+      }
+
+      console.log(`📥 Queued ${type} write (${this.entries.length} waiting)`);
+      return entry;
+    });
+  }
+
+  /**
+   * Replay queued writes in order, in batches that are flushed and then removed
+   * from the file, so a replay cut short only repeats its last batch. Stops at the
+   * first write that fails so nothing is written out of order
+   * @param {function(string, object): Promise<boolean>} writer - Writes one entry, resolving true on success
+   * @param {object} [options]
+   * @param {Function} [options.flush] - Persists the writes of a batch; a rejection keeps the batch queued
+   * @param {number} [options.batchSize] - Writes per batch
+   * @param {number} [options.maxWrites] - Most writes this replay; the rest wait for the next one
+   * @returns {Promise<{replayed: number, remaining: number}>} Replay result
+   */
+  replay(writer, { flush = async () => {}, batchSize = REPLAY_BATCH_SIZE, maxWrites = REPLAY_MAX_WRITES } = {}) {
+    return this.serialize(async () => {
+      await this.load();
+      if (this.entries.length === 0) {
+        return { replayed: 0, remaining: 0 };
+      }
+
+      const limit = Math.min(this.entries.length, maxWrites);
+      console.log(`📤 Replaying ${limit} of ${this.entries.length} queued write(s)...`);
+      let replayed = 0;
+      let failure = null;
+      while (replayed < limit && !failure) {
+        const batch = this.entries.slice(0, Math.min(batchSize, limit - replayed));
+        let written = 0;
+        for (const entry of batch) {
+          try {
+            if (!await writer(entry.type, entry.payload)) {
+              failure = `${entry.type} write failed`;
+            }
+          } catch (error) {
+            failure = error.message;
+          }
+          if (failure) {
+            break;
+          }
+          written += 1;
+        }
+
+        if (written > 0) {
+          try {
+            await flush();
+          } catch (error) {
+            failure = error.message;
+            written = 0;
+          }
+        }
+
+        if (written > 0 || this.dirty) {
+          this.entries.splice(0, written);
+          try {
+            await this.rewrite();
+          } catch (error) {
+            console.error('❌ Could not update the write queue file:', error.message);
+          }
+        }
+        replayed += written;
+      }
+
+      this.replayed += replayed;
+      this.lastReplayAt = new Date().toISOString();
+      this.lastReplayError = failure;
+
+      if (failure) {
+        console.warn(`⚠️ Replay stopped after ${replayed} write(s): ${failure}`);
+      } else {
+        console.log(`✅ Replayed ${replayed} queued write(s), ${this.entries.length} left`);
+      }
+      return { replayed, remaining: this.entries.length };
+    });
+  }
+
+  /**
+   * Number of writes waiting for replay
+   * @returns {Promise<number>} Queue depth
+   */
+  async getDepth() {
+    const entries = await this.load();
+    return entries.length;
+  }
+
+  /**
+   * Queue depth and replay history for the stats endpoints
+   * @returns {Promise<object>} Queue statistics
+   */
+  async getStats() {
+    const entries = await this.load();
+    const byType = {};
+    entries.forEach(entry => {
+      byType[entry.type] = (byType[entry.type] || 0) + 1;
+    });
+
+    return {
+      depth: entries.length,
+      byType,
+      oldestQueuedAt: entries.length > 0 ? entries[0].queuedAt : null,
+      maxEntries: this.maxEntries,
+      replayed: this.replayed,
+      dropped: this.dropped,
+      lastReplayAt: this.lastReplayAt,
+      lastReplayError: this.lastReplayError
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_QUEUE_DIR,
+  WriteQueue
+};
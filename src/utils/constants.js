@@ -7,6 +7,8 @@
  * @property {object} ENDPOINTS - API endpoints
  * @property {object} UNITS - Unit definitions
  * @property {object} DEFAULTS - Default values
+ * @property {object} REQUEST_TIMEOUTS - Request timeouts in milliseconds by endpoint name
+ * @property {object} RESILIENCE - Retry and circuit breaker settings for Hayward requests
  */
 
 /**
@@ -30,7 +32,8 @@ const POOL_CONSTANTS = Object.freeze({
     HEATER_SETTINGS: '/Module/UserManagement/Heater_Setting.aspx',
     CHLORINATOR_SETTINGS: '/Module/UserManagement/Chlorinator_Setting.aspx',
     LIGHTS_SETTINGS: '/Module/UserManagement/Light_Setting.aspx',
-    SCHEDULES: '/Module/UserManagement/Bow_Schedule_List.aspx'
+    SCHEDULES: '/Module/UserManagement/Bow_Schedule_List.aspx',
+    SCHEDULE_EDIT: '/Module/UserManagement/Bow_Schedule_Edit.aspx'
   }),
 
   // Units
@@ -42,28 +45,82 @@ const POOL_CONSTANTS = Object.freeze({
   // Default values
   DEFAULTS: Object.freeze({
     SYSTEM_STATUS: 'online'
+  }),
+
+  // Request timeouts by ENDPOINTS name; login and schedule pages are the slowest to render
+  REQUEST_TIMEOUTS: Object.freeze({
+    DEFAULT: 10000,
+    LOGIN: 20000,
+    DASHBOARD: 15000,
+    SCHEDULES: 15000
+  }),
+
+  // Retry and circuit breaker settings for Hayward requests
+  RESILIENCE: Object.freeze({
+    RETRIES: 2,
+    RETRY_BASE_DELAY: 500,
+    RETRY_MAX_DELAY: 4000,
+    // Hayward locks accounts after repeated bad logins, so stop trying well before that
+    AUTH_FAILURE_THRESHOLD: 3,
+    AUTH_RESET_TIMEOUT: 15 * 60 * 1000,
+    AUTH_MAX_RESET_TIMEOUT: 4 * 60 * 60 * 1000,
+    REQUEST_FAILURE_THRESHOLD: 5,
+    REQUEST_RESET_TIMEOUT: 2 * 60 * 1000,
+    REQUEST_MAX_RESET_TIMEOUT: 30 * 60 * 1000
   })
 });
 
+/**
+ * @typedef {object} SystemIds
+ * @property {string} mspId - Master Service Provider ID
+ * @property {string} bowId - Body of Water ID
+ * @property {string} bowSystemId - Body of Water System ID
+ */
+
+/**
+ * Resolve the Hayward IDs to use, falling back to the built-in system
+ * @param {SystemIds} [site] - Site from the site registry
+ * @returns {SystemIds} System identifiers
+ */
+const getSystemIds = (site) => site || {
+  mspId: POOL_CONSTANTS.MSP_ID,
+  bowId: POOL_CONSTANTS.BOW_ID,
+  bowSystemId: POOL_CONSTANTS.BOW_SYSTEM_ID
+};
+
 /**
  * Helper function to build URLs with system parameters
  * @param {string} endpoint - The endpoint path
+ * @param {SystemIds} [site] - Site to target (defaults to the built-in system)
  * @returns {string} Complete URL with system parameters
  */
-const buildSystemUrl = (endpoint) => {
-  return `${endpoint}?mspID=${POOL_CONSTANTS.MSP_ID}&bowID=${POOL_CONSTANTS.BOW_ID}&bowSystemID=${POOL_CONSTANTS.BOW_SYSTEM_ID}`;
+const buildSystemUrl = (endpoint, site) => {
+  const { mspId, bowId, bowSystemId } = getSystemIds(site);
+  return `${endpoint}?mspID=${mspId}&bowID=${bowId}&bowSystemID=${bowSystemId}`;
 };
 
 /**
  * Helper function to build dashboard URL (only needs MSP_ID)
+ * @param {SystemIds} [site] - Site to target (defaults to the built-in system)
  * @returns {string} Dashboard URL with MSP ID parameter
  */
-const buildDashboardUrl = () => {
-  return `${POOL_CONSTANTS.ENDPOINTS.DASHBOARD}?mspID=${POOL_CONSTANTS.MSP_ID}`;
+const buildDashboardUrl = (site) => {
+  return `${POOL_CONSTANTS.ENDPOINTS.DASHBOARD}?mspID=${getSystemIds(site).mspId}`;
+};
+
+/**
+ * Helper function to build the schedule list URL (needs MSP_ID and BOW_ID)
+ * @param {SystemIds} [site] - Site to target (defaults to the built-in system)
+ * @returns {string} Schedule list URL
+ */
+const buildScheduleListUrl = (site) => {
+  const { mspId, bowId } = getSystemIds(site);
+  return `${POOL_CONSTANTS.ENDPOINTS.SCHEDULES}?mspID=${mspId}&bowID=${bowId}`;
 };
 
 module.exports = {
   POOL_CONSTANTS,
   buildSystemUrl,
-  buildDashboardUrl
+  buildDashboardUrl,
+  buildScheduleListUrl
 };
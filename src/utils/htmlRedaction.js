@@ -0,0 +1,50 @@
+/**
+ * HTML redaction for captured Hayward pages
+ * Removes account details so pages can be committed as parser test fixtures
+ */
+
+const REDACTED = 'REDACTED';
+
+// ASP.NET form state carries encoded session data
+const FORM_STATE_FIELDS = ['__VIEWSTATE', '__VIEWSTATEGENERATOR', '__EVENTVALIDATION', '__PREVIOUSPAGE'];
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const QUERY_SECRET_PATTERN = /([?&](?:key|token|session_?id|auth)=)[^&"'\s]+/gi;
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Redact a captured page
+ * @param {string} html - Raw page HTML
+ * @param {object} [options]
+ * @param {string[]} [options.secrets] - Values to replace wherever they appear (username, password, system IDs, names)
+ * @returns {string} Page with form state, email addresses, query-string tokens and secrets replaced
+ */
+const redactHtml = (html, { secrets = [] } = {}) => {
+  let redacted = String(html || '');
+
+  FORM_STATE_FIELDS.forEach(field => {
+    const input = new RegExp(`<input[^>]*name="${field}"[^>]*>`, 'gi');
+    redacted = redacted.replace(input, tag => tag.replace(/value="[^"]*"/i, `value="${REDACTED}"`));
+  });
+
+  redacted = redacted
+    .replace(EMAIL_PATTERN, 'user@example.com')
+    .replace(QUERY_SECRET_PATTERN, `$1${REDACTED}`);
+
+  // Longest first so a secret containing another is replaced whole
+  secrets
+    .filter(secret => secret && String(secret).length >= 3)
+    .map(String)
+    .sort((a, b) => b.length - a.length)
+    .forEach(secret => {
+      redacted = redacted.replace(new RegExp(escapeRegExp(secret), 'gi'), REDACTED);
+    });
+
+  return redacted;
+};
+
+module.exports = {
+  REDACTED,
+  redactHtml
+};
@@ -0,0 +1,222 @@
+/**
+ * Resilience helpers
+ * Exponential backoff and a circuit breaker for calls to services that may be down
+ */
+
+const CIRCUIT_STATE = Object.freeze({
+  CLOSED: 'closed', // calls go through
+  OPEN: 'open', // calls fail fast until the reset timeout passes
+  HALF_OPEN: 'half-open' // calls go through again; the first result decides whether to close or reopen
+});
+
+/**
+ * Thrown instead of calling through while a circuit is open
+ */
+class CircuitOpenError extends Error {
+  /**
+   * @param {string} name - Circuit name
+   * @param {Date} retryAt - When the circuit allows a trial call
+   */
+  constructor(name, retryAt) {
+    super(`${name} circuit is open after repeated failures; next attempt after ${retryAt.toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.circuit = name;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * @typedef {object} CircuitBreakerState
+ * @property {string} name - Circuit name
+ * @property {string} state - One of CIRCUIT_STATE
+ * @property {number} failures - Consecutive failures
+ * @property {number} failureThreshold - Failures that open the circuit
+ * @property {string|null} openedAt - ISO timestamp the circuit last opened
+ * @property {string|null} retryAt - ISO timestamp of the next trial call while open
+ * @property {string|null} lastError - Message of the most recent failure
+ */
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Circuit name, shown in health output
+   * @param {object} [options]
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+   * @param {number} [options.resetTimeout] - Milliseconds to stay open before a trial call
+   * @param {number} [options.maxResetTimeout] - Cap for the reset timeout, which doubles each time a trial call fails
+   * @param {Function} [options.isFailure] - Decides whether an error counts against the circuit (default: every error)
+   * @param {Function} [options.now] - Clock (for testing)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.baseResetTimeout = options.resetTimeout || 60 * 1000;
+    this.maxResetTimeout = options.maxResetTimeout || this.baseResetTimeout;
+    this.isFailure = options.isFailure || (() => true);
+    this.now = options.now || Date.now;
+    this.reset();
+  }
+
+  /**
+   * Whether a call may go through now; moves an open circuit to half-open once its timeout passes
+   * @returns {boolean} True if the call may go through
+   */
+  canRequest() {
+    if (this.state === CIRCUIT_STATE.OPEN && this.now() >= this.retryAt) {
+      this.state = CIRCUIT_STATE.HALF_OPEN;
+    }
+    return this.state !== CIRCUIT_STATE.OPEN;
+  }
+
+  /**
+   * @returns {CircuitOpenError} Error for a call rejected by the open circuit
+   */
+  openError() {
+    return new CircuitOpenError(this.name, new Date(this.retryAt || this.now()));
+  }
+
+  recordSuccess() {
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.failures = 0;
+    this.resetTimeout = this.baseResetTimeout;
+    this.retryAt = null;
+  }
+
+  /**
+   * @param {Error|string} [error] - What went wrong
+   */
+  recordFailure(error) {
+    this.failures += 1;
+    this.lastError = error instanceof Error ? error.message : (error || null);
+
+    if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+      // The trial failed, so back off further before the next one
+      this.resetTimeout = Math.min(this.resetTimeout * 2, this.maxResetTimeout);
+      this.open();
+    } else if (this.state === CIRCUIT_STATE.CLOSED && this.failures >= this.failureThreshold) {
+      this.open();
+    }
+  }
+
+  open() {
+    this.state = CIRCUIT_STATE.OPEN;
+    this.openedAt = this.now();
+    this.retryAt = this.openedAt + this.resetTimeout;
+    console.warn(`⚡ ${this.name} circuit opened after ${this.failures} failures; next attempt after ${new Date(this.retryAt).toISOString()}`);
+  }
+
+  /**
+   * Run a call through the circuit
+   * @param {Function} fn - Async call
+   * @returns {Promise<*>} The call's result
+   * @throws {CircuitOpenError} If the circuit is open
+   */
+  async execute(fn) {
+    if (!this.canRequest()) {
+      throw this.openError();
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      // Errors that do not count (e.g. a 404) still show the service answered
+      if (this.isFailure(error)) {
+        this.recordFailure(error);
+      } else {
+        this.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {CircuitBreakerState} Current state
+   */
+  getState() {
+    // Report an open circuit whose timeout has passed as half-open, as the next call will find it
+    const state = this.state === CIRCUIT_STATE.OPEN && this.now() >= this.retryAt ? CIRCUIT_STATE.HALF_OPEN : this.state;
+    return {
+      name: this.name,
+      state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.retryAt ? new Date(this.retryAt).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Close the circuit and forget past failures (useful for testing)
+   */
+  reset() {
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.failures = 0;
+    this.resetTimeout = this.baseResetTimeout;
+    this.openedAt = null;
+    this.retryAt = null;
+    this.lastError = null;
+  }
+}
+
+/**
+ * Whether an HTTP error is worth retrying: timeouts, dropped connections, 429 and 5xx responses
+ * @param {Error} error - Error from axios or a timeout
+ * @returns {boolean} True if a retry may succeed
+ */
+const isTransientError = (error) => {
+  if (!error || error instanceof CircuitOpenError) {
+    return false;
+  }
+  if (error.response) {
+    return error.response.status === 429 || error.response.status >= 500;
+  }
+  return true;
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Retry a call with exponential backoff and jitter
+ * @param {Function} fn - Async call, given the attempt number (0-based)
+ * @param {object} [options]
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.baseDelay] - Delay before the first retry in milliseconds
+ * @param {number} [options.maxDelay] - Cap for any one delay
+ * @param {Function} [options.shouldRetry] - Decides whether an error is worth retrying
+ * @param {Function} [options.wait] - Waits the given milliseconds (for testing)
+ * @returns {Promise<*>} The first successful result
+ * @throws {Error} The last error once retries run out or shouldRetry says no
+ */
+const retryWithBackoff = async (fn, options = {}) => {
+  const {
+    retries = 2,
+    baseDelay = 500,
+    maxDelay = 8000,
+    shouldRetry = isTransientError,
+    wait = sleep
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+      // Up to 50% jitter keeps parallel callers from retrying in lockstep
+      const delay = Math.min(baseDelay * (2 ** attempt), maxDelay);
+      await wait(Math.round(delay * (0.5 + (Math.random() / 2))));
+    }
+  }
+};
+
+module.exports = {
+  CIRCUIT_STATE,
+  CircuitBreaker,
+  CircuitOpenError,
+  isTransientError,
+  retryWithBackoff
+};
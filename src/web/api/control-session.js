@@ -0,0 +1,39 @@
+/**
+ * Control Session
+ * Shared Hayward session per site for API endpoints that change equipment or schedules
+ */
+
+const sessionManager = require('../../services/sessionManager');
+const { siteRegistry } = require('../../config/sites');
+
+const CONTROL_SESSION_PREFIX = 'equipment-control';
+
+/**
+ * Get the Hayward session used for control requests, logging in when needed
+ * @param {import('../../config/sites').Site} [site] - Site to control (defaults to the default site)
+ * @returns {Promise<import('../../services/HaywardSession')|null>} Authenticated session or null
+ */
+const getControlSession = async (site = siteRegistry.getDefaultSite()) => {
+  const sessionId = `${CONTROL_SESSION_PREFIX}-${site.id}`;
+  const session = sessionManager.getSession(sessionId);
+  if (session.authenticated) {
+    return session;
+  }
+
+  const creds = siteRegistry.getCredentials(site);
+  if (!creds) {
+    console.error(`❌ Control session: No valid credentials available for site ${site.id}`);
+    return null;
+  }
+
+  const authResult = await session.authenticate(creds.username, creds.password);
+  if (!authResult.success) {
+    console.error(`❌ Control session: Authentication failed for site ${site.id}:`, authResult.message);
+    return null;
+  }
+
+  sessionManager.setSession(sessionId, session);
+  return session;
+};
+
+module.exports = { getControlSession };
@@ -1,98 +1,174 @@
 /**
  * Cron Controller - New Architecture
- * Handles scheduled data collection using domain services
+ * Handles scheduled data collection through the collection pipeline
  */
 
-const { envConfig } = require('../../config');
-const { PoolDataCollector } = require('../../domains/pool');
+const { siteRegistry } = require('../../config');
 const { timeSeriesService, influxDBClient } = require('../../domains/monitoring');
+const { collectionPipeline } = require('../../services/collectionPipeline');
+const collectionRunLedger = require('../../services/collectionRunLedger');
+const { influxDBService } = require('../../services/influxDBService');
+
+// Longest window GET /runs will look back over (30 days)
+const MAX_RUN_HISTORY_HOURS = 720;
 
 class CronController {
   /**
    * Collect pool data using new architecture
+   * Collects every registered site, or only ?site=<id>
    */
   static async collectPoolData(req, res) {
     console.log('🕐 [New Architecture] Starting scheduled pool data collection...');
     const startTime = Date.now();
 
-    try {
-      // Get pool credentials from environment
-      const poolCredentials = envConfig.getPoolCredentials();
+    const requestedSite = req.query?.site || req.body?.site;
+    const sites = requestedSite
+      ? [siteRegistry.getSite(requestedSite)].filter(Boolean)
+      : siteRegistry.getSites();
 
-      if (!poolCredentials.username || !poolCredentials.password) {
-        console.error('❌ [New Architecture] Pool credentials not configured');
-        return res.status(500).json({
-          success: false,
-          error: 'Configuration error',
-          message: 'Pool credentials not configured'
-        });
-      }
+    if (sites.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown site',
+        message: `No site with id "${requestedSite}"`
+      });
+    }
 
-      // Create data collector
-      const collector = new PoolDataCollector(poolCredentials);
+    // Record runs under the route that started them, e.g. "v2/collect-data"
+    const trigger = (req.path || '').replace(/^\/+/, '') || 'collect-data';
 
-      // Collect all pool data
-      console.log('📊 [New Architecture] Collecting pool data...');
-      const poolData = await collector.collectAllData();
+    const results = [];
+    for (const site of sites) {
+      results.push(await CronController.collectSite(site, trigger));
+    }
 
-      if (!poolData || !poolData.isValid()) {
-        throw new Error('Invalid pool data collected');
-      }
+    const totalTime = Date.now() - startTime;
+    const collected = results.filter(result => result.success);
 
-      // Convert to time series point
-      const timeSeriesPoint = poolData.toTimeSeriesPoint();
+    if (collected.length === 0) {
+      const configError = results.every(result => result.error === 'Configuration error');
+
+      return res.status(500).json({
+        success: false,
+        error: configError ? 'Configuration error' : 'Collection failed',
+        message: results.map(result => `${result.site}: ${result.message}`).join('; '),
+        sites: results,
+        performance: {
+          collectionTime: totalTime,
+          architecture: 'domain-driven'
+        }
+      });
+    }
 
-      // Store in memory time series
-      console.log('💾 [New Architecture] Storing data in memory time series...');
-      await timeSeriesService.addDataPoint(timeSeriesPoint);
+    console.log(`✅ [New Architecture] Pool data collection completed for ${collected.length}/${results.length} sites in ${totalTime}ms`);
 
-      // Store in InfluxDB
-      console.log('💾 [New Architecture] Storing data in InfluxDB...');
-      const influxResult = await influxDBClient.storeDataPoint(timeSeriesPoint);
+    // Provide detailed response (data describes the first collected site)
+    const { site, timestamp, source, metrics, storage } = collected[0];
+    return res.json({
+      success: true,
+      message: collected.length === results.length
+        ? 'Pool data collected successfully'
+        : `Pool data collected for ${collected.length} of ${results.length} sites`,
+      data: {
+        site,
+        timestamp,
+        source,
+        metrics,
+        storage: {
+          ...storage,
+          totalDataPoints: timeSeriesService.getDataCount()
+        },
+        performance: {
+          collectionTime: totalTime,
+          architecture: 'domain-driven'
+        }
+      },
+      sites: results
+    });
+  }
 
-      if (!influxResult) {
-        console.warn('⚠️ [New Architecture] InfluxDB storage failed, but memory storage succeeded');
+  /**
+   * Collect and store pool data for one site through the collection pipeline
+   * @param {import('../../config/sites').Site} site - Site to collect
+   * @param {string} [trigger] - Route that started the collection
+   * @returns {Promise<object>} Collection result for the site, with its run ID
+   */
+  static async collectSite(site, trigger = 'collect-data') {
+    console.log(`📊 [New Architecture] Collecting pool data for site ${site.id}...`);
+    const result = await collectionPipeline.collect(site, { trigger });
+
+    if (!result.success) {
+      const { error, message, runId } = result;
+      return { site: site.id, success: false, error, message, runId };
+    }
+
+    const { poolData, timeSeriesPoint, storage, postProcess, runId } = result;
+    const parserHealth = postProcess['parser-health'];
+
+    return {
+      site: site.id,
+      success: true,
+      timestamp: poolData.timestamp,
+      source: poolData.system.source,
+      metrics: {
+        waterTemp: timeSeriesPoint.waterTemp,
+        saltLevel: timeSeriesPoint.saltInstant,
+        pumpStatus: timeSeriesPoint.pumpStatus,
+        cellVoltage: timeSeriesPoint.cellVoltage
+      },
+      storage,
+      parserHealth: parserHealth && !parserHealth.error ? {
+        healthy: parserHealth.healthy,
+        confidence: parserHealth.confidence,
+        drift: parserHealth.drift.map(({ field }) => field)
+      } : null,
+      runId
+    };
+  }
+
+  /**
+   * Collection run history with a success-rate summary
+   * Query: hours (default 24, max 720), site, limit (runs to list, default 50; the summary covers every run in the window)
+   */
+  static async getCollectionRuns(req, res) {
+    try {
+      const hours = parseInt(req.query.hours, 10) || 24;
+      const limit = parseInt(req.query.limit, 10) || 50;
+
+      if (hours < 1 || hours > MAX_RUN_HISTORY_HOURS || limit < 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parameters',
+          message: `hours must be between 1 and ${MAX_RUN_HISTORY_HOURS} and limit must be positive`
+        });
       }
 
-      const totalTime = Date.now() - startTime;
-      console.log(`✅ [New Architecture] Pool data collection completed successfully in ${totalTime}ms`);
+      const siteId = req.query.site || null;
+      if (siteId && !siteRegistry.getSite(siteId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Unknown site',
+          message: `No site with id "${siteId}"`
+        });
+      }
+
+      const runs = await collectionRunLedger.getRuns({ hours, siteId });
 
-      // Provide detailed response
       return res.json({
         success: true,
-        message: 'Pool data collected successfully',
         data: {
-          timestamp: poolData.timestamp,
-          metrics: {
-            waterTemp: timeSeriesPoint.waterTemp,
-            saltLevel: timeSeriesPoint.saltInstant,
-            pumpStatus: timeSeriesPoint.pumpStatus,
-            cellVoltage: timeSeriesPoint.cellVoltage
-          },
-          storage: {
-            memory: true,
-            influxdb: influxResult,
-            totalDataPoints: timeSeriesService.getDataCount()
-          },
-          performance: {
-            collectionTime: totalTime,
-            architecture: 'domain-driven'
-          }
-        }
+          summary: collectionRunLedger.summarize(runs),
+          runs: runs.slice(0, limit)
+        },
+        period: { hours, site: siteId }
       });
-
     } catch (error) {
-      const totalTime = Date.now() - startTime;
-      console.error('❌ [New Architecture] Pool data collection failed:', error);
+      console.error('❌ Error getting collection runs:', error);
 
       return res.status(500).json({
         success: false,
-        error: 'Collection failed',
-        message: error.message,
-        performance: {
-          collectionTime: totalTime,
-          architecture: 'domain-driven'
-        }
+        error: 'Run history retrieval failed',
+        message: error.message
       });
     }
   }
@@ -104,6 +180,7 @@ class CronController {
     try {
       const memoryStats = timeSeriesService.getMemoryStats();
       const influxStatus = influxDBClient.getConnectionStatus();
+      const writeQueue = await influxDBService.writeQueue.getStats();
       const latestData = timeSeriesService.getLatestData();
 
       return res.json({
@@ -111,10 +188,11 @@ class CronController {
         statistics: {
           memory: memoryStats,
           influxdb: influxStatus,
+          writeQueue,
           lastCollection: latestData?.timestamp || null,
           dataQuality: {
             hasRecentData: latestData ? (Date.now() - new Date(latestData.timestamp).getTime()) < 3600000 : false,
-            completeness: this.calculateDataCompleteness(latestData)
+            completeness: CronController.calculateDataCompleteness(latestData)
           },
           architecture: 'domain-driven'
         }
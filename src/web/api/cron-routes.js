@@ -11,6 +11,7 @@ const router = express.Router();
 // Data collection endpoints
 router.post('/v2/collect-data', CronController.collectPoolData);
 router.get('/v2/collection-stats', CronController.getCollectionStats);
+router.get('/runs', CronController.getCollectionRuns);
 router.post('/v2/trigger-collection', CronController.triggerCollection);
 router.delete('/v2/clear-data', CronController.clearData);
 
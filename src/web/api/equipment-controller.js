@@ -0,0 +1,79 @@
+/**
+ * Equipment Control API Controller
+ * Turns equipment on/off and changes setpoints through Hayward postbacks
+ */
+
+const { EquipmentControlService } = require('../../domains/pool');
+const { getControlSession } = require('./control-session');
+const { getRequestSite } = require('../../middleware/site');
+
+class EquipmentController {
+  /**
+   * Apply a control command to a piece of equipment
+   */
+  static async controlEquipment(req, res) {
+    const { equipment } = req.params;
+    const command = req.body || {};
+    const startTime = Date.now();
+
+    const validationError = EquipmentControlService.validateCommand(equipment, command);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid control command',
+        message: validationError,
+        supported: EquipmentControlService.getSupportedEquipment()
+      });
+    }
+
+    try {
+      const site = getRequestSite(req);
+      const session = await getControlSession(site);
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication failed',
+          message: 'Could not authenticate with Hayward OmniLogic'
+        });
+      }
+
+      const controlService = new EquipmentControlService(session, { site });
+      const result = await controlService.control(equipment, command);
+
+      return res.status(result.confirmed ? 200 : 202).json({
+        success: result.confirmed,
+        message: result.confirmed
+          ? `${equipment} ${result.command} updated`
+          : `${equipment} ${result.command} was submitted but could not be confirmed`,
+        data: result,
+        performance: {
+          totalTime: Date.now() - startTime
+        }
+      });
+
+    } catch (error) {
+      console.error(`❌ Equipment control failed for ${equipment}:`, error);
+
+      return res.status(502).json({
+        success: false,
+        error: 'Equipment control failed',
+        message: error.message,
+        performance: {
+          totalTime: Date.now() - startTime
+        }
+      });
+    }
+  }
+
+  /**
+   * List controllable equipment
+   */
+  static listEquipment(req, res) {
+    return res.json({
+      success: true,
+      data: EquipmentControlService.getSupportedEquipment()
+    });
+  }
+}
+
+module.exports = { EquipmentController };
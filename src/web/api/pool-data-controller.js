@@ -5,6 +5,7 @@
 
 const { timeSeriesService, influxDBClient } = require('../../domains/monitoring');
 const { PoolData } = require('../../domains/pool');
+const { getRequestSite } = require('../../middleware/site');
 
 class PoolDataController {
   /**
@@ -13,10 +14,11 @@ class PoolDataController {
   static async getCurrentData(req, res) {
     const requestStartTime = Date.now();
     console.log('🚀 [New Architecture] /api/pool/data request started');
+    const site = getRequestSite(req);
 
     try {
       // Try to get data from InfluxDB first
-      const influxData = await influxDBClient.queryDataPoints(24, 1);
+      const influxData = await influxDBClient.queryDataPoints(24, 1, site.id);
 
       if (influxData.length > 0) {
         const latestData = influxData[influxData.length - 1];
@@ -28,6 +30,7 @@ class PoolDataController {
         return res.json({
           success: true,
           data: poolData.toJSON(),
+          site: site.id,
           source: 'influxdb',
           timestamp: poolData.timestamp,
           responseTime: totalTime
@@ -35,7 +38,7 @@ class PoolDataController {
       }
 
       // Fall back to in-memory time series
-      const memoryData = timeSeriesService.getLatestData();
+      const memoryData = timeSeriesService.getLatestData(site.id);
       if (memoryData) {
         const poolData = PoolData.fromTimeSeriesPoint(memoryData);
 
@@ -45,6 +48,7 @@ class PoolDataController {
         return res.json({
           success: true,
           data: poolData.toJSON(),
+          site: site.id,
           source: 'memory',
           timestamp: poolData.timestamp,
           responseTime: totalTime
@@ -82,16 +86,18 @@ class PoolDataController {
     try {
       const hours = parseInt(req.query.hours) || 24;
       const limit = parseInt(req.query.limit) || 1000;
+      const site = getRequestSite(req);
 
       console.log(`📊 [New Architecture] Fetching time series data: ${hours}h, limit: ${limit}`);
 
       // Try InfluxDB first
-      const influxData = await influxDBClient.queryDataPoints(hours, limit);
+      const influxData = await influxDBClient.queryDataPoints(hours, limit, site.id);
 
       if (influxData.length > 0) {
         return res.json({
           success: true,
           data: influxData,
+          site: site.id,
           source: 'influxdb',
           count: influxData.length,
           hours,
@@ -100,11 +106,12 @@ class PoolDataController {
       }
 
       // Fall back to memory
-      const memoryData = timeSeriesService.getDataPoints(hours);
+      const memoryData = timeSeriesService.getDataPoints(hours, site.id);
 
       return res.json({
         success: true,
         data: memoryData.slice(0, limit),
+        site: site.id,
         source: 'memory',
         count: Math.min(memoryData.length, limit),
         hours,
@@ -129,17 +136,19 @@ class PoolDataController {
     try {
       const influxStatus = influxDBClient.getConnectionStatus();
       const memoryStats = timeSeriesService.getMemoryStats();
+      const site = getRequestSite(req);
 
       return res.json({
         success: true,
         status: {
+          site: site.id,
           influxdb: influxStatus.connected ? 'connected' : 'disconnected',
           memory: {
             dataPoints: memoryStats.dataPoints,
             utilization: `${memoryStats.utilizationPercent  }%`,
             size: memoryStats.estimatedSize
           },
-          lastDataUpdate: timeSeriesService.getLatestData()?.timestamp || null,
+          lastDataUpdate: timeSeriesService.getLatestData(site.id)?.timestamp || null,
           uptime: process.uptime(),
           architecture: 'domain-driven'
         }
@@ -163,11 +172,13 @@ class PoolDataController {
     try {
       const { metric } = req.params;
       const hours = parseInt(req.query.hours) || 24;
+      const site = getRequestSite(req);
 
-      const stats = timeSeriesService.getStatistics(metric, hours);
+      const stats = timeSeriesService.getStatistics(metric, hours, site.id);
 
       return res.json({
         success: true,
+        site: site.id,
         metric,
         hours,
         statistics: stats
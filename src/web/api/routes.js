@@ -6,15 +6,38 @@
 const express = require('express');
 const { PoolDataController } = require('./pool-data-controller');
 const { CronController } = require('./cron-controller');
+const { EquipmentController } = require('./equipment-controller');
+const { ScheduleController } = require('./schedule-controller');
+const { siteRegistry } = require('../../config');
 
 const router = express.Router();
 
+// Site registry (every /api/pool route accepts ?site=<id>)
+router.get('/sites', (req, res) => {
+  res.json({
+    success: true,
+    data: siteRegistry.getSites(),
+    defaultSite: siteRegistry.getDefaultSite().id
+  });
+});
+
 // Pool data endpoints (new architecture)
 router.get('/v2/data', PoolDataController.getCurrentData);
 router.get('/v2/timeseries', PoolDataController.getTimeSeries);
 router.get('/v2/status', PoolDataController.getSystemStatus);
 router.get('/v2/metrics/:metric/stats', PoolDataController.getMetricStats);
 
+// Equipment control endpoints
+router.get('/v2/control', EquipmentController.listEquipment);
+router.post('/v2/control/:equipment', EquipmentController.controlEquipment);
+
+// Schedule management endpoints
+router.get('/schedules', ScheduleController.listSchedules);
+router.post('/schedules', ScheduleController.createSchedule);
+router.post('/schedules/conflicts', ScheduleController.checkConflicts);
+router.put('/schedules/:id', ScheduleController.updateSchedule);
+router.delete('/schedules/:id', ScheduleController.deleteSchedule);
+
 // Cron endpoints (new architecture) - these would typically be POST requests
 router.post('/v2/collect', CronController.collectPoolData);
 router.get('/v2/collect/stats', CronController.getCollectionStats);
@@ -0,0 +1,171 @@
+/**
+ * Schedule API Controller
+ * CRUD for Hayward equipment schedules with conflict checking
+ */
+
+const { Schedule, ScheduleService, findAllConflicts } = require('../../domains/pool');
+const { getControlSession } = require('./control-session');
+const { getRequestSite } = require('../../middleware/site');
+
+class ScheduleController {
+  /**
+   * List schedules in normalized form, flagging existing overlaps
+   */
+  static async listSchedules(req, res) {
+    await ScheduleController.withService(req, res, 'list schedules', async (service) => {
+      const schedules = await service.list();
+
+      return res.json({
+        success: true,
+        data: schedules.map(schedule => schedule.toJSON()),
+        conflicts: findAllConflicts(schedules),
+        count: schedules.length
+      });
+    });
+  }
+
+  /**
+   * Check a schedule for conflicts without submitting it
+   */
+  static async checkConflicts(req, res) {
+    const schedule = ScheduleController.parseSchedule(req, res);
+    if (!schedule) return;
+
+    await ScheduleController.withService(req, res, 'check schedule conflicts', async (service) => {
+      const conflicts = await service.checkConflicts(schedule);
+
+      return res.json({
+        success: true,
+        data: {
+          schedule: schedule.toJSON(),
+          hasConflicts: conflicts.length > 0,
+          conflicts
+        }
+      });
+    });
+  }
+
+  /**
+   * Create a schedule (rejected with 409 on conflicts unless force is set)
+   */
+  static async createSchedule(req, res) {
+    const schedule = ScheduleController.parseSchedule(req, res);
+    if (!schedule) return;
+
+    await ScheduleController.withService(req, res, 'create schedule', async (service) => {
+      const conflicts = await service.checkConflicts(schedule);
+      if (conflicts.length > 0 && !req.body.force) {
+        return ScheduleController.sendConflicts(res, schedule, conflicts);
+      }
+
+      const saved = await service.create(schedule);
+
+      return res.status(saved ? 201 : 202).json({
+        success: !!saved,
+        message: saved ? 'Schedule created' : 'Schedule submitted but not found in the schedule list',
+        data: saved ? saved.toJSON() : schedule.toJSON(),
+        conflicts
+      });
+    });
+  }
+
+  /**
+   * Update an existing schedule
+   */
+  static async updateSchedule(req, res) {
+    const schedule = ScheduleController.parseSchedule(req, res, req.params.id);
+    if (!schedule) return;
+
+    await ScheduleController.withService(req, res, 'update schedule', async (service) => {
+      const existing = await service.list();
+      if (!existing.some(current => current.id === req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Schedule not found',
+          message: `No schedule with id ${req.params.id}`
+        });
+      }
+
+      const conflicts = await service.checkConflicts(schedule, existing);
+      if (conflicts.length > 0 && !req.body.force) {
+        return ScheduleController.sendConflicts(res, schedule, conflicts);
+      }
+
+      const saved = await service.update(req.params.id, schedule);
+
+      return res.json({
+        success: !!saved,
+        message: saved ? 'Schedule updated' : 'Schedule submitted but not found in the schedule list',
+        data: saved ? saved.toJSON() : schedule.toJSON(),
+        conflicts
+      });
+    });
+  }
+
+  /**
+   * Delete a schedule
+   */
+  static async deleteSchedule(req, res) {
+    await ScheduleController.withService(req, res, 'delete schedule', async (service) => {
+      const removed = await service.remove(req.params.id);
+
+      return res.status(removed ? 200 : 202).json({
+        success: removed,
+        message: removed ? 'Schedule deleted' : 'Delete submitted but the schedule is still listed'
+      });
+    });
+  }
+
+  // Helper methods
+  static parseSchedule(req, res, id = null) {
+    const schedule = Schedule.fromRequest({ ...req.body, id: id || req.body?.id });
+    const errors = schedule.validate();
+
+    if (errors.length > 0) {
+      res.status(400).json({
+        success: false,
+        error: 'Invalid schedule',
+        message: errors.join('; '),
+        errors
+      });
+      return null;
+    }
+
+    return schedule;
+  }
+
+  static sendConflicts(res, schedule, conflicts) {
+    return res.status(409).json({
+      success: false,
+      error: 'Schedule conflict',
+      message: `Schedule overlaps ${conflicts.length} existing ${schedule.equipment} schedule(s). Resubmit with "force": true to save anyway.`,
+      conflicts
+    });
+  }
+
+  static async withService(req, res, action, handler) {
+    try {
+      const site = getRequestSite(req);
+      const session = await getControlSession(site);
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication failed',
+          message: 'Could not authenticate with Hayward OmniLogic'
+        });
+      }
+
+      return await handler(new ScheduleService(session, site));
+    } catch (error) {
+      console.error(`❌ Failed to ${action}:`, error);
+
+      return res.status(502).json({
+        success: false,
+        error: `Failed to ${action}`,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = { ScheduleController };
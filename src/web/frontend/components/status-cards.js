@@ -134,12 +134,36 @@ class StatusCards {
     }
   }
 
+  /**
+   * Update cell health rows and recommendation (GET /api/pool/cell/health)
+   */
+  updateCellHealth(health) {
+    const advice = { clean: 'Clean cell', replace: 'Nearing end of life' }[health?.status];
+
+    const score = domCache.get('cellHealthScore');
+    if (score) {
+      score.textContent = health && health.score !== null ? `${health.score}/100` : '--';
+    }
+    const hours = domCache.get('cellOperatingHours');
+    if (hours) {
+      hours.textContent = health ? `${Math.round(health.operatingHours)} h` : '--';
+    }
+
+    const cellVoltageStatus = domCache.get('cellVoltageStatus');
+    const cellVoltageCard = domCache.get('cellVoltageCard');
+    if (advice && cellVoltageStatus) {
+      cellVoltageStatus.textContent = advice;
+    }
+    if (advice && cellVoltageCard) {
+      this.updateCardSeverity(cellVoltageCard, health.status === 'replace' ? 'critical' : 'warning');
+    }
+  }
+
   /**
    * Update filter pump status card
    */
   updateFilterPumpCard(filterData) {
     const filterPumpValue = domCache.get('filterPumpValue');
-    const filterPumpState = domCache.get('filterPumpState');
     const filterPumpCard = domCache.get('filterPumpCard');
 
     if (!filterPumpValue || !filterPumpCard) return;
@@ -149,21 +173,83 @@ class StatusCards {
       const isOn = status === true;
       filterPumpValue.textContent = isOn ? 'ON' : 'OFF';
 
-      if (filterPumpState) {
-        filterPumpState.textContent = isOn ? 'Running' : 'Stopped';
-      }
-
       const severity = isOn ? 'normal' : 'warning';
       this.updateCardSeverity(filterPumpCard, severity);
     } else {
       filterPumpValue.textContent = '--';
-      if (filterPumpState) {
-        filterPumpState.textContent = 'Unknown';
-      }
       this.updateCardSeverity(filterPumpCard, 'unknown');
     }
   }
 
+  /**
+   * Update filter pump analytics rows (GET /api/pool/pump/analytics)
+   */
+  updatePumpAnalytics(analytics) {
+    const today = analytics?.days?.length > 0 ? analytics.days[analytics.days.length - 1] : null;
+    const formatHours = hours => (hours === null || hours === undefined ? '--' : `${hours.toFixed(1)} h`);
+
+    const values = {
+      filterPumpRuntime: today ? formatHours(today.runtimeHours) : '--',
+      filterPumpCycles: today ? String(today.cycles) : '--',
+      filterPumpIdle: formatHours(analytics?.summary?.longestIdleHours),
+      filterPumpTurnovers: today && today.turnovers !== null ? today.turnovers.toFixed(1) : '--'
+    };
+
+    Object.entries(values).forEach(([key, value]) => {
+      const element = domCache.get(key);
+      if (element) {
+        element.textContent = value;
+      }
+    });
+  }
+
+  /**
+   * Update water test card with the latest logged test (GET /api/pool/chemistry)
+   */
+  updateWaterTest(chemistry) {
+    const latest = chemistry?.latest;
+    const waterTestCard = domCache.get('waterTestCard');
+    const ppm = value => `${value} ppm`;
+    const rows = {
+      waterTestPh: ['ph', value => value.toFixed(1)],
+      waterTestFreeChlorine: ['freeChlorine', ppm],
+      waterTestCya: ['cya', ppm],
+      waterTestAlkalinity: ['totalAlkalinity', ppm],
+      waterTestHardness: ['calciumHardness', ppm]
+    };
+
+    const lsiValue = domCache.get('waterTestLsi');
+    if (lsiValue) {
+      lsiValue.textContent = latest && latest.lsi !== null ? latest.lsi.toFixed(2) : '--';
+    }
+    const lsiStatus = domCache.get('waterTestLsiStatus');
+    if (lsiStatus) {
+      lsiStatus.textContent = latest?.lsiStatus ? `LSI · ${latest.lsiStatus}` : 'LSI';
+    }
+
+    Object.entries(rows).forEach(([key, [field, format]]) => {
+      const element = domCache.get(key);
+      if (!element) return;
+      element.textContent = latest && typeof latest[field] === 'number' ? format(latest[field]) : '--';
+      const status = latest?.ranges?.[field];
+      element.classList.toggle('out-of-range', status === 'low' || status === 'high');
+    });
+
+    const testedAt = domCache.get('waterTestDate');
+    if (testedAt) {
+      testedAt.textContent = latest ? new Date(latest.timestamp).toLocaleDateString() : 'No tests';
+    }
+
+    if (waterTestCard) {
+      const outOfRange = latest && Object.values(latest.ranges || {}).some(status => status !== 'ok');
+      let severity = 'unknown';
+      if (latest) {
+        severity = outOfRange ? 'warning' : 'normal';
+      }
+      this.updateCardSeverity(waterTestCard, severity);
+    }
+  }
+
   /**
    * Update weather status card
    */
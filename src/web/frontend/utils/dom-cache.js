@@ -35,12 +35,28 @@ class DOMCache {
       cellVoltageValue: 'cellVoltageValue',
       cellVoltageStatus: 'cellVoltageStatus',
       cellVoltageCard: 'cellVoltageCard',
+      cellHealthScore: 'cellHealthScore',
+      cellOperatingHours: 'cellOperatingHours',
 
       // Filter pump
       filterPumpValue: 'filterPumpValue',
-      filterPumpState: 'filterPumpState',
+      filterPumpRuntime: 'filterPumpRuntime',
+      filterPumpCycles: 'filterPumpCycles',
+      filterPumpIdle: 'filterPumpIdle',
+      filterPumpTurnovers: 'filterPumpTurnovers',
       filterPumpCard: 'filterPumpCard',
 
+      // Water test
+      waterTestLsi: 'waterTestLsi',
+      waterTestLsiStatus: 'waterTestLsiStatus',
+      waterTestPh: 'waterTestPh',
+      waterTestFreeChlorine: 'waterTestFreeChlorine',
+      waterTestCya: 'waterTestCya',
+      waterTestAlkalinity: 'waterTestAlkalinity',
+      waterTestHardness: 'waterTestHardness',
+      waterTestDate: 'waterTestDate',
+      waterTestCard: 'waterTestCard',
+
       // Weather
       weatherTempValue: 'weatherTempValue',
       weatherCard: 'weatherCard',
@@ -0,0 +1,108 @@
+/**
+ * Site Registry Tests
+ * Tests for multi-site configuration, credentials and site filtering
+ */
+
+const { SiteRegistry } = require('../../src/config/sites');
+const { POOL_CONSTANTS } = require('../../src/utils/constants');
+
+const twoSites = JSON.stringify([
+  { id: 'pool', name: 'Main Pool', mspId: 'MSP1', bowId: 'BOW1', bowSystemId: 'SYS1' },
+  { id: 'spa', name: 'Spa', mspId: 'MSP1', bowId: 'BOW2', default: true, username: 'spa@example.com', password: 'spa-secret' }
+]);
+
+describe('SiteRegistry', () => {
+  describe('without POOL_SITES', () => {
+    test('should register a single default site from the built-in constants', () => {
+      const registry = new SiteRegistry({});
+
+      expect(registry.getSites()).toEqual([{
+        id: 'default',
+        name: 'Pool',
+        mspId: POOL_CONSTANTS.MSP_ID,
+        bowId: POOL_CONSTANTS.BOW_ID,
+        bowSystemId: POOL_CONSTANTS.BOW_SYSTEM_ID,
+        omniLogicMspId: null,
+        omniLogicBowId: null,
+        volumeGallons: null,
+        flowRateGpm: null,
+        saltTargetPpm: null,
+        isDefault: true
+      }]);
+    });
+
+    test('should read the pool volume and pump flow rate', () => {
+      const registry = new SiteRegistry({ POOL_VOLUME_GALLONS: '15000', PUMP_FLOW_RATE_GPM: 'not a number' });
+
+      expect(registry.getDefaultSite()).toEqual(expect.objectContaining({ volumeGallons: 15000, flowRateGpm: null }));
+    });
+
+    test('should use the shared Hayward credentials', () => {
+      const registry = new SiteRegistry({ HAYWARD_USERNAME: 'me@example.com', HAYWARD_PASSWORD: 'secret' });
+
+      expect(registry.getCredentials('default')).toEqual({ username: 'me@example.com', password: 'secret' });
+    });
+
+    test('should return null credentials when none are configured', () => {
+      expect(new SiteRegistry({}).getCredentials('default')).toBeNull();
+    });
+  });
+
+  describe('with POOL_SITES', () => {
+    test('should load every site and honour the default flag', () => {
+      const registry = new SiteRegistry({ POOL_SITES: twoSites });
+
+      expect(registry.getSites().map(site => site.id)).toEqual(['pool', 'spa']);
+      expect(registry.getDefaultSite().id).toBe('spa');
+      expect(registry.getSite('spa').bowSystemId).toBe('BOW2');
+      expect(registry.resolve()).toEqual(registry.getSite('spa'));
+      expect(registry.resolve('missing')).toBeNull();
+    });
+
+    test('should resolve per-site credentials before the shared account', () => {
+      const registry = new SiteRegistry({
+        POOL_SITES: twoSites,
+        HAYWARD_USERNAME: 'shared@example.com',
+        HAYWARD_PASSWORD: 'shared',
+        HAYWARD_USERNAME_POOL: 'pool@example.com',
+        HAYWARD_PASSWORD_POOL: 'pool-secret'
+      });
+
+      expect(registry.getCredentials('pool')).toEqual({ username: 'pool@example.com', password: 'pool-secret' });
+      expect(registry.getCredentials('spa')).toEqual({ username: 'spa@example.com', password: 'spa-secret' });
+    });
+
+    test('should keep credentials out of site objects', () => {
+      const registry = new SiteRegistry({ POOL_SITES: twoSites });
+
+      expect(JSON.stringify(registry.getSites())).not.toContain('spa-secret');
+    });
+
+    test.each([
+      ['not json', /not valid JSON/],
+      ['[]', /non-empty JSON array/],
+      [JSON.stringify([{ id: 'bad id', mspId: 'M', bowId: 'B' }]), /Invalid site id/],
+      [JSON.stringify([{ id: 'a', mspId: 'M' }]), /needs both mspId and bowId/],
+      [JSON.stringify([{ id: 'a', mspId: 'M', bowId: 'B' }, { id: 'a', mspId: 'M', bowId: 'C' }]), /Duplicate site id/]
+    ])('should reject invalid configuration %s', (config, error) => {
+      expect(() => new SiteRegistry({ POOL_SITES: config })).toThrow(error);
+    });
+  });
+
+  describe('site filtering', () => {
+    const registry = new SiteRegistry({ POOL_SITES: twoSites });
+
+    test('should treat untagged points as belonging to the default site', () => {
+      expect(registry.matches(undefined, 'spa')).toBe(true);
+      expect(registry.matches(undefined, 'pool')).toBe(false);
+      expect(registry.matches('pool', 'pool')).toBe(true);
+      expect(registry.matches('pool', null)).toBe(true);
+    });
+
+    test('should build Flux filters for a site', () => {
+      expect(registry.buildFluxFilter(null)).toBe('');
+      expect(registry.buildFluxFilter('pool')).toBe('|> filter(fn: (r) => r.site == "pool")');
+      expect(registry.buildFluxFilter('spa')).toBe('|> filter(fn: (r) => not exists r.site or r.site == "spa")');
+    });
+  });
+});
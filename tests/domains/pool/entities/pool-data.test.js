@@ -85,6 +85,17 @@ describe('PoolData Entity', () => {
       expect(timeSeriesPoint.weatherTemp).toBe(76.0);
     });
 
+    it('should keep a cell current of 0 and the chlorinator output', () => {
+      const poolData = new PoolData({
+        chlorinator: { salt: { instant: 3200 }, cell: { voltage: 12.5, current: 0 }, output: 60 }
+      });
+
+      const timeSeriesPoint = poolData.toTimeSeriesPoint();
+
+      expect(timeSeriesPoint.cellCurrent).toBe(0);
+      expect(timeSeriesPoint.chlorinatorOutput).toBe(60);
+    });
+
     it('should handle null values', () => {
       const poolData = new PoolData({
         chlorinator: { salt: { instant: 3200 } }
@@ -0,0 +1,119 @@
+/**
+ * Tests for the Schedule entity and schedule conflict checking
+ */
+
+const { Schedule } = require('../../../../src/domains/pool/entities/schedule');
+const { findScheduleConflicts, findAllConflicts } = require('../../../../src/domains/pool/services/schedule-conflicts');
+
+describe('Schedule', () => {
+  describe('parsing', () => {
+    test('parses Hayward and 24-hour times', () => {
+      expect(Schedule.parseTime('08:00 AM')).toBe(480);
+      expect(Schedule.parseTime('12:15 AM')).toBe(15);
+      expect(Schedule.parseTime('8:30pm')).toBe(1230);
+      expect(Schedule.parseTime('20:30')).toBe(1230);
+      expect(Schedule.parseTime('25:00')).toBeNull();
+      expect(Schedule.parseTime('soon')).toBeNull();
+    });
+
+    test('formats times the way Hayward displays them', () => {
+      expect(Schedule.formatTime(0)).toBe('12:00 AM');
+      expect(Schedule.formatTime(480)).toBe('08:00 AM');
+      expect(Schedule.formatTime(1230)).toBe('08:30 PM');
+    });
+
+    test('parses repeat descriptions into day numbers', () => {
+      expect(Schedule.parseRepeat('Daily')).toEqual([0, 1, 2, 3, 4, 5, 6]);
+      expect(Schedule.parseRepeat('Weekdays')).toEqual([1, 2, 3, 4, 5]);
+      expect(Schedule.parseRepeat('Mon, Wed, Fri')).toEqual([1, 3, 5]);
+      expect(Schedule.formatRepeat([0, 6])).toBe('Weekends');
+    });
+
+    test('normalizes a parsed schedule row', () => {
+      const schedule = Schedule.fromParsed({
+        id: '42',
+        name: 'Filter Pump',
+        startTime: '08:00 AM',
+        endTime: '06:00 PM',
+        setting: '75%',
+        repeat: 'Weekdays',
+        status: 'Enabled'
+      });
+
+      expect(schedule.toJSON()).toMatchObject({
+        id: '42',
+        equipment: 'pump',
+        days: [1, 2, 3, 4, 5],
+        startMinutes: 480,
+        endMinutes: 1080,
+        setting: '75%',
+        enabled: true
+      });
+    });
+
+    test('builds from a request body with day names', () => {
+      const schedule = Schedule.fromRequest({ equipment: 'heater', startTime: '18:00', endTime: '22:00', days: ['Sat', 'Sun'] });
+
+      expect(schedule.days).toEqual([0, 6]);
+      expect(schedule.isValid()).toBe(true);
+    });
+
+    test('knows when it is running, including across midnight', () => {
+      const overnight = Schedule.fromRequest({ equipment: 'pump', startTime: '22:00', endTime: '02:00', repeat: 'Sat' });
+
+      // Saturday October 17th 2026, 23:30 and the following Sunday at 01:00
+      expect(overnight.isRunningAt(new Date(2026, 9, 17, 23, 30))).toBe(true);
+      expect(overnight.isRunningAt(new Date(2026, 9, 18, 1, 0))).toBe(true);
+      expect(overnight.isRunningAt(new Date(2026, 9, 18, 2, 0))).toBe(false);
+      expect(Schedule.fromRequest({ equipment: 'pump', startTime: '22:00', endTime: '02:00', repeat: 'Sat', enabled: false })
+        .isRunningAt(new Date(2026, 9, 17, 23, 30))).toBe(false);
+    });
+
+    test('reports validation errors', () => {
+      const errors = Schedule.fromRequest({ startTime: 'later', endTime: '10:00', days: [] }).validate();
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'equipment is required',
+        'startTime must be a valid time of day',
+        'days must list at least one day of the week (0 = Sunday)'
+      ]));
+    });
+  });
+
+  describe('conflicts', () => {
+    const pump = (id, startTime, endTime, repeat, extra = {}) =>
+      Schedule.fromRequest({ id, equipment: 'pump', startTime, endTime, repeat, ...extra });
+
+    test('flags overlapping schedules for the same equipment', () => {
+      const existing = [pump('1', '08:00', '12:00', 'Daily')];
+      const conflicts = findScheduleConflicts(pump(null, '11:00', '14:00', 'Mon'), existing);
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0].days).toEqual(['Mon']);
+    });
+
+    test('ignores adjacent, disabled and other-equipment schedules', () => {
+      const existing = [
+        pump('1', '08:00', '12:00', 'Daily'),
+        pump('2', '12:00', '16:00', 'Daily', { enabled: false }),
+        Schedule.fromRequest({ id: '3', equipment: 'lights', startTime: '12:00', endTime: '16:00', repeat: 'Daily' })
+      ];
+
+      expect(findScheduleConflicts(pump(null, '12:00', '16:00', 'Daily'), existing)).toEqual([]);
+    });
+
+    test('does not conflict a schedule with itself on update', () => {
+      const existing = [pump('1', '08:00', '12:00', 'Daily')];
+
+      expect(findScheduleConflicts(pump('1', '09:00', '13:00', 'Daily'), existing)).toEqual([]);
+    });
+
+    test('detects overlaps that cross midnight and the end of the week', () => {
+      const overnight = pump('1', '22:00', '02:00', 'Sat');
+      const early = pump('2', '01:00', '03:00', 'Sun');
+
+      expect(overnight.overlaps(early)).toBe(true);
+      expect(findAllConflicts([overnight, early])).toHaveLength(1);
+    });
+  });
+});
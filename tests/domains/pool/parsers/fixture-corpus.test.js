@@ -0,0 +1,79 @@
+/**
+ * Parser regression tests against captured Hayward pages
+ * Each tests/fixtures/hayward/<page>.html has a <page>.expected.json written by
+ * `node scripts/debug-hayward-html.js --capture`; both parser stacks must reproduce it
+ *
+ * Runs under node because jsdom resolves cheerio to its ES module browser build
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const path = require('path');
+const legacyParser = require('../../../../src/services/poolDataParser');
+const {
+  PoolDataParser,
+  DashboardParser,
+  FilterParser,
+  ChlorinatorParser,
+  ParseReport
+} = require('../../../../src/domains/pool/parsers');
+
+const FIXTURE_DIR = path.join(__dirname, '../../../fixtures/hayward');
+
+const parsers = {
+  dashboard: [legacyParser.parseDashboardData, (html, report) => DashboardParser.parse(html, report)],
+  filter: [legacyParser.parseFilterData, (html, report) => FilterParser.parse(html, report)],
+  heater: [legacyParser.parseHeaterData, (html, report) => PoolDataParser.parseHeaterData(html, report)],
+  chlorinator: [legacyParser.parseChlorinatorData, (html, report) => ChlorinatorParser.parse(html, report)],
+  lights: [legacyParser.parseLightsData, (html, report) => PoolDataParser.parseLightsData(html, report)],
+  schedules: [legacyParser.parseSchedulesData, html => PoolDataParser.parseSchedulesData(html)]
+};
+
+const fixtures = fs.readdirSync(FIXTURE_DIR)
+  .filter(file => file.endsWith('.html'))
+  .map(file => {
+    const name = path.basename(file, '.html');
+    return {
+      name,
+      html: fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'),
+      expected: JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${name}.expected.json`), 'utf8'))
+    };
+  });
+
+describe('Captured page fixtures', () => {
+  test('should cover every page the collector fetches', () => {
+    expect(fixtures.map(({ name }) => name).sort()).toEqual(Object.keys(parsers).sort());
+  });
+
+  describe.each(fixtures.map(fixture => [fixture.name, fixture]))('%s', (name, { html, expected }) => {
+    test.each([['legacy', 0], ['domain', 1]])('%s parser should match the captured expectations', (_, index) => {
+      const report = new ParseReport();
+
+      expect(parsers[expected.page][index](html, report)).toEqual(expected.data);
+      if (expected.page !== 'schedules') {
+        expect(report.getFields()).toEqual(expected.fields);
+      }
+    });
+  });
+
+  describe('filter status drift', () => {
+    const filterPage = fixtures.find(({ name }) => name === 'filter').html;
+    const withoutStatus = filterPage.replace(/<div id="cphMainContent_3_divStatusName">On<\/div>/, '');
+
+    test('should fall back with lower confidence when the primary selector disappears', () => {
+      const report = new ParseReport();
+      const data = FilterParser.parse(withoutStatus, report);
+
+      expect(data.status).toBe(true);
+      expect(report.getFields()['filter.status']).toEqual({ selector: '[id*="divPump"]', confidence: 'medium', parsed: true });
+    });
+
+    test('should not read "Configuration" or "Speed 100%" as the pump being on', () => {
+      const bare = withoutStatus.replace(/<div id="cphMainContent_3_divPumpDiagnostic">[^<]*<\/div>/, '');
+      const report = new ParseReport();
+
+      expect(legacyParser.parseFilterData(bare, report).status).toBeNull();
+      expect(report.getFields()['filter.status']).toEqual({ selector: null, confidence: 'none', parsed: false });
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests for OmniLogicParser
+ * Uses real cheerio against recorded OmniLogic API responses
+ *
+ * Runs under node because jsdom resolves cheerio to its ES module browser build
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { OmniLogicParser } = require('../../../../src/domains/pool/parsers/omnilogic-parser');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '../../../fixtures/omnilogic', name), 'utf8');
+
+describe('OmniLogicParser', () => {
+  const config = OmniLogicParser.parseMspConfig(fixture('msp-config.xml'));
+
+  test('should read response parameters', () => {
+    expect(OmniLogicParser.parseParameters(fixture('login.xml'))).toMatchObject({
+      Status: '0',
+      Token: '6f1a2b3c4d5e',
+      UserID: '123456'
+    });
+  });
+
+  test('should list the sites on an account', () => {
+    expect(OmniLogicParser.parseSiteList(fixture('site-list.xml'))).toEqual([
+      { mspSystemId: '44697', name: 'Home' }
+    ]);
+  });
+
+  test('should map bodies of water to their equipment', () => {
+    expect(config.units).toBe('Standard');
+    expect(config.bodiesOfWater.map(bow => bow.systemId)).toEqual(['1', '7']);
+    expect(config.bodiesOfWater[0]).toMatchObject({
+      name: 'Pool',
+      filter: { systemId: '3', type: 'FMT_VARIABLE_SPEED_PUMP' },
+      heater: { systemId: '15', min: 65, max: 104 },
+      chlorinator: { systemId: '5', type: 'CELL_TYPE_T15' },
+      light: { systemId: '6' }
+    });
+  });
+
+  test('should read a configuration embedded in an MSPConfig parameter', () => {
+    const escaped = fixture('msp-config.xml').replace(/<\?xml[^>]*\?>/, '').replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    const wrapped = `<Response><Name>GetMspConfigFile</Name><Parameters><Parameter name="MSPConfig" dataType="String">${escaped}</Parameter></Parameters></Response>`;
+
+    expect(OmniLogicParser.parseMspConfig(wrapped)).toEqual(config);
+  });
+
+  test('should produce the same shape as the HTML parsers', () => {
+    const data = OmniLogicParser.parseTelemetry(fixture('telemetry.xml'), config);
+
+    expect(data).toEqual({
+      dashboard: {
+        temperature: { target: 84, actual: 81, unit: '°F' },
+        airTemperature: 72,
+        systemStatus: 'online'
+      },
+      filter: { status: true, diagnostic: 'On (75%)' },
+      heater: {
+        temperature: { min: 65, current: 84, max: 104, actual: 81, unit: '°F' },
+        status: 'heating',
+        enabled: true
+      },
+      chlorinator: {
+        salt: { instant: 3200, average: 3150, unit: 'PPM' },
+        cell: { temperature: { value: null, unit: '°F' }, voltage: null, current: null, type: 'CELL_TYPE_T15' },
+        output: 40,
+        status: '1',
+        enabled: true
+      },
+      lights: { status: 'on', brightness: 4, enabled: true },
+      schedules: []
+    });
+  });
+
+  test('should read the requested body of water and ignore water temperature without flow', () => {
+    const data = OmniLogicParser.parseTelemetry(fixture('telemetry.xml'), config, '7');
+
+    expect(data.dashboard.temperature.actual).toBeNull();
+    expect(data.filter).toEqual({ status: false, diagnostic: 'Off' });
+  });
+
+  test('should reject unknown bodies of water and non-telemetry documents', () => {
+    expect(() => OmniLogicParser.parseTelemetry(fixture('telemetry.xml'), config, '99')).toThrow(/Body of water 99/);
+    expect(() => OmniLogicParser.parseTelemetry(fixture('login.xml'), config)).toThrow(/STATUS/);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests for parse report helpers
+ */
+
+const {
+  CONFIDENCE,
+  ParseReport,
+  candidates,
+  matchText,
+  parseNumber,
+  parseOnOff,
+  recordMatch
+} = require('../../../../src/domains/pool/parsers/parse-report');
+
+// Minimal stand-in for a cheerio document: selector -> element text
+const createDocument = texts => selector => ({ text: () => texts[selector] || '' });
+
+describe('parse report helpers', () => {
+  describe('parseOnOff', () => {
+    test.each([
+      ['On', true],
+      ['Filter Pump Running', true],
+      ['1', true],
+      ['OFF', false],
+      ['Inactive', false],
+      ['0', false],
+      ['Configuration', null],
+      ['Speed 100%', null],
+      ['Turn On / Off', null]
+    ])('should read "%s" as %s', (text, expected) => {
+      expect(parseOnOff(text)).toBe(expected);
+    });
+  });
+
+  test('should parse numbers and ignore placeholders', () => {
+    expect(parseNumber('85.6°F')).toBe(85.6);
+    expect(parseNumber('--')).toBeNull();
+  });
+
+  test('should return the first candidate whose text parses', () => {
+    const $ = createDocument({ '#primary': '--', '.fallback': '82°F' });
+    const list = [...candidates(CONFIDENCE.HIGH, ['#primary']), ...candidates(CONFIDENCE.LOW, ['.fallback'])];
+
+    expect(matchText($, list, parseNumber)).toEqual({ value: 82, selector: '.fallback', confidence: 'low' });
+    expect(matchText($, candidates(CONFIDENCE.HIGH, ['#missing']), parseNumber))
+      .toEqual({ value: null, selector: null, confidence: 'none' });
+  });
+
+  test('should record fields and report the lowest confidence among parsed fields', () => {
+    const report = new ParseReport();
+
+    expect(recordMatch(report, 'a', { value: 1, selector: '#a', confidence: 'high' })).toBe(1);
+    recordMatch(report, 'b', { value: 2, selector: '.b', confidence: 'medium' });
+    recordMatch(report, 'c', { value: null, selector: null, confidence: 'none' });
+
+    expect(report.getFields().c).toEqual({ selector: null, confidence: 'none', parsed: false });
+    expect(report.getOverallConfidence()).toBe('medium');
+    expect(recordMatch(null, 'd', { value: 3 })).toBe(3);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for EquipmentControlService
+ * Uses real cheerio against small WebForms page fixtures
+ *
+ * Runs under node because jsdom resolves cheerio to its ES module browser build
+ * @jest-environment node
+ */
+
+const { EquipmentControlService } = require('../../../../src/domains/pool/services/equipment-control');
+
+const filterPage = (isOn) => `
+  <form>
+    <input type="hidden" name="__VIEWSTATE" value="vs" />
+    <input type="hidden" name="__EVENTVALIDATION" value="ev" />
+    <div id="cphMainContent_3_divStatusName">${isOn ? 'On' : 'Off'}</div>
+    <input type="radio" id="rbPumpOn" name="ctl00$rbPump" value="rbPumpOn" ${isOn ? 'checked="checked"' : ''} />
+    <input type="radio" id="rbPumpOff" name="ctl00$rbPump" value="rbPumpOff" ${isOn ? '' : 'checked="checked"'} />
+    <input type="submit" id="btnSave" name="ctl00$btnSave" value="Save" />
+  </form>
+`;
+
+const heaterPage = (setpoint) => `
+  <form>
+    <input type="hidden" name="__VIEWSTATE" value="vs" />
+    <span id="lblTemp">${setpoint}</span>
+    <input type="hidden" id="hdnTargetTemp" name="ctl00$hdnTargetTemp" value="${setpoint}" />
+    <input type="submit" id="btnSave" name="ctl00$btnSave" value="Save" />
+  </form>
+`;
+
+const createSession = (pages) => {
+  let index = 0;
+  return {
+    makeRequest: jest.fn(async () => ({ data: pages[Math.min(index++, pages.length - 1)] })),
+    postBack: jest.fn(async () => ({ data: '' }))
+  };
+};
+
+describe('EquipmentControlService', () => {
+  let annotationStore;
+
+  beforeEach(() => {
+    annotationStore = { storeAnnotation: jest.fn().mockResolvedValue(true) };
+  });
+
+  describe('validateCommand', () => {
+    it('should reject unknown equipment', () => {
+      expect(EquipmentControlService.validateCommand('spa', { state: 'on' })).toMatch(/Unknown equipment/);
+    });
+
+    it('should require an on/off state for the pump', () => {
+      expect(EquipmentControlService.validateCommand('pump', {})).toMatch(/state/);
+      expect(EquipmentControlService.validateCommand('pump', { state: 'maybe' })).toMatch(/on.*off/);
+      expect(EquipmentControlService.validateCommand('pump', { state: 'off' })).toBeNull();
+    });
+
+    it('should range-check heater setpoints and chlorinator output', () => {
+      expect(EquipmentControlService.validateCommand('heater', { setpoint: 200 })).toMatch(/setpoint/);
+      expect(EquipmentControlService.validateCommand('heater', { setpoint: 40 })).toMatch(/between 65 and 104/);
+      expect(EquipmentControlService.validateCommand('heater', { setpoint: 84 })).toBeNull();
+      expect(EquipmentControlService.validateCommand('chlorinator', { output: 120 })).toMatch(/output/);
+      expect(EquipmentControlService.validateCommand('chlorinator', { output: 50 })).toBeNull();
+    });
+  });
+
+  describe('control', () => {
+    it('should post the pump on radio button against the loaded page and confirm the change', async () => {
+      const session = createSession([filterPage(false), filterPage(true)]);
+      const service = new EquipmentControlService(session, { annotationStore });
+
+      const result = await service.control('pump', { state: 'on' });
+
+      expect(session.postBack).toHaveBeenCalledWith(
+        expect.stringContaining('Filter_Setting.aspx'),
+        { 'ctl00$rbPump': 'rbPumpOn', 'ctl00$btnSave': 'Save' },
+        '',
+        { data: filterPage(false) }
+      );
+      expect(session.makeRequest).toHaveBeenCalledTimes(2);
+      expect(result.previous).toBe(false);
+      expect(result.actual).toBe(true);
+      expect(result.confirmed).toBe(true);
+      expect(result.data.status).toBe(true);
+    });
+
+    it('should report an unconfirmed change when the page does not reflect it', async () => {
+      const session = createSession([heaterPage(80), heaterPage(80)]);
+      const service = new EquipmentControlService(session, { annotationStore });
+
+      const result = await service.control('heater', { setpoint: 84 });
+
+      expect(session.postBack.mock.calls[0][1]['ctl00$hdnTargetTemp']).toBe('84');
+      expect(result.actual).toBe(80);
+      expect(result.confirmed).toBe(false);
+    });
+
+    it('should log an equipment_control annotation for each action', async () => {
+      const session = createSession([heaterPage(80), heaterPage(84)]);
+      const service = new EquipmentControlService(session, { annotationStore });
+
+      const result = await service.control('heater', { setpoint: 84 });
+
+      expect(result.annotationStored).toBe(true);
+      expect(annotationStore.storeAnnotation).toHaveBeenCalledWith(expect.objectContaining({
+        category: 'equipment_control',
+        metadata: expect.objectContaining({ equipment: 'heater', previous: 80, actual: 84, confirmed: true })
+      }));
+    });
+
+    it('should ignore other controls and radios that only end in "on"', async () => {
+      const page = (isOn) => `
+        <form>
+          <input type="hidden" name="__VIEWSTATE" value="vs" />
+          <input type="radio" id="rbSpaOn" name="ctl00$rbSpa" value="rbSpaOn" checked="checked" />
+          <input type="radio" id="rbLightOption" name="ctl00$rbLightMode" value="Option" checked="checked" />
+          <input type="radio" id="rbLightA" name="ctl00$rbLight" value="A" ${isOn ? 'checked="checked"' : ''} />
+          <label for="rbLightA">On</label>
+          <input type="radio" id="rbLightB" name="ctl00$rbLight" value="B" ${isOn ? '' : 'checked="checked"'} />
+          <label for="rbLightB">Off</label>
+        </form>
+      `;
+      const session = createSession([page(false), page(true)]);
+      const service = new EquipmentControlService(session, { annotationStore });
+
+      const result = await service.control('lights', { state: 'on' });
+
+      expect(session.postBack.mock.calls[0][1]).toEqual({ 'ctl00$rbLight': 'A' });
+      expect(result.previous).toBe(false);
+      expect(result.actual).toBe(true);
+    });
+
+    it('should throw when the control cannot be found on the page', async () => {
+      const session = createSession(['<form><input type="hidden" name="__VIEWSTATE" value="vs" /></form>']);
+      const service = new EquipmentControlService(session, { annotationStore });
+
+      await expect(service.control('lights', { state: 'on' })).rejects.toThrow(/on control/);
+      expect(session.postBack).not.toHaveBeenCalled();
+    });
+  });
+});
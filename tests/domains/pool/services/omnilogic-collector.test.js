@@ -0,0 +1,113 @@
+/**
+ * Tests for the OmniLogic API client and collector
+ * Replays recorded XML responses through the client's transport, so no network is used
+ *
+ * Runs under node because jsdom resolves cheerio to its ES module browser build
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { OmniLogicClient } = require('../../../../src/domains/pool/services/omnilogic-client');
+const { OmniLogicDataCollector } = require('../../../../src/domains/pool/services/omnilogic-collector');
+const { PoolDataCollector } = require('../../../../src/domains/pool/services/pool-data-collector');
+const { createPoolDataCollector } = require('../../../../src/domains/pool/services/collector-factory');
+const { PoolData } = require('../../../../src/domains/pool/entities/pool-data');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '../../../fixtures/omnilogic', name), 'utf8');
+
+const recorded = {
+  Login: 'login.xml',
+  GetSiteList: 'site-list.xml',
+  GetMspConfigFile: 'msp-config.xml',
+  GetTelemetryData: 'telemetry.xml'
+};
+
+const createTransport = (overrides = {}) => jest.fn(async (request) => {
+  const name = request.data.match(/<Name>(\w+)<\/Name>/)[1];
+  const file = name in overrides ? overrides[name] : recorded[name];
+  return file ? { status: 200, data: fixture(file) } : { status: 503, data: '' };
+});
+
+const credentials = { username: 'owner@example.com', password: 'p<ss&word' };
+
+describe('OmniLogicClient', () => {
+  test('should build escaped request documents', () => {
+    const xml = OmniLogicClient.buildRequest('Login', { UserName: 'a', Password: 'p<ss&word', MspSystemID: 1 });
+
+    expect(xml).toContain('<Name>Login</Name>');
+    expect(xml).toContain('<Parameter name="Password" dataType="String">p&lt;ss&amp;word</Parameter>');
+    expect(xml).toContain('<Parameter name="MspSystemID" dataType="int">1</Parameter>');
+  });
+
+  test('should log in and send the token with later requests', async () => {
+    const transport = createTransport();
+    const client = new OmniLogicClient(credentials, { transport });
+
+    await expect(client.authenticate()).resolves.toBe(true);
+    await client.getTelemetry('44697');
+
+    expect(client.token).toBe('6f1a2b3c4d5e');
+    expect(transport.mock.calls[1][0].headers).toMatchObject({ Token: '6f1a2b3c4d5e', SiteID: '44697' });
+  });
+
+  test('should report failed logins', async () => {
+    const client = new OmniLogicClient(credentials, { transport: createTransport({ Login: 'login-failed.xml' }) });
+
+    await expect(client.authenticate()).resolves.toBe(false);
+    expect(client.isAuthenticated()).toBe(false);
+  });
+});
+
+describe('OmniLogicDataCollector', () => {
+  test('should collect a PoolData entity from telemetry', async () => {
+    const client = new OmniLogicClient(credentials, { transport: createTransport() });
+    const collector = new OmniLogicDataCollector(credentials, { id: 'pool', omniLogicMspId: null, omniLogicBowId: null }, { client });
+
+    const poolData = await collector.collectAllData();
+
+    expect(poolData).toBeInstanceOf(PoolData);
+    expect(poolData.system).toEqual({ site: 'pool', source: 'omnilogic-api', mspSystemId: '44697', bowSystemId: '1' });
+    expect(poolData.toTimeSeriesPoint()).toMatchObject({ waterTemp: 81, airTemp: 72, saltInstant: 3200, pumpStatus: true });
+  });
+
+  test('should use the configured system instead of the site list', async () => {
+    const transport = createTransport();
+    const client = new OmniLogicClient(credentials, { transport });
+    const collector = new OmniLogicDataCollector(credentials, { id: 'spa', omniLogicMspId: '44697', omniLogicBowId: '7' }, { client });
+
+    const poolData = await collector.collectAllData();
+
+    expect(poolData.filter.status).toBe(false);
+    expect(transport.mock.calls.map(([request]) => request.data.match(/<Name>(\w+)/)[1]))
+      .toEqual(['Login', 'GetMspConfigFile', 'GetTelemetryData']);
+  });
+
+  test('should fall back to the scraping collector when the API fails', async () => {
+    const client = new OmniLogicClient(credentials, { transport: createTransport({ GetTelemetryData: null }) });
+    const scraped = new PoolData({ filter: { status: true } });
+    const fallback = { collectAllData: jest.fn().mockResolvedValue(scraped), cleanup: jest.fn() };
+
+    const collector = new OmniLogicDataCollector(credentials, null, { client, fallback });
+
+    await expect(collector.collectAllData()).resolves.toBe(scraped);
+    expect(fallback.collectAllData).toHaveBeenCalled();
+  });
+
+  test('should throw without a fallback', async () => {
+    const client = new OmniLogicClient(credentials, { transport: createTransport({ Login: 'login-failed.xml' }) });
+    const collector = new OmniLogicDataCollector(credentials, null, { client });
+
+    await expect(collector.collectAllData()).rejects.toThrow(/authenticate/);
+  });
+});
+
+describe('createPoolDataCollector', () => {
+  test('should pick the backend with scraping as the fallback', () => {
+    expect(createPoolDataCollector(credentials, null, 'scrape')).toBeInstanceOf(PoolDataCollector);
+
+    const collector = createPoolDataCollector(credentials, null, 'xml');
+    expect(collector).toBeInstanceOf(OmniLogicDataCollector);
+    expect(collector.fallback).toBeInstanceOf(PoolDataCollector);
+  });
+});
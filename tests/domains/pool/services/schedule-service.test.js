@@ -0,0 +1,110 @@
+/**
+ * Tests for ScheduleService
+ * Uses real cheerio against small WebForms page fixtures
+ *
+ * Runs under node because jsdom resolves cheerio to its ES module browser build
+ * @jest-environment node
+ */
+
+const { ScheduleService } = require('../../../../src/domains/pool/services/schedule-service');
+const { Schedule } = require('../../../../src/domains/pool/entities/schedule');
+
+const row = ({ id, name, start, end, setting = '--', repeat = 'Daily', status = 'Enabled' }) => `
+  <tr>
+    <td><a href="Bow_Schedule_Edit.aspx?scheduleID=${id}">${name}</a></td>
+    <td>${start}</td><td>${end}</td><td>${setting}</td><td>${repeat}</td><td>${status}</td>
+    <td><a id="lnkDelete${id}" href="javascript:__doPostBack('ctl00$gvSchedules','Delete$${id}')">Delete</a></td>
+  </tr>
+`;
+
+const listPage = (rows) => `
+  <form>
+    <input type="hidden" name="__VIEWSTATE" value="vs" />
+    <table>
+      <tr><th>Name</th><th>Start Time</th><th>End Time</th><th>Setting</th><th>Repeat</th><th>Status</th><th></th></tr>
+      ${rows.map(row).join('')}
+    </table>
+  </form>
+`;
+
+const editPage = `
+  <form>
+    <input type="hidden" name="__VIEWSTATE" value="vs" />
+    <select id="ddlEquipment" name="ctl00$ddlEquipment">
+      <option value="1">Filter Pump</option>
+      <option value="2">Heater</option>
+    </select>
+    <input type="text" id="txtStartTime" name="ctl00$txtStartTime" value="" />
+    <input type="text" id="txtEndTime" name="ctl00$txtEndTime" value="" />
+    <input type="checkbox" id="chkMonthly" name="ctl00$chkMonthly" />
+    ${['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day =>
+    `<input type="checkbox" id="chk${day}" name="ctl00$chk${day}" />`).join('')}
+    <input type="checkbox" id="chkEnabled" name="ctl00$chkEnabled" checked="checked" />
+    <input type="submit" id="btnSave" name="ctl00$btnSave" value="Save" />
+  </form>
+`;
+
+const morningPump = { id: '11', name: 'Filter Pump', start: '08:00 AM', end: '12:00 PM' };
+const eveningHeat = { id: '12', name: 'Heater', start: '06:00 PM', end: '09:00 PM', repeat: 'Weekends' };
+
+describe('ScheduleService', () => {
+  test('lists schedules as normalized entities with IDs', async () => {
+    const session = { makeRequest: jest.fn(async () => ({ data: listPage([morningPump, eveningHeat]) })) };
+    const schedules = await new ScheduleService(session).list();
+
+    expect(schedules.map(schedule => schedule.toJSON())).toEqual([
+      expect.objectContaining({ id: '11', equipment: 'pump', startMinutes: 480, endMinutes: 720, days: [0, 1, 2, 3, 4, 5, 6] }),
+      expect.objectContaining({ id: '12', equipment: 'heater', days: [0, 6] })
+    ]);
+  });
+
+  test('maps a schedule onto the edit form fields', async () => {
+    const created = { id: '13', name: 'Filter Pump', start: '01:00 PM', end: '03:00 PM', repeat: 'Mon, Wed' };
+    const pages = [listPage([morningPump]), editPage, listPage([morningPump, created])];
+    const session = {
+      makeRequest: jest.fn(async () => ({ data: pages.shift() })),
+      postBack: jest.fn(async () => ({ data: '' }))
+    };
+
+    const schedule = Schedule.fromRequest({ equipment: 'pump', startTime: '13:00', endTime: '15:00', days: [1, 3] });
+    const saved = await new ScheduleService(session).create(schedule);
+
+    const [path, fields] = session.postBack.mock.calls[0];
+    expect(path).toContain('Bow_Schedule_Edit.aspx');
+    expect(fields).toMatchObject({
+      ctl00$ddlEquipment: '1',
+      ctl00$txtStartTime: '01:00 PM',
+      ctl00$txtEndTime: '03:00 PM',
+      ctl00$chkMon: 'on',
+      ctl00$chkWed: 'on',
+      ctl00$chkSun: null,
+      ctl00$chkEnabled: 'on',
+      ctl00$btnSave: 'Save'
+    });
+    expect(fields).not.toHaveProperty('ctl00$chkMonthly');
+    expect(saved.id).toBe('13');
+  });
+
+  test('deletes a schedule through its row postback', async () => {
+    const pages = [listPage([morningPump, eveningHeat]), listPage([eveningHeat])];
+    const session = {
+      makeRequest: jest.fn(async () => ({ data: pages.shift() })),
+      postBack: jest.fn(async () => ({ data: '' }))
+    };
+
+    const removed = await new ScheduleService(session).remove('11');
+
+    expect(session.postBack).toHaveBeenCalledWith(
+      expect.stringContaining('Bow_Schedule_List.aspx'),
+      { __EVENTARGUMENT: 'Delete$11' },
+      'ctl00$gvSchedules'
+    );
+    expect(removed).toBe(true);
+  });
+
+  test('throws when a schedule has no delete action', async () => {
+    const session = { makeRequest: jest.fn(async () => ({ data: listPage([eveningHeat]) })) };
+
+    await expect(new ScheduleService(session).remove('99')).rejects.toThrow('Could not find a delete action');
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Reading Fixtures
+ * Builds the collected data points the analytics services read back from
+ * InfluxDB or the in-memory time series
+ */
+
+const FIVE_MINUTES = 5 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * A local time in October 2026, when the fixtures are collected
+ * @param {number} day - Day of the month
+ * @param {number} hour - Hour of the day
+ * @param {number} minute - Minute of the hour
+ * @returns {Date} The local time
+ */
+const at = (day, hour = 0, minute = 0) => new Date(2026, 9, day, hour, minute);
+
+/**
+ * Readings every `intervalMs` from `from` until (not including) `to`
+ * @param {Date|number} from - Time of the first reading
+ * @param {Date|number} to - Time the readings stop
+ * @param {number} intervalMs - Time between readings
+ * @param {Object|Function} fields - Reading fields, or a function of the reading time returning them
+ * @returns {Array} Readings with ISO timestamps
+ */
+const readingsBetween = (from, to, intervalMs, fields) => {
+  const points = [];
+  for (let time = new Date(from).getTime(); time < new Date(to).getTime(); time += intervalMs) {
+    const values = typeof fields === 'function' ? fields(time) : fields;
+    points.push({ timestamp: new Date(time).toISOString(), ...values });
+  }
+  return points;
+};
+
+module.exports = {
+  FIVE_MINUTES,
+  HOUR_MS,
+  at,
+  readingsBetween
+};
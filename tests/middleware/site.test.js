@@ -0,0 +1,39 @@
+/**
+ * Site Middleware Tests
+ * Tests for resolving the site parameter on pool routes
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { resolveSite } = require('../../src/middleware/site');
+
+describe('Site Middleware', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use('/api/pool', resolveSite);
+    app.get('/api/pool/echo', (req, res) => res.json({ site: req.site.id }));
+  });
+
+  test('should use the default site when none is requested', async () => {
+    const response = await request(app).get('/api/pool/echo').expect(200);
+
+    expect(response.body.site).toBe('default');
+  });
+
+  test('should accept the site as a query parameter or header', async () => {
+    await request(app).get('/api/pool/echo?site=default').expect(200);
+    await request(app).get('/api/pool/echo').set('X-Pool-Site', 'default').expect(200);
+  });
+
+  test('should reject unknown sites with 404', async () => {
+    const response = await request(app).get('/api/pool/echo?site=lake').expect(404);
+
+    expect(response.body).toMatchObject({
+      success: false,
+      error: 'Unknown site',
+      sites: ['default']
+    });
+  });
+});
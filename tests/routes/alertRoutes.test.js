@@ -0,0 +1,199 @@
+/**
+ * Alert Routes Tests
+ * Tests for the metric alert rule, event, notification and silencing endpoints
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/services/alertEngine', () => ({
+  alertEngine: {
+    getRules: jest.fn(),
+    getEvents: jest.fn(),
+    getOpenAlerts: jest.fn()
+  }
+}));
+jest.mock('../../src/services/notifier', () => ({
+  notifier: {
+    getChannels: jest.fn(),
+    getDeliveries: jest.fn(),
+    sendTest: jest.fn()
+  },
+  EVENTS: ['weather-alert', 'pump-state', 'metric-alert']
+}));
+jest.mock('../../src/services/alertSilencer', () => ({
+  alertSilencer: {
+    getStatus: jest.fn(),
+    acknowledge: jest.fn(),
+    snooze: jest.fn(),
+    unsnooze: jest.fn(),
+    setQuietHours: jest.fn()
+  },
+  MAX_SNOOZE_HOURS: 168
+}));
+
+const { alertEngine } = require('../../src/services/alertEngine');
+const { notifier } = require('../../src/services/notifier');
+const { alertSilencer } = require('../../src/services/alertSilencer');
+const alertRoutes = require('../../src/routes/alertRoutes');
+
+describe('Alert Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/alerts', alertRoutes);
+  });
+
+  describe('GET /api/alerts/rules', () => {
+    it('should return the rules with their state', async () => {
+      const rules = [{ id: 'salt-level', metric: 'saltInstant', min: 2700, max: 4000, states: [] }];
+      alertEngine.getRules.mockReturnValue(rules);
+
+      const response = await request(app).get('/api/alerts/rules').expect(200);
+
+      expect(response.body).toEqual({ success: true, data: rules });
+    });
+  });
+
+  describe('GET /api/alerts/events', () => {
+    it('should return open alerts and events for the window', async () => {
+      const open = [{ id: 'salt-level-default-1', ruleId: 'salt-level', site: 'default' }];
+      const events = [{ id: 'salt-level-default-1', state: 'open', message: 'Salt level is 2650 ppm, below the 2700 ppm minimum' }];
+      alertEngine.getEvents.mockResolvedValue(events);
+      alertEngine.getOpenAlerts.mockResolvedValue(open);
+
+      const response = await request(app).get('/api/alerts/events?hours=48&site=default').expect(200);
+
+      expect(alertEngine.getEvents).toHaveBeenCalledWith({ hours: 48, siteId: 'default' });
+      expect(alertEngine.getOpenAlerts).toHaveBeenCalledWith('default');
+      expect(response.body).toEqual({ success: true, data: { open, events }, hours: 48, site: 'default' });
+    });
+
+    it('should reject an unknown site or too long a window', async () => {
+      await request(app).get('/api/alerts/events?site=lake').expect(400);
+      const response = await request(app).get('/api/alerts/events?hours=1000').expect(400);
+
+      expect(response.body.message).toBe('hours must be between 1 and 720');
+      expect(alertEngine.getEvents).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/alerts/notifications', () => {
+    it('should return the channels and the delivery log', async () => {
+      const channels = [{ id: 'ntfy', type: 'ntfy', events: ['weather-alert'] }];
+      const deliveries = [{ id: 'd1', channel: 'ntfy', status: 'sent', attempts: 1 }];
+      notifier.getChannels.mockReturnValue(channels);
+      notifier.getDeliveries.mockResolvedValue(deliveries);
+
+      const response = await request(app).get('/api/alerts/notifications?hours=6').expect(200);
+
+      expect(notifier.getDeliveries).toHaveBeenCalledWith({ hours: 6 });
+      expect(response.body).toEqual({ success: true, data: { channels, deliveries }, hours: 6 });
+    });
+  });
+
+  describe('POST /api/alerts/notifications/test', () => {
+    it('should send a test notification to the chosen channel', async () => {
+      notifier.getChannels.mockReturnValue([{ id: 'ntfy', type: 'ntfy', events: [] }]);
+      notifier.sendTest.mockResolvedValue([{ channel: 'ntfy', status: 'failed', error: 'Request failed with status code 401' }]);
+
+      const response = await request(app).post('/api/alerts/notifications/test').send({ channel: 'ntfy' }).expect(200);
+
+      expect(notifier.sendTest).toHaveBeenCalledWith('ntfy');
+      expect(response.body.success).toBe(false);
+      await request(app).post('/api/alerts/notifications/test').send({ channel: 'email' }).expect(400);
+    });
+
+    it('should explain when no channels are configured', async () => {
+      notifier.getChannels.mockReturnValue([]);
+
+      const response = await request(app).post('/api/alerts/notifications/test').expect(400);
+
+      expect(response.body.message).toBe('No notification channels are configured (NOTIFICATION_CHANNELS)');
+      expect(notifier.sendTest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/alerts/silence', () => {
+    it('should return quiet hours, snoozes and acknowledged alerts', async () => {
+      const status = { quietHours: { start: '22:00', end: '07:00', active: false }, repeatHours: 4, snoozes: [], acknowledged: [] };
+      alertSilencer.getStatus.mockResolvedValue(status);
+
+      const response = await request(app).get('/api/alerts/silence').expect(200);
+
+      expect(response.body).toEqual({ success: true, data: status });
+    });
+  });
+
+  describe('POST /api/alerts/acknowledge', () => {
+    it('should acknowledge the alert', async () => {
+      const acknowledgement = { alertId: 'salt-level-default-1', acknowledgedAt: '2026-10-20T12:00:00.000Z', note: 'Salt added' };
+      alertSilencer.acknowledge.mockResolvedValue(acknowledgement);
+
+      const response = await request(app).post('/api/alerts/acknowledge').send({ alertId: 'salt-level-default-1', note: 'Salt added' }).expect(200);
+
+      expect(alertSilencer.acknowledge).toHaveBeenCalledWith('salt-level-default-1', { note: 'Salt added' });
+      expect(response.body).toEqual({ success: true, data: acknowledgement });
+      await request(app).post('/api/alerts/acknowledge').send({}).expect(400);
+    });
+  });
+
+  describe('POST /api/alerts/snooze', () => {
+    beforeEach(() => {
+      alertEngine.getRules.mockReturnValue([{ id: 'salt-level' }, { id: 'cell-voltage' }]);
+    });
+
+    it('should snooze an alert rule or notification event', async () => {
+      const snooze = { target: 'salt-level', until: '2026-10-20T16:00:00.000Z', snoozedAt: '2026-10-20T12:00:00.000Z', note: null };
+      alertSilencer.snooze.mockResolvedValue(snooze);
+
+      const response = await request(app).post('/api/alerts/snooze').send({ target: 'salt-level', hours: 4 }).expect(200);
+      await request(app).post('/api/alerts/snooze').send({ target: 'weather-alert', hours: '12', note: 'Away' }).expect(200);
+
+      expect(response.body).toEqual({ success: true, data: snooze });
+      expect(alertSilencer.snooze).toHaveBeenCalledWith('salt-level', 4, { note: null });
+      expect(alertSilencer.snooze).toHaveBeenCalledWith('weather-alert', 12, { note: 'Away' });
+    });
+
+    it('should reject an unknown target or too long a snooze', async () => {
+      const unknown = await request(app).post('/api/alerts/snooze').send({ target: 'ph', hours: 4 }).expect(400);
+      const tooLong = await request(app).post('/api/alerts/snooze').send({ target: 'salt-level', hours: 200 }).expect(400);
+
+      expect(unknown.body.message).toBe('target must be an alert rule or notification event: salt-level, cell-voltage, weather-alert, pump-state, metric-alert');
+      expect(tooLong.body.message).toBe('hours must be between 1 and 168');
+      expect(alertSilencer.snooze).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/alerts/snooze/:target', () => {
+    it('should end a snooze, or say the target was not snoozed', async () => {
+      alertSilencer.unsnooze.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      const response = await request(app).delete('/api/alerts/snooze/weather-alert').expect(200);
+      await request(app).delete('/api/alerts/snooze/weather-alert').expect(404);
+
+      expect(response.body).toEqual({ success: true, target: 'weather-alert' });
+      expect(alertSilencer.unsnooze).toHaveBeenCalledWith('weather-alert');
+    });
+  });
+
+  describe('PUT and DELETE /api/alerts/quiet-hours', () => {
+    it('should set and clear quiet hours, rejecting other formats', async () => {
+      alertSilencer.setQuietHours
+        .mockResolvedValueOnce({ start: '22:00', end: '07:00', active: false })
+        .mockResolvedValueOnce(null);
+
+      const set = await request(app).put('/api/alerts/quiet-hours').send({ quietHours: '22:00-07:00' }).expect(200);
+      await request(app).put('/api/alerts/quiet-hours').send({ quietHours: '10pm-7am' }).expect(400);
+      const cleared = await request(app).delete('/api/alerts/quiet-hours').expect(200);
+
+      expect(set.body).toEqual({ success: true, data: { start: '22:00', end: '07:00', active: false } });
+      expect(cleared.body).toEqual({ success: true, data: null });
+      expect(alertSilencer.setQuietHours.mock.calls).toEqual([['22:00-07:00'], [null]]);
+    });
+  });
+});
@@ -25,7 +25,8 @@ jest.mock('../../src/services/influxDBService', () => ({
     testConnection: jest.fn(),
     storeDataPoint: jest.fn(),
     getCurrentSalt: jest.fn(),
-    getSaltRollingAverage: jest.fn()
+    getSaltRollingAverage: jest.fn(),
+    queryAnnotations: jest.fn()
   }
 }));
 
@@ -38,7 +39,8 @@ jest.mock('../../src/services/timeSeriesService', () => ({
 }));
 
 jest.mock('../../src/services/pumpStateTracker', () => ({
-  checkStateChange: jest.fn()
+  checkStateChange: jest.fn(),
+  getStateHistory: jest.fn()
 }));
 
 const influxDBService = require('../../src/services/influxDBService').influxDBService;
@@ -252,10 +254,11 @@ describe('Pool Routes', () => {
         .get('/api/pool/timeseries')
         .expect(200);
 
-      // Should default to 24 hours
+      // Should default to 24 hours for the default site
       expect(mockInfluxDB.queryDataPoints).toHaveBeenCalledWith(
         expect.any(Date),
-        expect.any(Date)
+        expect.any(Date),
+        'default'
       );
     });
   });
@@ -349,6 +352,250 @@ describe('Pool Routes', () => {
     });
   });
 
+  describe('GET /api/pool/parser-health', () => {
+    const parserHealthTracker = require('../../src/services/parserHealthTracker');
+    const { ParseReport } = require('../../src/domains/pool/parsers/parse-report');
+
+    afterEach(() => {
+      parserHealthTracker.reset();
+    });
+
+    test('should return 404 before any pages have been parsed', async () => {
+      const response = await request(app)
+        .get('/api/pool/parser-health')
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should return the latest parser health for the site', async () => {
+      const report = new ParseReport();
+      report.record('filter.status', { value: true, selector: '#status', confidence: 'high' });
+      await parserHealthTracker.check(report, '2024-01-01T12:00:00Z', 'default');
+
+      const response = await request(app)
+        .get('/api/pool/parser-health')
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ site: 'default', healthy: true, confidence: 'high' });
+    });
+  });
+
+  describe('GET /api/pool/equipment/history', () => {
+    test('should return equipment change annotations only', async () => {
+      influxDBService.queryAnnotations.mockResolvedValue([
+        { timestamp: '2024-01-01T12:00:00Z', category: 'heater_state_change', metadata: { before: { enabled: true }, after: { enabled: false } } },
+        { timestamp: '2024-01-01T12:05:00Z', category: 'maintenance', metadata: {} },
+        { timestamp: '2024-01-01T12:10:00Z', category: 'pump_state_change', metadata: { changeType: 'off' } }
+      ]);
+
+      const response = await request(app)
+        .get('/api/pool/equipment/history?hours=6')
+        .expect(200);
+
+      expect(response.body.data.changes.map(change => change.category)).toEqual(['heater_state_change', 'pump_state_change']);
+      expect(response.body.data.tracking).toContain('pump');
+    });
+  });
+
+  describe('GET /api/pool/pump/analytics', () => {
+    const { pumpAnalytics } = require('../../src/services/pumpAnalytics');
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should return pump analytics for the requested days', async () => {
+      jest.spyOn(pumpAnalytics, 'getAnalytics').mockResolvedValue({ site: 'default', days: [], summary: {} });
+
+      const response = await request(app)
+        .get('/api/pool/pump/analytics?days=3')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ success: true, days: 3, data: { site: 'default' } });
+      expect(pumpAnalytics.getAnalytics).toHaveBeenCalledWith(expect.objectContaining({ id: 'default' }), { days: 3 });
+    });
+
+    test('should reject more than 30 days', async () => {
+      const response = await request(app)
+        .get('/api/pool/pump/analytics?days=31')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/pool/pump/history', () => {
+    test('should return derived pump state history', async () => {
+      pumpStateTracker.getStateHistory.mockResolvedValue({
+        site: 'default',
+        initialState: false,
+        transitions: [{ timestamp: '2024-01-01T12:00:00Z', changeType: 'on', annotated: true, derived: true }]
+      });
+
+      const response = await request(app)
+        .get('/api/pool/pump/history?hours=12')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ success: true, hours: 12, data: { initialState: false } });
+      expect(pumpStateTracker.getStateHistory).toHaveBeenCalledWith('default', { hours: 12 });
+    });
+
+    test('should reject an hours value over the limit', async () => {
+      await request(app)
+        .get('/api/pool/pump/history?hours=1000')
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/pool/salt/recommendation', () => {
+    const { saltDosing } = require('../../src/services/saltDosing');
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should return the salt recommendation for the requested site', async () => {
+      jest.spyOn(saltDosing, 'getRecommendation').mockResolvedValue({ site: 'default', currentPpm: 2800, bags: 2 });
+
+      const response = await request(app)
+        .get('/api/pool/salt/recommendation')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ success: true, days: 30, data: { bags: 2 } });
+      expect(saltDosing.getRecommendation).toHaveBeenCalledWith(expect.objectContaining({ id: 'default' }), { days: 30 });
+    });
+
+    test('should reject more than 90 days', async () => {
+      await request(app)
+        .get('/api/pool/salt/recommendation?days=120')
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/pool/chlorine/generation', () => {
+    const { chlorineGeneration } = require('../../src/services/chlorineGeneration');
+    const { setMostRecentPoolData } = require('../../src/services/collectionPipeline');
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      setMostRecentPoolData(null, 'default');
+    });
+
+    test('should estimate generation with the cell type from the latest collection', async () => {
+      jest.spyOn(chlorineGeneration, 'getGeneration').mockResolvedValue({ site: 'default', summary: { lowDays: [] } });
+      setMostRecentPoolData({ chlorinator: { cell: { type: 'T-15' } } }, 'default');
+
+      const response = await request(app)
+        .get('/api/pool/chlorine/generation?days=3')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ success: true, days: 3, data: { summary: { lowDays: [] } } });
+      expect(chlorineGeneration.getGeneration).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'default' }),
+        { days: 3, cellType: 'T-15' }
+      );
+    });
+
+    test('should reject more than 30 days', async () => {
+      await request(app)
+        .get('/api/pool/chlorine/generation?days=45')
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/pool/cell/health', () => {
+    const { cellHealth } = require('../../src/services/cellHealth');
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should return the cell health for the requested site', async () => {
+      jest.spyOn(cellHealth, 'getHealth').mockResolvedValue({ site: 'default', score: 72, status: 'clean' });
+
+      const response = await request(app)
+        .get('/api/pool/cell/health')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ success: true, days: 60, data: { score: 72, status: 'clean' } });
+      expect(cellHealth.getHealth).toHaveBeenCalledWith(expect.objectContaining({ id: 'default' }), { days: 60 });
+    });
+
+    test('should reject more than 180 days', async () => {
+      await request(app)
+        .get('/api/pool/cell/health?days=365')
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/pool/forecast/water-temp', () => {
+    const { waterTempForecast } = require('../../src/services/waterTempForecast');
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should return the 48 hour water temperature forecast', async () => {
+      jest.spyOn(waterTempForecast, 'getForecast').mockResolvedValue({ site: 'default', forecast: [{ waterTemp: 84.2 }] });
+
+      const response = await request(app)
+        .get('/api/pool/forecast/water-temp')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ success: true, hours: 48, data: { forecast: [{ waterTemp: 84.2 }] } });
+      expect(waterTempForecast.getForecast).toHaveBeenCalledWith(expect.objectContaining({ id: 'default' }), { hours: 48 });
+    });
+
+    test('should reject more than 72 hours', async () => {
+      await request(app)
+        .get('/api/pool/forecast/water-temp?hours=96')
+        .expect(400);
+    });
+  });
+
+  describe('/api/pool/chemistry', () => {
+    const { waterChemistry } = require('../../src/services/waterChemistry');
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should store a water test and return its LSI', async () => {
+      jest.spyOn(waterChemistry, 'recordTest').mockResolvedValue({ test: { ph: 7.5, lsi: -0.1 }, stored: true });
+
+      const response = await request(app)
+        .post('/api/pool/chemistry')
+        .send({ ph: 7.5, totalAlkalinity: 80, calciumHardness: 300 })
+        .expect(201);
+
+      expect(response.body).toMatchObject({ success: true, queued: false, data: { lsi: -0.1 } });
+      expect(waterChemistry.recordTest).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'default' }),
+        expect.objectContaining({ ph: 7.5, totalAlkalinity: 80, calciumHardness: 300 })
+      );
+    });
+
+    test('should reject an invalid water test', async () => {
+      const response = await request(app)
+        .post('/api/pool/chemistry')
+        .send({ ph: 'acidic' })
+        .expect(400);
+
+      expect(response.body).toMatchObject({ success: false, error: 'Invalid water test' });
+    });
+
+    test('should list water tests', async () => {
+      jest.spyOn(waterChemistry, 'getTests').mockResolvedValue({ site: 'default', tests: [], latest: null });
+
+      const response = await request(app)
+        .get('/api/pool/chemistry?days=30')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ success: true, days: 30, data: { tests: [] } });
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle malformed requests', async () => {
       const response = await request(app)
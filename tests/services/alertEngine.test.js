@@ -0,0 +1,192 @@
+/**
+ * Alert Engine Tests
+ * Tests for metric alert rules, hold times, reminders and resolution
+ */
+
+jest.mock('../../src/services/influxDBService', () => ({
+  influxDBService: {
+    isConnected: false,
+    storeAlertEvent: jest.fn(),
+    queryAlertEvents: jest.fn(),
+    storeAlertAction: jest.fn().mockResolvedValue(false),
+    queryAlertActions: jest.fn().mockResolvedValue([])
+  }
+}));
+jest.mock('../../src/domains/monitoring', () => ({
+  influxDBClient: { queryHomeEnvironmentData: jest.fn() }
+}));
+
+const { influxDBService } = require('../../src/services/influxDBService');
+const { influxDBClient } = require('../../src/domains/monitoring');
+const { AlertEngine, buildRules } = require('../../src/services/alertEngine');
+const { notifier } = require('../../src/services/notifier');
+const { alertSilencer } = require('../../src/services/alertSilencer');
+const { envConfig } = require('../../src/config/environment');
+
+const MINUTE_MS = 60 * 1000;
+
+const at = minutes => new Date(Date.UTC(2026, 9, 20, 12) + minutes * MINUTE_MS).toISOString();
+
+// Collection points every 5 minutes with the pump running
+const point = (minutes, fields) => ({ timestamp: at(minutes), pumpStatus: true, saltInstant: 3200, waterTemp: 82, cellVoltage: 23, ...fields });
+
+describe('buildRules', () => {
+  it('merges rule changes into the defaults by id', () => {
+    const rules = buildRules([
+      { id: 'salt-level', min: 2800 },
+      { id: 'spa-too-hot', metric: 'waterTemp', max: 104, severity: 'critical' }
+    ]);
+
+    expect(rules.find(rule => rule.id === 'salt-level')).toEqual(expect.objectContaining({ min: 2800, max: 4000, forMinutes: 30, unit: 'ppm' }));
+    expect(rules.find(rule => rule.id === 'spa-too-hot')).toEqual(expect.objectContaining({
+      min: null, max: 104, forMinutes: 0, hysteresis: 0, severity: 'critical', source: 'pool', enabled: true
+    }));
+    expect(() => buildRules([{ id: 'ph', metric: 'ph', min: 7.2 }])).toThrow('Alert rule ph has an unknown metric: ph');
+  });
+
+  it('falls back to the default rules when ALERT_RULES does not build', () => {
+    jest.spyOn(envConfig, 'getAlertRulesConfig').mockReturnValue({ rules: [{ id: 'ph', metric: 'ph', min: 7.2 }] });
+
+    expect(new AlertEngine().rules.map(rule => rule.id)).toEqual(buildRules().map(rule => rule.id));
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Alert rule ph has an unknown metric: ph'));
+    jest.restoreAllMocks();
+  });
+});
+
+describe('AlertEngine', () => {
+  const site = { id: 'default' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    influxDBService.isConnected = false;
+    influxDBService.queryAlertEvents.mockResolvedValue([]);
+    influxDBService.storeAlertEvent.mockResolvedValue(true);
+    influxDBClient.queryHomeEnvironmentData.mockResolvedValue([]);
+  });
+
+  it('opens an alert once a breach lasts the rule duration and resolves it past the hysteresis', async () => {
+    const engine = new AlertEngine({ rules: [] });
+    const salt = [2650, 2680, 2650, 2660, 2640, 2650, 2670, 2720, 2760];
+
+    const events = [];
+    for (const [i, saltInstant] of salt.entries()) {
+      events.push(...await engine.evaluateCollection(site, point(i * 5, { saltInstant })));
+    }
+
+    // Out of range from 12:00, open at 12:30; 2720 ppm is in range but inside the 50 ppm hysteresis
+    expect(events).toEqual([
+      expect.objectContaining({
+        ruleId: 'salt-level',
+        site: 'default',
+        state: 'open',
+        direction: 'low',
+        value: 2670,
+        threshold: 2700,
+        startedAt: at(0),
+        timestamp: at(30),
+        message: 'Salt level is 2670 ppm, below the 2700 ppm minimum'
+      }),
+      expect.objectContaining({ state: 'resolved', value: 2760, timestamp: at(40), message: 'Salt level is back to 2760 ppm' })
+    ]);
+    expect(events[1].id).toBe(events[0].id);
+    expect(influxDBService.storeAlertEvent).toHaveBeenCalledTimes(2);
+    expect(await engine.getEvents({ now: new Date(at(60)) })).toEqual([events[1], events[0]]);
+  });
+
+  it('starts a breach over when it is interrupted or the pump stops', async () => {
+    const engine = new AlertEngine({ rules: [{ id: 'salt-level', forMinutes: 10 }] });
+
+    const events = [];
+    events.push(...await engine.evaluateCollection(site, point(0, { saltInstant: 2600 })));
+    events.push(...await engine.evaluateCollection(site, point(5, { saltInstant: 2750 })));
+    events.push(...await engine.evaluateCollection(site, point(10, { saltInstant: 2600 })));
+    events.push(...await engine.evaluateCollection(site, point(15, { saltInstant: 2600, pumpStatus: false })));
+    events.push(...await engine.evaluateCollection(site, point(20, { saltInstant: 2600 })));
+    events.push(...await engine.evaluateCollection(site, point(25, { saltInstant: 2600 })));
+
+    expect(events).toEqual([]);
+    expect(engine.getRules().find(rule => rule.id === 'salt-level').states).toEqual([
+      { site: 'default', status: 'pending', value: 2600, since: at(20) }
+    ]);
+  });
+
+  it('checks home readings once each, whichever site collected', async () => {
+    const engine = new AlertEngine({ rules: [{ id: 'home-humidity', forMinutes: 0 }] });
+    influxDBClient.queryHomeEnvironmentData.mockResolvedValue([
+      { timestamp: at(-5), temperature: 72, humidity: 58 },
+      { timestamp: at(0), temperature: 72, humidity: 64 }
+    ]);
+
+    const first = await engine.evaluateCollection(site, point(0));
+    const second = await engine.evaluateCollection({ id: 'spa' }, point(0));
+
+    expect(first).toEqual([expect.objectContaining({ ruleId: 'home-humidity', site: null, state: 'open', direction: 'high', value: 64 })]);
+    expect(second).toEqual([]);
+    expect(await engine.getOpenAlerts('default')).toEqual([expect.objectContaining({ ruleId: 'home-humidity', site: null })]);
+  });
+
+  it('reminds about an open alert every ALERT_REPEAT_HOURS until it is acknowledged', async () => {
+    const notify = jest.spyOn(notifier, 'notifyMetricAlert').mockResolvedValue([]);
+    const engine = new AlertEngine({ rules: [{ id: 'cell-voltage', forMinutes: 0 }] });
+
+    for (const minutes of [0, 60, 120, 180, 240, 300]) {
+      await engine.evaluateCollection(site, point(minutes, { cellVoltage: 16 }));
+    }
+    const [[opened]] = notify.mock.calls;
+    await alertSilencer.acknowledge(opened.id);
+    for (const minutes of [480, 540]) {
+      await engine.evaluateCollection(site, point(minutes, { cellVoltage: 16 }));
+    }
+
+    expect(notify.mock.calls).toEqual([
+      [expect.objectContaining({ state: 'open', timestamp: at(0) }), 'Cell voltage'],
+      [expect.objectContaining({ id: opened.id, state: 'open', timestamp: at(240), message: 'Cell voltage is 16 V, below the 18 V minimum' }), 'Cell voltage', { reminder: true }]
+    ]);
+    expect(await engine.getOpenAlerts('default')).toEqual([expect.objectContaining({ id: opened.id, acknowledged: true })]);
+    jest.restoreAllMocks();
+  });
+
+  it('picks up alerts left open before a restart once InfluxDB is connected', async () => {
+    influxDBService.queryAlertEvents.mockResolvedValue([{
+      id: 'water-temperature-default-1',
+      ruleId: 'water-temperature',
+      site: 'default',
+      state: 'open',
+      direction: 'high',
+      value: 93,
+      startedAt: at(-60),
+      timestamp: at(-45)
+    }]);
+    const engine = new AlertEngine({ rules: [] });
+
+    // Collected before the connection is up: nothing is loaded yet and 93°F only starts a breach
+    expect(await engine.evaluateCollection(site, point(-5, { waterTemp: 93 }))).toEqual([]);
+    expect(influxDBService.queryAlertEvents).not.toHaveBeenCalled();
+
+    influxDBService.isConnected = true;
+    expect(await engine.evaluateCollection(site, point(0, { waterTemp: 90.5 }))).toEqual([]);
+    expect(await engine.evaluateCollection(site, point(5, { waterTemp: 88.5 }))).toEqual([
+      expect.objectContaining({ id: 'water-temperature-default-1', state: 'resolved', startedAt: at(-60) })
+    ]);
+    expect(influxDBService.queryAlertEvents).toHaveBeenCalledTimes(1);
+  });
+
+  it('opens the collection-stopped alert once pool data is older than STALE_POOL_MINUTES and resolves it when data is back', async () => {
+    const engine = new AlertEngine({ rules: [] });
+
+    expect(await engine.evaluateWatchdog(site, 20, new Date(at(0)))).toEqual([]);
+    expect(await engine.evaluateWatchdog(site, null, new Date(at(10)))).toEqual([]);
+    expect(await engine.evaluateWatchdog(site, 40, new Date(at(20)))).toEqual([
+      expect.objectContaining({
+        ruleId: 'collection-stopped',
+        metric: 'collectionAge',
+        state: 'open',
+        severity: 'critical',
+        message: 'Pool data age is 40 min, above the 30 min maximum'
+      })
+    ]);
+    expect(await engine.evaluateWatchdog(site, 5, new Date(at(30)))).toEqual([
+      expect.objectContaining({ ruleId: 'collection-stopped', state: 'resolved', message: 'Pool data age is back to 5 min' })
+    ]);
+  });
+});
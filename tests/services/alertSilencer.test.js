@@ -0,0 +1,137 @@
+/**
+ * Alert Silencer Tests
+ * Tests for acknowledgements, snoozes and quiet hours and restoring them from InfluxDB
+ */
+
+jest.mock('../../src/services/influxDBService', () => ({
+  influxDBService: {
+    isConnected: true,
+    storeAlertAction: jest.fn(),
+    queryAlertActions: jest.fn()
+  }
+}));
+
+const { influxDBService } = require('../../src/services/influxDBService');
+const { AlertSilencer } = require('../../src/services/alertSilencer');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Local time, as quiet hours are
+const at = (hour, minute = 0) => new Date(2026, 9, 20, hour, minute);
+
+// Stored actions, filtered the way queryAlertActions filters them
+const stored = (actions) => {
+  influxDBService.queryAlertActions.mockImplementation(async (startTime, endTime, names) => actions.filter(action =>
+    (!names || names.includes(action.action)) && (!startTime || new Date(action.timestamp) >= startTime)
+  ));
+};
+
+describe('AlertSilencer', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    influxDBService.isConnected = true;
+    influxDBService.queryAlertActions.mockResolvedValue([]);
+    influxDBService.storeAlertAction.mockResolvedValue(true);
+  });
+
+  it('lets only critical notifications through during quiet hours past midnight', () => {
+    const silencer = new AlertSilencer({ quietHours: { start: 22 * 60, end: 7 * 60 }, repeatHours: 4 });
+
+    expect(silencer.isQuietTime(at(23, 30))).toBe(true);
+    expect(silencer.isQuietTime(at(6, 59))).toBe(true);
+    expect(silencer.isQuietTime(at(7))).toBe(false);
+    expect(silencer.check({ event: 'metric-alert', severity: 'warning' }, at(2))).toBe('quiet hours');
+    expect(silencer.check({ event: 'weather-alert', severity: 'critical' }, at(2))).toBeNull();
+    expect(silencer.check({ event: 'metric-alert', severity: 'warning' }, at(12))).toBeNull();
+  });
+
+  it('holds back a snoozed rule or event until the snooze ends, and stores the snooze', async () => {
+    const silencer = new AlertSilencer({ quietHours: null, repeatHours: 4 });
+
+    const snooze = await silencer.snooze('salt-level', 4, { note: 'Adding salt', now: at(9) });
+
+    expect(snooze).toEqual({ target: 'salt-level', until: at(13).toISOString(), snoozedAt: at(9).toISOString(), note: 'Adding salt' });
+    expect(influxDBService.storeAlertAction).toHaveBeenCalledWith({
+      action: 'snooze', target: 'salt-level', until: at(13).toISOString(), note: 'Adding salt', timestamp: at(9).toISOString()
+    });
+    expect(silencer.check({ event: 'metric-alert', ruleId: 'salt-level', severity: 'critical' }, at(12)))
+      .toBe(`salt-level snoozed until ${at(13).toISOString()}`);
+    expect(silencer.check({ event: 'metric-alert', ruleId: 'cell-voltage', severity: 'warning' }, at(12))).toBeNull();
+    expect(silencer.check({ event: 'metric-alert', ruleId: 'salt-level', severity: 'warning' }, at(13))).toBeNull();
+
+    await silencer.snooze('weather-alert', 2, { now: at(9) });
+    expect(await silencer.unsnooze('weather-alert', { now: at(10) })).toBe(true);
+    expect(await silencer.unsnooze('weather-alert', { now: at(10) })).toBe(false);
+    expect(silencer.check({ event: 'weather-alert', severity: 'warning' }, at(10))).toBeNull();
+  });
+
+  it('stops reminders for an acknowledged alert and keeps acknowledgements after a restart', async () => {
+    const silencer = new AlertSilencer({ quietHours: null, repeatHours: 4 });
+    const openedAt = at(8).getTime();
+
+    expect(silencer.isReminderDue('salt-level-default-1', openedAt, at(11))).toBe(false);
+    expect(silencer.isReminderDue('salt-level-default-1', openedAt, at(12))).toBe(true);
+
+    await silencer.acknowledge('salt-level-default-1', { now: at(12) });
+    expect(silencer.isReminderDue('salt-level-default-1', openedAt, at(16))).toBe(false);
+    expect(new AlertSilencer({ quietHours: null, repeatHours: 0 }).isReminderDue('nws-1', openedAt, at(20))).toBe(false);
+
+    influxDBService.queryAlertActions.mockClear();
+    stored(influxDBService.storeAlertAction.mock.calls.map(([action]) => action));
+    const restarted = new AlertSilencer({ quietHours: { start: 22 * 60, end: 7 * 60 }, repeatHours: 4 });
+    const status = await restarted.getStatus(at(23));
+
+    expect(status).toEqual({
+      quietHours: { start: '22:00', end: '07:00', active: true },
+      repeatHours: 4,
+      snoozes: [],
+      acknowledged: [{ alertId: 'salt-level-default-1', acknowledgedAt: at(12).toISOString(), note: null }]
+    });
+    expect(restarted.isAcknowledged('salt-level-default-1')).toBe(true);
+    expect(influxDBService.queryAlertActions).toHaveBeenCalledTimes(2);
+    expect(influxDBService.queryAlertActions).toHaveBeenCalledWith(null, expect.any(Date), ['acknowledge', 'quiet-hours']);
+    const [since, until, names] = influxDBService.queryAlertActions.mock.calls[1];
+    expect(names).toEqual(['snooze', 'unsnooze']);
+    expect(since.getTime()).toBe(until.getTime() - 168 * HOUR_MS);
+  });
+
+  it('keeps quiet hours and acknowledgements older than the snooze window after a restart', async () => {
+    const monthAgo = new Date(at(9).getTime() - 30 * 24 * HOUR_MS).toISOString();
+    stored([
+      { action: 'quiet-hours', target: '21:00-06:00', until: null, note: null, timestamp: monthAgo },
+      { action: 'acknowledge', target: 'salt-level-default-1', until: null, note: null, timestamp: monthAgo },
+      { action: 'snooze', target: 'salt-level', until: at(20).toISOString(), note: null, timestamp: monthAgo }
+    ]);
+    const silencer = new AlertSilencer({ quietHours: null, repeatHours: 4 });
+
+    const status = await silencer.getStatus(at(9));
+
+    expect(status.quietHours).toEqual({ start: '21:00', end: '06:00', active: false });
+    expect(status.acknowledged.map(entry => entry.alertId)).toEqual(['salt-level-default-1']);
+    expect(status.snoozes).toEqual([]);
+  });
+
+  it('loads stored actions once InfluxDB connects, keeping quiet hours and acknowledgements made before', async () => {
+    influxDBService.isConnected = false;
+    stored([
+      { action: 'acknowledge', target: 'salt-level-default-1', until: null, note: null, timestamp: at(8).toISOString() },
+      { action: 'quiet-hours', target: '21:00-06:00', until: null, note: null, timestamp: at(8).toISOString() }
+    ]);
+    const silencer = new AlertSilencer({ quietHours: null, repeatHours: 4 });
+
+    expect(await silencer.setQuietHours('22:00-07:00', { now: at(9) })).toEqual({ start: '22:00', end: '07:00', active: false });
+    await silencer.acknowledge('nws-1', { now: at(9) });
+    expect(influxDBService.queryAlertActions).not.toHaveBeenCalled();
+
+    influxDBService.isConnected = true;
+    const status = await silencer.getStatus(at(23));
+
+    expect(status.quietHours).toEqual({ start: '22:00', end: '07:00', active: true });
+    expect(status.acknowledged.map(entry => entry.alertId)).toEqual(['nws-1', 'salt-level-default-1']);
+    expect(influxDBService.storeAlertAction).toHaveBeenCalledWith(expect.objectContaining({ action: 'quiet-hours', target: '22:00-07:00' }));
+
+    await silencer.setQuietHours(null, { now: at(23) });
+    expect(silencer.isQuietTime(at(23))).toBe(false);
+    expect(influxDBService.queryAlertActions).toHaveBeenCalledTimes(2);
+  });
+});
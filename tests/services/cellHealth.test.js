@@ -0,0 +1,80 @@
+/**
+ * Cell Health Tests
+ * Tests for salt cell scaling and wear worked out from normalized cell resistance
+ */
+
+jest.mock('../../src/services/influxDBService');
+jest.mock('../../src/domains/monitoring');
+
+const { influxDBService } = require('../../src/services/influxDBService');
+const { CellHealth, normalizedResistance, analyzeResistance } = require('../../src/services/cellHealth');
+const { FIVE_MINUTES, HOUR_MS, at, readingsBetween } = require('../fixtures/readings');
+
+// Hourly readings from October 1st, one day per resistance (5 A at the target salt level and 77°F)
+const readings = resistances => resistances.flatMap((resistance, day) =>
+  readingsBetween(at(day + 1), at(day + 2), HOUR_MS, {
+    pumpStatus: true,
+    cellVoltage: resistance * 5,
+    cellCurrent: 5,
+    saltInstant: 3200,
+    cellTemp: 77
+  }));
+
+const dates = count => Array.from({ length: count }, (_, i) => `2026-10-${String(i + 1).padStart(2, '0')}`);
+
+describe('normalizedResistance', () => {
+  it('normalizes voltage over current to the target salt level and 77°F', () => {
+    expect(normalizedResistance({ pumpStatus: true, cellVoltage: 23, cellCurrent: 5, saltInstant: 3600, cellTemp: 86 }))
+      .toBeCloseTo(4.6 * 1.125 * 1.099, 6);
+    expect(normalizedResistance({ pumpStatus: false, cellVoltage: 23, cellCurrent: 5, saltInstant: 3200, cellTemp: 77 })).toBeNull();
+    expect(normalizedResistance({ pumpStatus: true, cellVoltage: 23, cellCurrent: 0, saltInstant: 3200, cellTemp: 77 })).toBeNull();
+  });
+});
+
+describe('analyzeResistance', () => {
+  it('finds the last cleaning and the wear a cleaning no longer removes', () => {
+    const days = [4.0, 4.2, 4.8, 5.6, 6.4, 5.1, 5.1, 5.15].map((resistance, i) => ({ date: dates(8)[i], resistance }));
+
+    expect(analyzeResistance(days)).toEqual({
+      current: 5.1,
+      baseline: 5.1,
+      lowest: 4,
+      increasePercent: 0,
+      wearPercent: 27.5,
+      lastCleanedDate: '2026-10-06'
+    });
+  });
+});
+
+describe('CellHealth', () => {
+  const site = { id: 'default', saltTargetPpm: 3200 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('recommends cleaning a scaling cell', async () => {
+    const health = new CellHealth({ expectedIntervalMs: FIVE_MINUTES, installDate: null, ratedLifeHours: 10000 });
+    // Resistance rising 2% a day for 15 days
+    influxDBService.queryDataPoints.mockResolvedValue(readings(Array.from({ length: 15 }, (_, day) => 4.6 * (1 + 0.02 * day))));
+    influxDBService.countReadingsAbove.mockResolvedValue(1200);
+
+    const result = await health.getHealth(site, { days: 30, now: at(16) });
+
+    expect(influxDBService.countReadingsAbove).toHaveBeenCalledWith('cell_current', 0, new Date(0), at(16), 'default');
+    expect(result).toEqual(expect.objectContaining({ score: 73, status: 'clean', operatingHours: 100, lifeUsedPercent: 1 }));
+    expect(result.resistance.increasePercent).toBe(26);
+    expect(result.recommendations.map(recommendation => recommendation.type)).toEqual(['clean_cell']);
+  });
+
+  it('flags a cell nearing the end of its rated life', async () => {
+    const health = new CellHealth({ expectedIntervalMs: FIVE_MINUTES, installDate: new Date(2026, 0, 1), ratedLifeHours: 100 });
+    influxDBService.queryDataPoints.mockResolvedValue(readings([4.6, 4.6, 4.6]));
+    influxDBService.countReadingsAbove.mockResolvedValue(1140);
+
+    const result = await health.getHealth(site, { days: 30, now: at(4) });
+
+    expect(result).toEqual(expect.objectContaining({ status: 'replace', operatingHours: 95, lifeUsedPercent: 95, score: 43 }));
+    expect(result.recommendations[0]).toEqual(expect.objectContaining({ type: 'end_of_life' }));
+  });
+});
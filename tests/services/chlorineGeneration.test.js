@@ -0,0 +1,85 @@
+/**
+ * Chlorine Generation Tests
+ * Tests for estimating the chlorine a salt cell produces against the pool's demand
+ */
+
+jest.mock('../../src/services/influxDBService');
+jest.mock('../../src/domains/monitoring');
+
+const { influxDBService } = require('../../src/services/influxDBService');
+const {
+  ChlorineGeneration,
+  ratedPoundsPerDay,
+  chlorineDemand,
+  estimateRate
+} = require('../../src/services/chlorineGeneration');
+const { FIVE_MINUTES, at, readingsBetween } = require('../fixtures/readings');
+
+// A day of readings every 5 minutes with the pump running from 8:00 to 16:00
+const pumpDay = (day, fields = {}) => readingsBetween(at(day), at(day + 1), FIVE_MINUTES, time => {
+  const hour = new Date(time).getHours();
+  return { pumpStatus: hour >= 8 && hour < 16, waterTemp: 84, cellCurrent: 4.9, ...fields };
+});
+
+describe('cell ratings and demand', () => {
+  it('reads the cell rating from the reported type and the demand from water temperature', () => {
+    expect(ratedPoundsPerDay('T-15')).toBe(1.47);
+    expect(ratedPoundsPerDay('T-CELL-9')).toBe(0.95);
+    expect(ratedPoundsPerDay('Unknown')).toBeNull();
+    expect(chlorineDemand(65)).toBe(1);
+    expect(chlorineDemand(88)).toBe(3);
+    expect(chlorineDemand(null)).toBeNull();
+  });
+
+  it('only generates while the pump runs and the cell draws current', () => {
+    const options = { rating: 1.47, outputPercent: 50 };
+
+    expect(estimateRate({ pumpStatus: true, cellCurrent: 5 }, options)).toBe(0.735);
+    expect(estimateRate({ pumpStatus: true, cellCurrent: 5, chlorinatorOutput: 100 }, options)).toBe(1.47);
+    expect(estimateRate({ pumpStatus: true, cellCurrent: 0 }, options)).toBe(0);
+    expect(estimateRate({ pumpStatus: false }, options)).toBe(0);
+    expect(estimateRate({ pumpStatus: true }, { rating: 1.47 })).toBeNull();
+  });
+});
+
+describe('ChlorineGeneration', () => {
+  const site = { id: 'default', volumeGallons: 15000 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('estimates daily generation and flags a day that falls short of demand', async () => {
+    const generation = new ChlorineGeneration({ expectedIntervalMs: FIVE_MINUTES, cellType: null, outputPercent: 50 });
+    influxDBService.queryDataPoints.mockResolvedValue([...pumpDay(18, { chlorinatorOutput: 60 }), ...pumpDay(19)]);
+
+    const result = await generation.getGeneration(site, { days: 2, now: at(19, 23, 59), cellType: 'T-15' });
+
+    expect(result.cell).toEqual({ type: 'T-15', ratedPoundsPerDay: 1.47, outputPercent: 50 });
+    expect(result.days[0]).toEqual({
+      date: '2026-10-18',
+      pumpHours: 8,
+      averageOutput: 60,
+      averageCurrent: 4.9,
+      poundsProduced: 0.29,
+      ppmProduced: 2.35,
+      waterTemp: 84,
+      demandPpm: 2,
+      low: false,
+      knownHours: 24
+    });
+    // 50% output for 8 hours: 0.245 lb, about 1.96 ppm against 2 ppm used at 84°F
+    expect(result.days[1]).toEqual(expect.objectContaining({ poundsProduced: 0.25, ppmProduced: 1.96, low: true }));
+    expect(result.summary.lowDays).toEqual(['2026-10-19']);
+  });
+
+  it('leaves the estimate empty without an output percentage', async () => {
+    const generation = new ChlorineGeneration({ expectedIntervalMs: FIVE_MINUTES, cellType: 'T-15', outputPercent: null });
+    influxDBService.queryDataPoints.mockResolvedValue(pumpDay(19));
+
+    const result = await generation.getGeneration(site, { days: 1, now: at(19, 23, 59) });
+
+    expect(result.days[0]).toEqual(expect.objectContaining({ pumpHours: 8, poundsProduced: null, low: null }));
+    expect(result.summary).toEqual({ averagePoundsPerDay: null, lowDays: [] });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Collection Pipeline Tests
+ * Tests for the shared collection pipeline behind the v1 and v2 collect endpoints
+ *
+ * Runs under node because jsdom resolves cheerio to its ES module browser build
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../../src/services/sessionManager', () => ({
+  getPersistentSession: jest.fn()
+}));
+jest.mock('../../src/services/weatherService', () => ({
+  getCurrentWeather: jest.fn()
+}));
+jest.mock('../../src/services/influxDBService', () => ({
+  influxDBService: {
+    isConnected: false,
+    storeDataPoint: jest.fn().mockResolvedValue(false),
+    storeCollectionRun: jest.fn().mockResolvedValue(false),
+    storeAnnotation: jest.fn().mockResolvedValue(false),
+    storeAlertEvent: jest.fn().mockResolvedValue(false),
+    queryAlertEvents: jest.fn().mockResolvedValue([]),
+    queryAlertActions: jest.fn().mockResolvedValue([])
+  }
+}));
+jest.mock('../../src/domains/monitoring', () => ({
+  timeSeriesService: { addDataPoint: jest.fn().mockResolvedValue(true) },
+  influxDBClient: {
+    storeDataPoint: jest.fn().mockResolvedValue(true),
+    queryHomeEnvironmentData: jest.fn().mockResolvedValue([])
+  }
+}));
+jest.mock('../../src/services/pumpStateTracker', () => ({
+  checkStateChange: jest.fn().mockResolvedValue(false)
+}));
+jest.mock('../../src/domains/pool/services/omnilogic-collector', () => ({
+  OmniLogicDataCollector: jest.fn()
+}));
+
+const sessionManager = require('../../src/services/sessionManager');
+const weatherService = require('../../src/services/weatherService');
+const pumpStateTracker = require('../../src/services/pumpStateTracker');
+const collectionRunLedger = require('../../src/services/collectionRunLedger');
+const { timeSeriesService, influxDBClient } = require('../../src/domains/monitoring');
+const { OmniLogicDataCollector } = require('../../src/domains/pool/services/omnilogic-collector');
+const { PoolData } = require('../../src/domains/pool/entities/pool-data');
+const { siteRegistry } = require('../../src/config/sites');
+const { haywardBreakers } = require('../../src/services/haywardResilience');
+const {
+  CollectionPipeline,
+  collectionPipeline,
+  getMostRecentPoolData,
+  setMostRecentPoolData
+} = require('../../src/services/collectionPipeline');
+
+const FIXTURE_DIR = path.join(__dirname, '../fixtures/hayward');
+const fixture = page => fs.readFileSync(path.join(FIXTURE_DIR, `${page}.html`), 'utf8');
+
+// Hayward page each URL serves
+const PAGES = {
+  Dashboard: 'dashboard',
+  Filter_Setting: 'filter',
+  Heater_Setting: 'heater',
+  Chlorinator_Setting: 'chlorinator',
+  Light_Setting: 'lights',
+  Bow_Schedule_List: 'schedules'
+};
+
+const fakeSession = (overrides = {}) => ({
+  ensureAuthenticated: jest.fn().mockResolvedValue({ success: true, reused: true }),
+  makeRequest: jest.fn(async (url) => {
+    const [, page] = Object.entries(PAGES).find(([name]) => url.includes(name));
+    return { data: fixture(page) };
+  }),
+  ...overrides
+});
+
+describe('CollectionPipeline', () => {
+  let site;
+  let session;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    collectionRunLedger.reset();
+    haywardBreakers.requests.reset();
+    setMostRecentPoolData(null);
+    site = siteRegistry.getDefaultSite();
+    session = fakeSession();
+    sessionManager.getPersistentSession.mockResolvedValue(session);
+    weatherService.getCurrentWeather.mockResolvedValue({ temperature: 76, humidity: 65, source: 'OpenMeteo' });
+    jest.spyOn(siteRegistry, 'getCredentials').mockReturnValue({ username: 'owner@example.com', password: 'secret-password' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('fetches, parses, enriches, stores and post-processes a scraped collection', async () => {
+    const result = await collectionPipeline.collect(site, { trigger: 'collect-data', backend: 'scrape' });
+
+    expect(result.success).toBe(true);
+    expect(result.poolData).toBeInstanceOf(PoolData);
+    expect(result.poolData.system.source).toBe('html-scrape');
+    expect(result.timeSeriesPoint).toEqual(expect.objectContaining({
+      site: site.id,
+      waterTemp: 84,
+      saltInstant: 2838,
+      cellVoltage: 23.33,
+      pumpStatus: true,
+      weatherTemp: 76
+    }));
+    expect(influxDBClient.storeDataPoint).toHaveBeenCalledWith(result.timeSeriesPoint);
+    expect(timeSeriesService.addDataPoint).toHaveBeenCalledWith(result.timeSeriesPoint);
+    expect(result.storage).toEqual({ memory: true, influxdb: true });
+    expect(getMostRecentPoolData(site.id)).toBe(result.poolData);
+
+    expect(pumpStateTracker.checkStateChange).toHaveBeenCalledWith(true, result.poolData.timestamp, site.id);
+    expect(result.postProcess['parser-health']).toEqual(expect.objectContaining({ healthy: true }));
+    // First collection for the site: every watched value is its initial state
+    expect(result.postProcess['equipment-state']).toEqual([]);
+    expect(result.postProcess['metric-alerts']).toEqual([]);
+
+    const [run] = await collectionRunLedger.getRuns({ hours: 1 });
+    expect(run).toEqual(expect.objectContaining({ id: result.runId, status: 'success', source: 'html-scrape' }));
+    expect(Object.keys(run.endpoints).sort()).toEqual(
+      ['chlorinator', 'dashboard', 'filter', 'heater', 'lights', 'login', 'schedules', 'weather']
+    );
+  });
+
+  it('keeps collecting when a page or the weather fails', async () => {
+    const makeRequest = session.makeRequest.getMockImplementation();
+    session.makeRequest.mockImplementation(url => (
+      url.includes('Heater_Setting') ? Promise.reject(new Error('Request timed out after 10000ms')) : makeRequest(url)
+    ));
+    weatherService.getCurrentWeather.mockRejectedValue(new Error('Weather unavailable'));
+
+    const result = await collectionPipeline.collect(site, { backend: 'scrape' });
+
+    expect(result.success).toBe(true);
+    expect(result.poolData.heater).toEqual({ error: 'Request timed out after 10000ms' });
+    expect(result.poolData.weather).toEqual({ error: 'Weather unavailable' });
+    const [run] = await collectionRunLedger.getRuns({ hours: 1 });
+    expect(run.status).toBe('partial');
+  });
+
+  it('fails the collection when no page could be fetched', async () => {
+    session.makeRequest.mockRejectedValue(new Error('socket hang up'));
+
+    const result = await collectionPipeline.collect(site, { backend: 'scrape' });
+
+    expect(result).toEqual(expect.objectContaining({
+      success: false,
+      error: 'Data collection failed',
+      message: 'No pool pages could be fetched: socket hang up'
+    }));
+    expect(influxDBClient.storeDataPoint).not.toHaveBeenCalled();
+  });
+
+  it('reports missing credentials, rejected logins and open circuits', async () => {
+    siteRegistry.getCredentials.mockReturnValueOnce(null);
+    await expect(collectionPipeline.collect(site)).resolves.toEqual(expect.objectContaining({ error: 'Configuration error' }));
+
+    session.ensureAuthenticated.mockResolvedValueOnce({ success: false, message: 'Invalid credentials' });
+    await expect(collectionPipeline.collect(site, { backend: 'scrape' })).resolves.toEqual(expect.objectContaining({
+      error: 'Authentication failed',
+      message: 'Invalid credentials'
+    }));
+
+    session.ensureAuthenticated.mockResolvedValueOnce({ success: false, message: 'Hayward logins paused', circuitOpen: true });
+    await expect(collectionPipeline.collect(site, { backend: 'scrape' })).resolves.toEqual(expect.objectContaining({ error: 'Circuit open' }));
+  });
+
+  it('reads the OmniLogic API and falls back to scraping when it fails', async () => {
+    const collector = {
+      fetchTelemetry: jest.fn().mockResolvedValue({ mspSystemId: '1', telemetry: '<STATUS/>' }),
+      parseTelemetry: jest.fn(() => new PoolData({ system: { source: 'omnilogic-api' }, filter: { status: false } })),
+      cleanup: jest.fn()
+    };
+    OmniLogicDataCollector.mockImplementation(() => collector);
+
+    const api = await collectionPipeline.collect(site, { backend: 'xml' });
+
+    expect(api.poolData.system.source).toBe('omnilogic-api');
+    expect(api.postProcess['parser-health']).toBeNull();
+    expect(session.makeRequest).not.toHaveBeenCalled();
+
+    collector.fetchTelemetry.mockRejectedValue(new Error('OmniLogic GetTelemetryData failed with HTTP 500'));
+    const fallback = await collectionPipeline.collect(site, { backend: 'xml' });
+
+    expect(fallback.poolData.system.source).toBe('html-scrape');
+    const [run] = await collectionRunLedger.getRuns({ hours: 1 });
+    expect(run.source).toBe('html-scrape');
+    expect(run.endpoints.telemetry.status).toBe('error');
+  });
+
+  it('runs replaced stages and added hooks, logging hook failures', async () => {
+    const pipeline = new CollectionPipeline({ postProcessors: {} })
+      .setStage('enrich', async (context) => {
+        context.poolData.weather = { temperature: 90 };
+      })
+      .addPostProcessor('broken', () => {
+        throw new Error('hook failed');
+      });
+
+    const context = await pipeline.run({ site, session, backend: 'scrape' });
+
+    expect(context.timeSeriesPoint.weatherTemp).toBe(90);
+    expect(context.postProcess).toEqual({ broken: { error: 'hook failed' } });
+    expect(weatherService.getCurrentWeather).not.toHaveBeenCalled();
+    expect(() => pipeline.setStage('transform', () => {})).toThrow('Unknown collection stage: transform');
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Collection Run Ledger Tests
+ * Tests for recording collection runs and their per-endpoint results
+ */
+
+jest.mock('../../src/services/influxDBService', () => ({
+  influxDBService: {
+    isConnected: false,
+    storeCollectionRun: jest.fn().mockResolvedValue(true),
+    queryCollectionRuns: jest.fn().mockResolvedValue([])
+  }
+}));
+
+const collectionRunLedger = require('../../src/services/collectionRunLedger');
+const { influxDBService } = require('../../src/services/influxDBService');
+const { ParseReport, CONFIDENCE } = require('../../src/domains/pool/parsers/parse-report');
+
+describe('CollectionRunLedger', () => {
+  beforeEach(() => {
+    collectionRunLedger.reset();
+    influxDBService.isConnected = false;
+    jest.clearAllMocks();
+  });
+
+  it('records per-endpoint outcomes, parse counts and errors', async () => {
+    const run = collectionRunLedger.start('pool', 'collect-all');
+    const report = new ParseReport();
+    report.record('filter.status', { value: true, selector: '#lblFilter', confidence: CONFIDENCE.HIGH });
+    report.record('filter.diagnostic', { value: null, selector: null, confidence: CONFIDENCE.NONE });
+
+    await run.track('filter', () => Promise.resolve('<html>'));
+    await expect(run.track('heater', () => Promise.reject(new Error('Request timed out after 10000ms')))).rejects.toThrow();
+    run.addParseReport(report);
+
+    const record = await collectionRunLedger.record(run, { success: true });
+
+    expect(record).toEqual(expect.objectContaining({
+      id: run.id,
+      site: 'pool',
+      trigger: 'collect-all',
+      status: 'partial',
+      success: true,
+      parsedFields: 1,
+      totalFields: 2,
+      errors: [{ endpoint: 'heater', message: 'Request timed out after 10000ms' }]
+    }));
+    expect(record.endpoints.filter).toEqual(expect.objectContaining({ status: 'ok', parsed: 1, total: 2 }));
+    expect(record.endpoints.heater.status).toBe('error');
+    expect(influxDBService.storeCollectionRun).toHaveBeenCalledWith(record);
+  });
+
+  it('marks runs without data as failed with the run error', async () => {
+    const run = collectionRunLedger.start('pool', 'collect-data');
+    run.recordEndpoint('login', { status: 'error', durationMs: 120, error: 'Invalid credentials' });
+
+    const record = await collectionRunLedger.record(run, { success: false, error: 'Authentication failed: Invalid credentials' });
+
+    expect(record.status).toBe('failed');
+    expect(record.errors).toEqual([
+      { endpoint: 'login', message: 'Invalid credentials' },
+      { endpoint: 'run', message: 'Authentication failed: Invalid credentials' }
+    ]);
+  });
+
+  it('keeps runs in memory when InfluxDB is not connected', async () => {
+    await collectionRunLedger.record(collectionRunLedger.start('pool', 'collect-all'), { success: true });
+    await collectionRunLedger.record(collectionRunLedger.start('spa', 'collect-all'), { success: false, error: 'down' });
+
+    const runs = await collectionRunLedger.getRuns({ hours: 1 });
+    const spaRuns = await collectionRunLedger.getRuns({ hours: 1, siteId: 'spa' });
+
+    expect(runs).toHaveLength(2);
+    expect(spaRuns.map(run => run.site)).toEqual(['spa']);
+    expect(influxDBService.queryCollectionRuns).not.toHaveBeenCalled();
+  });
+
+  it('reads runs from InfluxDB when connected, newest first', async () => {
+    influxDBService.isConnected = true;
+    influxDBService.queryCollectionRuns.mockResolvedValue([
+      { id: 'a', timestamp: '2026-10-19T10:00:00.000Z', success: true },
+      { id: 'b', timestamp: '2026-10-19T10:05:00.000Z', success: false }
+    ]);
+
+    const runs = await collectionRunLedger.getRuns({ hours: 24, siteId: 'pool' });
+
+    expect(runs.map(run => run.id)).toEqual(['b', 'a']);
+    expect(influxDBService.queryCollectionRuns).toHaveBeenCalledWith(expect.any(Date), expect.any(Date), 'pool');
+  });
+
+  it('summarizes success rates overall and per endpoint', () => {
+    const runs = [
+      {
+        id: 'c', timestamp: '2026-10-19T10:10:00.000Z', site: 'pool', status: 'failed', success: false, durationMs: 300,
+        endpoints: { login: { status: 'error' } }, errors: [{ endpoint: 'login', message: 'Invalid credentials' }]
+      },
+      {
+        id: 'b', timestamp: '2026-10-19T10:05:00.000Z', site: 'pool', status: 'partial', success: true, durationMs: 200,
+        endpoints: { filter: { status: 'ok' }, heater: { status: 'error' } }, errors: []
+      },
+      {
+        id: 'a', timestamp: '2026-10-19T10:00:00.000Z', site: 'pool', status: 'success', success: true, durationMs: 100,
+        endpoints: { filter: { status: 'ok' }, heater: { status: 'ok' } }, errors: []
+      }
+    ];
+
+    const summary = collectionRunLedger.summarize(runs);
+
+    expect(summary).toEqual(expect.objectContaining({
+      total: 3,
+      succeeded: 2,
+      partial: 1,
+      failed: 1,
+      successRate: 66.7,
+      averageDurationMs: 200
+    }));
+    expect(summary.endpoints.heater).toEqual({ ok: 1, error: 1, successRate: 50 });
+    expect(summary.lastFailure.id).toBe('c');
+  });
+
+  it('summarizes an empty history', () => {
+    expect(collectionRunLedger.summarize([])).toEqual(expect.objectContaining({
+      total: 0,
+      successRate: null,
+      averageDurationMs: null,
+      lastFailure: null
+    }));
+  });
+});
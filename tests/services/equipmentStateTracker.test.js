@@ -0,0 +1,107 @@
+/**
+ * Equipment State Tracker Tests
+ * Tests for tracking equipment changes and restoring the last state from InfluxDB
+ */
+
+jest.mock('../../src/services/influxDBService', () => ({
+  influxDBService: {
+    isConnected: true,
+    queryLastValue: jest.fn(),
+    queryLastAnnotation: jest.fn(),
+    storeAnnotation: jest.fn()
+  }
+}));
+
+const { influxDBService } = require('../../src/services/influxDBService');
+const { EquipmentStateTracker, diffSchedules } = require('../../src/services/equipmentStateTracker');
+
+const poolData = ({ heater = {}, schedules = [], target = 82 } = {}) => ({
+  dashboard: { temperature: { target, actual: 80 } },
+  filter: { status: true },
+  heater: { enabled: true, status: 'heat', temperature: { current: 84 }, ...heater },
+  chlorinator: { enabled: true, status: 'generating' },
+  lights: { enabled: false, status: null, brightness: null },
+  schedules
+});
+
+const schedule = (id, name, startTime) => ({ id, name, startTime, endTime: '12:00', setting: '75%', repeat: 'Daily', status: 'on' });
+
+describe('EquipmentStateTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    influxDBService.queryLastValue.mockResolvedValue(null);
+    influxDBService.queryLastAnnotation.mockResolvedValue(null);
+    influxDBService.storeAnnotation.mockResolvedValue(true);
+    tracker = new EquipmentStateTracker({ enabled: ['heater', 'chlorinator', 'lights', 'schedules', 'setpoints'] });
+  });
+
+  it('annotates heater and setpoint changes with before and after values', async () => {
+    await expect(tracker.check(poolData(), '2026-10-19T10:00:00.000Z', 'default')).resolves.toEqual([]);
+
+    const transitions = await tracker.check(
+      poolData({ heater: { enabled: false, status: null }, target: 78 }),
+      '2026-10-19T10:05:00.000Z',
+      'default'
+    );
+
+    expect(transitions.map(transition => transition.category)).toEqual(['heater_state_change', 'setpoint_change']);
+    expect(influxDBService.storeAnnotation).toHaveBeenCalledWith(expect.objectContaining({
+      timestamp: '2026-10-19T10:05:00.000Z',
+      site: 'default',
+      category: 'heater_state_change',
+      description: 'Heater enabled true → false, status heat → unknown',
+      metadata: expect.objectContaining({
+        watcher: 'heater',
+        before: { enabled: true, status: 'heat' },
+        after: { enabled: false, status: null }
+      })
+    }));
+    expect(influxDBService.storeAnnotation).toHaveBeenCalledWith(expect.objectContaining({
+      category: 'setpoint_change',
+      description: 'Setpoint targetTemp 82 → 78'
+    }));
+  });
+
+  it('restores from the last annotation and only runs enabled watchers', async () => {
+    tracker = new EquipmentStateTracker({ enabled: ['chlorinator'] });
+    influxDBService.queryLastAnnotation.mockResolvedValue({
+      timestamp: '2026-10-19T09:00:00Z',
+      category: 'chlorinator_state_change',
+      metadata: { after: { enabled: true, status: 'off' } }
+    });
+
+    const transitions = await tracker.check(poolData(), '2026-10-19T10:00:00.000Z', 'default');
+
+    expect(influxDBService.queryLastAnnotation).toHaveBeenCalledTimes(1);
+    expect(influxDBService.queryLastAnnotation).toHaveBeenCalledWith('chlorinator_state_change', new Date('2026-10-19T10:00:00.001Z'), 'default');
+    expect(transitions).toEqual([expect.objectContaining({
+      watcher: 'chlorinator',
+      before: { enabled: true, status: 'off' },
+      after: { enabled: true, status: 'generating' }
+    })]);
+  });
+
+  it('describes schedule list changes and ignores an empty list', async () => {
+    const morning = schedule('1', 'Morning', '08:00');
+    const evening = schedule('2', 'Evening', '18:00');
+
+    await tracker.check(poolData({ schedules: [morning, evening] }), '2026-10-19T10:00:00.000Z', 'default');
+    await expect(tracker.check(poolData(), '2026-10-19T10:05:00.000Z', 'default')).resolves.toEqual([]);
+
+    const transitions = await tracker.check(
+      poolData({ schedules: [{ ...morning, startTime: '07:00' }, schedule('3', 'Night', '22:00')] }),
+      '2026-10-19T10:10:00.000Z',
+      'default'
+    );
+
+    expect(transitions).toHaveLength(1);
+    expect(influxDBService.storeAnnotation).toHaveBeenCalledWith(expect.objectContaining({
+      category: 'schedule_change',
+      description: 'Schedules added Night; removed Evening; updated Morning',
+      metadata: expect.objectContaining({ added: ['Night'], removed: ['Evening'], updated: ['Morning'] })
+    }));
+    expect(diffSchedules([morning], [morning])).toEqual({ added: [], removed: [], updated: [] });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Forecast Warnings Tests
+ * Tests for freeze and heat wave warnings from the weather forecast
+ */
+
+jest.mock('../../src/services/influxDBService', () => ({
+  influxDBService: {
+    queryWeatherAlerts: jest.fn(),
+    storeWeatherAlert: jest.fn()
+  }
+}));
+jest.mock('../../src/services/weatherService', () => ({
+  getHourlyForecast: jest.fn()
+}));
+jest.mock('../../src/services/waterTempForecast', () => ({
+  waterTempForecast: { getForecast: jest.fn() }
+}));
+jest.mock('../../src/services/collectionPipeline', () => ({
+  getMostRecentPoolData: jest.fn()
+}));
+
+const { influxDBService } = require('../../src/services/influxDBService');
+const weatherService = require('../../src/services/weatherService');
+const { waterTempForecast } = require('../../src/services/waterTempForecast');
+const { getMostRecentPoolData } = require('../../src/services/collectionPipeline');
+const { ForecastWarnings } = require('../../src/services/forecastWarnings');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const at = (day, hour) => new Date(2026, 9, day, hour);
+
+// Hourly forecast from 18:00 on October 20th
+const hourly = (values, field) => values.map((value, i) => ({
+  timestamp: new Date(at(20, 18).getTime() + i * HOUR_MS).toISOString(),
+  [field]: value
+}));
+
+// A cold night: below 35°F from 21:00 to 5:00
+const coldNight = hourly([40, 38, 36, 34, 33, 32, 31, 31, 32, 33, 34, 35, 36, 37], 'temperature');
+
+// The filter pump runs from 23:00 to 1:00 every night
+const schedules = [{ name: 'Filter Pump', startTime: '11:00 PM', endTime: '01:00 AM', repeat: 'Daily', status: 'Enabled' }];
+
+describe('ForecastWarnings', () => {
+  const site = { id: 'default' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    weatherService.getHourlyForecast.mockResolvedValue(coldNight);
+    waterTempForecast.getForecast.mockResolvedValue({ forecast: [] });
+  });
+
+  it('warns about freezing air only while the pump is scheduled off', async () => {
+    const warnings = await new ForecastWarnings({ freezeTempF: 35, waterTempLimitF: 90 })
+      .check(site, { schedules, now: at(20, 18) });
+
+    expect(warnings).toEqual([
+      expect.objectContaining({
+        id: 'forecast-freeze-default-2026-10-20',
+        event: 'Pool Freeze Risk',
+        startTime: at(20, 21).toISOString(),
+        endTime: at(20, 23).toISOString(),
+        source: 'forecast',
+        site: 'default'
+      }),
+      expect.objectContaining({
+        id: 'forecast-freeze-default-2026-10-21',
+        startTime: at(21, 1).toISOString(),
+        endTime: at(21, 5).toISOString()
+      })
+    ]);
+    expect(warnings[1].description).toMatch(/fall to 31°F, below 35°F, while the filter pump is scheduled off/);
+  });
+
+  it('warns when the water temperature forecast passes the limit', async () => {
+    weatherService.getHourlyForecast.mockResolvedValue(hourly([80, 82], 'temperature'));
+    waterTempForecast.getForecast.mockResolvedValue({ forecast: hourly([89.4, 90.5, 91.2, 90.8, 89.9], 'waterTemp') });
+
+    const warnings = await new ForecastWarnings({ freezeTempF: 35, waterTempLimitF: 90 })
+      .check(site, { schedules, now: at(20, 18) });
+
+    expect(waterTempForecast.getForecast).toHaveBeenCalledWith(site, { hours: 48, now: at(20, 18) });
+    expect(warnings).toEqual([expect.objectContaining({
+      id: 'forecast-heat-default-2026-10-20',
+      event: 'Pool Water Too Warm',
+      startTime: at(20, 19).toISOString(),
+      endTime: at(20, 22).toISOString()
+    })]);
+    expect(warnings[0].description).toMatch(/91.2°F, above the 90°F limit/);
+  });
+
+  it('stores only the warnings not stored already', async () => {
+    getMostRecentPoolData.mockReturnValue({ schedules });
+    influxDBService.queryWeatherAlerts.mockResolvedValue([{ id: 'forecast-freeze-default-2026-10-20' }]);
+    influxDBService.storeWeatherAlert.mockResolvedValue(true);
+
+    const result = await new ForecastWarnings({ freezeTempF: 35, waterTempLimitF: 90 })
+      .checkAndStoreWarnings({ now: at(20, 18) });
+
+    expect(result).toEqual({ checked: true, found: 2, stored: 1 });
+    expect(influxDBService.storeWeatherAlert).toHaveBeenCalledTimes(1);
+    expect(influxDBService.storeWeatherAlert).toHaveBeenCalledWith(expect.objectContaining({ id: 'forecast-freeze-default-2026-10-21' }));
+  });
+});
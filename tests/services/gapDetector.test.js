@@ -0,0 +1,123 @@
+/**
+ * Gap Detector Tests
+ * Tests for finding missed collections and recording them as annotations
+ */
+
+jest.mock('../../src/services/influxDBService', () => ({
+  influxDBService: {
+    queryDataPoints: jest.fn(),
+    queryAnnotations: jest.fn(),
+    storeDataPoint: jest.fn(),
+    storeAnnotation: jest.fn(),
+    replayQueuedWrites: jest.fn()
+  }
+}));
+jest.mock('../../src/services/weatherService', () => ({
+  getHourlyWeather: jest.fn()
+}));
+jest.mock('../../src/domains/monitoring', () => ({
+  timeSeriesService: { getDataPoints: jest.fn() }
+}));
+
+const { influxDBService } = require('../../src/services/influxDBService');
+const weatherService = require('../../src/services/weatherService');
+const { timeSeriesService } = require('../../src/domains/monitoring');
+const { GapDetector, findGaps } = require('../../src/services/gapDetector');
+
+const FIVE_MINUTES = 5 * 60 * 1000;
+const NOW = new Date('2026-10-19T12:00:00.000Z');
+
+const collected = time => ({ timestamp: time, waterTemp: 82, saltInstant: 3000, pumpStatus: true });
+
+describe('findGaps', () => {
+  it('finds intervals longer than the cadence allows, ignoring weather-only points and jitter', () => {
+    const gaps = findGaps([
+      collected('2026-10-19T10:00:00.000Z'),
+      collected('2026-10-19T10:05:25.000Z'),
+      { timestamp: '2026-10-19T10:15:00.000Z', weatherTemp: 76 },
+      collected('2026-10-19T10:30:00.000Z'),
+      collected('2026-10-19T10:35:00.000Z')
+    ], FIVE_MINUTES);
+
+    expect(gaps).toEqual([{
+      start: '2026-10-19T10:05:25.000Z',
+      end: '2026-10-19T10:30:00.000Z',
+      durationMinutes: 25,
+      missedCollections: 4
+    }]);
+  });
+});
+
+describe('GapDetector', () => {
+  let detector;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    detector = new GapDetector({ expectedIntervalMs: FIVE_MINUTES });
+
+    influxDBService.replayQueuedWrites.mockResolvedValue({ replayed: 2, remaining: 0 });
+    influxDBService.queryDataPoints.mockResolvedValue([
+      collected('2026-10-19T09:00:00.000Z'),
+      collected('2026-10-19T11:05:00.000Z'),
+      collected('2026-10-19T11:10:00.000Z')
+    ]);
+    influxDBService.queryAnnotations.mockResolvedValue([]);
+    influxDBService.storeDataPoint.mockResolvedValue(true);
+    influxDBService.storeAnnotation.mockResolvedValue(true);
+    timeSeriesService.getDataPoints.mockReturnValue([
+      { ...collected(), timestamp: new Date('2026-10-19T09:30:00.000Z').getTime(), site: 'default' },
+      { ...collected(), timestamp: new Date('2026-10-19T11:05:00.000Z').getTime(), site: 'default' }
+    ]);
+    weatherService.getHourlyWeather.mockResolvedValue([
+      { timestamp: '2026-10-19T09:00:00.000Z', temperature: 74, humidity: 80 },
+      { timestamp: '2026-10-19T10:00:00.000Z', temperature: 77, humidity: 72 },
+      { timestamp: '2026-10-19T11:00:00.000Z', temperature: 79, humidity: 68 }
+    ]);
+  });
+
+  it('records a new gap and backfills it from memory and historical weather', async () => {
+    const result = await detector.backfill('default', { hours: 6, now: NOW });
+
+    expect(result.replayed).toBe(2);
+    expect(result.recorded).toEqual([expect.objectContaining({
+      start: '2026-10-19T09:00:00.000Z',
+      end: '2026-10-19T11:05:00.000Z',
+      missedCollections: 24,
+      backfilled: { memory: 1, weather: 2 }
+    })]);
+
+    expect(influxDBService.queryDataPoints).toHaveBeenCalledWith(new Date('2026-10-19T06:00:00.000Z'), NOW, 'default');
+    expect(influxDBService.storeDataPoint).toHaveBeenCalledWith(expect.objectContaining({
+      timestamp: '2026-10-19T09:30:00.000Z',
+      site: 'default',
+      waterTemp: 82
+    }));
+    expect(influxDBService.storeDataPoint).toHaveBeenCalledWith({
+      timestamp: '2026-10-19T10:00:00.000Z',
+      site: 'default',
+      weatherTemp: 77,
+      weatherHumidity: 72
+    });
+    expect(influxDBService.storeDataPoint).toHaveBeenCalledTimes(3);
+
+    expect(influxDBService.storeAnnotation).toHaveBeenCalledWith(expect.objectContaining({
+      site: 'default',
+      category: 'data_gap',
+      description: 'No pool data for 125 minutes (24 missed collections)',
+      metadata: expect.objectContaining({ gapStart: '2026-10-19T09:00:00.000Z', gapEnd: '2026-10-19T11:05:00.000Z' })
+    }));
+  });
+
+  it('leaves gaps that already have a data_gap annotation alone', async () => {
+    influxDBService.queryAnnotations.mockResolvedValue([
+      { category: 'data_gap', metadata: { gapStart: '2026-10-19T09:00:00.000Z' } }
+    ]);
+
+    const result = await detector.backfill('default', { hours: 6, now: NOW });
+
+    expect(result.gaps).toEqual([expect.objectContaining({ start: '2026-10-19T09:00:00.000Z', recorded: true })]);
+    expect(result.recorded).toEqual([]);
+    expect(influxDBService.storeAnnotation).not.toHaveBeenCalled();
+    expect(weatherService.getHourlyWeather).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Hayward Resilience Tests
+ * Tests for the shared circuit breakers and backoff around Hayward requests
+ *
+ * Runs under node because jsdom resolves cheerio to its ES module browser build
+ * @jest-environment node
+ */
+
+const HaywardSession = require('../../src/services/HaywardSession');
+const { PoolSession } = require('../../src/domains/pool/services/pool-session');
+const { CircuitOpenError } = require('../../src/utils/resilience');
+const {
+  haywardBreakers,
+  getRequestTimeout,
+  getBreakerStates,
+  resetBreakers
+} = require('../../src/services/haywardResilience');
+
+const openBreaker = (breaker) => {
+  for (let i = 0; i < breaker.failureThreshold; i++) {
+    breaker.recordFailure('Hayward unavailable');
+  }
+};
+
+describe('Hayward resilience', () => {
+  beforeEach(() => {
+    resetBreakers();
+  });
+
+  afterEach(() => {
+    resetBreakers();
+    jest.restoreAllMocks();
+  });
+
+  it('picks timeouts by endpoint', () => {
+    expect(getRequestTimeout('/Login.aspx')).toBe(20000);
+    expect(getRequestTimeout('/Module/UserManagement/Bow_Schedule_List.aspx?mspID=1')).toBe(15000);
+    expect(getRequestTimeout('https://haywardomnilogic.com/Module/UserManagement/Filter_Setting.aspx')).toBe(10000);
+  });
+
+  it('reports every breaker for /api/health', () => {
+    openBreaker(haywardBreakers.auth);
+
+    const states = getBreakerStates();
+
+    expect(Object.keys(states)).toEqual(['hayward-auth', 'hayward-requests']);
+    expect(states['hayward-auth'].state).toBe('open');
+    expect(states['hayward-requests'].state).toBe('closed');
+  });
+
+  it('skips HaywardSession logins while the auth breaker is open', async () => {
+    openBreaker(haywardBreakers.auth);
+    const session = new HaywardSession('resilience-test');
+    session.axiosInstance.get = jest.fn();
+
+    const result = await session.authenticate('owner@example.com', 'secret-password');
+
+    expect(result).toEqual(expect.objectContaining({ success: false, circuitOpen: true }));
+    expect(session.axiosInstance.get).not.toHaveBeenCalled();
+  });
+
+  it('counts rejected HaywardSession logins toward the auth breaker', async () => {
+    const session = new HaywardSession('resilience-test');
+    const loginForm = '<input name="txtLoginName"><input type="password" name="txtPassword">';
+    session.axiosInstance.get = jest.fn().mockResolvedValue({ data: loginForm });
+    session.axiosInstance.post = jest.fn().mockResolvedValue({ data: loginForm });
+
+    for (let i = 0; i < 3; i++) {
+      await expect(session.authenticate('owner@example.com', 'wrong')).resolves.toEqual({ success: false, message: 'Invalid credentials' });
+    }
+    const result = await session.authenticate('owner@example.com', 'wrong');
+
+    expect(result.circuitOpen).toBe(true);
+    expect(session.axiosInstance.post).toHaveBeenCalledTimes(3);
+  });
+
+  it('fails page fetches fast while the request breaker is open', async () => {
+    openBreaker(haywardBreakers.requests);
+    const session = new HaywardSession('resilience-test');
+    session.authenticated = true;
+    session.axiosInstance = jest.fn();
+
+    await expect(session.makeRequest('/Module/UserManagement/Filter_Setting.aspx')).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(session.axiosInstance).not.toHaveBeenCalled();
+  });
+
+  it('does not retry postbacks', async () => {
+    const session = new HaywardSession('resilience-test');
+    session.authenticated = true;
+    session.axiosInstance = jest.fn().mockRejectedValue(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+
+    await expect(session.makeRequest('/Module/UserManagement/Filter_Setting.aspx', { method: 'POST' })).rejects.toThrow('socket hang up');
+    expect(session.axiosInstance).toHaveBeenCalledTimes(1);
+  });
+
+  it('shares the auth breaker with PoolSession', async () => {
+    openBreaker(haywardBreakers.auth);
+    const session = new PoolSession({ username: 'owner@example.com', password: 'secret-password' });
+
+    await expect(session.authenticate()).resolves.toBe(false);
+  });
+});
@@ -3,7 +3,11 @@
  * Tests for InfluxDB connection and data operations
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { InfluxDBService, influxDBService } = require('../../src/services/influxDBService');
+const { WriteQueue } = require('../../src/services/writeQueue');
 
 // Mock InfluxDB client
 jest.mock('@influxdata/influxdb-client', () => ({
@@ -11,8 +15,10 @@ jest.mock('@influxdata/influxdb-client', () => ({
   Point: jest.fn().mockImplementation(() => ({
     timestamp: jest.fn().mockReturnThis(),
     floatField: jest.fn().mockReturnThis(),
+    intField: jest.fn().mockReturnThis(),
     booleanField: jest.fn().mockReturnThis(),
     stringField: jest.fn().mockReturnThis(),
+    tag: jest.fn().mockReturnThis(),
     fields: {}
   })),
   WriteApi: jest.fn(),
@@ -23,6 +29,7 @@ describe('InfluxDBService', () => {
   let service;
   let mockWriteApi;
   let mockQueryApi;
+  let queueDir;
 
   beforeEach(() => {
     // Reset mocks
@@ -47,7 +54,12 @@ describe('InfluxDBService', () => {
       getQueryApi: jest.fn().mockReturnValue(mockQueryApi)
     }));
 
-    service = new InfluxDBService();
+    queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'write-queue-test-'));
+    service = new InfluxDBService({ writeQueue: new WriteQueue({ dir: queueDir }) });
+  });
+
+  afterEach(() => {
+    fs.rmSync(queueDir, { recursive: true, force: true });
   });
 
   describe('storeDataPoint', () => {
@@ -179,6 +191,229 @@ describe('InfluxDBService', () => {
     });
   });
 
+  describe('queryLastValue', () => {
+    it('should return the last value of a field before the given time', async () => {
+      service.isConnected = true;
+      service.queryApi = mockQueryApi;
+      mockQueryApi.iterateRows.mockImplementation(async function* () {
+        yield { values: [], tableMeta: { toObject: () => ({ _time: '2026-10-19T10:00:00Z', _value: true }) } };
+      });
+
+      const result = await service.queryLastValue('pump_status', new Date('2026-10-19T10:05:00.000Z'), 'spa');
+
+      expect(result).toEqual({ timestamp: '2026-10-19T10:00:00Z', value: true });
+      const query = mockQueryApi.iterateRows.mock.calls[0][0];
+      expect(query).toContain('stop: 2026-10-19T10:05:00.000Z');
+      expect(query).toContain('r._field == "pump_status"');
+      expect(query).toContain('r.site == "spa"');
+    });
+  });
+
+  // Flux keeps one table per tag set and sort only orders rows within a table, so without
+  // group() rows arrive ordered by tag rather than by time
+  const fluxTables = (rows, tag) => async function* (query) {
+    const ordered = /\|> group\(\)\s*\|> sort\(columns: \["_time"\]\)/.test(query)
+      ? [...rows].sort((a, b) => a._time.localeCompare(b._time))
+      : [...rows].sort((a, b) => a[tag].localeCompare(b[tag]) || a._time.localeCompare(b._time));
+    for (const row of ordered) {
+      yield { values: [], tableMeta: { toObject: () => row } };
+    }
+  };
+
+  describe('queryAlertEvents', () => {
+    it('should return events in time order across state tags', async () => {
+      service.isConnected = true;
+      service.queryApi = mockQueryApi;
+      mockQueryApi.iterateRows.mockImplementation(fluxTables([
+        { _time: '2026-10-19T10:00:00Z', alert_id: 'a1', rule: 'salt-level', state: 'open' },
+        { _time: '2026-10-19T10:30:00Z', alert_id: 'a1', rule: 'salt-level', state: 'resolved' },
+        { _time: '2026-10-19T11:00:00Z', alert_id: 'a2', rule: 'salt-level', state: 'open' }
+      ], 'state'));
+
+      const events = await service.queryAlertEvents(new Date('2026-10-19T00:00:00Z'), new Date('2026-10-20T00:00:00Z'));
+
+      expect(events.map(event => [event.id, event.state])).toEqual([['a1', 'open'], ['a1', 'resolved'], ['a2', 'open']]);
+    });
+  });
+
+  describe('queryAlertActions', () => {
+    it('should return actions in time order across action tags', async () => {
+      service.isConnected = true;
+      service.queryApi = mockQueryApi;
+      mockQueryApi.iterateRows.mockImplementation(fluxTables([
+        { _time: '2026-10-19T10:00:00Z', action: 'snooze', target: 'salt-level', until: '2026-10-19T14:00:00Z' },
+        { _time: '2026-10-19T11:00:00Z', action: 'unsnooze', target: 'salt-level', until: '' },
+        { _time: '2026-10-19T12:00:00Z', action: 'snooze', target: 'salt-level', until: '2026-10-19T16:00:00Z' }
+      ], 'action'));
+
+      const actions = await service.queryAlertActions(new Date('2026-10-19T00:00:00Z'), new Date('2026-10-20T00:00:00Z'));
+
+      expect(actions.map(action => [action.action, action.timestamp])).toEqual([
+        ['snooze', '2026-10-19T10:00:00Z'],
+        ['unsnooze', '2026-10-19T11:00:00Z'],
+        ['snooze', '2026-10-19T12:00:00Z']
+      ]);
+    });
+
+    it('should query chosen actions over all stored time', async () => {
+      service.isConnected = true;
+      service.queryApi = mockQueryApi;
+      mockQueryApi.iterateRows.mockImplementation(fluxTables([], 'action'));
+
+      await service.queryAlertActions(null, new Date('2026-10-20T00:00:00Z'), ['acknowledge', 'quiet-hours']);
+
+      const query = mockQueryApi.iterateRows.mock.calls[0][0];
+      expect(query).toContain('range(start: 0, stop: 2026-10-20T00:00:00.000Z)');
+      expect(query).toContain('contains(value: r.action, set: ["acknowledge","quiet-hours"])');
+    });
+  });
+
+  describe('collection runs', () => {
+    const run = {
+      id: 'run-1',
+      timestamp: '2026-10-19T10:00:00.000Z',
+      site: 'default',
+      trigger: 'collect-all',
+      status: 'partial',
+      success: true,
+      durationMs: 2400,
+      source: 'html-scrape',
+      endpoints: { filter: { status: 'ok' }, heater: { status: 'error', error: 'timeout' } },
+      parsedFields: 4,
+      totalFields: 6,
+      errors: [{ endpoint: 'heater', message: 'timeout' }]
+    };
+
+    it('should write a collection_runs point with a field per endpoint', async () => {
+      const { Point } = require('@influxdata/influxdb-client');
+      service.isConnected = true;
+      service.writeApi = mockWriteApi;
+
+      const result = await service.storeCollectionRun(run);
+
+      expect(result).toBe(true);
+      expect(Point).toHaveBeenCalledWith('collection_runs');
+      const point = Point.mock.results[Point.mock.results.length - 1].value;
+      expect(point.tag).toHaveBeenCalledWith('status', 'partial');
+      expect(point.booleanField).toHaveBeenCalledWith('filter_ok', true);
+      expect(point.booleanField).toHaveBeenCalledWith('heater_ok', false);
+      expect(point.stringField).toHaveBeenCalledWith('endpoints', JSON.stringify(run.endpoints));
+      expect(mockWriteApi.writePoint).toHaveBeenCalledWith(point);
+    });
+
+    it('should not store or query runs when not connected', async () => {
+      service.isConnected = false;
+
+      await expect(service.storeCollectionRun(run)).resolves.toBe(false);
+      await expect(service.queryCollectionRuns(new Date(), new Date())).resolves.toEqual([]);
+      expect(mockWriteApi.writePoint).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('write queue', () => {
+    const annotation = {
+      timestamp: '2026-10-19T09:00:00.000Z',
+      title: 'Pump Started',
+      description: 'Pool pump turned on',
+      category: 'pump',
+      metadata: {},
+      site: 'default'
+    };
+    const weatherAlert = {
+      id: 'alert-1',
+      event: 'Heat Advisory',
+      severity: 'Moderate',
+      startTime: '2026-10-19T12:00:00.000Z',
+      endTime: '2026-10-19T20:00:00.000Z'
+    };
+
+    beforeEach(() => {
+      Object.assign(service.config, { url: 'http://localhost:8086', token: 'token', org: 'pool' });
+    });
+
+    it('should queue writes while disconnected and replay them in order with one flush', async () => {
+      const { Point } = require('@influxdata/influxdb-client');
+      service.isConnected = false;
+
+      await service.storeAnnotation(annotation);
+      await service.storeWeatherAlert(weatherAlert);
+      expect((await service.getStats()).writeQueue).toEqual(expect.objectContaining({
+        depth: 2,
+        byType: { annotation: 1, weatherAlert: 1 }
+      }));
+
+      service.isConnected = true;
+      service.writeApi = mockWriteApi;
+      Point.mockClear();
+
+      // A live write does not replay; the scheduler and cron route do
+      await expect(service.storeAnnotation({ ...annotation, timestamp: '2026-10-19T10:00:00.000Z' })).resolves.toBe(true);
+      await expect(service.writeQueue.getDepth()).resolves.toBe(2);
+      mockWriteApi.flush.mockClear();
+
+      await expect(service.replayQueuedWrites()).resolves.toEqual({ replayed: 2, remaining: 0 });
+
+      expect(Point.mock.calls.map(([measurement]) => measurement)).toEqual([
+        'pool_annotations', 'pool_annotations', 'weather_alerts', 'weather_alerts'
+      ]);
+      const timestamps = Point.mock.results.map(result => result.value.timestamp.mock.calls[0][0].toISOString());
+      expect(timestamps.slice(1)).toEqual([annotation.timestamp, weatherAlert.startTime, weatherAlert.endTime]);
+      expect(mockWriteApi.flush).toHaveBeenCalledTimes(1);
+      await expect(service.writeQueue.getDepth()).resolves.toBe(0);
+    });
+
+    it('should replay in batches, saving progress after each, up to the most writes per replay', async () => {
+      service.isConnected = false;
+      for (let hour = 0; hour < 5; hour++) {
+        await service.storeAnnotation({ ...annotation, timestamp: `2026-10-19T0${hour}:00:00.000Z` });
+      }
+
+      service.isConnected = true;
+      service.writeApi = mockWriteApi;
+      mockWriteApi.flush.mockResolvedValueOnce().mockRejectedValueOnce(new Error('timeout'));
+
+      await expect(service.replayQueuedWrites({ batchSize: 2, maxWrites: 4 })).resolves.toEqual({ replayed: 2, remaining: 3 });
+      expect(mockWriteApi.flush).toHaveBeenCalledTimes(2);
+
+      // The flushed batch is gone from the file, the one that failed to flush is kept
+      const restarted = new WriteQueue({ dir: queueDir });
+      expect((await restarted.load()).map(entry => entry.payload.timestamp)).toEqual([
+        '2026-10-19T02:00:00.000Z', '2026-10-19T03:00:00.000Z', '2026-10-19T04:00:00.000Z'
+      ]);
+
+      await expect(service.replayQueuedWrites({ batchSize: 2, maxWrites: 4 })).resolves.toEqual({ replayed: 3, remaining: 0 });
+    });
+
+    it('should not queue writes when InfluxDB is not configured', async () => {
+      service.isConnected = false;
+      service.config.url = undefined;
+
+      await expect(service.storeAnnotation(annotation)).resolves.toBe(false);
+
+      await expect(service.writeQueue.getDepth()).resolves.toBe(0);
+    });
+
+    it('should queue failed writes and keep them when a replay fails', async () => {
+      service.isConnected = true;
+      service.writeApi = mockWriteApi;
+      mockWriteApi.flush.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      await expect(service.storeAnnotation(annotation)).resolves.toBe(false);
+      await expect(service.replayQueuedWrites()).resolves.toEqual({ replayed: 0, remaining: 1 });
+
+      const stats = await service.writeQueue.getStats();
+      expect(stats).toEqual(expect.objectContaining({ depth: 1, lastReplayError: 'connect ECONNREFUSED' }));
+    });
+
+    it('should not queue data points that fail validation', async () => {
+      service.isConnected = true;
+
+      await service.storeDataPoint({ saltInstant: 3000 });
+
+      await expect(service.writeQueue.getDepth()).resolves.toBe(0);
+    });
+  });
+
   describe('connection management', () => {
     it('should handle initialization failures', async () => {
       const { InfluxDB } = require('@influxdata/influxdb-client');
@@ -186,7 +421,7 @@ describe('InfluxDBService', () => {
         throw new Error('Connection failed');
       });
 
-      const newService = new InfluxDBService();
+      const newService = new InfluxDBService({ writeQueue: new WriteQueue({ dir: queueDir }) });
       const result = await newService.initialize();
 
       expect(result).toBe(false);
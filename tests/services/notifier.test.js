@@ -0,0 +1,201 @@
+/**
+ * Notifier Tests
+ * Tests for notification channels, retries, delivery time limits and suppression
+ */
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+jest.mock('../../src/services/smtpClient', () => ({ sendMail: jest.fn() }));
+jest.mock('../../src/services/influxDBService', () => ({
+  influxDBService: {
+    isConnected: false,
+    storeNotificationDelivery: jest.fn(),
+    storeAlertAction: jest.fn(),
+    queryAlertActions: jest.fn()
+  }
+}));
+
+const axios = require('axios');
+const { sendMail } = require('../../src/services/smtpClient');
+const { influxDBService } = require('../../src/services/influxDBService');
+const { Notifier, renderTemplate, weatherSeverity } = require('../../src/services/notifier');
+const { AlertSilencer } = require('../../src/services/alertSilencer');
+const { envConfig } = require('../../src/config/environment');
+
+const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+const alertEvent = {
+  id: 'salt-level-default-1',
+  ruleId: 'salt-level',
+  metric: 'saltInstant',
+  site: 'default',
+  state: 'open',
+  direction: 'low',
+  value: 2650,
+  threshold: 2700,
+  severity: 'warning',
+  message: 'Salt level is 2650 ppm, below the 2700 ppm minimum',
+  startedAt: '2026-10-20T12:00:00.000Z',
+  timestamp: '2026-10-20T12:30:00.000Z'
+};
+
+describe('renderTemplate', () => {
+  it('fills in fields and leaves unknown ones empty', () => {
+    expect(renderTemplate('{{label}} alert {{ state }}{{missing}}', { label: 'Salt level', state: 'opened' })).toBe('Salt level alert opened');
+  });
+});
+
+describe('weatherSeverity', () => {
+  it('makes only severe alerts that need action now or soon critical', () => {
+    expect(weatherSeverity('Extreme', 'Immediate')).toBe('critical');
+    expect(weatherSeverity('Severe', 'Expected')).toBe('critical');
+    expect(weatherSeverity('Severe', 'Future')).toBe('warning');
+    expect(weatherSeverity('Moderate', 'Immediate')).toBe('warning');
+    expect(weatherSeverity('Minor', 'Immediate')).toBe('info');
+  });
+});
+
+describe('Notifier', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    axios.post.mockResolvedValue({ status: 200 });
+    sendMail.mockResolvedValue({ accepted: ['me@example.com'] });
+    influxDBService.storeNotificationDelivery.mockResolvedValue(false);
+    influxDBService.storeAlertAction.mockResolvedValue(false);
+    influxDBService.queryAlertActions.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends each event to the channels subscribed to it, with their templates', async () => {
+    const notifier = new Notifier({
+      channels: [
+        { type: 'webhook', url: 'https://hooks.example.com/pool' },
+        { type: 'email', host: 'localhost', port: 1025, from: 'pool@example.com', to: 'me@example.com', events: ['metric-alert'] },
+        { type: 'ntfy', topic: 'my-pool', events: ['pump-state'] },
+        { type: 'pushover', token: 'app', user: 'me', templates: { 'metric-alert': { title: 'Pool: {{message}}' } } }
+      ]
+    });
+
+    const deliveries = await notifier.notifyMetricAlert(alertEvent, 'Salt level');
+
+    expect(deliveries.map(delivery => [delivery.channel, delivery.status])).toEqual([['webhook', 'sent'], ['email', 'sent'], ['pushover', 'sent']]);
+    expect(axios.post).toHaveBeenCalledWith('https://hooks.example.com/pool', expect.objectContaining({
+      event: 'metric-alert',
+      severity: 'warning',
+      title: 'Salt level alert opened',
+      body: expect.stringMatching(/^Salt level is 2650 ppm, below the 2700 ppm minimum at default \(/),
+      data: expect.objectContaining({ ruleId: 'salt-level', value: 2650 })
+    }), expect.any(Object));
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ host: 'localhost', port: 1025 }), expect.objectContaining({
+      from: 'pool@example.com',
+      to: 'me@example.com',
+      subject: 'Salt level alert opened'
+    }));
+    expect(axios.post).toHaveBeenCalledWith('https://api.pushover.net/1/messages.json', expect.objectContaining({
+      token: 'app',
+      user: 'me',
+      title: 'Pool: Salt level is 2650 ppm, below the 2700 ppm minimum',
+      priority: 0
+    }), expect.any(Object));
+
+    const pump = await notifier.notifyPumpChange('default', { timestamp: '2026-10-20T13:00:00.000Z', before: true, after: false });
+    expect(pump.map(delivery => delivery.channel)).toEqual(['webhook', 'ntfy', 'pushover']);
+    expect(axios.post).toHaveBeenCalledWith('https://ntfy.sh', expect.objectContaining({ topic: 'my-pool', title: 'Filter pump turned off', priority: 3 }), expect.any(Object));
+  });
+
+  it('retries transient failures with backoff and logs each delivery', async () => {
+    const wait = jest.fn().mockResolvedValue();
+    const notifier = new Notifier({ channels: [{ type: 'webhook', url: 'https://hooks.example.com/pool' }], retries: 3, baseDelay: 1000, wait });
+    axios.post
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))
+      .mockResolvedValueOnce({ status: 200 });
+
+    const [sent] = await notifier.notifyWeatherAlert({
+      id: 'nws-1', event: 'Hurricane Warning', severity: 'Extreme', urgency: 'Immediate',
+      description: 'Hurricane conditions expected.', instruction: '', startTime: '2026-10-20T12:00:00.000Z', endTime: '2026-10-21T12:00:00.000Z'
+    });
+
+    expect(sent).toEqual(expect.objectContaining({ channel: 'webhook', event: 'weather-alert', status: 'sent', attempts: 3, error: null, title: 'Hurricane Warning' }));
+    expect(wait).toHaveBeenCalledTimes(2);
+    expect(axios.post.mock.calls[0][1].severity).toBe('critical');
+
+    axios.post.mockRejectedValue(httpError(400));
+    const [failed] = await notifier.sendTest();
+
+    expect(failed).toEqual(expect.objectContaining({ status: 'failed', attempts: 1, error: 'Request failed with status code 400' }));
+    expect(influxDBService.storeNotificationDelivery).toHaveBeenCalledTimes(2);
+    // Logged in the same millisecond, the later delivery still comes first
+    failed.timestamp = sent.timestamp;
+    expect(await notifier.getDeliveries()).toEqual([failed, sent]);
+  });
+
+  it('gives up on a channel at the time limit so a dead channel cannot hold up the caller', async () => {
+    const notifier = new Notifier({
+      channels: [
+        { id: 'hung', type: 'webhook', url: 'https://hung.example.com' },
+        { id: 'down', type: 'webhook', url: 'https://down.example.com' },
+        { id: 'up', type: 'webhook', url: 'https://up.example.com' }
+      ],
+      retries: 10,
+      baseDelay: 1000,
+      timeLimit: 50
+    });
+    axios.post.mockImplementation(url => {
+      if (url === 'https://hung.example.com') return new Promise(() => {});
+      if (url === 'https://down.example.com') return Promise.reject(httpError(503));
+      return Promise.resolve({ status: 200 });
+    });
+
+    const startedAt = Date.now();
+    const [hung, down, up] = await notifier.sendTest();
+
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+    expect(hung).toEqual(expect.objectContaining({ status: 'failed', attempts: 1, error: 'Gave up after 0.05s' }));
+    expect(down).toEqual(expect.objectContaining({
+      status: 'failed',
+      error: 'Gave up after 0.05s (last error: Request failed with status code 503)'
+    }));
+    expect(down.attempts).toBeLessThan(11);
+    expect(up.status).toBe('sent');
+  });
+
+  it('logs notifications held back by snoozes and quiet hours as suppressed', async () => {
+    // Quiet all day, so only critical notifications get through
+    const silencer = new AlertSilencer({ quietHours: { start: 0, end: 24 * 60 }, repeatHours: 4 });
+    const notifier = new Notifier({ channels: [{ type: 'webhook', url: 'https://hooks.example.com/pool' }], silencer });
+    const hurricane = {
+      id: 'nws-1', event: 'Hurricane Warning', severity: 'Extreme', urgency: 'Immediate',
+      description: '', instruction: '', startTime: '2026-10-20T12:00:00.000Z', endTime: '2026-10-21T12:00:00.000Z'
+    };
+
+    const [quiet] = await notifier.notifyMetricAlert(alertEvent, 'Salt level');
+    const [sent] = await notifier.notifyWeatherAlert(hurricane, { reminder: true });
+    await silencer.snooze('weather-alert', 2);
+    const [snoozed] = await notifier.notifyWeatherAlert({ ...hurricane, id: 'nws-2' });
+
+    expect(quiet).toEqual(expect.objectContaining({ status: 'suppressed', attempts: 0, reason: 'quiet hours', title: 'Salt level alert opened' }));
+    expect(sent).toEqual(expect.objectContaining({ status: 'sent', title: 'Reminder: Hurricane Warning', reason: null }));
+    expect(snoozed).toEqual(expect.objectContaining({ status: 'suppressed', reason: expect.stringMatching(/^weather-alert snoozed until /) }));
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(influxDBService.storeNotificationDelivery).toHaveBeenCalledTimes(3);
+  });
+
+  it('rejects channels with an unknown type or missing settings', () => {
+    expect(() => new Notifier({ channels: [{ type: 'sms' }] })).toThrow('Unknown notification channel type: sms');
+    expect(() => new Notifier({ channels: [{ type: 'email', host: 'localhost' }] })).toThrow('Notification channel email needs from, to');
+  });
+
+  it('skips invalid channels from NOTIFICATION_CHANNELS instead of throwing', () => {
+    jest.spyOn(envConfig, 'getNotificationConfig').mockReturnValue({
+      channels: [{ type: 'sms' }, { type: 'email', host: 'localhost' }, { type: 'ntfy', topic: 'pool' }],
+      retries: 3
+    });
+
+    expect(new Notifier().getChannels()).toEqual([expect.objectContaining({ id: 'ntfy', type: 'ntfy' })]);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Unknown notification channel type: sms'));
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Notification channel email needs from, to'));
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Parser Health Tracker Tests
+ * Tests for flagging fields that used to parse and no longer do
+ */
+
+jest.mock('../../src/services/influxDBService', () => ({
+  influxDBService: {
+    storeAnnotation: jest.fn().mockResolvedValue(true)
+  }
+}));
+
+const parserHealthTracker = require('../../src/services/parserHealthTracker');
+const { influxDBService } = require('../../src/services/influxDBService');
+const { ParseReport } = require('../../src/domains/pool/parsers/parse-report');
+
+const reportWith = (fields) => {
+  const report = new ParseReport();
+  Object.entries(fields).forEach(([field, value]) => {
+    report.record(field, value === null
+      ? { value: null, selector: null, confidence: 'none' }
+      : { value, selector: `#${field}`, confidence: 'high' });
+  });
+  return report;
+};
+
+describe('ParserHealthTracker', () => {
+  beforeEach(() => {
+    parserHealthTracker.reset();
+    jest.clearAllMocks();
+  });
+
+  test('should not flag fields that have never parsed', async () => {
+    const health = await parserHealthTracker.check(reportWith({ 'filter.status': true, 'chlorinator.cell.current': null }), 't1', 'pool');
+
+    expect(health).toMatchObject({ site: 'pool', healthy: true, confidence: 'high', drift: [] });
+    expect(influxDBService.storeAnnotation).not.toHaveBeenCalled();
+  });
+
+  test('should flag a field that used to parse and annotate it once', async () => {
+    await parserHealthTracker.check(reportWith({ 'filter.status': true }), 't1', 'pool');
+    const first = await parserHealthTracker.check(reportWith({ 'filter.status': null }), 't2', 'pool');
+    await parserHealthTracker.check(reportWith({ 'filter.status': null }), 't3', 'pool');
+
+    expect(first.healthy).toBe(false);
+    expect(first.drift).toEqual([{ field: 'filter.status', lastSelector: '#filter.status', lastConfidence: 'high', lastParsedAt: 't1' }]);
+    expect(influxDBService.storeAnnotation).toHaveBeenCalledTimes(1);
+    expect(influxDBService.storeAnnotation).toHaveBeenCalledWith(expect.objectContaining({
+      category: 'parser_drift',
+      site: 'pool',
+      metadata: expect.objectContaining({ fields: ['filter.status'] })
+    }));
+  });
+
+  test('should report recovery and keep sites apart', async () => {
+    await parserHealthTracker.check(reportWith({ 'filter.status': true }), 't1', 'pool');
+    await parserHealthTracker.check(reportWith({ 'filter.status': null }), 't2', 'pool');
+    const recovered = await parserHealthTracker.check(reportWith({ 'filter.status': false }), 't3', 'pool');
+    const spa = await parserHealthTracker.check(reportWith({ 'filter.status': null }), 't3', 'spa');
+
+    expect(recovered).toMatchObject({ healthy: true, recovered: ['filter.status'] });
+    expect(spa.healthy).toBe(true);
+    expect(parserHealthTracker.getHealth('pool')).toBe(recovered);
+    expect(parserHealthTracker.getHealth('lake')).toBeNull();
+  });
+});
@@ -70,6 +70,8 @@ const poolDataParser = require('../../src/services/poolDataParser');
 const { influxDBService } = require('../../src/services/influxDBService');
 const timeSeriesService = require('../../src/services/timeSeriesService');
 const pumpStateTracker = require('../../src/services/pumpStateTracker');
+const { haywardBreakers } = require('../../src/services/haywardResilience');
+const { CircuitOpenError } = require('../../src/utils/resilience');
 
 describe('Pool Data Service - InfluxDB Integration', () => {
   beforeEach(() => {
@@ -258,8 +260,7 @@ describe('Pool Data Service - InfluxDB Integration', () => {
 
       // Verify logging occurred
       expect(consoleSpy).toHaveBeenCalledWith(
-        expect.stringContaining('💾 Time series point to store:'),
-        expect.any(Object)
+        expect.stringContaining('💾 Storing time series point for site')
       );
       expect(consoleSpy).toHaveBeenCalledWith(
         expect.stringContaining('💾 New InfluxDB storage result:'),
@@ -269,4 +270,27 @@ describe('Pool Data Service - InfluxDB Integration', () => {
       consoleSpy.mockRestore();
     });
   });
+
+  describe('Hayward circuit breaker', () => {
+    afterEach(() => {
+      haywardBreakers.requests.reset();
+    });
+
+    it('skips collection without requesting pages while the request breaker is open', async () => {
+      const mockSession = {
+        sessionId: 'test-session-circuit',
+        makeRequest: jest.fn().mockResolvedValue({ data: '<html>mock data</html>' })
+      };
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+      for (let i = 0; i < haywardBreakers.requests.failureThreshold; i++) {
+        haywardBreakers.requests.recordFailure('Hayward unavailable');
+      }
+      warnSpy.mockRestore();
+
+      await expect(poolDataService.fetchAllPoolData(mockSession)).rejects.toBeInstanceOf(CircuitOpenError);
+
+      expect(mockSession.makeRequest).not.toHaveBeenCalled();
+      expect(influxDBService.storeDataPoint).not.toHaveBeenCalled();
+    });
+  });
 });
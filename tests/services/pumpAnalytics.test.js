@@ -0,0 +1,101 @@
+/**
+ * Pump Analytics Tests
+ * Tests for daily runtime, cycles and turnovers worked out from pump status readings
+ */
+
+jest.mock('../../src/services/influxDBService');
+jest.mock('../../src/services/pumpStateTracker');
+jest.mock('../../src/domains/monitoring');
+
+const { influxDBService } = require('../../src/services/influxDBService');
+const pumpStateTracker = require('../../src/services/pumpStateTracker');
+const { timeSeriesService } = require('../../src/domains/monitoring');
+const { PumpAnalytics, buildPumpPeriods } = require('../../src/services/pumpAnalytics');
+const { FIVE_MINUTES, at, readingsBetween } = require('../fixtures/readings');
+
+// Pump status every 5 minutes from `from` until `to`
+const samples = (from, to, pumpStatus) => readingsBetween(from, to, FIVE_MINUTES, { pumpStatus, waterTemp: 82 });
+
+describe('buildPumpPeriods', () => {
+  it('merges samples into on/off periods and leaves data gaps unknown', () => {
+    const periods = buildPumpPeriods([
+      ...samples(at(19, 8), at(19, 9), true),
+      ...samples(at(19, 9), at(19, 9, 30), false),
+      // Collections missed from 9:30 to 10:00
+      ...samples(at(19, 10), at(19, 10, 10), false),
+      { timestamp: at(19, 10, 10).toISOString(), weatherTemp: 76, pumpStatus: null }
+    ], FIVE_MINUTES * 1.5, at(19, 10, 10).getTime());
+
+    expect(periods).toEqual([
+      { on: true, start: at(19, 8).getTime(), end: at(19, 9).getTime() },
+      { on: false, start: at(19, 9).getTime(), end: at(19, 9, 25).getTime() },
+      { on: false, start: at(19, 10).getTime(), end: at(19, 10, 10).getTime() }
+    ]);
+  });
+});
+
+describe('PumpAnalytics', () => {
+  const site = { id: 'default', volumeGallons: 15000, flowRateGpm: 50 };
+  let analytics;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pumpStateTracker.getCurrentState.mockReturnValue({ isOn: true, lastChangeTime: null, lastChangeType: null });
+    analytics = new PumpAnalytics({ expectedIntervalMs: FIVE_MINUTES });
+  });
+
+  it('works out runtime, cycles, idle time and turnovers per day', async () => {
+    influxDBService.queryDataPoints.mockResolvedValue([
+      ...samples(at(18, 0), at(18, 8), false),
+      ...samples(at(18, 8), at(18, 12), true),
+      ...samples(at(18, 12), at(18, 14), false),
+      ...samples(at(18, 14), at(18, 18), true),
+      ...samples(at(18, 18), at(19, 7), false),
+      ...samples(at(19, 7), at(19, 12, 5), true)
+    ]);
+
+    const result = await analytics.getAnalytics(site, { days: 2, now: at(19, 12) });
+
+    expect(influxDBService.queryDataPoints).toHaveBeenCalledWith(at(18, 0), at(19, 12), 'default');
+    expect(result.source).toBe('influxdb');
+    expect(result.days).toEqual([
+      {
+        date: '2026-10-18',
+        runtimeHours: 8,
+        cycles: 2,
+        averageCycleHours: 4,
+        longestIdleHours: 8,
+        turnovers: 1.6,
+        coverageHours: 24
+      },
+      {
+        date: '2026-10-19',
+        runtimeHours: 5,
+        cycles: 1,
+        averageCycleHours: 5,
+        longestIdleHours: 7,
+        turnovers: 1,
+        coverageHours: 12
+      }
+    ]);
+    expect(result.summary).toEqual({
+      averageRuntimeHours: 6.5,
+      totalCycles: 3,
+      averageCycleHours: 4.5,
+      longestIdleHours: 13,
+      averageTurnovers: 1.3
+    });
+    expect(result.currentState.isOn).toBe(true);
+  });
+
+  it('falls back to the in-memory time series and leaves turnovers out without a pool volume', async () => {
+    influxDBService.queryDataPoints.mockResolvedValue([]);
+    timeSeriesService.getDataPoints.mockReturnValue(samples(at(19, 6), at(19, 7), true)
+      .map(point => ({ ...point, timestamp: new Date(point.timestamp).getTime() })));
+
+    const result = await analytics.getAnalytics({ id: 'default', volumeGallons: null, flowRateGpm: null }, { days: 1, now: at(19, 7) });
+
+    expect(result.source).toBe('memory');
+    expect(result.days[0]).toEqual(expect.objectContaining({ runtimeHours: 1, cycles: 1, turnovers: null }));
+  });
+});
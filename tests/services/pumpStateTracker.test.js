@@ -0,0 +1,89 @@
+/**
+ * Pump State Tracker Tests
+ * Tests for pump change detection and restoring the pump state from InfluxDB
+ */
+
+jest.mock('../../src/services/influxDBService', () => ({
+  influxDBService: {
+    isConnected: true,
+    queryLastValue: jest.fn(),
+    queryLastAnnotation: jest.fn(),
+    queryDataPoints: jest.fn(),
+    queryAnnotations: jest.fn(),
+    storeAnnotation: jest.fn()
+  }
+}));
+
+const { influxDBService } = require('../../src/services/influxDBService');
+const pumpStateTracker = require('../../src/services/pumpStateTracker');
+
+const pumpAnnotation = (timestamp, changeType) => ({
+  timestamp,
+  category: 'pump_state_change',
+  metadata: { changeType }
+});
+
+describe('pumpStateTracker', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pumpStateTracker.reset();
+    influxDBService.isConnected = true;
+    influxDBService.queryLastValue.mockResolvedValue(null);
+    influxDBService.queryLastAnnotation.mockResolvedValue(null);
+    influxDBService.storeAnnotation.mockResolvedValue(true);
+  });
+
+  it('restores state after a cold start and annotates the first real change', async () => {
+    influxDBService.queryLastValue.mockResolvedValue({ timestamp: '2026-10-19T10:00:00Z', value: true });
+    influxDBService.queryLastAnnotation.mockResolvedValue(pumpAnnotation('2026-10-19T08:00:00Z', 'on'));
+
+    await expect(pumpStateTracker.checkStateChange(false, '2026-10-19T10:05:00.000Z', 'default')).resolves.toBe(true);
+
+    expect(influxDBService.queryLastValue).toHaveBeenCalledWith('pump_status', new Date('2026-10-19T10:05:00.000Z'), 'default');
+    expect(influxDBService.storeAnnotation).toHaveBeenCalledWith(expect.objectContaining({
+      timestamp: '2026-10-19T10:05:00.000Z',
+      category: 'pump_state_change',
+      metadata: expect.objectContaining({ changeType: 'off' })
+    }));
+    expect(pumpStateTracker.getCurrentState('default')).toEqual({
+      isOn: false,
+      lastChangeTime: '2026-10-19T10:05:00.000Z',
+      lastChangeType: 'off'
+    });
+  });
+
+  it('does not annotate the same reading twice', async () => {
+    // A previous process already annotated this collection
+    influxDBService.queryLastValue.mockResolvedValue({ timestamp: '2026-10-19T10:00:00Z', value: true });
+    influxDBService.queryLastAnnotation.mockResolvedValue(pumpAnnotation('2026-10-19T10:05:00.000Z', 'off'));
+
+    await expect(pumpStateTracker.checkStateChange(false, '2026-10-19T10:05:00.000Z', 'default')).resolves.toBe(false);
+    await expect(pumpStateTracker.checkStateChange(true, '2026-10-19T10:05:00.000Z', 'default')).resolves.toBe(false);
+    expect(influxDBService.storeAnnotation).not.toHaveBeenCalled();
+
+    await expect(pumpStateTracker.checkStateChange(true, '2026-10-19T10:10:00.000Z', 'default')).resolves.toBe(true);
+    expect(influxDBService.storeAnnotation).toHaveBeenCalledTimes(1);
+    expect(influxDBService.queryLastValue).toHaveBeenCalledTimes(1);
+  });
+
+  it('derives state history from readings and annotations, one entry per timestamp', async () => {
+    influxDBService.queryDataPoints.mockResolvedValue([
+      { timestamp: '2026-10-19T08:00:00Z', pumpStatus: false },
+      { timestamp: '2026-10-19T08:05:00Z', pumpStatus: true },
+      { timestamp: '2026-10-19T08:10:00Z', pumpStatus: null, weatherTemp: 75 },
+      { timestamp: '2026-10-19T09:00:00Z', pumpStatus: false }
+    ]);
+    influxDBService.queryAnnotations.mockResolvedValue([
+      pumpAnnotation('2026-10-19T08:05:00Z', 'on'),
+      { timestamp: '2026-10-19T08:30:00Z', category: 'data_gap', metadata: {} }
+    ]);
+
+    const history = await pumpStateTracker.getStateHistory('default', { hours: 6, now: new Date('2026-10-19T12:00:00Z') });
+
+    expect(history.initialState).toBe(false);
+    expect(history.transitions).toEqual([
+      { timestamp: '2026-10-19T08:05:00Z', changeType: 'on', annotated: true, derived: true },
+      { timestamp: '2026-10-19T09:00:00Z', changeType: 'off', annotated: false, derived: true }
+    ]);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Salt Dosing Tests
+ * Tests for salt trends and how many bags to add from salt level readings
+ */
+
+jest.mock('../../src/services/influxDBService');
+jest.mock('../../src/domains/monitoring');
+
+const { influxDBService } = require('../../src/services/influxDBService');
+const { timeSeriesService } = require('../../src/domains/monitoring');
+const { SaltDosing, poundsOfSaltNeeded, estimateSaltTrend } = require('../../src/services/saltDosing');
+const { HOUR_MS, at, readingsBetween } = require('../fixtures/readings');
+
+// Hourly salt readings from `from` (a day of October) for `days` days, changing by `ppmPerDay`
+const readings = (from, days, startPpm, ppmPerDay) => {
+  const start = at(from).getTime();
+  return readingsBetween(start, start + days * 24 * HOUR_MS, HOUR_MS, time => ({
+    saltInstant: startPpm + ppmPerDay * (time - start) / (24 * HOUR_MS)
+  }));
+};
+
+describe('poundsOfSaltNeeded', () => {
+  it('uses 8.34 lb per gallon per million and never goes negative', () => {
+    expect(poundsOfSaltNeeded(2700, 3200, 10000)).toBeCloseTo(41.7, 5);
+    expect(poundsOfSaltNeeded(3400, 3200, 10000)).toBe(0);
+  });
+});
+
+describe('estimateSaltTrend', () => {
+  it('fits the trend to the days after salt was last added', () => {
+    const trend = estimateSaltTrend([
+      ...readings(1, 4, 2900, -20),
+      // 400 lb added on the 5th
+      ...readings(5, 1, 3400, 0),
+      ...readings(6, 5, 3350, -35)
+    ]);
+
+    expect(trend).toEqual({ ppmPerDay: -35, daysUsed: 5, since: '2026-10-06', lastDoseDate: '2026-10-05' });
+  });
+});
+
+describe('SaltDosing', () => {
+  const site = { id: 'default', volumeGallons: 15000, saltTargetPpm: null };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('recommends bags of salt and projects when salt falls below the low threshold', async () => {
+    influxDBService.queryDataPoints.mockResolvedValue(readings(10, 10, 3000, -20));
+
+    const result = await new SaltDosing({ bagPounds: 40 }).getRecommendation(site, { days: 30, now: at(20, 0) });
+
+    expect(result).toEqual(expect.objectContaining({
+      currentPpm: 2810,
+      targetPpm: 3200,
+      lowPpm: 2700,
+      poundsNeeded: 48.8,
+      bags: 2,
+      belowLow: false,
+      source: 'influxdb'
+    }));
+    expect(result.trend).toEqual(expect.objectContaining({ ppmPerDay: -20, lossPpmPerWeek: 140, lossPoundsPerWeek: 17.5 }));
+    // 110 ppm above the low threshold at 20 ppm a day
+    expect(result.projectedLowDate).toBe(new Date(at(20, 0).getTime() + 5.5 * 24 * 60 * 60 * 1000).toISOString());
+  });
+
+  it('falls back to the in-memory time series and leaves the dose out without a pool volume', async () => {
+    influxDBService.queryDataPoints.mockResolvedValue([]);
+    timeSeriesService.getDataPoints.mockReturnValue([
+      { timestamp: at(19, 18).getTime(), saltInstant: 2600 },
+      { timestamp: at(19, 18).getTime() + 300000, saltInstant: null }
+    ]);
+
+    const result = await new SaltDosing({ bagPounds: 40 }).getRecommendation({ id: 'default', volumeGallons: null }, { now: at(20, 0) });
+
+    expect(result).toEqual(expect.objectContaining({
+      currentPpm: 2600,
+      poundsNeeded: null,
+      bags: null,
+      belowLow: true,
+      projectedLowDate: null,
+      source: 'memory'
+    }));
+    expect(result.trend.ppmPerDay).toBeNull();
+  });
+});
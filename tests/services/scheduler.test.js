@@ -0,0 +1,148 @@
+/**
+ * Collection Scheduler Tests
+ * Tests for cron schedule matching and skipping a tick while the previous run is going
+ *
+ * Runs under node because jsdom resolves node-cron's uuid dependency to its ES module browser build
+ * @jest-environment node
+ */
+
+jest.mock('../../src/services/collectionTasks', () => ({
+  collectAllSites: jest.fn(),
+  collectWeather: jest.fn(),
+  checkWeatherAlerts: jest.fn()
+}));
+
+const collectionTasks = require('../../src/services/collectionTasks');
+const { CollectionScheduler, getNextRun } = require('../../src/services/scheduler');
+
+const config = (overrides = {}) => ({
+  enabled: true,
+  jitterMs: 0,
+  schedules: {
+    'pool-collection': '*/5 * * * *',
+    'weather-collection': '*/15 * * * *',
+    'weather-alerts': 'off'
+  },
+  ...overrides
+});
+
+const fakeCron = () => ({
+  validate: jest.fn(expression => expression !== 'not a schedule'),
+  schedule: jest.fn(() => ({ stop: jest.fn() }))
+});
+
+describe('getNextRun', () => {
+  it('finds the next matching minute', () => {
+    const from = new Date(2026, 9, 19, 10, 7, 30);
+
+    expect(getNextRun('*/5 * * * *', from)).toEqual(new Date(2026, 9, 19, 10, 10, 0));
+    expect(getNextRun('0 6 * * *', from)).toEqual(new Date(2026, 9, 20, 6, 0, 0));
+  });
+
+  it('supports second schedules and rejects invalid ones', () => {
+    const from = new Date(2026, 9, 19, 10, 7, 30);
+
+    expect(getNextRun('*/20 * * * * *', from)).toEqual(new Date(2026, 9, 19, 10, 7, 40));
+    expect(getNextRun('not a schedule', from)).toBeNull();
+  });
+
+  it('supports lists, ranges with steps and month and weekday names', () => {
+    const from = new Date(2026, 9, 19, 10, 7, 30);
+
+    expect(getNextRun('15,45 9-17 * * mon-fri', from)).toEqual(new Date(2026, 9, 19, 10, 15, 0));
+    expect(getNextRun('0 8-18/4 * * 1-5', from)).toEqual(new Date(2026, 9, 19, 12, 0, 0));
+    expect(getNextRun('30 2 * * 7', from)).toEqual(new Date(2026, 9, 25, 2, 30, 0));
+    expect(getNextRun('0 0 1 jan,jul *', from)).toEqual(new Date(2027, 0, 1, 0, 0, 0));
+  });
+});
+
+describe('CollectionScheduler', () => {
+  let cron;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cron = fakeCron();
+  });
+
+  it('schedules enabled jobs and leaves the rest off', () => {
+    const scheduler = new CollectionScheduler({ cron });
+
+    expect(scheduler.start(config({ schedules: { 'pool-collection': '*/5 * * * *', 'weather-collection': 'not a schedule' } }))).toBe(true);
+
+    expect(cron.schedule).toHaveBeenCalledTimes(1);
+    expect(cron.schedule).toHaveBeenCalledWith('*/5 * * * *', expect.any(Function));
+    const status = scheduler.getStatus();
+    expect(status.enabled).toBe(true);
+    expect(status.jobs['pool-collection'].nextRun).toEqual(expect.any(String));
+    expect(status.jobs['weather-collection']).toEqual(expect.objectContaining({ schedule: 'off', nextRun: null }));
+    expect(status.jobs['weather-alerts'].schedule).toBe('off');
+  });
+
+  it('does nothing when disabled', () => {
+    const scheduler = new CollectionScheduler({ cron });
+
+    expect(scheduler.start(config({ enabled: false }))).toBe(false);
+    expect(cron.schedule).not.toHaveBeenCalled();
+  });
+
+  it('skips a tick while the previous run is still going', async () => {
+    let finish;
+    collectionTasks.collectAllSites.mockReturnValue(new Promise(resolve => { finish = resolve; }));
+    const scheduler = new CollectionScheduler({ cron });
+    scheduler.start(config());
+
+    const first = scheduler.runJob('pool-collection');
+    await expect(scheduler.runJob('pool-collection')).resolves.toBe(false);
+    finish([{ site: 'default', success: true }]);
+    await expect(first).resolves.toBe(true);
+
+    expect(collectionTasks.collectAllSites).toHaveBeenCalledTimes(1);
+    expect(collectionTasks.collectAllSites).toHaveBeenCalledWith('scheduler');
+    expect(scheduler.getStatus().jobs['pool-collection']).toEqual(expect.objectContaining({
+      runs: 1,
+      skipped: 1,
+      running: false,
+      lastRun: expect.objectContaining({ success: true, error: null })
+    }));
+  });
+
+  it('delays each run by a random jitter', async () => {
+    const wait = jest.fn().mockResolvedValue();
+    collectionTasks.collectWeather.mockResolvedValue({ temperature: 80 });
+    const scheduler = new CollectionScheduler({ cron, wait, random: () => 0.5 });
+    scheduler.start(config({ jitterMs: 30000 }));
+
+    await scheduler.runJob('weather-collection');
+
+    expect(wait).toHaveBeenCalledWith(15000);
+    expect(scheduler.getStatus().jitterSeconds).toBe(30);
+  });
+
+  it('records failed runs', async () => {
+    collectionTasks.collectAllSites.mockResolvedValue([{ site: 'default', success: false, error: 'Circuit open' }]);
+    collectionTasks.collectWeather.mockResolvedValue(null);
+    const scheduler = new CollectionScheduler({ cron });
+    scheduler.start(config());
+
+    await scheduler.runJob('pool-collection');
+    await scheduler.runJob('weather-collection');
+
+    const { jobs } = scheduler.getStatus();
+    expect(jobs['pool-collection'].lastRun).toEqual(expect.objectContaining({ success: false, error: 'default: Circuit open' }));
+    expect(jobs['weather-collection']).toEqual(expect.objectContaining({ runs: 1, failures: 1 }));
+  });
+
+  it('lists next runs soonest first and stops every task', () => {
+    const scheduler = new CollectionScheduler({ cron });
+    scheduler.start(config({ schedules: { 'pool-collection': '0 6 * * *', 'weather-collection': '*/15 * * * *' } }));
+
+    const nextRuns = scheduler.getNextRuns(new Date(2026, 9, 19, 10, 7));
+    expect(nextRuns.map(next => next.job)).toEqual(['weather-collection', 'pool-collection']);
+    expect(nextRuns[0].nextRun).toBe(new Date(2026, 9, 19, 10, 15).toISOString());
+
+    const tasks = cron.schedule.mock.results.map(result => result.value);
+    scheduler.stop();
+    tasks.forEach(task => expect(task.stop).toHaveBeenCalled());
+    expect(scheduler.getNextRuns()).toEqual([]);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Session Store Tests
+ * Tests for persisting Hayward sessions between restarts
+ *
+ * Runs under node because jsdom resolves cheerio to its ES module browser build
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HaywardSession = require('../../src/services/HaywardSession');
+const sessionManager = require('../../src/services/sessionManager');
+const { FileSessionStore, MemorySessionStore, createSessionStore } = require('../../src/services/sessionStore');
+
+const BASE_URL = 'https://www.haywardomnilogic.com';
+
+const loginResponse = () => ({
+  status: 200,
+  headers: {},
+  data: '<form><input name="txtLoginName"><input type="password" name="txtPassword"></form>',
+  request: { path: '/Login.aspx?ReturnUrl=%2fModule%2fSystem%2fFilter.aspx' }
+});
+
+const pageResponse = (data = '<div id="lblFilter">On</div>') => ({
+  status: 200,
+  headers: {},
+  data,
+  request: { path: '/Module/System/Filter.aspx' }
+});
+
+const loggedInSession = async (store) => {
+  const session = new HaywardSession('cron-pool', { store });
+  await session.cookieJar.setCookie('.ASPXAUTH=abc123; Path=/', BASE_URL);
+  session.authenticated = true;
+  session.username = 'owner@example.com';
+  return session;
+};
+
+describe('Session stores', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('saves, loads and removes sessions as private files', async () => {
+    const store = new FileSessionStore(dir);
+
+    await store.save('cron-pool', { authenticated: true });
+
+    const file = path.join(dir, 'cron-pool.json');
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    await expect(store.load('cron-pool')).resolves.toEqual({ authenticated: true });
+
+    await store.remove('cron-pool');
+    await expect(store.load('cron-pool')).resolves.toBeNull();
+  });
+
+  it('keeps session IDs inside the store directory', async () => {
+    const store = new FileSessionStore(dir);
+
+    await store.save('../escape', { authenticated: true });
+
+    expect(fs.readdirSync(dir)).toEqual(['___escape.json']);
+  });
+
+  it('selects the store from SESSION_STORE', () => {
+    expect(createSessionStore('memory')).toBeInstanceOf(MemorySessionStore);
+    expect(createSessionStore('file', dir)).toEqual(new FileSessionStore(dir));
+    expect(createSessionStore(null)).toBeInstanceOf(FileSessionStore);
+  });
+});
+
+describe('HaywardSession persistence', () => {
+  it('round-trips cookies and login state without the password', async () => {
+    const store = new MemorySessionStore();
+    const session = await loggedInSession(store);
+    session.credentials = { username: 'owner@example.com', password: 'secret-password' };
+
+    await session.persist();
+    const stored = await store.load('cron-pool');
+
+    expect(JSON.stringify(stored)).not.toContain('secret-password');
+
+    const restored = HaywardSession.fromJSON(stored, { store });
+    expect(restored.authenticated).toBe(true);
+    expect(restored.username).toBe('owner@example.com');
+    expect(restored.credentials).toBeNull();
+    await expect(restored.cookieJar.getCookieString(`${BASE_URL}/Module/System/Filter.aspx`)).resolves.toBe('.ASPXAUTH=abc123');
+  });
+
+  it('reuses a login for the same account and logs in for another', async () => {
+    const session = await loggedInSession(new MemorySessionStore());
+    session.authenticate = jest.fn().mockResolvedValue({ success: true, message: 'Authentication successful' });
+
+    const reused = await session.ensureAuthenticated('owner@example.com', 'secret-password');
+    expect(reused).toEqual(expect.objectContaining({ success: true, reused: true }));
+    expect(session.authenticate).not.toHaveBeenCalled();
+
+    const fresh = await session.ensureAuthenticated('other@example.com', 'other-password');
+    expect(fresh).toEqual(expect.objectContaining({ success: true, reused: false }));
+    expect(session.authenticate).toHaveBeenCalledWith('other@example.com', 'other-password');
+  });
+
+  it('logs in again and retries once when Hayward serves the login page', async () => {
+    const session = await loggedInSession(new MemorySessionStore());
+    session.credentials = { username: 'owner@example.com', password: 'secret-password' };
+    session.axiosInstance = jest.fn()
+      .mockResolvedValueOnce(loginResponse())
+      .mockResolvedValueOnce(pageResponse());
+    session.authenticate = jest.fn(async () => {
+      session.authenticated = true;
+      return { success: true, message: 'Authentication successful' };
+    });
+
+    const response = await session.makeRequest('/Module/System/Filter.aspx');
+
+    expect(response.data).toContain('lblFilter');
+    expect(session.authenticate).toHaveBeenCalledWith('owner@example.com', 'secret-password');
+    expect(session.axiosInstance).toHaveBeenCalledTimes(2);
+  });
+
+  it('fails when the login expired and there are no credentials to renew it', async () => {
+    const store = new MemorySessionStore();
+    const session = await loggedInSession(store);
+    session.axiosInstance = jest.fn().mockResolvedValue(loginResponse());
+
+    await expect(session.makeRequest('/Module/System/Filter.aspx')).rejects.toThrow('Hayward login expired');
+    expect(session.authenticated).toBe(false);
+    await expect(store.load('cron-pool')).resolves.toEqual(expect.objectContaining({ authenticated: false }));
+  });
+
+  it('does not retry more than once', async () => {
+    const session = await loggedInSession(new MemorySessionStore());
+    session.credentials = { username: 'owner@example.com', password: 'secret-password' };
+    session.axiosInstance = jest.fn().mockResolvedValue(loginResponse());
+    session.authenticate = jest.fn(async () => {
+      session.authenticated = true;
+      return { success: true, message: 'Authentication successful' };
+    });
+
+    await expect(session.makeRequest('/Module/System/Filter.aspx')).rejects.toThrow('Hayward login expired');
+    expect(session.authenticate).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('sessionManager.getPersistentSession', () => {
+  const originalStore = sessionManager.getStore();
+  let store;
+
+  beforeEach(() => {
+    store = new MemorySessionStore();
+    sessionManager.setStore(store);
+    sessionManager.removeSession('cron-pool');
+  });
+
+  afterAll(() => {
+    sessionManager.setStore(originalStore);
+    sessionManager.removeSession('cron-pool');
+  });
+
+  it('restores a session saved by an earlier process', async () => {
+    const saved = await loggedInSession(store);
+    await saved.persist();
+
+    const session = await sessionManager.getPersistentSession('cron-pool');
+
+    expect(session).not.toBe(saved);
+    expect(session.authenticated).toBe(true);
+    expect(session.store).toBe(store);
+    await expect(sessionManager.getPersistentSession('cron-pool')).resolves.toBe(session);
+  });
+
+  it('discards expired stored sessions', async () => {
+    const saved = await loggedInSession(store);
+    saved.lastActivity = Date.now() - (25 * 60 * 60 * 1000);
+    await store.save('cron-pool', saved.toJSON());
+
+    const session = await sessionManager.getPersistentSession('cron-pool');
+
+    expect(session.authenticated).toBe(false);
+    await expect(store.load('cron-pool')).resolves.toBeNull();
+  });
+
+  it('starts a new session when nothing is stored', async () => {
+    const session = await sessionManager.getPersistentSession('cron-pool');
+
+    expect(session).toBeInstanceOf(HaywardSession);
+    expect(session.authenticated).toBe(false);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * SMTP Client Tests
+ * Tests for sending mail against a local SMTP sink
+ */
+
+const net = require('net');
+const { sendMail } = require('../../src/services/smtpClient');
+
+/**
+ * Local SMTP sink: accepts every command and keeps each message it is sent
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.replies] - Replies to use instead, by command
+ * @returns {Promise<{server: net.Server, port: number, commands: Array<string>, messages: Array<string>}>} Running sink
+ */
+const startSink = ({ replies = {} } = {}) => new Promise(resolve => {
+  const sink = { commands: [], messages: [] };
+
+  sink.server = net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+    const reply = (command, fallback) => socket.write(`${replies[command] || fallback}\r\n`);
+
+    socket.write('220 sink.test ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let end = buffer.indexOf('\r\n');
+      while (end >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            sink.messages.push(data.join('\r\n'));
+            data = null;
+            reply('message', '250 2.0.0 Ok: queued');
+          } else {
+            data.push(line);
+          }
+        } else {
+          const command = line.split(' ')[0].split(':')[0].toUpperCase();
+          sink.commands.push(line);
+          if (command === 'EHLO') {
+            socket.write('250-sink.test\r\n250-8BITMIME\r\n');
+            reply(command, '250 AUTH PLAIN');
+          } else if (command === 'AUTH') {
+            reply(command, '235 2.7.0 Authentication successful');
+          } else if (command === 'DATA') {
+            data = [];
+            reply(command, '354 End data with <CR><LF>.<CR><LF>');
+          } else if (command === 'QUIT') {
+            reply(command, '221 2.0.0 Bye');
+            socket.end();
+          } else {
+            reply(command, '250 2.1.0 Ok');
+          }
+        }
+        end = buffer.indexOf('\r\n');
+      }
+    });
+  });
+
+  sink.server.listen(0, '127.0.0.1', () => {
+    sink.port = sink.server.address().port;
+    resolve(sink);
+  });
+});
+
+const bodyOf = message => Buffer.from(message.split('\r\n\r\n')[1].replace(/\r\n/g, ''), 'base64').toString('utf8');
+
+describe('sendMail', () => {
+  let sink;
+
+  afterEach(done => {
+    sink.server.close(done);
+  });
+
+  it('delivers a message to a local SMTP sink', async () => {
+    sink = await startSink();
+
+    const result = await sendMail(
+      { host: '127.0.0.1', port: sink.port, user: 'pool', pass: 'secret', allowInsecureAuth: true },
+      { from: 'pool@example.com', to: 'me@example.com, you@example.com', subject: 'Salt level alert opened', text: 'Salt level is 2650 ppm.\nAdd salt.' }
+    );
+
+    expect(result).toEqual({ accepted: ['me@example.com', 'you@example.com'], response: '250 2.0.0 Ok: queued' });
+    expect(sink.commands).toEqual([
+      expect.stringMatching(/^EHLO /),
+      `AUTH PLAIN ${Buffer.from('\0pool\0secret').toString('base64')}`,
+      'MAIL FROM:<pool@example.com>',
+      'RCPT TO:<me@example.com>',
+      'RCPT TO:<you@example.com>',
+      'DATA',
+      'QUIT'
+    ]);
+
+    const [message] = sink.messages;
+    expect(message).toMatch(/^From: pool@example.com\r\nTo: me@example.com, you@example.com\r\nSubject: Salt level alert opened\r\n/);
+    expect(bodyOf(message)).toBe('Salt level is 2650 ppm.\r\nAdd salt.');
+  });
+
+  it('refuses to send credentials when the server offers no TLS', async () => {
+    sink = await startSink();
+
+    await expect(sendMail(
+      { host: '127.0.0.1', port: sink.port, user: 'pool', pass: 'secret' },
+      { from: 'pool@example.com', to: 'me@example.com', subject: 'Test', text: 'Test' }
+    )).rejects.toMatchObject({ permanent: true, message: expect.stringContaining('offers no TLS') });
+    expect(sink.commands).toEqual([expect.stringMatching(/^EHLO /)]);
+    expect(sink.messages).toEqual([]);
+  });
+
+  it('encodes a non-ASCII subject and reports a refused recipient as permanent', async () => {
+    sink = await startSink();
+    await sendMail({ host: '127.0.0.1', port: sink.port }, { from: 'pool@example.com', to: ['me@example.com'], subject: 'Water 91°F', text: 'Hot' });
+    expect(sink.messages[0]).toContain(`Subject: =?UTF-8?B?${Buffer.from('Water 91°F').toString('base64')}?=`);
+    await new Promise(resolve => sink.server.close(resolve));
+
+    sink = await startSink({ replies: { RCPT: '550 5.1.1 No such user' } });
+    await expect(sendMail({ host: '127.0.0.1', port: sink.port }, { from: 'pool@example.com', to: 'nobody@example.com', subject: 'Test', text: 'Test' }))
+      .rejects.toMatchObject({ name: 'SmtpError', code: 550, permanent: true, message: 'SMTP RCPT TO failed: 550 5.1.1 No such user' });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Staleness Watchdog Tests
+ * Tests for alerting when a site stops reporting fresh readings
+ */
+
+jest.mock('../../src/services/influxDBService', () => ({
+  influxDBService: {
+    isConnected: true,
+    queryLastValue: jest.fn()
+  }
+}));
+jest.mock('../../src/domains/monitoring', () => ({
+  timeSeriesService: { getDataPoints: jest.fn() }
+}));
+jest.mock('../../src/services/alertEngine', () => ({
+  alertEngine: { evaluateWatchdog: jest.fn() }
+}));
+
+const { influxDBService } = require('../../src/services/influxDBService');
+const { timeSeriesService } = require('../../src/domains/monitoring');
+const { alertEngine } = require('../../src/services/alertEngine');
+const { StalenessWatchdog, METRICS } = require('../../src/services/stalenessWatchdog');
+
+const MINUTE_MS = 60 * 1000;
+
+const now = new Date(Date.UTC(2026, 9, 20, 12));
+const ago = minutes => new Date(now.getTime() - minutes * MINUTE_MS);
+
+describe('StalenessWatchdog', () => {
+  const limits = { poolMinutes: 30, weatherMinutes: 60, homeMinutes: 60 };
+
+  // Stored readings by InfluxDB field
+  const stored = values => {
+    influxDBService.queryLastValue.mockImplementation(async field => values[field] || null);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    timeSeriesService.getDataPoints.mockReturnValue([]);
+    alertEngine.evaluateWatchdog.mockResolvedValue([]);
+  });
+
+  it('marks each metric fresh, stale or missing against its group limit', async () => {
+    stored({
+      salt_instant: { timestamp: ago(10).toISOString(), value: 3200 },
+      water_temp: { timestamp: ago(10).toISOString(), value: 82 },
+      pump_status: { timestamp: ago(10).toISOString(), value: true },
+      weather_temp: { timestamp: ago(90).toISOString(), value: 71 },
+      'Temp (F)': { timestamp: ago(45).toISOString(), value: 70 }
+    });
+
+    const report = await new StalenessWatchdog({ limits }).check('default', now);
+    const byMetric = Object.fromEntries(report.metrics.map(entry => [entry.metric, entry]));
+
+    expect(report).toEqual(expect.objectContaining({ site: 'default', checkedAt: now.toISOString(), stale: true, collectionAgeMinutes: 10 }));
+    expect(byMetric.saltInstant).toEqual({
+      metric: 'saltInstant',
+      label: 'Salt level',
+      lastUpdated: ago(10).toISOString(),
+      ageMinutes: 10,
+      staleAfterMinutes: 30,
+      status: 'fresh',
+      stale: false
+    });
+    expect(byMetric.weatherTemp).toEqual(expect.objectContaining({ ageMinutes: 90, staleAfterMinutes: 60, status: 'stale', stale: true }));
+    expect(byMetric.homeTemperature).toEqual(expect.objectContaining({ ageMinutes: 45, status: 'fresh' }));
+    expect(byMetric.homeHumidity).toEqual(expect.objectContaining({ lastUpdated: null, ageMinutes: null, status: 'missing', stale: true }));
+    expect(influxDBService.queryLastValue).toHaveBeenCalledWith('salt_instant', now, 'default', 168);
+    expect(influxDBService.queryLastValue).toHaveBeenCalledWith('weather_temp', now, null, 168);
+  });
+
+  it('does not call flow sensors stale while the pump is known to be off, and prefers newer in-memory points', async () => {
+    stored({
+      salt_instant: { timestamp: ago(120).toISOString(), value: 3200 },
+      water_temp: { timestamp: ago(120).toISOString(), value: 82 },
+      pump_status: { timestamp: ago(60).toISOString(), value: true }
+    });
+    timeSeriesService.getDataPoints.mockImplementation((hours, siteId) => (siteId
+      ? [{ timestamp: ago(5).getTime(), pumpStatus: false, saltInstant: null, waterTemp: null }]
+      : []));
+
+    const report = await new StalenessWatchdog({ limits }).check('default', now);
+    const byMetric = Object.fromEntries(report.metrics.map(entry => [entry.metric, entry]));
+
+    expect(byMetric.pumpStatus).toEqual(expect.objectContaining({ ageMinutes: 5, status: 'fresh' }));
+    expect(byMetric.saltInstant).toEqual(expect.objectContaining({ ageMinutes: 120, status: 'pump-off', stale: false }));
+    expect(byMetric.waterTemp).toEqual(expect.objectContaining({ status: 'pump-off', stale: false }));
+    expect(report.collectionAgeMinutes).toBe(5);
+  });
+
+  it('reuses a report for a minute across dashboard requests and refreshes it from the scheduled check', async () => {
+    stored({ pump_status: { timestamp: ago(10).toISOString(), value: true } });
+    const watchdog = new StalenessWatchdog({ limits });
+    const queriesPerCheck = Object.keys(METRICS).length;
+
+    const [first, second] = await Promise.all([watchdog.getReport('default', now), watchdog.getReport('default', now)]);
+    const cached = await watchdog.getReport('default', new Date(now.getTime() + 30 * 1000));
+
+    expect(second).toBe(first);
+    expect(cached).toBe(first);
+    expect(influxDBService.queryLastValue).toHaveBeenCalledTimes(queriesPerCheck);
+
+    const later = new Date(now.getTime() + 2 * MINUTE_MS);
+    const [checked] = await watchdog.checkAll(later);
+    expect(await watchdog.getReport('default', later)).toBe(checked);
+    expect(influxDBService.queryLastValue).toHaveBeenCalledTimes(2 * queriesPerCheck);
+
+    expect((await watchdog.getReport('default', new Date(later.getTime() + 2 * MINUTE_MS))).checkedAt)
+      .toBe(new Date(later.getTime() + 2 * MINUTE_MS).toISOString());
+  });
+
+  it('feeds the newest pool data age of every site to the alert engine, with or without InfluxDB', async () => {
+    influxDBService.queryLastValue.mockRejectedValue(new Error('connection refused'));
+    timeSeriesService.getDataPoints.mockImplementation((hours, siteId) => (siteId
+      ? [{ timestamp: ago(50).getTime(), pumpStatus: true, saltInstant: 3200, waterTemp: 82 }]
+      : []));
+
+    const reports = await new StalenessWatchdog({ limits }).checkAll(now);
+
+    expect(reports).toEqual([expect.objectContaining({ site: 'default', collectionAgeMinutes: 50, stale: true })]);
+    expect(alertEngine.evaluateWatchdog).toHaveBeenCalledWith(expect.objectContaining({ id: 'default' }), 50, now);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Stale data for site default: Salt level'));
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Water Chemistry Tests
+ * Tests for logging water tests and the saturation index worked out from them
+ */
+
+jest.mock('../../src/services/influxDBService', () => ({
+  influxDBService: {
+    queryDataPoints: jest.fn(),
+    storeWaterTest: jest.fn(),
+    queryWaterTests: jest.fn()
+  }
+}));
+jest.mock('../../src/domains/monitoring', () => ({
+  timeSeriesService: { getDataPoints: jest.fn() }
+}));
+
+const { influxDBService } = require('../../src/services/influxDBService');
+const { timeSeriesService } = require('../../src/domains/monitoring');
+const { WaterChemistry, calculateLSI, parseWaterTest } = require('../../src/services/waterChemistry');
+
+describe('calculateLSI', () => {
+  it('works out the saturation index with the CYA correction to alkalinity', () => {
+    expect(calculateLSI({ ph: 7.5, waterTemp: 80, calciumHardness: 300, totalAlkalinity: 80, cya: 60, tds: 3200 })).toBe(-0.25);
+    expect(calculateLSI({ ph: 7.8, waterTemp: 90, calciumHardness: 450, totalAlkalinity: 120, cya: 0, tds: 3200 })).toBe(0.63);
+    expect(calculateLSI({ ph: 7.5, waterTemp: 80, calciumHardness: 300, totalAlkalinity: 20, cya: 90 })).toBeNull();
+  });
+});
+
+describe('parseWaterTest', () => {
+  it('rejects out-of-range values and tests without a measurement', () => {
+    expect(parseWaterTest({ ph: '15' }).errors).toEqual(['pH must be a number between 0 and 14']);
+    expect(parseWaterTest({ notes: 'forgot the kit' }).errors).toEqual([
+      'At least one of ph, freeChlorine, cya, totalAlkalinity, calciumHardness is required'
+    ]);
+    expect(parseWaterTest({ ph: '7.4', freeChlorine: 3 }).values).toEqual(expect.objectContaining({ ph: 7.4, freeChlorine: 3, cya: null }));
+  });
+});
+
+describe('WaterChemistry', () => {
+  const site = { id: 'default' };
+  const chemistry = new WaterChemistry();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    influxDBService.storeWaterTest.mockResolvedValue(true);
+  });
+
+  it('uses the water temperature and salt measured closest to the test', async () => {
+    influxDBService.queryDataPoints.mockResolvedValue([
+      { timestamp: '2026-10-19T09:00:00Z', waterTemp: 78, saltInstant: 3100 },
+      { timestamp: '2026-10-19T09:55:00Z', waterTemp: 80, saltInstant: 3200 },
+      { timestamp: '2026-10-19T10:30:00Z', waterTemp: 81, saltInstant: null }
+    ]);
+
+    const { values } = parseWaterTest({
+      timestamp: '2026-10-19T10:00:00Z',
+      ph: 7.5,
+      freeChlorine: 0.5,
+      cya: 60,
+      totalAlkalinity: 80,
+      calciumHardness: 300
+    });
+    const { test, stored } = await chemistry.recordTest(site, values);
+
+    expect(stored).toBe(true);
+    expect(test).toEqual(expect.objectContaining({
+      timestamp: '2026-10-19T10:00:00.000Z',
+      waterTemp: 80,
+      tds: 3200,
+      lsi: -0.25,
+      lsiStatus: 'balanced',
+      ranges: { ph: 'ok', freeChlorine: 'low', cya: 'ok', totalAlkalinity: 'ok', calciumHardness: 'ok', lsi: 'ok' }
+    }));
+    expect(influxDBService.storeWaterTest).toHaveBeenCalledWith(expect.objectContaining({ site: 'default', lsi: -0.25 }));
+  });
+
+  it('leaves the LSI out without a water temperature', async () => {
+    influxDBService.queryDataPoints.mockResolvedValue([]);
+    timeSeriesService.getDataPoints.mockReturnValue([]);
+
+    const { values } = parseWaterTest({ ph: 7.5, totalAlkalinity: 80, calciumHardness: 300 });
+    const { test } = await chemistry.recordTest(site, values);
+
+    expect(test).toEqual(expect.objectContaining({ waterTemp: null, lsi: null, lsiStatus: null }));
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Water Temperature Forecast Tests
+ * Tests for fitting the pool's heat model and forecasting water temperature from the weather forecast
+ */
+
+jest.mock('../../src/services/influxDBService');
+jest.mock('../../src/services/weatherService');
+jest.mock('../../src/domains/monitoring');
+
+const { influxDBService } = require('../../src/services/influxDBService');
+const weatherService = require('../../src/services/weatherService');
+const { timeSeriesService } = require('../../src/domains/monitoring');
+const { WaterTempForecast, fitModel, hourlyReadings, daylight } = require('../../src/services/waterTempForecast');
+const { FIVE_MINUTES, HOUR_MS, at, readingsBetween } = require('../fixtures/readings');
+
+const airAt = time => 78 + 8 * Math.sin(2 * Math.PI * (new Date(time).getHours() - 9) / 24);
+
+const pumpAt = time => new Date(time).getHours() >= 8 && new Date(time).getHours() < 20;
+
+// Hourly water temperature following a known heat model, with the pump running from 8:00 to 20:00
+const simulate = (from, hours, { k = 0.02, s = 0.3, p = 0.05 } = {}) => {
+  const series = [];
+  let water = 82;
+  for (let i = 0; i < hours; i++) {
+    const time = at(from).getTime() + i * HOUR_MS;
+    series.push({ time, water, air: airAt(time), pump: pumpAt(time) });
+    water += k * (series[i].air - water) + s * daylight(time) + p * (series[i].pump ? 1 : 0);
+  }
+  return series;
+};
+
+// Readings every 5 minutes carrying each hour's values
+const readings = series => series.flatMap(hour => readingsBetween(hour.time, hour.time + HOUR_MS, FIVE_MINUTES, {
+  waterTemp: hour.water,
+  weatherTemp: hour.air,
+  pumpStatus: hour.pump
+}));
+
+describe('fitModel', () => {
+  it('learns the heat model from pump-on water readings', () => {
+    const model = fitModel(hourlyReadings(readings(simulate(1, 14 * 24))));
+
+    expect(model).toEqual(expect.objectContaining({ exchangePerHour: 0.02, sunGainPerHour: 0.3, pumpGainPerHour: 0.05, rmse: 0 }));
+    // Eleven pump-on hour-to-hour changes a day
+    expect(model.samples).toBe(154);
+  });
+
+  it('needs a day of readings', () => {
+    expect(fitModel(hourlyReadings(readings(simulate(1, 24))))).toBeNull();
+  });
+});
+
+describe('WaterTempForecast', () => {
+  const site = { id: 'default' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('continues from the latest water reading through the weather forecast', async () => {
+    const forecast = new WaterTempForecast();
+    const truth = simulate(1, 16 * 24);
+    influxDBService.queryDataPoints.mockResolvedValue(readings(truth.slice(0, 14 * 24)));
+    weatherService.getHourlyForecast.mockResolvedValue(truth.slice(14 * 24).map(hour => ({
+      timestamp: new Date(hour.time).toISOString(),
+      temperature: hour.air
+    })));
+
+    const result = await forecast.getForecast(site, { now: at(15) });
+
+    expect(weatherService.getHourlyForecast).toHaveBeenCalledWith(48);
+    expect(result.current).toEqual({ timestamp: at(14, 19).toISOString(), waterTemp: expect.any(Number) });
+    expect(result.forecast).toHaveLength(48);
+    result.forecast.forEach(hour => {
+      const expected = truth.find(point => point.time === new Date(hour.timestamp).getTime()).water;
+      expect(Math.abs(hour.waterTemp - expected)).toBeLessThanOrEqual(0.06);
+    });
+    expect(result.summary.max).toBeGreaterThan(result.summary.min);
+    expect(result.source).toBe('influxdb');
+
+    // Within the hour the model is reused and only the last day is read
+    const later = await forecast.getForecast(site, { now: at(15, 0, 30) });
+    expect(influxDBService.queryDataPoints).toHaveBeenLastCalledWith(at(14, 0, 30), at(15, 0, 30), 'default');
+    expect(later.model).toBe(result.model);
+  });
+
+  it('explains a missing forecast when there is not enough data to fit', async () => {
+    const forecast = new WaterTempForecast();
+    influxDBService.queryDataPoints.mockResolvedValue([]);
+    timeSeriesService.getDataPoints.mockReturnValue(readings(simulate(14, 12)));
+
+    const result = await forecast.getForecast(site, { now: at(15) });
+
+    expect(result).toEqual(expect.objectContaining({ model: null, forecast: [], summary: null, source: 'memory' }));
+    expect(result.reason).toMatch(/Not enough/);
+    expect(weatherService.getHourlyForecast).not.toHaveBeenCalled();
+  });
+});
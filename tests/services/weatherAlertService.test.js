@@ -0,0 +1,98 @@
+/**
+ * Weather Alert Service Tests
+ * Tests for sending NWS alerts whether or not they could be stored
+ */
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+jest.mock('../../src/services/influxDBService', () => ({
+  influxDBService: {
+    queryWeatherAlerts: jest.fn(),
+    storeWeatherAlert: jest.fn()
+  }
+}));
+jest.mock('../../src/services/geocodingService', () => ({}));
+jest.mock('../../src/services/forecastWarnings', () => ({ FORECAST_SOURCE: 'forecast' }));
+jest.mock('../../src/services/notifier', () => ({
+  notifier: { notifyWeatherAlert: jest.fn() }
+}));
+jest.mock('../../src/services/alertSilencer', () => ({
+  alertSilencer: { restore: jest.fn(), isReminderDue: jest.fn() }
+}));
+
+const axios = require('axios');
+const { influxDBService } = require('../../src/services/influxDBService');
+const { notifier } = require('../../src/services/notifier');
+const { alertSilencer } = require('../../src/services/alertSilencer');
+const WeatherAlertService = require('../../src/services/weatherAlertService');
+
+const hurricane = {
+  id: 'nws-1',
+  properties: {
+    event: 'Hurricane Warning',
+    severity: 'Extreme',
+    urgency: 'Immediate',
+    effective: '2026-10-20T12:00:00.000Z',
+    expires: '2099-10-21T12:00:00.000Z'
+  }
+};
+
+const delivered = status => [{ channel: 'webhook', status }];
+
+describe('WeatherAlertService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    axios.get.mockResolvedValue({ data: { features: [hurricane] } });
+    influxDBService.queryWeatherAlerts.mockResolvedValue([]);
+    influxDBService.storeWeatherAlert.mockResolvedValue(false);
+    notifier.notifyWeatherAlert.mockResolvedValue(delivered('sent'));
+    alertSilencer.isReminderDue.mockReturnValue(false);
+
+    service = new WeatherAlertService();
+    service.initialized = true;
+    service.state = 'FL';
+  });
+
+  it('sends a new alert once even when it could not be stored, and writes it once', async () => {
+    const first = await service.checkAndStoreAlerts();
+    const second = await service.checkAndStoreAlerts();
+
+    expect(first).toEqual(expect.objectContaining({ newAlertsStored: 0, notificationsSent: 1, remindersSent: 0 }));
+    expect(second.notificationsSent).toBe(0);
+    expect(notifier.notifyWeatherAlert).toHaveBeenCalledTimes(1);
+    expect(notifier.notifyWeatherAlert).toHaveBeenCalledWith(expect.objectContaining({ id: 'nws-1' }), {});
+    expect(influxDBService.storeWeatherAlert).toHaveBeenCalledTimes(1);
+  });
+
+  it('tries an undelivered alert again as new, never as a reminder', async () => {
+    notifier.notifyWeatherAlert.mockResolvedValueOnce(delivered('failed'));
+
+    const first = await service.checkAndStoreAlerts();
+    expect(first.notificationsSent).toBe(0);
+    expect(alertSilencer.isReminderDue).not.toHaveBeenCalled();
+
+    const second = await service.checkAndStoreAlerts();
+    expect(second).toEqual(expect.objectContaining({ notificationsSent: 1, remindersSent: 0 }));
+    expect(notifier.notifyWeatherAlert.mock.calls.map(([, options]) => options)).toEqual([{}, {}]);
+
+    alertSilencer.isReminderDue.mockReturnValue(true);
+    const third = await service.checkAndStoreAlerts();
+    expect(third.remindersSent).toBe(1);
+    expect(notifier.notifyWeatherAlert).toHaveBeenLastCalledWith(expect.objectContaining({ id: 'nws-1' }), { reminder: true });
+  });
+
+  it('does not send an alert an earlier process already stored, and keeps alerts through a failed fetch', async () => {
+    influxDBService.queryWeatherAlerts.mockResolvedValue([{ id: 'nws-1' }]);
+
+    await service.checkAndStoreAlerts();
+    axios.get.mockRejectedValueOnce(new Error('timeout'));
+    await service.checkAndStoreAlerts();
+    influxDBService.queryWeatherAlerts.mockResolvedValue([]);
+    await service.checkAndStoreAlerts();
+
+    expect(notifier.notifyWeatherAlert).not.toHaveBeenCalled();
+    expect(influxDBService.queryWeatherAlerts).toHaveBeenCalledTimes(1);
+    expect(influxDBService.storeWeatherAlert).not.toHaveBeenCalled();
+  });
+});
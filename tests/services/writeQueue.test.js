@@ -0,0 +1,73 @@
+/**
+ * Write Queue Tests
+ * Tests for queueing failed InfluxDB writes on disk and replaying them
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WriteQueue } = require('../../src/services/writeQueue');
+
+describe('WriteQueue', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'write-queue-test-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps queued writes in a private file that survives a restart', async () => {
+    const queue = new WriteQueue({ dir });
+    await queue.enqueue('dataPoint', { timestamp: '2026-10-19T10:00:00.000Z', waterTemp: 82 });
+    await queue.enqueue('annotation', { timestamp: '2026-10-19T10:05:00.000Z', title: 'Pump Started' });
+
+    const file = path.join(dir, 'influxdb-writes.jsonl');
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+
+    const restarted = new WriteQueue({ dir });
+    const writer = jest.fn().mockResolvedValue(true);
+    await expect(restarted.replay(writer)).resolves.toEqual({ replayed: 2, remaining: 0 });
+
+    expect(writer.mock.calls).toEqual([
+      ['dataPoint', { timestamp: '2026-10-19T10:00:00.000Z', waterTemp: 82 }],
+      ['annotation', { timestamp: '2026-10-19T10:05:00.000Z', title: 'Pump Started' }]
+    ]);
+    expect(fs.readFileSync(file, 'utf8')).toBe('');
+  });
+
+  it('stops at the first failed write so the rest stay in order', async () => {
+    const queue = new WriteQueue({ dir });
+    await queue.enqueue('dataPoint', { n: 1 });
+    await queue.enqueue('dataPoint', { n: 2 });
+    await queue.enqueue('dataPoint', { n: 3 });
+
+    const writer = jest.fn()
+      .mockResolvedValueOnce(true)
+      .mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+    await expect(queue.replay(writer)).resolves.toEqual({ replayed: 1, remaining: 2 });
+    expect(writer).toHaveBeenCalledTimes(2);
+
+    const stats = await new WriteQueue({ dir }).getStats();
+    expect(stats).toEqual(expect.objectContaining({ depth: 2, byType: { dataPoint: 2 } }));
+    expect((await queue.getStats()).lastReplayError).toBe('connect ECONNREFUSED');
+  });
+
+  it('drops the oldest writes beyond the maximum and skips unreadable lines', async () => {
+    fs.writeFileSync(path.join(dir, 'influxdb-writes.jsonl'), '{"id":"1","type":"dataPoint","payload":{"n":1}}\n{"id":"2","ty');
+    const queue = new WriteQueue({ dir, maxEntries: 2 });
+
+    await queue.enqueue('dataPoint', { n: 2 });
+    await queue.enqueue('dataPoint', { n: 3 });
+    await expect(new WriteQueue({ dir }).getDepth()).resolves.toBe(2);
+
+    const writer = jest.fn().mockResolvedValue(true);
+    await queue.replay(writer);
+    expect(writer.mock.calls.map(([, payload]) => payload.n)).toEqual([2, 3]);
+    expect((await queue.getStats()).dropped).toBe(1);
+  });
+});
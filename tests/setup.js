@@ -92,10 +92,24 @@ global.createTestDOM = () => {
         <div id="waterTempCard" class="status-card"></div>
         <div id="cellVoltageValue" class="status-value skeleton-value">--</div>
         <div id="cellVoltageStatus" class="status-detail-value skeleton-text">--</div>
+        <div id="cellHealthScore" class="status-detail-value skeleton-text">--</div>
+        <div id="cellOperatingHours" class="status-detail-value skeleton-text">--</div>
         <div id="cellVoltageCard" class="status-card"></div>
         <div id="filterPumpValue" class="status-value skeleton-value">--</div>
-        <div id="filterPumpState" class="status-detail-value skeleton-text">--</div>
+        <div id="filterPumpRuntime" class="status-detail-value skeleton-text">--</div>
+        <div id="filterPumpCycles" class="status-detail-value skeleton-text">--</div>
+        <div id="filterPumpIdle" class="status-detail-value skeleton-text">--</div>
+        <div id="filterPumpTurnovers" class="status-detail-value skeleton-text">--</div>
         <div id="filterPumpCard" class="status-card"></div>
+        <div id="waterTestLsi" class="status-value skeleton-value">--</div>
+        <div id="waterTestLsiStatus" class="status-unit">LSI</div>
+        <div id="waterTestPh" class="status-detail-value skeleton-text">--</div>
+        <div id="waterTestFreeChlorine" class="status-detail-value skeleton-text">--</div>
+        <div id="waterTestCya" class="status-detail-value skeleton-text">--</div>
+        <div id="waterTestAlkalinity" class="status-detail-value skeleton-text">--</div>
+        <div id="waterTestHardness" class="status-detail-value skeleton-text">--</div>
+        <div id="waterTestDate" class="status-detail-value skeleton-text">--</div>
+        <div id="waterTestCard" class="status-card"></div>
         <div id="weatherTempValue" class="status-value skeleton-value">--</div>
         <div id="weatherCard" class="status-card"></div>
         <select id="timeRange">
@@ -104,6 +118,7 @@ global.createTestDOM = () => {
         <div id="tempChartStatus">Loading...</div>
         <div id="electricalChartStatus">Loading...</div>
         <div id="chemistryChartStatus">Loading...</div>
+        <div id="waterTestChartStatus">Loading...</div>
         <canvas id="saltSparkline"></canvas>
         <canvas id="waterTempSparkline"></canvas>
         <canvas id="cellVoltageSparkline"></canvas>
@@ -3,7 +3,7 @@
  * Tests for application constants
  */
 
-const { POOL_CONSTANTS, buildSystemUrl, buildDashboardUrl } = require('../../src/utils/constants');
+const { POOL_CONSTANTS, buildSystemUrl, buildDashboardUrl, buildScheduleListUrl } = require('../../src/utils/constants');
 
 describe('Constants', () => {
   describe('POOL_CONSTANTS', () => {
@@ -133,6 +133,14 @@ describe('Constants', () => {
       expect(url).not.toContain('bowSystemID=');
     });
 
+    test('should build URLs for a specific site', () => {
+      const site = { mspId: 'MSP2', bowId: 'BOW2', bowSystemId: 'SYS2' };
+
+      expect(buildSystemUrl('/test/endpoint.aspx', site)).toBe('/test/endpoint.aspx?mspID=MSP2&bowID=BOW2&bowSystemID=SYS2');
+      expect(buildDashboardUrl(site)).toBe(`${POOL_CONSTANTS.ENDPOINTS.DASHBOARD}?mspID=MSP2`);
+      expect(buildScheduleListUrl(site)).toBe(`${POOL_CONSTANTS.ENDPOINTS.SCHEDULES}?mspID=MSP2&bowID=BOW2`);
+    });
+
     test('should handle empty endpoint in buildSystemUrl', () => {
       const url = buildSystemUrl('');
 
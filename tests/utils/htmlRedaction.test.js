@@ -0,0 +1,34 @@
+/**
+ * HTML Redaction Tests
+ * Tests for stripping account details from captured pages
+ */
+
+const { redactHtml } = require('../../src/utils/htmlRedaction');
+
+describe('redactHtml', () => {
+  const page = `
+    <input type="hidden" name="__VIEWSTATE" id="__VIEWSTATE" value="dDwtMTA4MzE0MjEwNTs7Pg==" />
+    <input value="abc123" type="hidden" name="__EVENTVALIDATION" />
+    <div>Welcome, owner@example.org</div>
+    <script src="https://maps.example.com/api.js?key=AIzaSecret&v=3"></script>
+    <a href="Filter_Setting.aspx?mspId=DCEC367C6BDDCB06&bowId=48A6C0EBC3808A94">Filter</a>
+    <span id="lblTempActual">84°</span>
+  `;
+
+  test('should replace form state, email addresses and query-string keys', () => {
+    const redacted = redactHtml(page);
+
+    expect(redacted).toContain('name="__VIEWSTATE" id="__VIEWSTATE" value="REDACTED"');
+    expect(redacted).toContain('<input value="REDACTED" type="hidden" name="__EVENTVALIDATION" />');
+    expect(redacted).toContain('user@example.com');
+    expect(redacted).toContain('?key=REDACTED&v=3');
+    expect(redacted).not.toContain('owner@example.org');
+  });
+
+  test('should replace configured secrets and keep parser content', () => {
+    const redacted = redactHtml(page, { secrets: ['DCEC367C6BDDCB06', '48a6c0ebc3808a94', ''] });
+
+    expect(redacted).toContain('mspId=REDACTED&bowId=REDACTED');
+    expect(redacted).toContain('<span id="lblTempActual">84°</span>');
+  });
+});
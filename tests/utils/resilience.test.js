@@ -0,0 +1,134 @@
+/**
+ * Resilience Utility Tests
+ * Tests for the circuit breaker, transient error checks and retry backoff
+ */
+
+const {
+  CIRCUIT_STATE,
+  CircuitBreaker,
+  CircuitOpenError,
+  isTransientError,
+  retryWithBackoff
+} = require('../../src/utils/resilience');
+
+const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 1000;
+    breaker = new CircuitBreaker('test', {
+      failureThreshold: 3,
+      resetTimeout: 1000,
+      maxResetTimeout: 3000,
+      now: () => now
+    });
+  });
+
+  it('opens after consecutive failures and fails fast', async () => {
+    const failing = jest.fn().mockRejectedValue(new Error('down'));
+
+    for (let i = 0; i < 3; i++) {
+      await expect(breaker.execute(failing)).rejects.toThrow('down');
+    }
+
+    await expect(breaker.execute(failing)).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(failing).toHaveBeenCalledTimes(3);
+    expect(breaker.getState()).toEqual(expect.objectContaining({
+      state: CIRCUIT_STATE.OPEN,
+      failures: 3,
+      lastError: 'down',
+      retryAt: new Date(2000).toISOString()
+    }));
+  });
+
+  it('resets the failure count on success', async () => {
+    await expect(breaker.execute(() => Promise.reject(new Error('down')))).rejects.toThrow();
+    await expect(breaker.execute(() => Promise.reject(new Error('down')))).rejects.toThrow();
+    await breaker.execute(() => Promise.resolve('ok'));
+    await expect(breaker.execute(() => Promise.reject(new Error('down')))).rejects.toThrow();
+
+    expect(breaker.getState().state).toBe(CIRCUIT_STATE.CLOSED);
+    expect(breaker.getState().failures).toBe(1);
+  });
+
+  it('closes after a successful trial once the reset timeout passes', async () => {
+    ['a', 'b', 'c'].forEach(error => breaker.recordFailure(error));
+    expect(breaker.canRequest()).toBe(false);
+
+    now += 1000;
+    expect(breaker.getState().state).toBe(CIRCUIT_STATE.HALF_OPEN);
+    await expect(breaker.execute(() => Promise.resolve('ok'))).resolves.toBe('ok');
+
+    expect(breaker.getState().state).toBe(CIRCUIT_STATE.CLOSED);
+  });
+
+  it('doubles the wait each time a trial fails, up to the maximum', () => {
+    ['a', 'b', 'c'].forEach(error => breaker.recordFailure(error));
+
+    now += 1000;
+    expect(breaker.canRequest()).toBe(true);
+    breaker.recordFailure('still down');
+    expect(breaker.retryAt - now).toBe(2000);
+
+    now += 2000;
+    expect(breaker.canRequest()).toBe(true);
+    breaker.recordFailure('still down');
+    expect(breaker.retryAt - now).toBe(3000);
+  });
+
+  it('does not count errors the isFailure option rejects', async () => {
+    const selective = new CircuitBreaker('selective', { failureThreshold: 1, isFailure: isTransientError });
+
+    await expect(selective.execute(() => Promise.reject(httpError(404)))).rejects.toThrow();
+    expect(selective.getState().state).toBe(CIRCUIT_STATE.CLOSED);
+
+    await expect(selective.execute(() => Promise.reject(httpError(503)))).rejects.toThrow();
+    expect(selective.getState().state).toBe(CIRCUIT_STATE.OPEN);
+  });
+});
+
+describe('isTransientError', () => {
+  it('retries timeouts, dropped connections, 429 and 5xx only', () => {
+    expect(isTransientError(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }))).toBe(true);
+    expect(isTransientError(httpError(429))).toBe(true);
+    expect(isTransientError(httpError(502))).toBe(true);
+    expect(isTransientError(httpError(404))).toBe(false);
+    expect(isTransientError(new CircuitOpenError('test', new Date()))).toBe(false);
+  });
+});
+
+describe('retryWithBackoff', () => {
+  it('retries transient failures with growing delays', async () => {
+    const wait = jest.fn().mockResolvedValue();
+    const fn = jest.fn()
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValue('ok');
+
+    await expect(retryWithBackoff(fn, { retries: 2, baseDelay: 100, wait })).resolves.toBe('ok');
+
+    expect(fn).toHaveBeenCalledTimes(3);
+    const [[first], [second]] = wait.mock.calls;
+    expect(first).toBeGreaterThanOrEqual(50);
+    expect(first).toBeLessThanOrEqual(100);
+    expect(second).toBeGreaterThanOrEqual(100);
+    expect(second).toBeLessThanOrEqual(200);
+  });
+
+  it('gives up after the last retry', async () => {
+    const fn = jest.fn().mockRejectedValue(httpError(500));
+
+    await expect(retryWithBackoff(fn, { retries: 1, wait: () => Promise.resolve() })).rejects.toThrow('500');
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry errors that will not go away', async () => {
+    const fn = jest.fn().mockRejectedValue(httpError(404));
+
+    await expect(retryWithBackoff(fn, { wait: () => Promise.resolve() })).rejects.toThrow('404');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
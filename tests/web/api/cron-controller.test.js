@@ -0,0 +1,136 @@
+/**
+ * Tests for CronController collection and run history
+ *
+ * Runs under node because jsdom resolves cheerio to its ES module browser build
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../../src/domains/monitoring', () => ({
+  timeSeriesService: {
+    addDataPoint: jest.fn(),
+    getDataCount: jest.fn(),
+    getMemoryStats: jest.fn(),
+    getLatestData: jest.fn()
+  },
+  influxDBClient: {
+    storeDataPoint: jest.fn(),
+    getConnectionStatus: jest.fn()
+  }
+}));
+
+jest.mock('../../../src/services/influxDBService', () => ({
+  influxDBService: {
+    isConnected: false,
+    storeCollectionRun: jest.fn().mockResolvedValue(false),
+    queryCollectionRuns: jest.fn().mockResolvedValue([]),
+    storeAnnotation: jest.fn(),
+    writeQueue: {
+      getStats: jest.fn()
+    }
+  }
+}));
+
+const { timeSeriesService, influxDBClient } = require('../../../src/domains/monitoring');
+const { influxDBService } = require('../../../src/services/influxDBService');
+const { collectionPipeline } = require('../../../src/services/collectionPipeline');
+const collectionRunLedger = require('../../../src/services/collectionRunLedger');
+const { siteRegistry } = require('../../../src/config/sites');
+const cronRoutes = require('../../../src/web/api/cron-routes');
+
+describe('CronController collection runs', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    collectionRunLedger.reset();
+    jest.spyOn(siteRegistry, 'getCredentials').mockReturnValue({ username: 'owner@example.com', password: 'secret-password' });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/cron', cronRoutes);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('collects through the pipeline and records each run with its endpoint outcomes', async () => {
+    jest.spyOn(collectionPipeline, 'run').mockImplementation(async ({ site, run }) => {
+      run.source = 'html-scrape';
+      await run.track('dashboard', () => Promise.resolve());
+      await run.track('filter', () => Promise.reject(new Error('Request failed with status code 500'))).catch(() => {});
+      return {
+        poolData: { timestamp: new Date().toISOString(), system: { source: 'html-scrape' } },
+        timeSeriesPoint: { site: site.id, waterTemp: 82, saltInstant: 3000, pumpStatus: true, cellVoltage: 23.1 },
+        storage: { memory: true, influxdb: true },
+        postProcess: { 'parser-health': { healthy: false, confidence: 'medium', drift: [{ field: 'filter.status' }] } }
+      };
+    });
+    timeSeriesService.getDataCount.mockReturnValue(1);
+
+    const collected = await request(app).post('/api/cron/v2/collect-data').expect(200);
+    expect(collected.body.data).toEqual(expect.objectContaining({
+      source: 'html-scrape',
+      metrics: { waterTemp: 82, saltLevel: 3000, pumpStatus: true, cellVoltage: 23.1 }
+    }));
+    expect(collected.body.sites[0].parserHealth).toEqual({ healthy: false, confidence: 'medium', drift: ['filter.status'] });
+    expect(collected.body.sites[0].runId).toEqual(expect.any(String));
+
+    const response = await request(app).get('/api/cron/runs').expect(200);
+
+    expect(response.body.success).toBe(true);
+    const [run] = response.body.data.runs;
+    expect(run).toEqual(expect.objectContaining({
+      id: collected.body.sites[0].runId,
+      site: 'default',
+      trigger: 'v2/collect-data',
+      status: 'partial',
+      source: 'html-scrape'
+    }));
+    expect(run.endpoints.filter).toEqual(expect.objectContaining({ status: 'error', error: 'Request failed with status code 500' }));
+    expect(response.body.data.summary).toEqual(expect.objectContaining({ total: 1, succeeded: 1, successRate: 100 }));
+  });
+
+  it('records failed collections', async () => {
+    jest.spyOn(collectionPipeline, 'run').mockRejectedValue(new Error('Invalid pool data collected'));
+
+    const collected = await request(app).post('/api/cron/v2/collect-data').expect(500);
+    expect(collected.body.error).toBe('Collection failed');
+
+    const response = await request(app).get('/api/cron/runs?hours=1').expect(200);
+
+    expect(response.body.data.summary).toEqual(expect.objectContaining({ total: 1, failed: 1, successRate: 0 }));
+    expect(response.body.data.runs[0].errors).toEqual([
+      { endpoint: 'run', message: 'Data collection failed: Invalid pool data collected' }
+    ]);
+  });
+
+  it('reports missing credentials as a configuration error', async () => {
+    siteRegistry.getCredentials.mockReturnValue(null);
+
+    const response = await request(app).post('/api/cron/v2/collect-data').expect(500);
+
+    expect(response.body.error).toBe('Configuration error');
+  });
+
+  it('reports the InfluxDB write queue with the collection stats', async () => {
+    timeSeriesService.getMemoryStats.mockReturnValue({ dataPoints: 12 });
+    timeSeriesService.getLatestData.mockReturnValue(null);
+    influxDBClient.getConnectionStatus.mockReturnValue({ connected: false });
+    influxDBService.writeQueue.getStats.mockResolvedValue({ depth: 3, byType: { dataPoint: 3 } });
+
+    const response = await request(app).get('/api/cron/v2/collection-stats').expect(200);
+
+    expect(response.body.statistics.writeQueue).toEqual({ depth: 3, byType: { dataPoint: 3 } });
+  });
+
+  it('rejects invalid windows and unknown sites', async () => {
+    await request(app).get('/api/cron/runs?hours=1000').expect(400);
+    const response = await request(app).get('/api/cron/runs?site=nope').expect(404);
+
+    expect(response.body).toEqual(expect.objectContaining({ success: false, error: 'Unknown site' }));
+  });
+});